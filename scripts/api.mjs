@@ -7,6 +7,8 @@
 const MODULE_ID = "bobs-talking-npcs";
 import { emit, SocketEvents, getActiveDialogue } from "./socket.mjs";
 import { getSetting } from "./settings.mjs";
+import { generateId } from "./utils/helpers.mjs";
+import { reloadHandlers, checkMigrations } from "./init.mjs";
 
 // Import UI applications
 import { DialogueWindow } from "./apps/dialogue-window.mjs";
@@ -20,6 +22,13 @@ import { PropertyManager } from "./apps/property-manager.mjs";
 import { NPCConfig } from "./apps/npc-config.mjs";
 import { GMDashboard } from "./apps/gm-dashboard.mjs";
 import { TradeWindow } from "./apps/trade-window.mjs";
+import { LootWindow } from "./apps/loot-window.mjs";
+import { TrainingWindow } from "./apps/training-window.mjs";
+import { EnchantingWindow } from "./apps/enchanting-window.mjs";
+import { TransportationWindow } from "./apps/transportation-window.mjs";
+import { InnWindow } from "./apps/inn-window.mjs";
+import { InformationWindow } from "./apps/information-window.mjs";
+import { QuickSendWindow } from "./apps/quick-send-window.mjs";
 
 /**
  * Singleton instances of UI applications
@@ -27,6 +36,85 @@ import { TradeWindow } from "./apps/trade-window.mjs";
  */
 const appInstances = new Map();
 
+/**
+ * Content entity types handled by import, keyed by their export bundle key
+ */
+const IMPORT_ENTITY_TYPES = Object.freeze({
+  factions: { type: "faction", handler: "faction", get: "getFaction", create: "createFaction", update: "updateFaction" },
+  dialogues: { type: "dialogue", handler: "dialogue", get: "getDialogue", create: "createDialogue", update: "updateDialogue" },
+  quests: { type: "quest", handler: "quest", get: "getQuest", create: "createQuest", update: "updateQuest" },
+  merchants: { type: "merchant", handler: "merchant", get: "getMerchant", create: "createMerchant", update: "updateMerchant" },
+  banks: { type: "bank", handler: "bank", get: "getBank", create: "createBank", update: "updateBank" }
+});
+
+/**
+ * Runtime record collections imported through a handler's exportData/importData
+ */
+const IMPORT_RECORD_TYPES = Object.freeze({
+  bankAccounts: "bank",
+  loans: "bank",
+  safeDepositBoxes: "bank",
+  jurisdictions: "crime",
+  bounties: "crime",
+  crimes: "crime",
+  hirelings: "hireling",
+  mounts: "hireling",
+  stables: "hireling",
+  properties: "property",
+  lootContainers: "loot"
+});
+
+/**
+ * World settings captured by backups
+ */
+const BACKUP_SETTINGS = Object.freeze([
+  "worldData",
+  "jurisdictions",
+  "bounties",
+  "crimes",
+  "hirelings",
+  "mounts",
+  "stables",
+  "properties",
+  "lootContainers",
+  "factions",
+  "worldState",
+  "worldEvents",
+  "activeEvents",
+  "eventTriggerState",
+  "schedulerState",
+  "calendarConfig",
+  "tradeLog",
+  "pendingDeliveries",
+  "schemaVersion"
+]);
+
+/**
+ * Automatic backup intervals in milliseconds ("session" runs once per GM login)
+ */
+const AUTO_BACKUP_INTERVALS = Object.freeze({
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+});
+
+const BACKUP_FOLDER_NAME = "Bob's NPCs - Backups";
+const BACKUP_JOURNAL_PREFIX = "Bob's NPCs Backup ";
+
+/**
+ * Property names that hold cross-references, grouped by the ID map they are rewritten with
+ */
+const IMPORT_REFERENCE_KEYS = Object.freeze({
+  quests: ["questId", "questIds", "quests", "questsAny", "conflictsWith", "mutuallyExclusive"],
+  factions: ["factionId", "factions"],
+  dialogues: [
+    "dialogueId", "acceptDialogueId", "turnInDialogueId",
+    "unavailableDialogueId", "wrongLocationDialogueId", "dialogueOverride"
+  ],
+  merchants: ["merchantId", "shopIds"],
+  banks: ["bankId"],
+  actors: ["actorUuid", "turnInActorUuid", "turnInAlternatives", "npcActorUuid", "members"]
+});
+
 /**
  * Main API class exposed at game.bobsnpc
  */
@@ -41,9 +129,13 @@ export class BobsNPCAPI {
     this.crime = new CrimeAPI();
     this.hirelings = new HirelingsAPI();
     this.mounts = new MountsAPI();
+    this.loot = new LootAPI();
+    this.services = new ServicesAPI();
     this.trade = new TradeAPI();
     this.worldState = new WorldStateAPI();
     this.events = new EventsAPI();
+    this.scheduler = new SchedulerAPI();
+    this.calendar = new CalendarAPI();
     this.ui = new UIAPI();
     this.backup = new BackupAPI();
 
@@ -115,7 +207,7 @@ export class BobsNPCAPI {
   /**
    * Export module data
    * @param {string} type - Export type: "npc", "quest", "faction", "pack", "world"
-   * @param {string} id - Specific ID to export (optional for "pack" and "world")
+   * @param {string|object} id - Specific ID to export, or a filter object for "pack" (optional for "pack" and "world")
    * @returns {Promise<object>} Exported data
    */
   async export(type, id = null) {
@@ -160,33 +252,605 @@ export class BobsNPCAPI {
    * @param {object} data - Data to import (from export)
    * @param {object} options - Import options
    * @param {string} options.conflictResolution - "replace", "skip", "rename"
-   * @returns {Promise<object>} Import results
+   * @returns {Promise<object>} Import results: {success, skipped, errors}, each a list of
+   *   {type, id, name} entries (plus newId, reason or error where relevant)
    */
   async import(data, options = { conflictResolution: "skip" }) {
     console.log(`${MODULE_ID} | Importing ${data.exportType} data`);
 
+    if (!game.user.isGM) {
+      throw new Error("Only GM can import data");
+    }
+
     if (data.moduleId !== MODULE_ID) {
       throw new Error("Invalid import data: wrong module ID");
     }
 
-    // Validate and import based on type
+    const mode = options.conflictResolution || "skip";
+    if (!["replace", "skip", "rename"].includes(mode)) {
+      throw new Error(`Unknown conflict resolution: ${mode}`);
+    }
+
+    const bundle = data.data || {};
     const results = {
       success: [],
       skipped: [],
       errors: []
     };
 
-    // Implementation placeholder
+    // Resolve every conflict first so that all cross-references can be
+    // rewritten before anything is written
+    const idMaps = { actors: new Map() };
+    const plan = {};
+    for (const [key, entityType] of Object.entries(IMPORT_ENTITY_TYPES)) {
+      idMaps[key] = new Map();
+      plan[key] = this._planEntityImport(bundle[key], entityType, mode, idMaps[key], results);
+    }
+    const npcPlan = await this._planNPCImport(bundle.npcs, mode, idMaps.actors, results);
+
+    // Content definitions
+    for (const [key, entityType] of Object.entries(IMPORT_ENTITY_TYPES)) {
+      const handler = this.handlers?.[entityType.handler];
+      for (const { id, targetId, replace, entity } of plan[key]) {
+        const entry = { type: entityType.type, id, name: entity.name };
+        try {
+          const remapped = this._remapReferences(entity, idMaps);
+          remapped.id = targetId;
+          if (replace) await handler[entityType.update](targetId, remapped);
+          else await handler[entityType.create](remapped);
+          results.success.push(targetId !== id ? { ...entry, newId: targetId } : entry);
+        } catch (error) {
+          console.error(`${MODULE_ID} | Failed to import ${entityType.type} ${id}:`, error);
+          results.errors.push({ ...entry, error: error.message });
+        }
+      }
+    }
+
+    // NPC configs
+    for (const { actor, entry } of npcPlan) {
+      const result = { type: "npc", id: entry.uuid, name: entry.name };
+      try {
+        const config = this._remapReferences(entry.config, idMaps);
+        await actor.setFlag(MODULE_ID, "config", config);
+        await this.handlers?.npc?.reloadConfig(actor.uuid);
+        results.success.push(actor.uuid !== entry.uuid ? { ...result, newId: actor.uuid } : result);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Failed to import NPC ${entry.uuid}:`, error);
+        results.errors.push({ ...result, error: error.message });
+      }
+    }
+
+    // World data (only present in "world" exports)
+    await this._importRecords(bundle, mode, idMaps, results);
+    await this._importWorldState(bundle, mode, idMaps, results);
+
+    Hooks.callAll(`${MODULE_ID}.dataImported`, { exportType: data.exportType, results });
+
     console.log(`${MODULE_ID} | Import complete`, results);
     return results;
   }
 
-  // Private export methods (placeholders)
-  async _exportNPC(uuid) { return {}; }
-  async _exportQuest(id) { return {}; }
-  async _exportFaction(id) { return {}; }
-  async _exportPack(filter) { return {}; }
-  async _exportWorld() { return {}; }
+  // ==================== IMPORT ====================
+
+  /**
+   * Decide how each incoming entity of one type is imported
+   * @param {object} entities - Incoming entities keyed by ID
+   * @param {object} entityType - Entry from IMPORT_ENTITY_TYPES
+   * @param {string} mode - Conflict resolution mode
+   * @param {Map<string, string>} idMap - Receives old -> new IDs for renamed entities
+   * @param {object} results - Import results
+   * @returns {object[]} Planned imports: {id, targetId, replace, entity}
+   * @private
+   */
+  _planEntityImport(entities, entityType, mode, idMap, results) {
+    const planned = [];
+    if (!entities) return planned;
+
+    const handler = this.handlers?.[entityType.handler];
+    for (const [id, entity] of Object.entries(entities)) {
+      const entry = { type: entityType.type, id, name: entity?.name };
+
+      if (!handler) {
+        results.errors.push({ ...entry, error: `${entityType.handler} handler not available` });
+        continue;
+      }
+
+      if (!handler[entityType.get](id)) {
+        planned.push({ id, targetId: id, replace: false, entity });
+      } else if (mode === "replace") {
+        planned.push({ id, targetId: id, replace: true, entity });
+      } else if (mode === "rename") {
+        const targetId = generateId();
+        idMap.set(id, targetId);
+        planned.push({ id, targetId, replace: false, entity });
+      } else {
+        results.skipped.push({ ...entry, reason: "exists" });
+      }
+    }
+
+    return planned;
+  }
+
+  /**
+   * Match incoming NPC configs to actors in this world
+   * NPC configs live on actors and cannot be renamed, so "rename" behaves like "skip" for them.
+   * @param {object} npcs - Incoming NPCs keyed by actor UUID
+   * @param {string} mode - Conflict resolution mode
+   * @param {Map<string, string>} actorMap - Receives old -> new actor UUIDs
+   * @param {object} results - Import results
+   * @returns {Promise<object[]>} Planned imports: {actor, entry}
+   * @private
+   */
+  async _planNPCImport(npcs, mode, actorMap, results) {
+    const planned = [];
+    if (!npcs) return planned;
+
+    for (const [uuid, entry] of Object.entries(npcs)) {
+      const result = { type: "npc", id: uuid, name: entry.name };
+
+      // Same world: UUID resolves; another world: fall back to the actor's name
+      let actor = await fromUuid(uuid).catch(() => null);
+      if (!(actor instanceof Actor)) actor = game.actors.getName(entry.name);
+      if (!actor) {
+        results.errors.push({ ...result, error: "Actor not found" });
+        continue;
+      }
+
+      if (actor.uuid !== uuid) actorMap.set(uuid, actor.uuid);
+
+      if (actor.getFlag(MODULE_ID, "config") && mode !== "replace") {
+        results.skipped.push({ ...result, reason: "exists" });
+        continue;
+      }
+
+      planned.push({ actor, entry: { ...entry, uuid } });
+    }
+
+    return planned;
+  }
+
+  /**
+   * Merge runtime record collections (accounts, bounties, hirelings, properties...)
+   * Records are linked to players and to each other, so they are never renamed:
+   * "replace" overwrites by ID, "skip" and "rename" keep the existing record.
+   * @param {object} bundle - Export bundle
+   * @param {string} mode - Conflict resolution mode
+   * @param {object} idMaps - ID maps used to rewrite references
+   * @param {object} results - Import results
+   * @private
+   */
+  async _importRecords(bundle, mode, idMaps, results) {
+    const byHandler = {};
+    for (const [key, handlerName] of Object.entries(IMPORT_RECORD_TYPES)) {
+      if (!bundle[key]) continue;
+      (byHandler[handlerName] ??= []).push(key);
+    }
+
+    for (const [handlerName, keys] of Object.entries(byHandler)) {
+      const handler = this.handlers?.[handlerName];
+      if (!handler) {
+        for (const key of keys) {
+          results.errors.push({ type: key, id: null, name: key, error: `${handlerName} handler not available` });
+        }
+        continue;
+      }
+
+      const merged = {};
+      const existing = handler.exportData();
+      for (const key of keys) {
+        merged[key] = { ...(existing[key] || {}) };
+        for (const [id, record] of Object.entries(bundle[key])) {
+          const entry = { type: key, id, name: record?.name || id };
+          if (merged[key][id] && mode !== "replace") {
+            results.skipped.push({ ...entry, reason: "exists" });
+            continue;
+          }
+          merged[key][id] = this._remapReferences(record, idMaps);
+          results.success.push(entry);
+        }
+      }
+
+      try {
+        await handler.importData(merged);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Failed to import ${handlerName} data:`, error);
+        for (const key of keys) {
+          results.errors.push({ type: key, id: null, name: key, error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Merge world state, world events, dialogue variables and quest progress
+   * @param {object} bundle - Export bundle
+   * @param {string} mode - Conflict resolution mode
+   * @param {object} idMaps - ID maps used to rewrite references
+   * @param {object} results - Import results
+   * @private
+   */
+  async _importWorldState(bundle, mode, idMaps, results) {
+    if (bundle.worldState) {
+      const worldState = game.settings.get(MODULE_ID, "worldState") || {};
+      for (const [key, value] of Object.entries(bundle.worldState)) {
+        const entry = { type: "worldState", id: key, name: key };
+        if (key in worldState && mode !== "replace") {
+          results.skipped.push({ ...entry, reason: "exists" });
+          continue;
+        }
+        worldState[key] = value;
+        results.success.push(entry);
+      }
+      await game.settings.set(MODULE_ID, "worldState", worldState);
+    }
+
+    if (bundle.worldEvents) {
+      const worldEvents = game.settings.get(MODULE_ID, "worldEvents") || {};
+      for (const [id, event] of Object.entries(bundle.worldEvents)) {
+        const entry = { type: "event", id, name: event.name || id };
+        if (worldEvents[id] && mode !== "replace") {
+          results.skipped.push({ ...entry, reason: "exists" });
+          continue;
+        }
+        worldEvents[id] = event;
+        results.success.push(entry);
+      }
+      await game.settings.set(MODULE_ID, "worldEvents", worldEvents);
+    }
+
+    if (bundle.activeEvents?.length) {
+      const activeEvents = game.settings.get(MODULE_ID, "activeEvents") || [];
+      for (const event of bundle.activeEvents) {
+        const entry = { type: "event", id: event.id, name: event.name || event.id };
+        if (activeEvents.some(e => e.id === event.id)) {
+          results.skipped.push({ ...entry, reason: "exists" });
+          continue;
+        }
+        activeEvents.push(event);
+        results.success.push(entry);
+      }
+      await game.settings.set(MODULE_ID, "activeEvents", activeEvents);
+    }
+
+    if (bundle.dialogueVariables) {
+      const worldData = game.settings.get(MODULE_ID, "worldData") || {};
+      worldData.dialogueVariables = worldData.dialogueVariables || {};
+      for (const [dialogueId, variables] of Object.entries(bundle.dialogueVariables)) {
+        const targetId = idMaps.dialogues.get(dialogueId) || dialogueId;
+        if (worldData.dialogueVariables[targetId] && mode !== "replace") continue;
+        worldData.dialogueVariables[targetId] = variables;
+      }
+      await game.settings.set(MODULE_ID, "worldData", worldData);
+    }
+
+    if (bundle.questInstances && this.handlers?.quest) {
+      const instances = {};
+      for (const [id, instance] of Object.entries(bundle.questInstances)) {
+        const entry = { type: "questInstance", id, name: instance.questId };
+        if (this.handlers.quest.getInstance(id) && mode !== "replace") {
+          results.skipped.push({ ...entry, reason: "exists" });
+          continue;
+        }
+        instances[id] = this._remapReferences(instance, idMaps);
+        results.success.push(entry);
+      }
+      await this.handlers.quest.importInstances(instances);
+    }
+  }
+
+  /**
+   * Deep-clone an object, rewriting references to renamed entities
+   * @param {object} data - Object to remap
+   * @param {object} idMaps - {quests, factions, dialogues, merchants, banks, actors} old -> new ID maps
+   * @returns {object} Remapped copy
+   * @private
+   */
+  _remapReferences(data, idMaps) {
+    const keyMaps = {};
+    for (const [mapKey, keys] of Object.entries(IMPORT_REFERENCE_KEYS)) {
+      if (!idMaps[mapKey]?.size) continue;
+      for (const key of keys) keyMaps[key] = idMaps[mapKey];
+    }
+
+    const remapValue = (map, value) => {
+      if (typeof value === "string") return map.get(value) || value;
+      if (Array.isArray(value)) return value.map(v => typeof v === "string" ? map.get(v) || v : walk(v));
+      return walk(value);
+    };
+
+    const walk = (value) => {
+      if (Array.isArray(value)) return value.map(walk);
+      if (!value || typeof value !== "object") return value;
+
+      const copy = {};
+      for (const [key, child] of Object.entries(value)) {
+        if (keyMaps[key]) {
+          copy[key] = remapValue(keyMaps[key], child);
+        } else if (key === "factionRanks" && idMaps.factions?.size && child && typeof child === "object") {
+          // {factionId: rankId}
+          copy[key] = Object.fromEntries(
+            Object.entries(child).map(([factionId, rankId]) => [idMaps.factions.get(factionId) || factionId, rankId])
+          );
+        } else {
+          copy[key] = walk(child);
+        }
+      }
+      return copy;
+    };
+
+    return walk(foundry.utils.deepClone(data));
+  }
+
+  // ==================== EXPORT ====================
+
+  /**
+   * Export a single NPC with its dialogues, factions, shop and bank
+   * @param {string} uuid - NPC actor UUID
+   * @returns {Promise<object>} Export bundle
+   * @private
+   */
+  async _exportNPC(uuid) {
+    const bundle = this._createExportBundle();
+    if (!await this._collectNPC(bundle, uuid)) {
+      throw new Error(`NPC not configured: ${uuid}`);
+    }
+    return bundle;
+  }
+
+  /**
+   * Export a single quest with its giver NPCs, dialogues and factions
+   * @param {string} id - Quest ID
+   * @returns {Promise<object>} Export bundle
+   * @private
+   */
+  async _exportQuest(id) {
+    const bundle = this._createExportBundle();
+    if (!await this._collectQuest(bundle, id)) {
+      throw new Error(`Quest not found: ${id}`);
+    }
+    return bundle;
+  }
+
+  /**
+   * Export a single faction with its member NPCs
+   * @param {string} id - Faction ID
+   * @returns {Promise<object>} Export bundle
+   * @private
+   */
+  async _exportFaction(id) {
+    const bundle = this._createExportBundle();
+    if (!this._collectFaction(bundle, id)) {
+      throw new Error(`Faction not found: ${id}`);
+    }
+
+    for (const npcUuid of bundle.factions[id].members || []) {
+      await this._collectNPC(bundle, npcUuid);
+    }
+    return bundle;
+  }
+
+  /**
+   * Export a content pack (definitions only, no player progress)
+   * @param {object|null} filter - IDs to include: {quests, factions, dialogues, npcs}. Null exports everything.
+   * @returns {Promise<object>} Export bundle
+   * @private
+   */
+  async _exportPack(filter) {
+    const handlers = this.handlers || {};
+    const bundle = this._createExportBundle();
+
+    const questIds = filter ? filter.quests || [] : (handlers.quest?.getAllQuests() || []).map(q => q.id);
+    const factionIds = filter ? filter.factions || [] : (handlers.faction?.getAllFactions() || []).map(f => f.id);
+    const dialogueIds = filter ? filter.dialogues || [] : (handlers.dialogue?.getAllDialogues() || []).map(d => d.id);
+    const npcUuids = filter
+      ? filter.npcs || []
+      : game.actors.filter(a => a.getFlag(MODULE_ID, "config")).map(a => a.uuid);
+
+    for (const questId of questIds) await this._collectQuest(bundle, questId);
+    for (const factionId of factionIds) this._collectFaction(bundle, factionId);
+    for (const dialogueId of dialogueIds) this._collectDialogue(bundle, dialogueId);
+    for (const npcUuid of npcUuids) await this._collectNPC(bundle, npcUuid);
+
+    // Unfiltered packs also carry shops and banks not tied to a configured NPC
+    if (!filter) {
+      for (const merchant of handlers.merchant?.getAllMerchants() || []) {
+        this._collectMerchant(bundle, merchant);
+      }
+      for (const bank of handlers.bank?.getAllBanks() || []) {
+        bundle.banks[bank.id] = foundry.utils.deepClone(bank);
+      }
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Export all module data for this world, including player progress
+   * @returns {Promise<object>} Export bundle
+   * @private
+   */
+  async _exportWorld() {
+    const handlers = this.handlers || {};
+    const worldData = game.settings.get(MODULE_ID, "worldData") || {};
+    const bundle = await this._exportPack(null);
+
+    return foundry.utils.deepClone({
+      ...bundle,
+      ...(handlers.bank?.exportData() || {}),
+      dialogueVariables: worldData.dialogueVariables || {},
+      questInstances: worldData.questInstances || {},
+      ...(handlers.crime?.exportData() || {}),
+      ...(handlers.hireling?.exportData() || {}),
+      ...(handlers.property?.exportData() || {}),
+      ...(handlers.loot?.exportData() || {}),
+      worldState: game.settings.get(MODULE_ID, "worldState") || {},
+      worldEvents: game.settings.get(MODULE_ID, "worldEvents") || {},
+      activeEvents: game.settings.get(MODULE_ID, "activeEvents") || []
+    });
+  }
+
+  /**
+   * Create an empty export bundle
+   * @returns {object}
+   * @private
+   */
+  _createExportBundle() {
+    return {
+      quests: {},
+      dialogues: {},
+      factions: {},
+      merchants: {},
+      banks: {},
+      npcs: {}  // actorUuid -> {uuid, name, config}
+    };
+  }
+
+  /**
+   * Add a quest and its dependencies to a bundle
+   * @param {object} bundle - Export bundle
+   * @param {string} questId - Quest ID
+   * @returns {Promise<boolean>} Whether the quest exists
+   * @private
+   */
+  async _collectQuest(bundle, questId) {
+    if (bundle.quests[questId]) return true;
+
+    const quest = this.handlers?.quest?.getQuest(questId);
+    if (!quest) return false;
+    bundle.quests[questId] = foundry.utils.deepClone(quest);
+
+    // Giver and turn-in NPCs
+    const giver = quest.giver || {};
+    const npcUuids = [giver.actorUuid, giver.turnInActorUuid, ...(giver.turnInAlternatives || [])];
+    for (const npcUuid of npcUuids.filter(Boolean)) {
+      await this._collectNPC(bundle, npcUuid);
+    }
+
+    // Accept/turn-in dialogues
+    this._collectDialogue(bundle, giver.acceptDialogueId);
+    this._collectDialogue(bundle, giver.turnInDialogueId);
+
+    // Factions referenced by rewards, prerequisites and branches
+    for (const factionId of this._findReferences(quest, "factionId")) {
+      this._collectFaction(bundle, factionId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Add an NPC config and its dependencies to a bundle
+   * @param {object} bundle - Export bundle
+   * @param {string} uuid - NPC actor UUID
+   * @returns {Promise<boolean>} Whether the NPC is configured
+   * @private
+   */
+  async _collectNPC(bundle, uuid) {
+    if (bundle.npcs[uuid]) return true;
+
+    const actor = await fromUuid(uuid);
+    const config = actor?.getFlag(MODULE_ID, "config");
+    if (!config) return false;
+
+    bundle.npcs[uuid] = {
+      uuid,
+      name: actor.name,
+      config: foundry.utils.deepClone(config)
+    };
+
+    this._collectDialogue(bundle, config.dialogueId);
+    this._collectDialogue(bundle, config.schedule?.unavailableDialogueId);
+    this._collectDialogue(bundle, config.wrongLocationDialogueId);
+
+    for (const factionId of config.factions || []) {
+      this._collectFaction(bundle, factionId);
+    }
+
+    const merchant = this.handlers?.merchant?.getMerchantForNPC(uuid);
+    if (merchant) this._collectMerchant(bundle, merchant);
+
+    const bank = this.handlers?.bank?.getBankForNPC(uuid);
+    if (bank) bundle.banks[bank.id] = foundry.utils.deepClone(bank);
+
+    return true;
+  }
+
+  /**
+   * Add a dialogue and the factions it references to a bundle
+   * @param {object} bundle - Export bundle
+   * @param {string} dialogueId - Dialogue ID
+   * @returns {boolean} Whether the dialogue exists
+   * @private
+   */
+  _collectDialogue(bundle, dialogueId) {
+    if (!dialogueId) return false;
+    if (bundle.dialogues[dialogueId]) return true;
+
+    const dialogue = this.handlers?.dialogue?.getDialogue(dialogueId);
+    if (!dialogue) return false;
+    bundle.dialogues[dialogueId] = foundry.utils.deepClone(dialogue);
+
+    for (const factionId of this._findReferences(dialogue, "factionId")) {
+      this._collectFaction(bundle, factionId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Add a faction to a bundle
+   * @param {object} bundle - Export bundle
+   * @param {string} factionId - Faction ID
+   * @returns {boolean} Whether the faction exists
+   * @private
+   */
+  _collectFaction(bundle, factionId) {
+    if (!factionId) return false;
+    if (bundle.factions[factionId]) return true;
+
+    const faction = this.handlers?.faction?.getFaction(factionId);
+    if (!faction) return false;
+    bundle.factions[factionId] = foundry.utils.deepClone(faction);
+    return true;
+  }
+
+  /**
+   * Add a merchant and the factions it references to a bundle
+   * @param {object} bundle - Export bundle
+   * @param {object} merchant - Merchant data
+   * @private
+   */
+  _collectMerchant(bundle, merchant) {
+    if (bundle.merchants[merchant.id]) return;
+    bundle.merchants[merchant.id] = foundry.utils.deepClone(merchant);
+
+    for (const factionId of this._findReferences(merchant, "factionId")) {
+      this._collectFaction(bundle, factionId);
+    }
+  }
+
+  /**
+   * Collect every non-empty value stored under a key anywhere in an object tree
+   * @param {object} data - Object to search
+   * @param {string} key - Property name, e.g. "factionId"
+   * @returns {Set<string>}
+   * @private
+   */
+  _findReferences(data, key) {
+    const found = new Set();
+    const walk = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(walk);
+      } else if (value && typeof value === "object") {
+        for (const [k, v] of Object.entries(value)) {
+          if (k === key && typeof v === "string" && v) found.add(v);
+          else walk(v);
+        }
+      }
+    };
+    walk(data);
+    return found;
+  }
 }
 
 /**
@@ -201,32 +865,45 @@ class QuestsAPI {
   /**
    * Get a quest by ID
    * @param {string} questId
+   * @param {string} actorUuid - Optional actor whose progress is merged in
    * @returns {object|null}
    */
-  get(questId) {
+  get(questId, actorUuid = null) {
+    if (actorUuid) return this.#handler?.getQuestForActor(questId, actorUuid) || null;
     return this.#handler?.getQuest(questId) || null;
   }
 
   /**
    * Alias for get() - used by quest-log.mjs
    * @param {string} questId
+   * @param {string} actorUuid - Optional actor whose progress is merged in
    * @returns {object|null}
    */
-  getQuest(questId) {
-    return this.get(questId);
+  getQuest(questId, actorUuid = null) {
+    return this.get(questId, actorUuid);
   }
 
   /**
    * Get all quests matching filter
+   * Filtering by status or actor returns one quest per instance, with its progress.
    * @param {object} filter
    * @param {string} filter.status - Filter by status
+   * @param {string} filter.actorUuid - Filter by actor taking part
    * @param {string} filter.category - Filter by category
    * @param {string} filter.giver - Filter by giver UUID
    * @returns {object[]}
    */
   getAll(filter = {}) {
-    const quests = this.#handler?.getAllQuests() || [];
-    if (!filter || Object.keys(filter).length === 0) return quests;
+    if (!filter || Object.keys(filter).length === 0) return this.#handler?.getAllQuests() || [];
+
+    let quests;
+    if (filter.actorUuid) {
+      quests = this.#handler?.getActorQuests(filter.actorUuid) || [];
+    } else if (filter.status) {
+      quests = this.#handler?.getQuestsByStatus(filter.status) || [];
+    } else {
+      quests = this.#handler?.getAllQuests() || [];
+    }
 
     return quests.filter(q => {
       if (filter.status && q.status !== filter.status) return false;
@@ -236,6 +913,15 @@ class QuestsAPI {
     });
   }
 
+  /**
+   * Get quest instances
+   * @param {object} filter - {questId, actorUuid, status, running}
+   * @returns {object[]}
+   */
+  getInstances(filter = {}) {
+    return this.#handler?.getInstances(filter) || [];
+  }
+
   /**
    * Get all quests for the party
    * @returns {object[]}
@@ -305,20 +991,24 @@ class QuestsAPI {
   /**
    * Complete a quest
    * @param {string} questId
+   * @param {string[]} playerUuids - Player actor UUIDs, every running instance when empty
    * @returns {Promise<boolean>}
    */
-  async complete(questId) {
-    return this.#handler?.completeQuest(questId) || false;
+  async complete(questId, playerUuids = []) {
+    const actors = playerUuids.map(uuid => fromUuidSync(uuid)).filter(Boolean);
+    return this.#handler?.completeQuest(questId, actors) || false;
   }
 
   /**
    * Fail a quest
    * @param {string} questId
    * @param {string} reason
+   * @param {string[]} playerUuids - Player actor UUIDs, every running instance when empty
    * @returns {Promise<boolean>}
    */
-  async fail(questId, reason) {
-    return this.#handler?.failQuest(questId, reason) || false;
+  async fail(questId, reason, playerUuids = []) {
+    const actors = playerUuids.map(uuid => fromUuidSync(uuid)).filter(Boolean);
+    return this.#handler?.failQuest(questId, reason, actors) || false;
   }
 
   /**
@@ -340,19 +1030,46 @@ class QuestsAPI {
    * Complete an objective
    * @param {string} questId
    * @param {string} objectiveId
+   * @param {string} actorUuid - Only this actor's instance, every running instance when omitted
    * @returns {Promise<boolean>}
    */
-  async completeObjective(questId, objectiveId) {
-    return this.#handler?.completeObjective(questId, objectiveId) || false;
+  async completeObjective(questId, objectiveId, actorUuid = null) {
+    return this.#handler?.completeObjective(questId, objectiveId, actorUuid) || false;
+  }
+
+  /**
+   * Roll a skill check objective
+   * @param {string} questId
+   * @param {string} objectiveId
+   * @param {string} actorUuid - Rolling actor
+   * @returns {Promise<object>} {success, quest, message}
+   */
+  async rollSkillObjective(questId, objectiveId, actorUuid) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) return { success: false, quest: null, message: game.i18n.localize("BOBSNPC.Errors.NoActorSelected") };
+    return this.#handler?.rollSkillObjective(questId, objectiveId, actor);
+  }
+
+  /**
+   * Check whether an actor meets a quest's prerequisites
+   * @param {string} questId
+   * @param {string} actorUuid
+   * @returns {Promise<object>} {met, reasons}
+   */
+  async checkPrerequisites(questId, actorUuid) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) return { met: false, reasons: [game.i18n.localize("BOBSNPC.Errors.NoActorSelected")] };
+    return this.#handler?.checkPrerequisites(questId, actor) ?? { met: false, reasons: [] };
   }
 
   /**
-   * Get quest status
+   * Get an actor's status for a quest
    * @param {string} questId
+   * @param {string} actorUuid
    * @returns {string|null}
    */
-  getStatus(questId) {
-    const quest = this.get(questId);
+  getStatus(questId, actorUuid) {
+    const quest = this.get(questId, actorUuid);
     return quest?.status || null;
   }
 
@@ -363,9 +1080,7 @@ class QuestsAPI {
    * @returns {object[]}
    */
   getPlayerQuests(playerUuid, status = null) {
-    const actor = fromUuidSync(playerUuid);
-    if (!actor) return [];
-    const quests = this.#handler?.getPlayerQuests(actor) || [];
+    const quests = this.#handler?.getActorQuests(playerUuid) || [];
     if (!status) return quests;
     return quests.filter(q => q.status === status);
   }
@@ -675,6 +1390,68 @@ class ShopAPI {
   async haggle(sessionId) {
     return this.#handler?.attemptHaggle(sessionId) || { success: false };
   }
+
+  /** @returns {object|null} Property handler instance */
+  get #properties() {
+    return game.bobsnpc?.handlers?.property;
+  }
+
+  /**
+   * Open a player shop on a shop property
+   * @param {string} propertyId
+   * @param {string} ownerUuid - Owner actor UUID
+   * @param {object} options - {name}
+   * @returns {Promise<object>}
+   */
+  async openPlayerShop(propertyId, ownerUuid, options = {}) {
+    return this.#properties?.openPlayerShop(propertyId, ownerUuid, options) || { success: false };
+  }
+
+  /**
+   * Get the player shop run from a property
+   * @param {string} propertyId
+   * @returns {object|null} Merchant
+   */
+  getPlayerShop(propertyId) {
+    return this.#properties?.getPlayerShop(propertyId) || null;
+  }
+
+  /**
+   * Put an owner's item on sale in their shop
+   * @param {string} propertyId
+   * @param {string} ownerUuid - Owner actor UUID
+   * @param {string} itemId - Item ID on the owner actor
+   * @param {number} quantity
+   * @param {number} price - Asking price in gold per item
+   * @returns {Promise<object>}
+   */
+  async stockPlayerShop(propertyId, ownerUuid, itemId, quantity, price) {
+    return this.#properties?.stockShopItem(propertyId, ownerUuid, itemId, quantity, price) || { success: false };
+  }
+
+  /**
+   * Change the asking price of an item in a player shop
+   * @param {string} propertyId
+   * @param {string} ownerUuid - Owner actor UUID
+   * @param {string} shopItemId
+   * @param {number} price - Asking price in gold per item
+   * @returns {Promise<object>}
+   */
+  async setPlayerShopPrice(propertyId, ownerUuid, shopItemId, price) {
+    return this.#properties?.setShopPrice(propertyId, ownerUuid, shopItemId, price) || { success: false };
+  }
+
+  /**
+   * Take unsold stock back from a player shop
+   * @param {string} propertyId
+   * @param {string} ownerUuid - Owner actor UUID
+   * @param {string} shopItemId
+   * @param {number} quantity - null for all
+   * @returns {Promise<object>}
+   */
+  async unstockPlayerShop(propertyId, ownerUuid, shopItemId, quantity = null) {
+    return this.#properties?.unstockShopItem(propertyId, ownerUuid, shopItemId, quantity) || { success: false };
+  }
 }
 
 /**
@@ -842,7 +1619,7 @@ class CrimeAPI {
    */
   async attemptSteal(playerUuid, npcUuid, itemId) {
     if (!getSetting("stealingEnabled")) {
-      ui.notifications.warn("Stealing is disabled");
+      ui.notifications.warn(game.i18n.localize("BOBSNPC.Crime.Messages.StealingDisabled"));
       return { success: false, reason: "disabled" };
     }
     const player = await fromUuid(playerUuid);
@@ -874,25 +1651,70 @@ class CrimeAPI {
     if (!player) return null;
     return this.#handler?.getCriminalRecord(player) || null;
   }
-}
 
-/**
- * Hirelings API - Delegates to hireling-handler
- */
-class HirelingsAPI {
-  /** @returns {object|null} Hireling handler instance */
-  get #handler() {
-    return game.bobsnpc?.handlers?.hireling;
+  /**
+   * Get items on an actor marked as stolen
+   * @param {string} actorUuid
+   * @returns {Item[]}
+   */
+  getStolenItems(actorUuid) {
+    const actor = fromUuidSync(actorUuid);
+    if (!actor) return [];
+    return this.#handler?.getStolenItems(actor) || [];
   }
 
   /**
-   * Hire a hireling
-   * @param {string} hirelingId
-   * @param {string} employerUuid
-   * @param {object} terms - Contract terms
-   * @returns {Promise<object>}
+   * Mark an item as stolen (GM only)
+   * @param {string} itemUuid
+   * @param {object} data - {originalOwnerUuid, originalOwnerName, jurisdictionId}
+   * @returns {Promise<Item|null>}
    */
-  async hire(hirelingId, employerUuid, terms = {}) {
+  async markStolen(itemUuid, data = {}) {
+    const item = await fromUuid(itemUuid);
+    if (!item) return null;
+    return this.#handler?.markStolen(item, data) || null;
+  }
+
+  /**
+   * Mark or unmark an item as notable (GM only)
+   * @param {string} itemUuid
+   * @param {boolean} notable
+   * @returns {Promise<Item|null>}
+   */
+  async setNotable(itemUuid, notable = true) {
+    const item = await fromUuid(itemUuid);
+    if (!item) return null;
+    return this.#handler?.setNotable(item, notable) || null;
+  }
+
+  /**
+   * Confiscate stolen goods recognized in a jurisdiction (GM only)
+   * @param {string} actorUuid
+   * @param {string} jurisdictionId
+   * @returns {Promise<object>} {confiscated}
+   */
+  async confiscateStolenGoods(actorUuid, jurisdictionId) {
+    return this.#handler?.confiscateStolenGoods(actorUuid, jurisdictionId) || { confiscated: [] };
+  }
+}
+
+/**
+ * Hirelings API - Delegates to hireling-handler
+ */
+class HirelingsAPI {
+  /** @returns {object|null} Hireling handler instance */
+  get #handler() {
+    return game.bobsnpc?.handlers?.hireling;
+  }
+
+  /**
+   * Hire a hireling
+   * @param {string} hirelingId
+   * @param {string} employerUuid
+   * @param {object} terms - Contract terms
+   * @returns {Promise<object>}
+   */
+  async hire(hirelingId, employerUuid, terms = {}) {
     const employer = await fromUuid(employerUuid);
     if (!employer) return { success: false };
     return this.#handler?.hireHireling(hirelingId, employer, terms) || { success: false };
@@ -1026,6 +1848,403 @@ class MountsAPI {
   }
 }
 
+/**
+ * Loot API - Delegates to loot-handler
+ */
+class LootAPI {
+  /** @returns {object|null} Loot handler instance */
+  get #handler() {
+    return game.bobsnpc?.handlers?.loot;
+  }
+
+  /**
+   * Get a loot container
+   * @param {string} containerId
+   * @returns {object|null}
+   */
+  get(containerId) {
+    return this.#handler?.getContainer(containerId) || null;
+  }
+
+  /**
+   * Get all loot containers
+   * @param {string} sceneId - Optional scene filter
+   * @returns {object[]}
+   */
+  getAll(sceneId = null) {
+    return this.#handler?.getContainers(sceneId) || [];
+  }
+
+  /**
+   * Create a loot container (GM only)
+   * @param {object} data - Container data, see createLootContainer
+   * @returns {Promise<object>}
+   */
+  async create(data) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can create loot containers");
+    }
+    return this.#handler?.createContainer(data);
+  }
+
+  /**
+   * Delete a loot container (GM only)
+   * @param {string} containerId
+   * @returns {Promise<boolean>}
+   */
+  async delete(containerId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can delete loot containers");
+    }
+    return this.#handler?.deleteContainer(containerId) || false;
+  }
+
+  /**
+   * Open a loot container window
+   * @param {string} containerId
+   * @param {string} actorUuid - Looting actor (defaults to the user's character)
+   * @returns {Promise<LootWindow>}
+   */
+  async open(containerId, actorUuid = null) {
+    return game.bobsnpc.ui.openLoot(containerId, actorUuid);
+  }
+
+  /**
+   * Give a container item to an actor (GM only)
+   * @param {string} containerId
+   * @param {string} entryId
+   * @param {string} actorUuid
+   * @returns {Promise<object>}
+   */
+  async assign(containerId, entryId, actorUuid) {
+    return this.#handler?.assignItem(containerId, entryId, actorUuid) || { success: false };
+  }
+}
+
+/**
+ * Services API - Delegates to service-handler
+ */
+class ServicesAPI {
+  /** @returns {object|null} Service handler instance */
+  get #handler() {
+    return game.bobsnpc?.handlers?.service;
+  }
+
+  /**
+   * Get a trainer's offerings prepared for a player
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {object[]}
+   */
+  getTrainingOfferings(npcActorUuid, playerActorUuid) {
+    return this.#handler?.getTrainingOfferings(npcActorUuid, playerActorUuid) || [];
+  }
+
+  /**
+   * Replace a trainer's offerings (GM only)
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {object[]} offerings - See createTrainingOffering
+   * @returns {Promise<object>}
+   */
+  async setTrainingOfferings(npcActorUuid, offerings) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure training");
+    }
+    return this.#handler?.setTrainingOfferings(npcActorUuid, offerings);
+  }
+
+  /**
+   * Start training with an NPC
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Trainee actor UUID
+   * @param {string} offeringId - Offering ID
+   * @returns {Promise<object>} {success, session, error}
+   */
+  async startTraining(npcActorUuid, playerActorUuid, offeringId) {
+    return this.#handler?.startTraining(npcActorUuid, playerActorUuid, offeringId) || { success: false };
+  }
+
+  /**
+   * Get an actor's training in progress
+   * @param {string} actorUuid - Trainee actor UUID
+   * @returns {object|null}
+   */
+  getActiveTraining(actorUuid) {
+    const actor = fromUuidSync(actorUuid);
+    return actor ? this.#handler?.getActiveTraining(actor) || null : null;
+  }
+
+  /**
+   * Open a trainer's training window
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Trainee (defaults to the user's character)
+   * @returns {Promise<TrainingWindow>}
+   */
+  async openTraining(npcActorUuid, playerActorUuid = null) {
+    return game.bobsnpc.ui.openTraining(npcActorUuid, playerActorUuid);
+  }
+
+  /**
+   * Get an enchanter's offerings prepared for a player
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Item owner UUID
+   * @returns {object[]}
+   */
+  getEnchantmentOfferings(npcActorUuid, playerActorUuid) {
+    return this.#handler?.getEnchantmentOfferings(npcActorUuid, playerActorUuid) || [];
+  }
+
+  /**
+   * Replace an enchanter's offerings (GM only)
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {object[]} offerings - See createEnchantmentOffering
+   * @returns {Promise<object>}
+   */
+  async setEnchantmentOfferings(npcActorUuid, offerings) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure enchanting");
+    }
+    return this.#handler?.setEnchantmentOfferings(npcActorUuid, offerings);
+  }
+
+  /**
+   * Hand an item to an enchanter
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Item owner UUID
+   * @param {string} offeringId - Offering ID
+   * @param {string} itemId - Item to enchant
+   * @returns {Promise<object>} {success, job, error}
+   */
+  async startEnchanting(npcActorUuid, playerActorUuid, offeringId, itemId) {
+    return this.#handler?.startEnchanting(npcActorUuid, playerActorUuid, offeringId, itemId) || { success: false };
+  }
+
+  /**
+   * Cancel an enchanting job, returning the item and refunding the price
+   * @param {string} actorUuid - Item owner UUID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} {success, job, error}
+   */
+  async cancelEnchanting(actorUuid, jobId) {
+    return this.#handler?.cancelEnchanting(actorUuid, jobId) || { success: false };
+  }
+
+  /**
+   * Get an actor's items currently held by enchanters
+   * @param {string} actorUuid - Item owner UUID
+   * @returns {object[]}
+   */
+  getEnchantingJobs(actorUuid) {
+    const actor = fromUuidSync(actorUuid);
+    return actor ? this.#handler?.getActiveEnchantingJobs(actor) || [] : [];
+  }
+
+  /**
+   * Open an enchanter's enchanting window
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Item owner (defaults to the user's character)
+   * @returns {Promise<EnchantingWindow>}
+   */
+  async openEnchanting(npcActorUuid, playerActorUuid = null) {
+    return game.bobsnpc.ui.openEnchanting(npcActorUuid, playerActorUuid);
+  }
+
+  /**
+   * Get a transporter's destinations prepared for a player
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Travelling actor UUID
+   * @returns {object[]}
+   */
+  getDestinations(npcActorUuid, playerActorUuid) {
+    return this.#handler?.getDestinations(npcActorUuid, playerActorUuid) || [];
+  }
+
+  /**
+   * Replace a transporter's destinations (GM only)
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {object[]} destinations - See createTransportDestination
+   * @returns {Promise<object>}
+   */
+  async setDestinations(npcActorUuid, destinations) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure transportation");
+    }
+    return this.#handler?.setDestinations(npcActorUuid, destinations);
+  }
+
+  /**
+   * Travel to a destination with the party
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Travelling actor UUID
+   * @param {string} destinationId - Destination ID
+   * @returns {Promise<object>}
+   */
+  async travel(npcActorUuid, playerActorUuid, destinationId) {
+    return this.#handler?.travel(npcActorUuid, playerActorUuid, destinationId) || { success: false };
+  }
+
+  /**
+   * Open a transporter's destination window
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Travelling actor (defaults to the user's character)
+   * @returns {Promise<TransportationWindow>}
+   */
+  async openTransportation(npcActorUuid, playerActorUuid = null) {
+    return game.bobsnpc.ui.openTransportation(npcActorUuid, playerActorUuid);
+  }
+
+  /**
+   * Get an innkeeper's rooms prepared for a player
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Renter UUID
+   * @returns {object[]}
+   */
+  getInnRooms(npcActorUuid, playerActorUuid) {
+    return this.#handler?.getInnRooms(npcActorUuid, playerActorUuid) || [];
+  }
+
+  /**
+   * Replace an innkeeper's rooms (GM only)
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {object[]} rooms - See createInnRoom
+   * @returns {Promise<object>}
+   */
+  async setInnRooms(npcActorUuid, rooms) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure inns");
+    }
+    return this.#handler?.setInnRooms(npcActorUuid, rooms);
+  }
+
+  /**
+   * Rent a room, or extend the stay in the room already held
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Renter UUID
+   * @param {string} roomId - Room ID
+   * @param {number} nights - Nights to stay
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async rentRoom(npcActorUuid, playerActorUuid, roomId, nights = 1) {
+    return this.#handler?.rentRoom(npcActorUuid, playerActorUuid, roomId, nights) || { success: false };
+  }
+
+  /**
+   * Take a long rest in a rented room
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @returns {Promise<object>} {success, rental, bonus, error}
+   */
+  async takeLongRest(actorUuid, rentalId) {
+    return this.#handler?.takeLongRest(actorUuid, rentalId) || { success: false };
+  }
+
+  /**
+   * Leave an item in a rented room
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @param {string} itemId - Item to store
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async storeItem(actorUuid, rentalId, itemId) {
+    return this.#handler?.storeItem(actorUuid, rentalId, itemId) || { success: false };
+  }
+
+  /**
+   * Take an item back from a rented room
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @param {string} itemId - Stored item's original ID
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async retrieveItem(actorUuid, rentalId, itemId) {
+    return this.#handler?.retrieveItem(actorUuid, rentalId, itemId) || { success: false };
+  }
+
+  /**
+   * Leave a room early, taking stored items along
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async checkOut(actorUuid, rentalId) {
+    return this.#handler?.checkOut(actorUuid, rentalId) || { success: false };
+  }
+
+  /**
+   * Get an actor's active room rentals
+   * @param {string} actorUuid - Renter UUID
+   * @returns {object[]}
+   */
+  getRoomRentals(actorUuid) {
+    const actor = fromUuidSync(actorUuid);
+    return actor ? this.#handler?.getActiveRentals(actor) || [] : [];
+  }
+
+  /**
+   * Open an innkeeper's inn window
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Renter (defaults to the user's character)
+   * @returns {Promise<InnWindow>}
+   */
+  async openInn(npcActorUuid, playerActorUuid = null) {
+    return game.bobsnpc.ui.openInn(npcActorUuid, playerActorUuid);
+  }
+
+  /**
+   * Get an informant's rumors prepared for a player
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Buyer UUID
+   * @returns {object[]}
+   */
+  getRumors(npcActorUuid, playerActorUuid) {
+    return this.#handler?.getRumors(npcActorUuid, playerActorUuid) || [];
+  }
+
+  /**
+   * Replace an informant's rumors (GM only)
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {object[]} rumors - See createRumor
+   * @returns {Promise<object>}
+   */
+  async setRumors(npcActorUuid, rumors) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure informants");
+    }
+    return this.#handler?.setRumors(npcActorUuid, rumors);
+  }
+
+  /**
+   * Buy a rumor from an informant
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Buyer UUID
+   * @param {string} rumorId - Rumor ID
+   * @returns {Promise<object>} {success, purchase, pending, error}
+   */
+  async buyRumor(npcActorUuid, playerActorUuid, rumorId) {
+    return this.#handler?.buyRumor(npcActorUuid, playerActorUuid, rumorId) || { success: false };
+  }
+
+  /**
+   * Get the rumors an actor has bought
+   * @param {string} actorUuid - Buyer UUID
+   * @returns {object[]}
+   */
+  getPurchasedRumors(actorUuid) {
+    const actor = fromUuidSync(actorUuid);
+    return actor ? this.#handler?.getPurchasedRumors(actor) || [] : [];
+  }
+
+  /**
+   * Open an informant's information window
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Buyer (defaults to the user's character)
+   * @returns {Promise<InformationWindow>}
+   */
+  async openInformation(npcActorUuid, playerActorUuid = null) {
+    return game.bobsnpc.ui.openInformation(npcActorUuid, playerActorUuid);
+  }
+}
+
 /**
  * Trade API
  */
@@ -1055,6 +2274,46 @@ class TradeAPI {
     emit(SocketEvents.TRADE_CANCEL, { tradeId });
     return true;
   }
+
+  /**
+   * Send items and gold one way to another party member
+   * @param {string} fromActorUuid - Sending actor UUID
+   * @param {string} toActorUuid - Receiving party member UUID
+   * @param {object} parcel - {items: [{id, quantity}], gold}
+   * @returns {Promise<object>}
+   */
+  async quickSend(fromActorUuid, toActorUuid, parcel) {
+    return game.bobsnpc?.handlers?.trade?.quickSend(fromActorUuid, toActorUuid, parcel);
+  }
+
+  /**
+   * Get Quick Send parcels still with a courier
+   * @param {string} actorUuid - Only parcels to or from this actor
+   * @returns {object[]}
+   */
+  getPendingDeliveries(actorUuid = null) {
+    return game.bobsnpc?.handlers?.trade?.getPendingDeliveries(actorUuid) || [];
+  }
+
+  /**
+   * Get completed trades, newest first
+   * @param {object} options - {actorUuid, limit}
+   * @returns {object[]}
+   */
+  getLog(options = {}) {
+    return game.bobsnpc?.handlers?.trade?.getLog(options) || [];
+  }
+
+  /**
+   * Clear the trade log (GM only)
+   * @returns {Promise<void>}
+   */
+  async clearLog() {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can clear the trade log");
+    }
+    return game.bobsnpc?.handlers?.trade?.clearLog();
+  }
 }
 
 /**
@@ -1113,29 +2372,21 @@ class WorldStateAPI {
  * Events API - World events management
  */
 class EventsAPI {
+  /** @returns {object|null} Event handler instance */
+  get #handler() {
+    return game.bobsnpc?.handlers?.event;
+  }
+
   /**
    * Trigger a world event
+   * An ID without a definition starts a one-off event from eventData.
    * @param {string} eventId
-   * @param {object} eventData - Optional event data
+   * @param {object} eventData - Optional event data for one-off events
    * @returns {Promise<boolean>}
    */
   async trigger(eventId, eventData = {}) {
-    if (!game.user.isGM) {
-      throw new Error("Only GM can trigger events");
-    }
-
-    // Add to active events
-    const activeEvents = game.settings.get(MODULE_ID, "activeEvents") || [];
-    const event = {
-      id: eventId,
-      startedAt: Date.now(),
-      ...eventData
-    };
-    activeEvents.push(event);
-    await game.settings.set(MODULE_ID, "activeEvents", activeEvents);
-
-    Hooks.call(`${MODULE_ID}.eventTriggered`, { eventId, event });
-    return true;
+    const result = await this.#handler?.triggerEvent(eventId, { data: eventData });
+    return result?.success ?? false;
   }
 
   /**
@@ -1144,20 +2395,7 @@ class EventsAPI {
    * @returns {Promise<boolean>}
    */
   async end(eventId) {
-    if (!game.user.isGM) {
-      throw new Error("Only GM can end events");
-    }
-
-    // Remove from active events
-    const activeEvents = game.settings.get(MODULE_ID, "activeEvents") || [];
-    const index = activeEvents.findIndex(e => e.id === eventId);
-    if (index === -1) return false;
-
-    const [event] = activeEvents.splice(index, 1);
-    await game.settings.set(MODULE_ID, "activeEvents", activeEvents);
-
-    Hooks.call(`${MODULE_ID}.eventEnded`, { eventId, event });
-    return true;
+    return this.#handler?.endEvent(eventId) ?? false;
   }
 
   /**
@@ -1165,7 +2403,7 @@ class EventsAPI {
    * @returns {object[]}
    */
   getActive() {
-    return game.settings.get(MODULE_ID, "activeEvents") || [];
+    return this.#handler?.getActiveEvents() || [];
   }
 
   /**
@@ -1174,8 +2412,7 @@ class EventsAPI {
    * @returns {boolean}
    */
   isActive(eventId) {
-    const activeEvents = this.getActive();
-    return activeEvents.some(e => e.id === eventId);
+    return this.#handler?.isActive(eventId) ?? false;
   }
 
   /**
@@ -1184,8 +2421,170 @@ class EventsAPI {
    * @returns {object|null}
    */
   get(eventId) {
-    const activeEvents = this.getActive();
-    return activeEvents.find(e => e.id === eventId) || null;
+    return this.#handler?.getActiveEvent(eventId) ?? null;
+  }
+
+  /**
+   * Get an event definition
+   * @param {string} eventId
+   * @returns {object|null}
+   */
+  getDefinition(eventId) {
+    return this.#handler?.getEvent(eventId) ?? null;
+  }
+
+  /**
+   * Get all event definitions
+   * @returns {object[]}
+   */
+  getAllDefinitions() {
+    return this.#handler?.getAllEvents() || [];
+  }
+
+  /**
+   * Create an event definition
+   * @param {object} data - Event data
+   * @returns {Promise<object>}
+   */
+  async create(data) {
+    return this.#handler?.createEvent(data);
+  }
+
+  /**
+   * Update an event definition
+   * @param {string} eventId
+   * @param {object} updates
+   * @returns {Promise<object|null>}
+   */
+  async update(eventId, updates) {
+    return this.#handler?.updateEvent(eventId, updates);
+  }
+
+  /**
+   * Delete an event definition
+   * @param {string} eventId
+   * @returns {Promise<boolean>}
+   */
+  async delete(eventId) {
+    return this.#handler?.deleteEvent(eventId) ?? false;
+  }
+}
+
+/**
+ * Calendar API - Dates derived from world time
+ */
+class CalendarAPI {
+  /** @returns {object|null} Calendar handler instance */
+  get #handler() {
+    return game.bobsnpc?.handlers?.calendar;
+  }
+
+  /**
+   * Get the calendar date for a world time
+   * @param {number} worldTime - World time in seconds (defaults to now)
+   * @returns {object|null} {year, month, monthName, day, dayOfWeek, weekdayName, isWeekend, hour, minute, ...}
+   */
+  getDate(worldTime) {
+    return this.#handler?.getDate(worldTime) ?? null;
+  }
+
+  /**
+   * Format a world time as a calendar date
+   * @param {number} worldTime - World time in seconds (defaults to now)
+   * @param {object} options - {time: include the time of day}
+   * @returns {string}
+   */
+  format(worldTime, options = {}) {
+    return this.#handler?.formatDate(worldTime, options) ?? "";
+  }
+
+  /**
+   * Register an adapter for a calendar module
+   * @param {object} adapter - {id, label, isAvailable, getDate, getSecondsPerDay, getSecondsPerHour, getWeekdays}
+   */
+  registerAdapter(adapter) {
+    this.#handler?.registerAdapter(adapter);
+  }
+
+  /**
+   * Get the built-in calendar configuration
+   * @returns {object|null}
+   */
+  getConfig() {
+    return this.#handler?.getConfig() ?? null;
+  }
+
+  /**
+   * Update the built-in calendar (GM only)
+   * @param {object} updates - {hoursPerDay, minutesPerHour, secondsPerMinute, weekdays, months, startYear, startWeekday}
+   * @returns {Promise<object>}
+   */
+  async setConfig(updates) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure the calendar");
+    }
+    return this.#handler?.setConfig(updates);
+  }
+}
+
+/**
+ * Scheduler API - World-time periodic jobs
+ */
+class SchedulerAPI {
+  /** @returns {object|null} Scheduler handler instance */
+  get #handler() {
+    return game.bobsnpc?.handlers?.scheduler;
+  }
+
+  /**
+   * Get every job with its cadence and next due day
+   * @returns {object[]}
+   */
+  getJobs() {
+    return this.#handler?.getJobs() || [];
+  }
+
+  /**
+   * Update a job's schedule (GM only)
+   * @param {string} jobId - ScheduledJob value
+   * @param {object} updates - {enabled, cadence}
+   * @returns {Promise<object>}
+   */
+  async setJob(jobId, updates) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can configure the scheduler");
+    }
+    return this.#handler?.updateJob(jobId, updates);
+  }
+
+  /**
+   * Run a job immediately (GM only)
+   * @param {string} jobId - ScheduledJob value
+   * @returns {Promise<object>} Ledger entry
+   */
+  async runNow(jobId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can run scheduled jobs");
+    }
+    return this.#handler?.runJobNow(jobId);
+  }
+
+  /**
+   * Get the ledger of job runs, newest first
+   * @param {number} limit - Maximum entries
+   * @returns {object[]}
+   */
+  getLedger(limit) {
+    return this.#handler?.getLedger(limit) || [];
+  }
+
+  /**
+   * Preview which jobs would run if world time advanced
+   * @param {number} days - In-game days
+   * @returns {object[]}
+   */
+  preview(days = 7) {
+    return this.#handler?.previewAdvance(days) || [];
   }
 }
 
@@ -1319,6 +2718,90 @@ class UIAPI {
     console.log(`${MODULE_ID} | Opening property manager`);
   }
 
+  /**
+   * Open a loot container window
+   * @param {string} containerId - Loot container ID
+   * @param {string} actorUuid - Looting actor UUID
+   * @returns {Promise<LootWindow>}
+   */
+  async openLoot(containerId, actorUuid = null) {
+    Hooks.call(`${MODULE_ID}.openLoot`, { containerId, actorUuid });
+
+    const lootWindow = await LootWindow.open(containerId, actorUuid);
+    console.log(`${MODULE_ID} | Opening loot container ${containerId}`);
+    return lootWindow;
+  }
+
+  /**
+   * Open a trainer's training window
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Trainee actor UUID
+   * @returns {Promise<TrainingWindow>}
+   */
+  async openTraining(npcActorUuid, playerActorUuid = null) {
+    Hooks.call(`${MODULE_ID}.openTraining`, { npcActorUuid, playerActorUuid });
+
+    const trainingWindow = await TrainingWindow.open(npcActorUuid, playerActorUuid);
+    console.log(`${MODULE_ID} | Opening training for ${npcActorUuid}`);
+    return trainingWindow;
+  }
+
+  /**
+   * Open an enchanter's enchanting window
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Item owner UUID
+   * @returns {Promise<EnchantingWindow>}
+   */
+  async openEnchanting(npcActorUuid, playerActorUuid = null) {
+    Hooks.call(`${MODULE_ID}.openEnchanting`, { npcActorUuid, playerActorUuid });
+
+    const enchantingWindow = await EnchantingWindow.open(npcActorUuid, playerActorUuid);
+    console.log(`${MODULE_ID} | Opening enchanting for ${npcActorUuid}`);
+    return enchantingWindow;
+  }
+
+  /**
+   * Open a transporter's destination window
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Travelling actor UUID
+   * @returns {Promise<TransportationWindow>}
+   */
+  async openTransportation(npcActorUuid, playerActorUuid = null) {
+    Hooks.call(`${MODULE_ID}.openTransportation`, { npcActorUuid, playerActorUuid });
+
+    const transportationWindow = await TransportationWindow.open(npcActorUuid, playerActorUuid);
+    console.log(`${MODULE_ID} | Opening transportation for ${npcActorUuid}`);
+    return transportationWindow;
+  }
+
+  /**
+   * Open an innkeeper's inn window
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Renter UUID
+   * @returns {Promise<InnWindow>}
+   */
+  async openInn(npcActorUuid, playerActorUuid = null) {
+    Hooks.call(`${MODULE_ID}.openInn`, { npcActorUuid, playerActorUuid });
+
+    const innWindow = await InnWindow.open(npcActorUuid, playerActorUuid);
+    console.log(`${MODULE_ID} | Opening inn for ${npcActorUuid}`);
+    return innWindow;
+  }
+
+  /**
+   * Open an informant's information window
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Buyer UUID
+   * @returns {Promise<InformationWindow>}
+   */
+  async openInformation(npcActorUuid, playerActorUuid = null) {
+    Hooks.call(`${MODULE_ID}.openInformation`, { npcActorUuid, playerActorUuid });
+
+    const informationWindow = await InformationWindow.open(npcActorUuid, playerActorUuid);
+    console.log(`${MODULE_ID} | Opening information for ${npcActorUuid}`);
+    return informationWindow;
+  }
+
   /**
    * Open NPC configuration window (GM only)
    * @param {Actor} npc - The NPC to configure
@@ -1375,6 +2858,20 @@ class UIAPI {
     return tradeWindow;
   }
 
+  /**
+   * Open the Quick Send window
+   * @param {string} actorUuid - Sending actor UUID
+   * @param {string} recipientUuid - Party member to preselect
+   * @returns {Promise<QuickSendWindow>}
+   */
+  async openQuickSend(actorUuid, recipientUuid = null) {
+    Hooks.call(`${MODULE_ID}.openQuickSend`, { actorUuid, recipientUuid });
+
+    const quickSendWindow = await QuickSendWindow.open(actorUuid, recipientUuid);
+    console.log(`${MODULE_ID} | Opening Quick Send for ${actorUuid}`);
+    return quickSendWindow;
+  }
+
   /**
    * Close all open module windows
    */
@@ -1417,38 +2914,210 @@ class UIAPI {
 
 /**
  * Backup API
+ * Snapshots are stored as JournalEntry documents (flag data) in a dedicated folder.
  */
 class BackupAPI {
-  async create() {
+  /**
+   * Whether the "every session" automatic backup has already run
+   * @type {boolean}
+   */
+  #sessionBackupDone = false;
+
+  /**
+   * Create a backup of all module data and store it in the Journal
+   * @param {object} options
+   * @param {string} options.label - Optional label for the backup
+   * @param {boolean} options.auto - Whether this is an automatic backup
+   * @returns {Promise<object>} Backup data
+   */
+  async create({ label = "", auto = false } = {}) {
     if (!game.user.isGM) {
       throw new Error("Only GM can create backups");
     }
 
     const backup = {
+      moduleId: MODULE_ID,
       date: new Date().toISOString(),
       version: game.modules.get(MODULE_ID)?.version,
-      worldState: game.world.getFlag(MODULE_ID, "worldState"),
-      // Add other data to backup
+      label,
+      auto,
+      settings: {},
+      actors: {}
     };
 
-    console.log(`${MODULE_ID} | Backup created`);
+    for (const key of BACKUP_SETTINGS) {
+      backup.settings[key] = foundry.utils.deepClone(game.settings.get(MODULE_ID, key));
+    }
+
+    // All module flags (NPC config, quest logs, standings, records...) per actor
+    for (const actor of game.actors) {
+      const flags = actor.flags?.[MODULE_ID];
+      if (flags && !foundry.utils.isEmpty(flags)) {
+        backup.actors[actor.uuid] = { name: actor.name, flags: foundry.utils.deepClone(flags) };
+      }
+    }
+
+    const folder = await this.#getFolder();
+    const name = `${BACKUP_JOURNAL_PREFIX}${backup.date}${label ? ` (${label})` : ""}`;
+    await JournalEntry.create({
+      name,
+      folder: folder.id,
+      flags: { [MODULE_ID]: { backup } }
+    });
+
+    await this.prune();
+
+    Hooks.callAll(`${MODULE_ID}.backupCreated`, backup);
+    console.log(`${MODULE_ID} | Backup created: ${name}`);
     return backup;
   }
 
+  /**
+   * Restore module data from a backup
+   * A safety backup of the current state is stored first.
+   * @param {object|string} backupData - Backup data, or the ID of a stored backup JournalEntry
+   * @returns {Promise<boolean>}
+   */
   async restore(backupData) {
     if (!game.user.isGM) {
       throw new Error("Only GM can restore backups");
     }
 
+    if (typeof backupData === "string") {
+      backupData = game.journal.get(backupData)?.getFlag(MODULE_ID, "backup");
+    }
+
     // Validate backup
     if (!backupData?.date || !backupData?.version) {
       throw new Error("Invalid backup data");
     }
 
-    // Implementation: restore data
+    await this.create({ label: "Before restore", auto: true });
+
+    // Backups from older versions only captured world state
+    const settings = backupData.settings ?? { worldState: backupData.worldState || {} };
+    for (const key of BACKUP_SETTINGS) {
+      if (key in settings) {
+        await game.settings.set(MODULE_ID, key, settings[key]);
+      }
+    }
+
+    // Backups taken before schema versioning need every migration
+    if (!("schemaVersion" in settings)) {
+      await game.settings.set(MODULE_ID, "schemaVersion", 0);
+    }
+
+    if (backupData.actors) {
+      for (const actor of game.actors) {
+        const saved = backupData.actors[actor.uuid];
+        const current = actor.flags?.[MODULE_ID];
+        if (!saved && (!current || foundry.utils.isEmpty(current))) continue;
+
+        // Replace rather than merge so keys added after the backup are removed
+        await actor.update({ [`flags.-=${MODULE_ID}`]: null });
+        if (saved) {
+          await actor.update({ [`flags.${MODULE_ID}`]: saved.flags });
+        }
+      }
+    }
+
+    await reloadHandlers();
+    await checkMigrations();
+
+    Hooks.callAll(`${MODULE_ID}.backupRestored`, backupData);
     console.log(`${MODULE_ID} | Backup restored from ${backupData.date}`);
     return true;
   }
+
+  /**
+   * List stored backups, newest first
+   * @returns {object[]} {id, name, date, label, auto, version}
+   */
+  list() {
+    return game.journal
+      .filter(entry => entry.getFlag(MODULE_ID, "backup"))
+      .map(entry => {
+        const backup = entry.getFlag(MODULE_ID, "backup");
+        return {
+          id: entry.id,
+          name: entry.name,
+          date: backup.date,
+          label: backup.label || "",
+          auto: !!backup.auto,
+          version: backup.version
+        };
+      })
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Delete a stored backup
+   * @param {string} backupId - Backup JournalEntry ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(backupId) {
+    if (!game.user.isGM) {
+      throw new Error("Only GM can delete backups");
+    }
+
+    const entry = game.journal.get(backupId);
+    if (!entry?.getFlag(MODULE_ID, "backup")) return false;
+
+    await entry.delete();
+    return true;
+  }
+
+  /**
+   * Delete the oldest backups beyond the configured retention count
+   * @returns {Promise<number>} Number of backups deleted
+   */
+  async prune() {
+    const retention = game.settings.get(MODULE_ID, "backupRetention") || 10;
+    const expired = this.list().slice(retention);
+
+    for (const backup of expired) {
+      await game.journal.get(backup.id)?.delete();
+    }
+
+    return expired.length;
+  }
+
+  /**
+   * Create an automatic backup if one is due under the "autoBackup" setting
+   * @returns {Promise<object|null>} The backup created, or null if none was due
+   */
+  async runScheduled() {
+    if (!game.user.isGM || game.user !== game.users.activeGM) return null;
+
+    const schedule = game.settings.get(MODULE_ID, "autoBackup");
+    const last = game.settings.get(MODULE_ID, "lastAutoBackup") || 0;
+    const interval = AUTO_BACKUP_INTERVALS[schedule];
+
+    let due = false;
+    if (schedule === "session") due = !this.#sessionBackupDone;
+    else if (interval) due = Date.now() - last >= interval;
+    if (!due) return null;
+
+    this.#sessionBackupDone = true;
+    const backup = await this.create({ auto: true });
+    await game.settings.set(MODULE_ID, "lastAutoBackup", Date.now());
+    return backup;
+  }
+
+  /**
+   * Get or create the Journal folder backups are stored in
+   * @returns {Promise<Folder>}
+   */
+  async #getFolder() {
+    const existing = game.folders.find(f => f.type === "JournalEntry" && f.getFlag(MODULE_ID, "backupFolder"));
+    if (existing) return existing;
+
+    return Folder.create({
+      name: BACKUP_FOLDER_NAME,
+      type: "JournalEntry",
+      flags: { [MODULE_ID]: { backupFolder: true } }
+    });
+  }
 }
 
 /**
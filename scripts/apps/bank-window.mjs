@@ -227,16 +227,18 @@ export class BankWindow extends HandlebarsApplicationMixin(ApplicationV2) {
    * @private
    */
   _prepareLoan(loan) {
-    const dueDate = new Date(loan.dueDate);
-    const isOverdue = Date.now() > loan.dueDate;
+    const calendar = game.bobsnpc.handlers.calendar;
+    const due = loan.nextPaymentDue ?? loan.dueDate;
+    const isOverdue = loan.missedPayments > 0 || (due !== null && game.time.worldTime > due);
 
     return {
       ...loan,
       principalFormatted: formatCurrency(loan.principal),
       remainingFormatted: formatCurrency(loan.remaining),
       paymentFormatted: formatCurrency(loan.paymentAmount),
-      dueDate: dueDate.toLocaleDateString(),
+      dueDate: due === null ? "-" : calendar.formatDate(due, { time: false }),
       isOverdue,
+      overdue: isOverdue,
       statusClass: isOverdue ? "overdue" : loan.remaining <= loan.paymentAmount ? "nearly-paid" : ""
     };
   }
@@ -139,9 +139,12 @@ export class DialogueWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     const portrait = this._getPortrait(npcConfig);
     const theme = game.settings.get(MODULE_ID, "theme") || "dark";
 
+    // Quest offered at this node, with the prerequisites the player is missing
+    const questOffer = await getDialogueHandler().getQuestOffer(this.sessionId);
+
     // Get available responses
     const responses = this._currentNode?.responses || [];
-    const availableResponses = await this._filterAvailableResponses(responses);
+    const availableResponses = await this._filterAvailableResponses(responses, questOffer);
 
     // Get available services if at a service node
     const services = this._currentNode?.services || [];
@@ -175,6 +178,10 @@ export class DialogueWindow extends HandlebarsApplicationMixin(ApplicationV2) {
         skillName: r.skillCheck?.skill ? localize(`Skills.${r.skillCheck.skill}`) : null,
         dc: r.skillCheck?.dc
       })),
+      hasQuest: !!questOffer,
+      questName: questOffer?.quest.name,
+      questLocked: questOffer ? !questOffer.met : false,
+      questLockReasons: questOffer?.reasons || [],
       services: services.map(s => ({
         ...s,
         icon: this._getServiceIcon(s.type),
@@ -298,11 +305,13 @@ export class DialogueWindow extends HandlebarsApplicationMixin(ApplicationV2) {
 
   /**
    * Filter responses based on conditions
+   * Accepting a locked quest offer stays listed but unavailable.
    * @param {object[]} responses - All responses
+   * @param {object|null} questOffer - Quest offered at the current node
    * @returns {object[]} Available responses
    * @private
    */
-  async _filterAvailableResponses(responses) {
+  async _filterAvailableResponses(responses, questOffer = null) {
     const available = [];
 
     for (const response of responses) {
@@ -317,7 +326,13 @@ export class DialogueWindow extends HandlebarsApplicationMixin(ApplicationV2) {
         );
         if (!conditionsMet) continue;
       }
-      available.push(response);
+
+      const locked = questOffer && !questOffer.met && getDialogueHandler().acceptsQuestOffer(response, questOffer.node);
+      available.push({
+        ...response,
+        available: !locked,
+        unavailableReason: locked ? questOffer.reasons.join("; ") : null
+      });
     }
 
     return available;
@@ -461,6 +476,21 @@ export class DialogueWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       case "faction":
         game.bobsnpc?.ui?.openFactions(result.factions);
         break;
+      case "training":
+        game.bobsnpc?.ui?.openTraining(this.npcActorUuid, this.playerActorUuid);
+        break;
+      case "enchanting":
+        game.bobsnpc?.ui?.openEnchanting(this.npcActorUuid, this.playerActorUuid);
+        break;
+      case "transportation":
+        game.bobsnpc?.ui?.openTransportation(this.npcActorUuid, this.playerActorUuid);
+        break;
+      case "inn":
+        game.bobsnpc?.ui?.openInn(this.npcActorUuid, this.playerActorUuid);
+        break;
+      case "information":
+        game.bobsnpc?.ui?.openInformation(this.npcActorUuid, this.playerActorUuid);
+        break;
     }
   }
 
@@ -609,7 +639,10 @@ export class DialogueWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       bank: "fa-landmark",
       stable: "fa-horse",
       inn: "fa-bed",
+      information: "fa-ear-listen",
       training: "fa-graduation-cap",
+      enchanting: "fa-wand-magic-sparkles",
+      transportation: "fa-route",
       hirelings: "fa-users",
       quests: "fa-scroll",
       faction: "fa-flag",
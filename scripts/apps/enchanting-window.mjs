@@ -0,0 +1,244 @@
+/**
+ * Bob's Talking NPCs - Enchanting Window
+ * Enchanter interface for upgrading items over downtime
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import { EnchantmentBase, createEnchantmentOffering } from "../data/service-model.mjs";
+
+/** Get service handler instance from API */
+function getServiceHandler() {
+  return game.bobsnpc?.handlers?.service;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Enchanting Window Application
+ * Lists an enchanter's offerings and the owner's items held in escrow
+ */
+export class EnchantingWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.npcActorUuid - Enchanter NPC UUID
+   * @param {string} options.playerActorUuid - Item owner UUID
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.npcActorUuid = options.npcActorUuid;
+    this.playerActorUuid = options.playerActorUuid || game.user.character?.uuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-enchanting",
+    classes: ["bobsnpc", "enchanting-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Enchanting.Title",
+      icon: "fa-solid fa-wand-magic-sparkles",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 480,
+      height: 560
+    },
+    actions: {
+      enchant: EnchantingWindow.#onEnchant,
+      cancelJob: EnchantingWindow.#onCancelJob,
+      addOffering: EnchantingWindow.#onAddOffering,
+      removeOffering: EnchantingWindow.#onRemoveOffering
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    header: {
+      template: `modules/${MODULE_ID}/templates/enchanting/header.hbs`
+    },
+    content: {
+      template: `modules/${MODULE_ID}/templates/enchanting/content.hbs`,
+      scrollable: [".enchanting-offerings"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    const npc = fromUuidSync(this.npcActorUuid);
+    return npc ? `${localize("Enchanting.Title")}: ${npc.name}` : localize("Enchanting.Title");
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getServiceHandler();
+    const npc = fromUuidSync(this.npcActorUuid);
+    const actor = this.playerActorUuid ? fromUuidSync(this.playerActorUuid) : null;
+
+    const offerings = handler.getEnchantmentOfferings(this.npcActorUuid, this.playerActorUuid);
+
+    const jobs = (actor ? handler.getActiveEnchantingJobs(actor) : []).map(job => ({
+      ...job,
+      daysRemaining: handler.getRemainingDays(job)
+    }));
+
+    const isGM = game.user.isGM;
+
+    return {
+      ...context,
+      npc,
+      actor,
+      hasActor: !!actor,
+      gold: actor?.system?.currency?.gp ?? 0,
+      offerings,
+      hasOfferings: offerings.length > 0,
+      jobs,
+      hasJobs: jobs.length > 0,
+      isGM,
+      baseChoices: Object.values(EnchantmentBase).map(value => ({
+        value,
+        label: localize(`Enchanting.Base.${value}`)
+      })),
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  /**
+   * Get the enchanter's current offerings as stored
+   * @returns {object[]}
+   * @private
+   */
+  _getStoredOfferings() {
+    return getServiceHandler().getEnchantingService(this.npcActorUuid)?.offerings ?? [];
+  }
+
+  // ==================== Actions ====================
+
+  static async #onEnchant(event, target) {
+    const offeringId = target.dataset.offeringId;
+    const select = this.element.querySelector(`select[name="item-${offeringId}"]`);
+    const itemId = select?.value;
+    if (!itemId) return;
+
+    const offering = this._getStoredOfferings().find(o => o.id === offeringId);
+    const item = fromUuidSync(this.playerActorUuid)?.items.get(itemId);
+    if (!offering || !item) return;
+
+    const confirmed = await Dialog.confirm({
+      title: localize("Enchanting.Enchant"),
+      content: `<p>${localize("Enchanting.ConfirmEnchant", {
+        item: item.name,
+        enchantment: offering.enchantment,
+        price: offering.price,
+        days: offering.timeRequired
+      })}</p>`
+    });
+    if (!confirmed) return;
+
+    const result = await getServiceHandler().startEnchanting(
+      this.npcActorUuid,
+      this.playerActorUuid,
+      offeringId,
+      itemId
+    );
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+
+    this.render();
+  }
+
+  static async #onCancelJob(event, target) {
+    const confirmed = await Dialog.confirm({
+      title: localize("Enchanting.Cancel"),
+      content: `<p>${localize("Enchanting.CancelConfirm")}</p>`
+    });
+    if (!confirmed) return;
+
+    const result = await getServiceHandler().cancelEnchanting(this.playerActorUuid, target.dataset.jobId);
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+
+    this.render();
+  }
+
+  static async #onAddOffering(event, target) {
+    const form = this.element.querySelector(".enchanting-editor");
+    if (!form) return;
+
+    const value = (name) => form.querySelector(`[name='${name}']`)?.value;
+    const number = (name) => {
+      const raw = value(name);
+      return raw === "" || raw === undefined ? undefined : Number(raw);
+    };
+
+    const offering = createEnchantmentOffering({
+      enchantment: value("enchantment")?.trim() || undefined,
+      bonus: number("bonus"),
+      price: number("price"),
+      timeRequired: number("timeRequired"),
+      requirements: { baseItem: value("baseItem") }
+    });
+
+    await getServiceHandler().setEnchantmentOfferings(this.npcActorUuid, [...this._getStoredOfferings(), offering]);
+    this.render();
+  }
+
+  static async #onRemoveOffering(event, target) {
+    const offeringId = target.dataset.offeringId;
+    const offerings = this._getStoredOfferings().filter(o => o.id !== offeringId);
+
+    await getServiceHandler().setEnchantmentOfferings(this.npcActorUuid, offerings);
+    this.render();
+  }
+
+  // ==================== Hooks ====================
+
+  /** @override */
+  async _onFirstRender(context, options) {
+    await super._onFirstRender(context, options);
+
+    // Refresh as items come back or world time passes
+    this._hookIds = {
+      completed: Hooks.on(`${MODULE_ID}.enchantingCompleted`, () => this.render()),
+      time: Hooks.on("updateWorldTime", () => this.render())
+    };
+  }
+
+  /** @override */
+  async _onClose(options) {
+    await super._onClose(options);
+
+    if (this._hookIds) {
+      Hooks.off(`${MODULE_ID}.enchantingCompleted`, this._hookIds.completed);
+      Hooks.off("updateWorldTime", this._hookIds.time);
+    }
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the enchanting window for an enchanter
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Item owner UUID
+   * @returns {EnchantingWindow}
+   */
+  static async open(npcActorUuid, playerActorUuid = null) {
+    const existing = foundry.applications.instances.get("bobsnpc-enchanting");
+    if (existing) await existing.close();
+
+    const window = new EnchantingWindow({ npcActorUuid, playerActorUuid });
+    await window.render(true);
+    return window;
+  }
+}
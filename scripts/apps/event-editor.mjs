@@ -0,0 +1,357 @@
+/**
+ * Bob's Talking NPCs - Event Editor
+ * GM tool for creating and editing world events using Foundry V13 ApplicationV2
+ */
+
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import {
+  createWorldEvent,
+  createEventEffect,
+  EventTriggerType,
+  EventDurationType,
+  EventEffectType
+} from "../data/event-model.mjs";
+
+/** Get event handler instance */
+function getEventHandler() {
+  return game.bobsnpc?.handlers?.event;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Event Editor Application
+ * Edits an event's trigger, duration, announcement and effects
+ */
+export class EventEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} worldEvent - Existing event definition (null for new event)
+   * @param {object} options - Application options
+   */
+  constructor(worldEvent = null, options = {}) {
+    super(options);
+
+    this._isNew = !worldEvent;
+
+    // Working copy of event data
+    this._event = worldEvent ? foundry.utils.deepClone(worldEvent) : createWorldEvent({
+      name: game.i18n.localize("BOBSNPC.EventEditor.NewEvent")
+    });
+
+    // Dialogue overrides are edited as rows, converted back on save
+    for (const effect of this._event.effects) {
+      if (effect.type === EventEffectType.NPC_DIALOGUE) {
+        effect.rows = Object.entries(effect.dialogueOverrides || {})
+          .map(([npcUuid, dialogueId]) => ({ npcUuid, dialogueId }));
+      }
+    }
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-event-editor",
+    classes: ["bobsnpc", "event-editor"],
+    tag: "form",
+    form: {
+      handler: EventEditor.#onFormSubmit,
+      closeOnSubmit: false,
+      submitOnChange: true
+    },
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.EventEditor.Title",
+      icon: "fa-solid fa-bullhorn",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 620,
+      height: 680
+    },
+    actions: {
+      addEffect: EventEditor.#onAddEffect,
+      removeEffect: EventEditor.#onRemoveEffect,
+      addOverride: EventEditor.#onAddOverride,
+      removeOverride: EventEditor.#onRemoveOverride,
+      saveEvent: EventEditor.#onSaveEvent,
+      cancelEdit: EventEditor.#onCancelEdit,
+      deleteEvent: EventEditor.#onDeleteEvent
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE_ID}/templates/event-editor/content.hbs`,
+      scrollable: [".event-editor-content"]
+    },
+    footer: {
+      template: `modules/${MODULE_ID}/templates/event-editor/footer.hbs`
+    }
+  };
+
+  /** @override */
+  get title() {
+    if (this._isNew) {
+      return game.i18n.localize("BOBSNPC.EventEditor.TitleNew");
+    }
+    return game.i18n.format("BOBSNPC.EventEditor.TitleEdit", { name: this._event.name });
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const handlers = game.bobsnpc?.handlers;
+    const quests = (handlers?.quest?.getAllQuests() || []).map(q => ({ id: q.id, name: q.name }));
+
+    const npcs = [];
+    for (const actorUuid of (handlers?.npc?.getAllConfiguredNPCs() || new Map()).keys()) {
+      const actor = fromUuidSync(actorUuid);
+      if (actor) npcs.push({ uuid: actorUuid, name: actor.name });
+    }
+
+    const effectsDisplay = this._event.effects.map((effect, index) => ({
+      ...effect,
+      index,
+      discountPercent: Math.round((effect.discount || 0) * 100),
+      isShopDiscount: effect.type === EventEffectType.SHOP_DISCOUNT,
+      isSpecialQuests: effect.type === EventEffectType.SPECIAL_QUESTS,
+      isNpcDialogue: effect.type === EventEffectType.NPC_DIALOGUE,
+      questOptions: effect.type === EventEffectType.SPECIAL_QUESTS
+        ? quests.map(q => ({ ...q, selected: effect.questIds.includes(q.id) }))
+        : []
+    }));
+
+    return {
+      worldEvent: this._event,
+      isNew: this._isNew,
+      theme: game.settings.get(MODULE_ID, "theme") || "default",
+
+      isCalendarTrigger: this._event.trigger.type === EventTriggerType.CALENDAR,
+      isQuestTrigger: this._event.trigger.type === EventTriggerType.QUEST_COMPLETION,
+      hasDurationValue: this._event.duration.type !== EventDurationType.INDEFINITE,
+      effectsDisplay,
+
+      // Related data
+      factions: handlers?.faction?.getAllFactions() || [],
+      quests,
+      npcs,
+      dialogues: handlers?.dialogue?.getAllDialogues() || [],
+
+      // Enum options
+      triggerTypeOptions: this._getTriggerTypeOptions(),
+      durationTypeOptions: this._getDurationTypeOptions(),
+      effectTypeOptions: this._getEffectTypeOptions()
+    };
+  }
+
+  // ==================== OPTION GETTERS ====================
+
+  _getTriggerTypeOptions() {
+    return [
+      { value: EventTriggerType.MANUAL, label: localize("EventEditor.Trigger.Manual") },
+      { value: EventTriggerType.CALENDAR, label: localize("EventEditor.Trigger.Calendar") },
+      { value: EventTriggerType.QUEST_COMPLETION, label: localize("EventEditor.Trigger.QuestCompletion") }
+    ];
+  }
+
+  _getDurationTypeOptions() {
+    return [
+      { value: EventDurationType.HOURS, label: localize("EventEditor.Duration.Hours") },
+      { value: EventDurationType.DAYS, label: localize("EventEditor.Duration.Days") },
+      { value: EventDurationType.WEEKS, label: localize("EventEditor.Duration.Weeks") },
+      { value: EventDurationType.INDEFINITE, label: localize("EventEditor.Duration.Indefinite") }
+    ];
+  }
+
+  _getEffectTypeOptions() {
+    return [
+      { value: EventEffectType.SHOP_DISCOUNT, label: localize("EventEditor.Effect.ShopDiscount") },
+      { value: EventEffectType.SPECIAL_QUESTS, label: localize("EventEditor.Effect.SpecialQuests") },
+      { value: EventEffectType.NPC_DIALOGUE, label: localize("EventEditor.Effect.NpcDialogue") }
+    ];
+  }
+
+  // ==================== FORM HANDLING ====================
+
+  /**
+   * Handle form submission
+   */
+  static async #onFormSubmit(event, form, formData) {
+    const data = foundry.utils.expandObject(formData.object);
+
+    if (data.worldEvent) {
+      const { trigger, duration, announcement, ...fields } = data.worldEvent;
+      Object.assign(this._event, fields);
+      if (trigger) {
+        this._event.trigger = {
+          ...this._event.trigger,
+          ...trigger,
+          calendarDate: trigger.calendarDate ? { ...trigger.calendarDate } : this._event.trigger.calendarDate
+        };
+      }
+      if (duration) Object.assign(this._event.duration, duration);
+      if (announcement) Object.assign(this._event.announcement, announcement);
+    }
+
+    // Effects arrive keyed by index
+    for (const [index, effectData] of Object.entries(data.effects || {})) {
+      const effect = this._event.effects[index];
+      if (!effect) continue;
+
+      // Changing the type starts the effect over
+      if (effectData.type && effectData.type !== effect.type) {
+        this._event.effects[index] = this._newEffect(effectData.type);
+        continue;
+      }
+
+      if (effect.type === EventEffectType.SHOP_DISCOUNT) {
+        effect.factionId = effectData.factionId || null;
+        effect.discount = (Number(effectData.discountPercent) || 0) / 100;
+      } else if (effect.type === EventEffectType.SPECIAL_QUESTS) {
+        effect.questIds = [effectData.questIds || []].flat().filter(Boolean);
+      } else if (effect.type === EventEffectType.NPC_DIALOGUE) {
+        for (const [rowIndex, row] of Object.entries(effectData.rows || {})) {
+          if (effect.rows[rowIndex]) Object.assign(effect.rows[rowIndex], row);
+        }
+      }
+    }
+
+    this.render();
+  }
+
+  /**
+   * Create a blank effect for the editor
+   * @param {string} type - EventEffectType
+   * @returns {object}
+   * @private
+   */
+  _newEffect(type) {
+    const effect = createEventEffect({ type });
+    if (type === EventEffectType.NPC_DIALOGUE) effect.rows = [];
+    return effect;
+  }
+
+  // ==================== EFFECT ACTIONS ====================
+
+  /**
+   * Add effect
+   */
+  static async #onAddEffect(event, target) {
+    this._event.effects.push(this._newEffect(EventEffectType.SHOP_DISCOUNT));
+    this.render();
+  }
+
+  /**
+   * Remove effect
+   */
+  static async #onRemoveEffect(event, target) {
+    const index = parseInt(target.dataset.index, 10);
+    if (!isNaN(index)) {
+      this._event.effects.splice(index, 1);
+      this.render();
+    }
+  }
+
+  /**
+   * Add an NPC dialogue override row
+   */
+  static async #onAddOverride(event, target) {
+    const effect = this._event.effects[parseInt(target.dataset.index, 10)];
+    if (!effect?.rows) return;
+
+    effect.rows.push({ npcUuid: "", dialogueId: "" });
+    this.render();
+  }
+
+  /**
+   * Remove an NPC dialogue override row
+   */
+  static async #onRemoveOverride(event, target) {
+    const effect = this._event.effects[parseInt(target.dataset.index, 10)];
+    const row = parseInt(target.dataset.row, 10);
+    if (!effect?.rows || isNaN(row)) return;
+
+    effect.rows.splice(row, 1);
+    this.render();
+  }
+
+  // ==================== SAVE/CANCEL ACTIONS ====================
+
+  /**
+   * Save event
+   */
+  static async #onSaveEvent(event, target) {
+    if (!this._event.name?.trim()) {
+      ui.notifications.error(game.i18n.localize("BOBSNPC.EventEditor.NameRequired"));
+      return;
+    }
+
+    const handler = getEventHandler();
+    if (!handler) return;
+
+    const data = {
+      ...this._event,
+      effects: this._event.effects.map(effect => {
+        if (effect.type !== EventEffectType.NPC_DIALOGUE) return effect;
+        const dialogueOverrides = Object.fromEntries(effect.rows
+          .filter(row => row.npcUuid && row.dialogueId)
+          .map(row => [row.npcUuid, row.dialogueId]));
+        return { type: effect.type, dialogueOverrides };
+      })
+    };
+
+    try {
+      if (this._isNew) {
+        await handler.createEvent(data);
+        ui.notifications.info(game.i18n.localize("BOBSNPC.EventEditor.EventCreated"));
+      } else {
+        await handler.updateEvent(this._event.id, data);
+        ui.notifications.info(game.i18n.localize("BOBSNPC.EventEditor.EventUpdated"));
+      }
+
+      // Refresh GM Dashboard if open
+      const dashboard = Object.values(ui.windows).find(w => w.id === "bobsnpc-gm-dashboard");
+      if (dashboard) dashboard.render();
+
+      this.close();
+    } catch (error) {
+      console.error(`${MODULE_ID} | Error saving event:`, error);
+      ui.notifications.error(game.i18n.localize("BOBSNPC.EventEditor.SaveError"));
+    }
+  }
+
+  /**
+   * Cancel edit
+   */
+  static async #onCancelEdit(event, target) {
+    this.close();
+  }
+
+  /**
+   * Delete event
+   */
+  static async #onDeleteEvent(event, target) {
+    if (this._isNew) {
+      this.close();
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("BOBSNPC.EventEditor.DeleteConfirmTitle"),
+      content: game.i18n.format("BOBSNPC.EventEditor.DeleteConfirmContent", { name: this._event.name })
+    });
+    if (!confirmed) return;
+
+    await getEventHandler()?.deleteEvent(this._event.id);
+    ui.notifications.info(game.i18n.localize("BOBSNPC.EventEditor.EventDeleted"));
+
+    // Refresh GM Dashboard if open
+    const dashboard = Object.values(ui.windows).find(w => w.id === "bobsnpc-gm-dashboard");
+    if (dashboard) dashboard.render();
+
+    this.close();
+  }
+}
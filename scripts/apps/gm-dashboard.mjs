@@ -8,6 +8,10 @@ const MODULE_ID = "bobs-talking-npcs";
 
 import { QuestEditor } from "./quest-editor.mjs";
 import { FactionEditor } from "./faction-editor.mjs";
+import { EventEditor } from "./event-editor.mjs";
+import { DialogueEditor } from "./dialogue-editor.mjs";
+import { findWorldStateReferences, parseWorldStateValue } from "../data/world-state-model.mjs";
+import { parseWeekdays, parseMonths } from "../data/calendar-model.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -35,19 +39,31 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
       changeTab: GMDashboard.#onChangeTab,
       createQuest: GMDashboard.#onCreateQuest,
       editQuest: GMDashboard.#onEditQuest,
+      openStateReference: GMDashboard.#onOpenStateReference,
       deleteQuest: GMDashboard.#onDeleteQuest,
+      confirmKill: GMDashboard.#onConfirmKill,
+      rejectKill: GMDashboard.#onRejectKill,
       createFaction: GMDashboard.#onCreateFaction,
       editFaction: GMDashboard.#onEditFaction,
       deleteFaction: GMDashboard.#onDeleteFaction,
       configureNPC: GMDashboard.#onConfigureNPC,
       setWorldState: GMDashboard.#onSetWorldState,
       deleteWorldState: GMDashboard.#onDeleteWorldState,
+      createEvent: GMDashboard.#onCreateEvent,
+      editEvent: GMDashboard.#onEditEvent,
+      deleteEvent: GMDashboard.#onDeleteEvent,
       triggerEvent: GMDashboard.#onTriggerEvent,
       endEvent: GMDashboard.#onEndEvent,
+      saveCalendar: GMDashboard.#onSaveCalendar,
+      saveSchedule: GMDashboard.#onSaveSchedule,
+      previewSchedule: GMDashboard.#onPreviewSchedule,
+      runScheduledJob: GMDashboard.#onRunScheduledJob,
       createBackup: GMDashboard.#onCreateBackup,
       restoreBackup: GMDashboard.#onRestoreBackup,
+      deleteBackup: GMDashboard.#onDeleteBackup,
       exportData: GMDashboard.#onExportData,
       importData: GMDashboard.#onImportData,
+      clearImportReport: GMDashboard.#onClearImportReport,
       refreshData: GMDashboard.#onRefreshData
     }
   };
@@ -89,6 +105,12 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   #cachedData = null;
 
+  /**
+   * Report from the most recent import, shown on the tools tab
+   * @type {object|null}
+   */
+  #lastImportReport = null;
+
   /** @override */
   async _prepareContext(options) {
     const context = {
@@ -205,11 +227,34 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
 
     return {
       quests: questList,
+      pendingKills: this.#preparePendingKills(),
       categories: ["main", "side", "faction", "personal", "daily", "weekly"],
       statuses: ["available", "accepted", "active", "complete", "failed", "expired"]
     };
   }
 
+  /**
+   * Prepare kills waiting for GM confirmation
+   * @returns {object[]}
+   */
+  #preparePendingKills() {
+    const questHandler = game.bobsnpc?.handlers?.quest;
+    if (!questHandler) return [];
+
+    return questHandler.getPendingKills().map(kill => {
+      const quest = questHandler.getQuestView(kill.instanceId);
+      const reason = game.i18n.localize(`BOBSNPC.Quest.KillReasons.${kill.reason}`);
+      const members = (quest?.acceptedBy || []).map(uuid => fromUuidSync(uuid)?.name ?? uuid);
+      return {
+        ...kill,
+        questName: quest?.name ?? kill.questId,
+        objectiveText: quest?.objectives.find(o => o.id === kill.objectiveId)?.text ?? "",
+        membersLabel: members.join(", "),
+        reasonLabel: kill.killerName ? `${reason}: ${kill.killerName}` : reason
+      };
+    });
+  }
+
   /**
    * Prepare NPCs management data
    * @returns {Promise<object>}
@@ -275,26 +320,81 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   async #prepareWorldData() {
     const worldState = game.settings.get(MODULE_ID, "worldState") || {};
-    const activeEvents = game.settings.get(MODULE_ID, "activeEvents") || [];
+    const eventHandler = game.bobsnpc?.handlers?.event;
+    const activeEvents = eventHandler?.getActiveEvents() || [];
 
-    const stateEntries = Object.entries(worldState).map(([key, value]) => ({
-      key,
-      value: typeof value === "object" ? JSON.stringify(value) : String(value),
-      type: typeof value
-    }));
+    const references = findWorldStateReferences(
+      game.bobsnpc?.handlers?.dialogue?.getAllDialogues() || [],
+      game.bobsnpc?.handlers?.quest?.getAllQuests() || []
+    );
+
+    // Keys only referenced by dialogues or quests are listed as unset
+    const keys = [...new Set([...Object.keys(worldState), ...references.keys()])].sort();
+    const stateEntries = keys.map(key => {
+      const isSet = key in worldState;
+      const value = worldState[key];
+      return {
+        key,
+        isSet,
+        value: !isSet ? "" : typeof value === "object" ? JSON.stringify(value) : String(value),
+        type: isSet ? typeof value : game.i18n.localize("BOBSNPC.GMDashboard.Unset"),
+        references: (references.get(key) || []).map(ref => ({
+          ...ref,
+          icon: ref.kind === "quest" ? "fa-scroll" : "fa-comments",
+          usageLabel: game.i18n.localize(ref.usage === "write"
+            ? "BOBSNPC.GMDashboard.StateWrittenBy"
+            : "BOBSNPC.GMDashboard.StateReadBy")
+        }))
+      };
+    });
+
+    const calendar = game.bobsnpc?.handlers?.calendar;
 
     const eventList = activeEvents.map(event => ({
       id: event.id,
       name: event.name,
-      startedAt: event.startedAt,
-      duration: event.duration || "Indefinite"
+      startedAt: calendar?.formatDate(event.startTime) ?? new Date(event.startedAt).toLocaleString(),
+      duration: event.endsAt !== null && calendar
+        ? calendar.formatRemaining(event.endsAt)
+        : game.i18n.localize("BOBSNPC.Events.Indefinite")
+    }));
+
+    const eventDefinitions = (eventHandler?.getAllEvents() || []).map(definition => ({
+      id: definition.id,
+      name: definition.name,
+      trigger: game.i18n.localize(`BOBSNPC.Events.Triggers.${definition.trigger.type}`),
+      effectCount: definition.effects.length,
+      isActive: activeEvents.some(e => e.id === definition.id)
+    }));
+    const calendarConfig = calendar?.getConfig();
+    const adapter = calendar?.getAdapter();
+
+    const scheduler = game.bobsnpc?.handlers?.scheduler;
+    const ledger = (scheduler?.getLedger(20) || []).map(entry => ({
+      ...entry,
+      ranAt: new Date(entry.ranAt).toLocaleString()
     }));
 
     return {
       worldState: stateEntries,
       activeEvents: eventList,
-      totalStates: stateEntries.length,
-      totalEvents: eventList.length
+      eventDefinitions,
+      totalStates: Object.keys(worldState).length,
+      totalEvents: eventList.length,
+      calendar: calendar ? {
+        today: calendar.formatDate(),
+        provider: adapter.label,
+        isNative: adapter.id === "native",
+        hoursPerDay: calendarConfig.hoursPerDay,
+        startYear: calendarConfig.startYear,
+        weekdays: calendarConfig.weekdays.map(w => `${w.name}${w.weekend ? "*" : ""}`).join(", "),
+        months: calendarConfig.months.map(m => `${m.name}:${m.days}`).join(", ")
+      } : null,
+      scheduler: {
+        enabled: scheduler?.getState().enabled ?? false,
+        jobs: scheduler?.getJobs() || [],
+        ledger
+      }
     };
   }
 
@@ -310,7 +410,12 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
       foundryVersion: game.version,
       systemVersion: game.system.version,
       exportFormats: ["json", "yaml"],
-      importSupported: true
+      importSupported: true,
+      backups: game.bobsnpc?.backup?.list().map(backup => ({
+        ...backup,
+        displayDate: new Date(backup.date).toLocaleString()
+      })) || [],
+      importReport: this.#lastImportReport
     };
   }
 
@@ -495,6 +600,22 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  /**
+   * Count a kill that was waiting for confirmation
+   */
+  static async #onConfirmKill(event, target) {
+    await game.bobsnpc?.handlers?.quest?.confirmKill(target.dataset.killId);
+    this.render();
+  }
+
+  /**
+   * Discard a kill that was waiting for confirmation
+   */
+  static async #onRejectKill(event, target) {
+    await game.bobsnpc?.handlers?.quest?.rejectKill(target.dataset.killId);
+    this.render();
+  }
+
   /**
    * Create new faction
    */
@@ -562,13 +683,27 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
     const key = target.dataset.key || await this.#promptForKey();
     if (!key) return;
 
-    const value = await this.#promptForValue(key);
+    const current = game.bobsnpc.worldState.get(key);
+    const value = await this.#promptForValue(key, current);
     if (value !== null) {
       await game.bobsnpc.worldState.set(key, value);
       this.render();
     }
   }
 
+  /**
+   * Open the quest or dialogue that references a world state key
+   */
+  static async #onOpenStateReference(event, target) {
+    const { kind, id } = target.dataset;
+    if (kind === "quest") {
+      const quest = game.bobsnpc?.handlers?.quest?.getQuest(id);
+      if (quest) new QuestEditor(quest, { tab: "prerequisites" }).render(true);
+    } else if (kind === "dialogue") {
+      await DialogueEditor.open(id);
+    }
+  }
+
   /**
    * Delete world state variable
    */
@@ -587,11 +722,69 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  /**
+   * Create world event
+   */
+  static async #onCreateEvent(event, target) {
+    new EventEditor(null).render(true);
+  }
+
+  /**
+   * Edit world event
+   */
+  static async #onEditEvent(event, target) {
+    const worldEvent = game.bobsnpc?.handlers?.event?.getEvent(target.dataset.eventId);
+    if (!worldEvent) {
+      ui.notifications.error(game.i18n.localize("BOBSNPC.Events.Errors.NotFound"));
+      return;
+    }
+    new EventEditor(worldEvent).render(true);
+  }
+
+  /**
+   * Delete world event
+   */
+  static async #onDeleteEvent(event, target) {
+    const eventId = target.dataset.eventId;
+    const worldEvent = game.bobsnpc?.handlers?.event?.getEvent(eventId);
+    if (!worldEvent) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("BOBSNPC.EventEditor.DeleteConfirmTitle"),
+      content: game.i18n.format("BOBSNPC.EventEditor.DeleteConfirmContent", { name: worldEvent.name })
+    });
+
+    if (confirmed) {
+      await game.bobsnpc.events.delete(eventId);
+      this.render();
+    }
+  }
+
   /**
    * Trigger world event
+   * Without an event on the button, asks which defined event to start.
    */
   static async #onTriggerEvent(event, target) {
-    ui.notifications.info("Trigger event not yet implemented");
+    const handler = game.bobsnpc?.handlers?.event;
+    if (!handler) return;
+
+    let eventId = target.dataset.eventId;
+    if (!eventId) {
+      const available = handler.getAllEvents().filter(e => !handler.isActive(e.id));
+      if (!available.length) {
+        new EventEditor(null).render(true);
+        return;
+      }
+      eventId = await this.#promptForEvent(available);
+      if (!eventId) return;
+    }
+
+    const result = await handler.triggerEvent(eventId);
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+    this.render();
   }
 
   /**
@@ -603,6 +796,93 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
     this.render();
   }
 
+  /**
+   * Save the built-in calendar
+   */
+  static async #onSaveCalendar(event, target) {
+    const section = this.element.querySelector(".calendar-section");
+    if (!section) return;
+
+    const value = (name) => section.querySelector(`[name='${name}']`)?.value;
+    const weekdays = parseWeekdays(value("weekdays"));
+    const months = parseMonths(value("months"));
+
+    if (!weekdays.length || !months.length) {
+      ui.notifications.warn(game.i18n.localize("BOBSNPC.Calendar.Errors.Empty"));
+      return;
+    }
+
+    await game.bobsnpc.handlers.calendar.setConfig({
+      hoursPerDay: Number(value("hoursPerDay")) || 24,
+      startYear: Number(value("startYear")) || 1,
+      weekdays,
+      months
+    });
+
+    ui.notifications.info(game.i18n.localize("BOBSNPC.Calendar.Saved"));
+    this.render();
+  }
+
+  /**
+   * Save scheduler cadences and toggles
+   */
+  static async #onSaveSchedule(event, target) {
+    const section = this.element.querySelector(".scheduler-section");
+    if (!section) return;
+
+    const scheduler = game.bobsnpc.handlers.scheduler;
+    await scheduler.setEnabled(section.querySelector("[name='schedulerEnabled']")?.checked ?? true);
+
+    for (const row of section.querySelectorAll("[data-job-id]")) {
+      await scheduler.updateJob(row.dataset.jobId, {
+        enabled: row.querySelector("[name='enabled']")?.checked,
+        cadence: Number(row.querySelector("[name='cadence']")?.value)
+      });
+    }
+
+    ui.notifications.info(game.i18n.localize("BOBSNPC.Scheduler.Saved"));
+    this.render();
+  }
+
+  /**
+   * Show what the scheduler would run if time advanced a week
+   */
+  static async #onPreviewSchedule(event, target) {
+    const days = 7;
+    const preview = game.bobsnpc.scheduler.preview(days);
+    const escape = foundry.utils.escapeHTML;
+
+    const items = preview.map(job => `<li><strong>${escape(job.label)}</strong>: ${escape(job.summary)}</li>`);
+    const content = items.length
+      ? `<p>${game.i18n.format("BOBSNPC.Scheduler.PreviewIntro", { days })}</p><ul>${items.join("")}</ul>`
+      : `<p>${game.i18n.format("BOBSNPC.Scheduler.PreviewEmpty", { days })}</p>`;
+
+    new Dialog({
+      title: game.i18n.localize("BOBSNPC.Scheduler.Preview"),
+      content,
+      buttons: {
+        ok: { icon: '<i class="fa-solid fa-check"></i>', label: game.i18n.localize("BOBSNPC.Common.Close") }
+      },
+      default: "ok"
+    }).render(true);
+  }
+
+  /**
+   * Run a scheduled job immediately
+   */
+  static async #onRunScheduledJob(event, target) {
+    const jobId = target.dataset.jobId;
+    if (!jobId) return;
+
+    const entry = await game.bobsnpc.scheduler.runNow(jobId);
+    if (entry?.success) {
+      ui.notifications.info(game.i18n.localize("BOBSNPC.Scheduler.JobRan"));
+    } else {
+      ui.notifications.error(game.i18n.format("BOBSNPC.Scheduler.JobFailed", { error: entry?.error ?? "" }));
+    }
+    this.render();
+  }
+
   /**
    * Create data backup
    */
@@ -621,6 +901,7 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
       URL.revokeObjectURL(url);
 
       ui.notifications.info(game.i18n.localize("BOBSNPC.GMDashboard.BackupCreated"));
+      this.render();
     } catch (error) {
       console.error(`${MODULE_ID} | Backup failed:`, error);
       ui.notifications.error(game.i18n.localize("BOBSNPC.GMDashboard.BackupFailed"));
@@ -631,6 +912,27 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
    * Restore from backup
    */
   static async #onRestoreBackup(event, target) {
+    // Stored backup from the list
+    const backupId = target.dataset.backupId;
+    if (backupId) {
+      const confirmed = await Dialog.confirm({
+        title: game.i18n.localize("BOBSNPC.GMDashboard.RestoreBackup"),
+        content: game.i18n.localize("BOBSNPC.GMDashboard.RestoreBackupConfirm")
+      });
+      if (!confirmed) return;
+
+      try {
+        await game.bobsnpc.backup.restore(backupId);
+        ui.notifications.info(game.i18n.localize("BOBSNPC.GMDashboard.BackupRestored"));
+        this.render();
+      } catch (error) {
+        console.error(`${MODULE_ID} | Restore failed:`, error);
+        ui.notifications.error(game.i18n.localize("BOBSNPC.GMDashboard.RestoreFailed"));
+      }
+      return;
+    }
+
+    // Backup file from disk
     const input = document.createElement("input");
     input.type = "file";
     input.accept = ".json";
@@ -652,6 +954,24 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
     input.click();
   }
 
+  /**
+   * Delete a stored backup
+   */
+  static async #onDeleteBackup(event, target) {
+    const backupId = target.dataset.backupId;
+    if (!backupId) return;
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("BOBSNPC.GMDashboard.DeleteBackup"),
+      content: game.i18n.localize("BOBSNPC.GMDashboard.DeleteBackupConfirm")
+    });
+
+    if (confirmed) {
+      await game.bobsnpc.backup.delete(backupId);
+      this.render();
+    }
+  }
+
   /**
    * Export module data
    */
@@ -690,13 +1010,25 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
       try {
         const text = await file.text();
         const data = JSON.parse(text);
-        const results = await game.bobsnpc.import(data);
+
+        const conflictResolution = await this.#promptForConflictResolution();
+        if (!conflictResolution) return;
+
+        const results = await game.bobsnpc.import(data, { conflictResolution });
 
         ui.notifications.info(game.i18n.format("BOBSNPC.GMDashboard.ImportComplete", {
           success: results.success.length,
           skipped: results.skipped.length,
           errors: results.errors.length
         }));
+
+        this.#lastImportReport = {
+          ...results,
+          exportType: data.exportType,
+          conflictResolution,
+          importedAt: new Date().toLocaleString()
+        };
+        this.#activeTab = "tools";
         this.render();
       } catch (error) {
         console.error(`${MODULE_ID} | Import failed:`, error);
@@ -706,6 +1038,14 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
     input.click();
   }
 
+  /**
+   * Dismiss the last import report
+   */
+  static #onClearImportReport(event, target) {
+    this.#lastImportReport = null;
+    this.render();
+  }
+
   /**
    * Refresh dashboard data
    */
@@ -741,27 +1081,78 @@ export class GMDashboard extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Prompt for a value
-   * @param {string} key
-   * @returns {Promise<*>}
+   * Prompt for a world event to trigger
+   * @param {object[]} events - Event definitions to choose from
+   * @returns {Promise<string|null>} Event ID or null if cancelled
+   */
+  async #promptForEvent(events) {
+    const options = events.map(e => `<option value="${e.id}">${e.name}</option>`).join("");
+    return new Promise((resolve) => {
+      new Dialog({
+        title: game.i18n.localize("BOBSNPC.GMDashboard.TriggerEvent"),
+        content: `<select name="eventId" style="width: 100%">${options}</select>`,
+        buttons: {
+          ok: {
+            label: game.i18n.localize("BOBSNPC.Common.OK"),
+            callback: (html) => resolve(html.find('[name="eventId"]').val())
+          },
+          cancel: {
+            label: game.i18n.localize("BOBSNPC.Common.Cancel"),
+            callback: () => resolve(null)
+          }
+        },
+        default: "ok"
+      }).render(true);
+    });
+  }
+
+  /**
+   * Prompt for how import conflicts should be resolved
+   * @returns {Promise<string|null>} "skip", "replace", "rename" or null if cancelled
+   */
+  async #promptForConflictResolution() {
+    return new Promise((resolve) => {
+      new Dialog({
+        title: game.i18n.localize("BOBSNPC.GMDashboard.ConflictResolution"),
+        content: `
+          <p>${game.i18n.localize("BOBSNPC.GMDashboard.ConflictResolutionHint")}</p>
+          <select name="conflictResolution" style="width: 100%">
+            <option value="skip">${game.i18n.localize("BOBSNPC.GMDashboard.ConflictSkip")}</option>
+            <option value="replace">${game.i18n.localize("BOBSNPC.GMDashboard.ConflictReplace")}</option>
+            <option value="rename">${game.i18n.localize("BOBSNPC.GMDashboard.ConflictRename")}</option>
+          </select>`,
+        buttons: {
+          ok: {
+            label: game.i18n.localize("BOBSNPC.GMDashboard.Import"),
+            callback: (html) => resolve(html.find('[name="conflictResolution"]').val())
+          },
+          cancel: {
+            label: game.i18n.localize("BOBSNPC.Common.Cancel"),
+            callback: () => resolve(null)
+          }
+        },
+        default: "ok",
+        close: () => resolve(null)
+      }).render(true);
+    });
+  }
+
+  /**
+   * Prompt for a world state value
+   * @param {string} key - World state key
+   * @param {*} current - Current value to prefill
+   * @returns {Promise<*>} Parsed value, or null when cancelled
    */
-  async #promptForValue(key) {
+  async #promptForValue(key, current) {
+    const text = current === undefined ? "" : typeof current === "object" ? JSON.stringify(current) : String(current);
     return new Promise((resolve) => {
       new Dialog({
         title: game.i18n.format("BOBSNPC.GMDashboard.EnterValue", { key }),
-        content: `<input type="text" name="value" placeholder="value" style="width: 100%"/>`,
+        content: `<input type="text" name="value" placeholder="value" value="${foundry.utils.escapeHTML(text)}" style="width: 100%"/>`,
         buttons: {
           ok: {
             label: game.i18n.localize("BOBSNPC.Common.OK"),
-            callback: (html) => {
-              const val = html.find('[name="value"]').val();
-              // Try to parse as JSON, otherwise keep as string
-              try {
-                resolve(JSON.parse(val));
-              } catch {
-                resolve(val);
-              }
-            }
+            callback: (html) => resolve(parseWorldStateValue(html.find('[name="value"]').val()))
           },
           cancel: {
             label: game.i18n.localize("BOBSNPC.Common.Cancel"),
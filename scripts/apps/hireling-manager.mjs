@@ -329,7 +329,7 @@ export class HirelingManager extends HandlebarsApplicationMixin(ApplicationV2) {
         owedAmount: hireling.contract.owedAmount,
         owedFormatted: formatCurrency(hireling.contract.owedAmount || 0),
         nextPaymentDue: hireling.contract.nextPaymentDue ?
-          new Date(hireling.contract.nextPaymentDue).toLocaleDateString() : null,
+          game.bobsnpc.handlers.calendar.formatDate(hireling.contract.nextPaymentDue, { time: false }) : null,
         isOverdue: hireling.contract.owedAmount > 0
       };
     }
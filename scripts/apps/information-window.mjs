@@ -0,0 +1,247 @@
+/**
+ * Bob's Talking NPCs - Information Window
+ * Informant interface for buying rumors
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import { createRumor } from "../data/service-model.mjs";
+
+/** Get service handler instance from API */
+function getServiceHandler() {
+  return game.bobsnpc?.handlers?.service;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Information Window Application
+ * Lists an informant's rumors and what the buyer has already heard
+ */
+export class InformationWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.npcActorUuid - Informant NPC UUID
+   * @param {string} options.playerActorUuid - Buyer UUID
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.npcActorUuid = options.npcActorUuid;
+    this.playerActorUuid = options.playerActorUuid || game.user.character?.uuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-information",
+    classes: ["bobsnpc", "information-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Information.Title",
+      icon: "fa-solid fa-ear-listen",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 480,
+      height: 580
+    },
+    actions: {
+      buyRumor: InformationWindow.#onBuyRumor,
+      addRumor: InformationWindow.#onAddRumor,
+      removeRumor: InformationWindow.#onRemoveRumor
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    header: {
+      template: `modules/${MODULE_ID}/templates/information/header.hbs`
+    },
+    content: {
+      template: `modules/${MODULE_ID}/templates/information/content.hbs`,
+      scrollable: [".information-rumors"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    const npc = fromUuidSync(this.npcActorUuid);
+    return npc ? `${localize("Information.Title")}: ${npc.name}` : localize("Information.Title");
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getServiceHandler();
+    const npc = fromUuidSync(this.npcActorUuid);
+    const actor = this.playerActorUuid ? fromUuidSync(this.playerActorUuid) : null;
+    const isGM = game.user.isGM;
+
+    // Only the GM sees the texts, reliability and reveals behind each topic
+    const stored = isGM ? this._getStoredRumors() : [];
+    const rumors = handler.getRumors(this.npcActorUuid, this.playerActorUuid).map(rumor => ({
+      ...rumor,
+      canBuy: rumor.affordable && !rumor.purchase,
+      details: isGM ? this._prepareDetails(stored.find(r => r.id === rumor.id)) : null
+    }));
+
+    const quests = isGM ? game.bobsnpc.handlers.quest.getAllQuests() : [];
+
+    return {
+      ...context,
+      npc,
+      actor,
+      hasActor: !!actor,
+      gold: actor?.system?.currency?.gp ?? 0,
+      rumors,
+      hasRumors: rumors.length > 0,
+      isGM,
+      quests: quests.map(q => ({ id: q.id, name: q.hidden ? `${q.name} (${localize("Information.Hidden")})` : q.name })),
+      scenes: isGM ? game.scenes.map(s => ({ id: s.id, name: s.name })) : [],
+      journals: isGM ? game.journal.map(j => ({ uuid: j.uuid, name: j.name })) : [],
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  /**
+   * Prepare the GM-only details of a rumor
+   * @param {object} rumor - Stored rumor
+   * @returns {object|null}
+   * @private
+   */
+  _prepareDetails(rumor) {
+    if (!rumor) return null;
+
+    return {
+      reliability: Math.round(rumor.reliability * 100),
+      text: rumor.text,
+      decoyText: rumor.decoyText,
+      questName: rumor.revealsQuest ? game.bobsnpc.handlers.quest.getQuest(rumor.revealsQuest)?.name ?? null : null,
+      sceneName: rumor.revealsNote ? game.scenes.get(rumor.revealsNote.sceneId)?.name ?? null : null
+    };
+  }
+
+  /**
+   * Get the informant's current rumors as stored
+   * @returns {object[]}
+   * @private
+   */
+  _getStoredRumors() {
+    return getServiceHandler().getInformationService(this.npcActorUuid)?.rumors ?? [];
+  }
+
+  // ==================== Actions ====================
+
+  static async #onBuyRumor(event, target) {
+    const rumorId = target.dataset.rumorId;
+    const rumor = getServiceHandler()
+      .getRumors(this.npcActorUuid, this.playerActorUuid)
+      .find(r => r.id === rumorId);
+    if (!rumor) return;
+
+    const confirmed = await Dialog.confirm({
+      title: localize("Information.Buy"),
+      content: `<p>${localize("Information.ConfirmBuy", { topic: rumor.topic, price: rumor.price })}</p>`
+    });
+    if (!confirmed) return;
+
+    const result = await getServiceHandler().buyRumor(this.npcActorUuid, this.playerActorUuid, rumorId);
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+
+    if (result.pending) {
+      ui.notifications.info(localize("Information.Messages.Requested"));
+      return;
+    }
+    this.render();
+  }
+
+  static async #onAddRumor(event, target) {
+    const form = this.element.querySelector(".information-editor");
+    if (!form) return;
+
+    const value = (name) => form.querySelector(`[name='${name}']`)?.value;
+    const number = (name) => {
+      const raw = value(name);
+      return raw === "" || raw === undefined ? undefined : Number(raw);
+    };
+
+    const topic = value("topic")?.trim();
+    if (!topic) return;
+
+    const reliability = number("reliability");
+    const rumor = createRumor({
+      topic,
+      price: number("price"),
+      reliability: reliability === undefined ? undefined : reliability / 100,
+      text: value("text")?.trim(),
+      decoyText: value("decoyText")?.trim(),
+      revealsQuest: value("revealsQuest") || null,
+      revealsNote: {
+        sceneId: value("noteSceneId") || null,
+        x: number("noteX"),
+        y: number("noteY"),
+        label: value("noteLabel")?.trim(),
+        entryUuid: value("noteEntryUuid") || null
+      }
+    });
+
+    await getServiceHandler().setRumors(this.npcActorUuid, [...this._getStoredRumors(), rumor]);
+    this.render();
+  }
+
+  static async #onRemoveRumor(event, target) {
+    const rumorId = target.dataset.rumorId;
+    const rumors = this._getStoredRumors().filter(r => r.id !== rumorId);
+
+    await getServiceHandler().setRumors(this.npcActorUuid, rumors);
+    this.render();
+  }
+
+  // ==================== Hooks ====================
+
+  /** @override */
+  async _onFirstRender(context, options) {
+    await super._onFirstRender(context, options);
+
+    // Refresh once the GM has carried out a purchase
+    this._hookIds = {
+      purchased: Hooks.on(`${MODULE_ID}.rumorPurchased`, () => this.render()),
+      result: Hooks.on(`${MODULE_ID}.rumorResult`, () => this.render())
+    };
+  }
+
+  /** @override */
+  async _onClose(options) {
+    await super._onClose(options);
+
+    if (this._hookIds) {
+      Hooks.off(`${MODULE_ID}.rumorPurchased`, this._hookIds.purchased);
+      Hooks.off(`${MODULE_ID}.rumorResult`, this._hookIds.result);
+    }
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the information window for an informant
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Buyer UUID
+   * @returns {InformationWindow}
+   */
+  static async open(npcActorUuid, playerActorUuid = null) {
+    const existing = foundry.applications.instances.get("bobsnpc-information");
+    if (existing) await existing.close();
+
+    const window = new InformationWindow({ npcActorUuid, playerActorUuid });
+    await window.render(true);
+    return window;
+  }
+}
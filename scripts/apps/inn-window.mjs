@@ -0,0 +1,342 @@
+/**
+ * Bob's Talking NPCs - Inn Window
+ * Innkeeper interface for renting rooms, resting and storing items
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import { RoomTier, RoomQuality, RoomBenefit, createInnRoom, hasRoomBenefit } from "../data/service-model.mjs";
+
+/** Get service handler instance from API */
+function getServiceHandler() {
+  return game.bobsnpc?.handlers?.service;
+}
+
+/**
+ * Icon per room benefit
+ */
+const BENEFIT_ICONS = {
+  [RoomBenefit.LONG_REST]: "fa-bed",
+  [RoomBenefit.STORAGE]: "fa-box-archive",
+  [RoomBenefit.PRIVATE_MEETING]: "fa-user-secret"
+};
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Inn Window Application
+ * Lists an innkeeper's rooms and the renter's current stay
+ */
+export class InnWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.npcActorUuid - Innkeeper NPC UUID
+   * @param {string} options.playerActorUuid - Renter UUID
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.npcActorUuid = options.npcActorUuid;
+    this.playerActorUuid = options.playerActorUuid || game.user.character?.uuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-inn",
+    classes: ["bobsnpc", "inn-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Inn.Title",
+      icon: "fa-solid fa-bed",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 500,
+      height: 600
+    },
+    actions: {
+      rentRoom: InnWindow.#onRentRoom,
+      longRest: InnWindow.#onLongRest,
+      checkOut: InnWindow.#onCheckOut,
+      storeItem: InnWindow.#onStoreItem,
+      retrieveItem: InnWindow.#onRetrieveItem,
+      addRoom: InnWindow.#onAddRoom,
+      removeRoom: InnWindow.#onRemoveRoom
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    header: {
+      template: `modules/${MODULE_ID}/templates/inn/header.hbs`
+    },
+    content: {
+      template: `modules/${MODULE_ID}/templates/inn/content.hbs`,
+      scrollable: [".inn-rooms"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    const npc = fromUuidSync(this.npcActorUuid);
+    return npc ? `${localize("Inn.Title")}: ${npc.name}` : localize("Inn.Title");
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getServiceHandler();
+    const npc = fromUuidSync(this.npcActorUuid);
+    const actor = this.playerActorUuid ? fromUuidSync(this.playerActorUuid) : null;
+
+    const rental = actor ? handler.getActiveRental(actor, this.npcActorUuid) : null;
+
+    // A renter may only extend the room they already hold here
+    const rooms = handler.getInnRooms(this.npcActorUuid, this.playerActorUuid).map(room => ({
+      ...room,
+      qualityLabel: this._getQualityLabel(room.quality),
+      benefitList: this._prepareBenefits(room.benefits),
+      canRent: room.affordable && (!rental || room.rented)
+    }));
+    const isGM = game.user.isGM;
+
+    return {
+      ...context,
+      npc,
+      actor,
+      hasActor: !!actor,
+      gold: actor?.system?.currency?.gp ?? 0,
+      rooms,
+      hasRooms: rooms.length > 0,
+      rental: rental ? this._prepareRental(rental, actor) : null,
+      isGM,
+      tierChoices: Object.values(RoomTier).map(value => ({
+        value,
+        label: localize(`Inn.Tiers.${value}`)
+      })),
+      qualityChoices: Object.values(RoomQuality).map(value => ({
+        value,
+        label: this._getQualityLabel(value)
+      })),
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  /**
+   * Prepare the renter's current stay for display
+   * @param {object} rental - Room rental
+   * @param {Actor} actor - Renter
+   * @returns {object}
+   * @private
+   */
+  _prepareRental(rental, actor) {
+    const calendar = game.bobsnpc.handlers.calendar;
+    const hasStorage = hasRoomBenefit(rental, RoomBenefit.STORAGE) && rental.storageSlots > 0;
+    const restsLeft = rental.nights - rental.restsTaken;
+
+    return {
+      ...rental,
+      qualityLabel: this._getQualityLabel(rental.quality),
+      endsLabel: calendar.formatDate(rental.endsAt),
+      remaining: calendar.formatRemaining(rental.endsAt),
+      canRest: hasRoomBenefit(rental, RoomBenefit.LONG_REST) && restsLeft > 0,
+      restsLeft,
+      hasStorage,
+      storageUsed: rental.storage.length,
+      storageFull: rental.storage.length >= rental.storageSlots,
+      storableItems: hasStorage
+        ? actor.items
+          .filter(item => item.system?.quantity !== undefined)
+          .map(item => ({ id: item.id, name: item.name }))
+        : []
+    };
+  }
+
+  /**
+   * Prepare room benefits for display
+   * @param {string[]} benefits - RoomBenefit values
+   * @returns {object[]}
+   * @private
+   */
+  _prepareBenefits(benefits) {
+    return benefits.map(benefit => ({
+      icon: BENEFIT_ICONS[benefit] || "fa-star",
+      label: localize(`Inn.Benefits.${benefit}`)
+    }));
+  }
+
+  /**
+   * Get the label for a room quality
+   * @param {string} quality - RoomQuality value
+   * @returns {string}
+   * @private
+   */
+  _getQualityLabel(quality) {
+    return localize(`Services.RoomQuality.${quality.capitalize()}`);
+  }
+
+  /**
+   * Get the innkeeper's current rooms as stored
+   * @returns {object[]}
+   * @private
+   */
+  _getStoredRooms() {
+    return getServiceHandler().getInnService(this.npcActorUuid)?.rooms ?? [];
+  }
+
+  /**
+   * Get the renter's active rental ID
+   * @returns {string|null}
+   * @private
+   */
+  _getRentalId() {
+    const actor = fromUuidSync(this.playerActorUuid);
+    return actor ? getServiceHandler().getActiveRental(actor, this.npcActorUuid)?.id ?? null : null;
+  }
+
+  /**
+   * Show a failed result or refresh the window
+   * @param {object} result - Handler result
+   * @private
+   */
+  _handleResult(result) {
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+    this.render();
+  }
+
+  // ==================== Actions ====================
+
+  static async #onRentRoom(event, target) {
+    const roomId = target.dataset.roomId;
+    const room = this._getStoredRooms().find(r => r.id === roomId);
+    if (!room) return;
+
+    const input = this.element.querySelector(`input[name="nights-${roomId}"]`);
+    const nights = Math.max(1, Number(input?.value) || 1);
+
+    const confirmed = await Dialog.confirm({
+      title: localize("Inn.Rent"),
+      content: `<p>${localize("Inn.ConfirmRent", {
+        room: room.name,
+        nights,
+        price: room.price * nights
+      })}</p>`
+    });
+    if (!confirmed) return;
+
+    this._handleResult(await getServiceHandler().rentRoom(this.npcActorUuid, this.playerActorUuid, roomId, nights));
+  }
+
+  static async #onLongRest(event, target) {
+    const confirmed = await Dialog.confirm({
+      title: localize("Inn.LongRest"),
+      content: `<p>${localize("Inn.ConfirmRest")}</p>`
+    });
+    if (!confirmed) return;
+
+    this._handleResult(await getServiceHandler().takeLongRest(this.playerActorUuid, this._getRentalId()));
+  }
+
+  static async #onCheckOut(event, target) {
+    const confirmed = await Dialog.confirm({
+      title: localize("Inn.CheckOut"),
+      content: `<p>${localize("Inn.ConfirmCheckOut")}</p>`
+    });
+    if (!confirmed) return;
+
+    this._handleResult(await getServiceHandler().checkOut(this.playerActorUuid, this._getRentalId()));
+  }
+
+  static async #onStoreItem(event, target) {
+    const itemId = this.element.querySelector("select[name='storeItem']")?.value;
+    if (!itemId) return;
+
+    this._handleResult(await getServiceHandler().storeItem(this.playerActorUuid, this._getRentalId(), itemId));
+  }
+
+  static async #onRetrieveItem(event, target) {
+    this._handleResult(await getServiceHandler().retrieveItem(
+      this.playerActorUuid,
+      this._getRentalId(),
+      target.dataset.itemId
+    ));
+  }
+
+  static async #onAddRoom(event, target) {
+    const form = this.element.querySelector(".inn-editor");
+    if (!form) return;
+
+    const value = (name) => form.querySelector(`[name='${name}']`)?.value;
+    const number = (name) => {
+      const raw = value(name);
+      return raw === "" || raw === undefined ? undefined : Number(raw);
+    };
+
+    const room = createInnRoom({
+      tier: value("tier"),
+      name: value("name")?.trim() || undefined,
+      price: number("price"),
+      quality: value("quality") || undefined,
+      storageSlots: number("storageSlots")
+    });
+
+    await getServiceHandler().setInnRooms(this.npcActorUuid, [...this._getStoredRooms(), room]);
+    this.render();
+  }
+
+  static async #onRemoveRoom(event, target) {
+    const roomId = target.dataset.roomId;
+    const rooms = this._getStoredRooms().filter(r => r.id !== roomId);
+
+    await getServiceHandler().setInnRooms(this.npcActorUuid, rooms);
+    this.render();
+  }
+
+  // ==================== Hooks ====================
+
+  /** @override */
+  async _onFirstRender(context, options) {
+    await super._onFirstRender(context, options);
+
+    // Refresh as rentals run out or world time passes
+    this._hookIds = {
+      ended: Hooks.on(`${MODULE_ID}.innRentalEnded`, () => this.render()),
+      time: Hooks.on("updateWorldTime", () => this.render())
+    };
+  }
+
+  /** @override */
+  async _onClose(options) {
+    await super._onClose(options);
+
+    if (this._hookIds) {
+      Hooks.off(`${MODULE_ID}.innRentalEnded`, this._hookIds.ended);
+      Hooks.off("updateWorldTime", this._hookIds.time);
+    }
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the inn window for an innkeeper
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Renter UUID
+   * @returns {InnWindow}
+   */
+  static async open(npcActorUuid, playerActorUuid = null) {
+    const existing = foundry.applications.instances.get("bobsnpc-inn");
+    if (existing) await existing.close();
+
+    const window = new InnWindow({ npcActorUuid, playerActorUuid });
+    await window.render(true);
+    return window;
+  }
+}
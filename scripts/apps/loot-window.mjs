@@ -0,0 +1,355 @@
+/**
+ * Bob's Talking NPCs - Loot Window
+ * Loot container interface for opening, unlocking and distributing loot
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import { DistributionMode, LootRollChoice, getCurrentPicker } from "../data/loot-model.mjs";
+
+/** Get loot handler instance from API */
+function getLootHandler() {
+  return game.bobsnpc?.handlers?.loot;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Localization keys for distribution modes
+ */
+const MODE_LABELS = {
+  [DistributionMode.FREE]: "Loot.Distribution.FreeForAll",
+  [DistributionMode.NEED_GREED]: "Loot.Distribution.NeedGreed",
+  [DistributionMode.ROUND_ROBIN]: "Loot.Distribution.RoundRobin",
+  [DistributionMode.PARTY_VAULT]: "Loot.Distribution.PartyVault",
+  [DistributionMode.GM]: "Loot.Distribution.GMDistributes"
+};
+
+/**
+ * Loot Window Application
+ * Shows a loot container's contents with actions for the active distribution mode
+ */
+export class LootWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.containerId - Loot container ID
+   * @param {string} options.actorUuid - Looting actor UUID
+   */
+  constructor(options = {}) {
+    super({ ...options, id: `bobsnpc-loot-${options.containerId}` });
+
+    this.containerId = options.containerId;
+    this.actorUuid = options.actorUuid || game.user.character?.uuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    classes: ["bobsnpc", "loot-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Loot.Title",
+      icon: "fa-solid fa-sack",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 480,
+      height: 560
+    },
+    actions: {
+      openContainer: LootWindow.#onOpenContainer,
+      unlock: LootWindow.#onUnlock,
+      disarm: LootWindow.#onDisarm,
+      take: LootWindow.#onTake,
+      takeAll: LootWindow.#onTakeAll,
+      roll: LootWindow.#onRoll,
+      assign: LootWindow.#onAssign,
+      settle: LootWindow.#onSettle,
+      splitCoins: LootWindow.#onSplitCoins,
+      sendToVault: LootWindow.#onSendToVault,
+      deleteContainer: LootWindow.#onDeleteContainer
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    header: {
+      template: `modules/${MODULE_ID}/templates/loot/header.hbs`
+    },
+    content: {
+      template: `modules/${MODULE_ID}/templates/loot/content.hbs`,
+      scrollable: [".loot-contents"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    return this.container?.name || localize("Loot.Title");
+  }
+
+  /**
+   * The container shown in this window
+   * @type {object|null}
+   */
+  get container() {
+    return getLootHandler()?.getContainer(this.containerId) || null;
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getLootHandler();
+    const container = this.container;
+
+    if (!container) {
+      return { ...context, missing: true, theme: game.settings.get(MODULE_ID, "theme") || "dark" };
+    }
+
+    const mode = handler.getDistributionMode(container);
+    const isGM = game.user.isGM;
+    const picker = getCurrentPicker(container);
+    const isMyTurn = !!this.actorUuid && picker === this.actorUuid;
+
+    const recipients = handler.getRecipients(container).map(uuid => ({
+      uuid,
+      name: fromUuidSync(uuid)?.name || uuid
+    }));
+    const nameOf = uuid => recipients.find(r => r.uuid === uuid)?.name || fromUuidSync(uuid)?.name || uuid;
+
+    const canTakeDirect = mode === DistributionMode.FREE || (mode === DistributionMode.ROUND_ROBIN && isMyTurn);
+
+    const contents = container.contents.map(entry => {
+      const myRoll = this.actorUuid ? entry.rolls[this.actorUuid] : null;
+      return {
+        ...entry,
+        canTake: !!this.actorUuid && (canTakeDirect || entry.passed),
+        canRoll: mode === DistributionMode.NEED_GREED && !entry.passed && !!this.actorUuid && !myRoll,
+        myRoll: myRoll ? this._formatRoll(myRoll) : null,
+        rolls: Object.entries(entry.rolls).map(([uuid, roll]) => ({
+          name: nameOf(uuid),
+          ...this._formatRoll(roll)
+        }))
+      };
+    });
+
+    const currency = Object.entries(container.currency)
+      .filter(([, amount]) => amount > 0)
+      .map(([denom, amount]) => ({ denom, amount }));
+
+    return {
+      ...context,
+      container,
+      contents,
+      hasContents: contents.length > 0,
+      currency,
+      hasCurrency: currency.length > 0,
+      mode,
+      modeLabel: localize(MODE_LABELS[mode] || MODE_LABELS[DistributionMode.FREE]),
+      isNeedGreed: mode === DistributionMode.NEED_GREED,
+      isRoundRobin: mode === DistributionMode.ROUND_ROBIN,
+      isPartyVault: mode === DistributionMode.PARTY_VAULT,
+      isFree: mode === DistributionMode.FREE,
+      currentPicker: picker ? nameOf(picker) : null,
+      isMyTurn,
+      canSplitCoins: mode !== DistributionMode.PARTY_VAULT && (mode !== DistributionMode.GM || isGM),
+      recipients,
+      hasActor: !!this.actorUuid,
+      actorName: this.actorUuid ? fromUuidSync(this.actorUuid)?.name : null,
+      locked: container.lock.locked,
+      opened: container.opened,
+      trap: container.trap,
+      isGM,
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  /**
+   * Format a need/greed roll for display
+   * @param {object} roll - {choice, total}
+   * @returns {object}
+   * @private
+   */
+  _formatRoll(roll) {
+    const labels = {
+      [LootRollChoice.NEED]: "Loot.Need",
+      [LootRollChoice.GREED]: "Loot.Greed",
+      [LootRollChoice.PASS]: "Loot.Pass"
+    };
+    return {
+      choice: roll.choice,
+      label: localize(labels[roll.choice]),
+      total: roll.choice === LootRollChoice.PASS ? null : roll.total
+    };
+  }
+
+  /**
+   * Send a loot request and show the outcome
+   * @param {string} action - Request action
+   * @param {object} data - Request data
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _request(action, data = {}) {
+    const result = await getLootHandler().request(action, {
+      containerId: this.containerId,
+      actorUuid: this.actorUuid,
+      ...data
+    });
+
+    if (result && !result.success) {
+      ui.notifications.warn(result.error);
+    }
+    return result;
+  }
+
+  /**
+   * Get the acting actor, warning if there is none
+   * @returns {Actor|null}
+   * @private
+   */
+  _getActor() {
+    const actor = this.actorUuid ? fromUuidSync(this.actorUuid) : null;
+    if (!actor) {
+      ui.notifications.warn(localize("Errors.NoActorSelected"));
+    }
+    return actor;
+  }
+
+  // ==================== Actions ====================
+
+  static async #onOpenContainer(event, target) {
+    await this._request("open");
+  }
+
+  static async #onUnlock(event, target) {
+    const actor = this._getActor();
+    if (!actor) return;
+
+    // A matching key opens the lock without a roll
+    const keyName = this.container?.lock.keyItemName?.toLowerCase();
+    const hasKey = !!keyName && actor.items.some(i => i.name.toLowerCase() === keyName);
+
+    let rollTotal = null;
+    if (!hasKey) {
+      const roll = await actor.rollSkill("slt", { chatMessage: true });
+      if (!roll) return;
+      rollTotal = roll.total;
+    }
+
+    const result = await this._request("unlock", { rollTotal });
+    if (result?.success && !result.pending) {
+      ui.notifications.info(localize("Loot.Messages.Unlocked"));
+    }
+  }
+
+  static async #onDisarm(event, target) {
+    const actor = this._getActor();
+    if (!actor) return;
+
+    const roll = await actor.rollSkill("slt", { chatMessage: true });
+    if (!roll) return;
+
+    const result = await this._request("disarm", { rollTotal: roll.total });
+    if (result?.success && !result.pending) {
+      ui.notifications.info(localize(result.noTrap ? "Loot.Messages.NoTrapFound" : "Loot.Messages.TrapDisarmed"));
+    }
+  }
+
+  static async #onTake(event, target) {
+    await this._request("take", { entryId: target.dataset.entryId });
+  }
+
+  static async #onTakeAll(event, target) {
+    await this._request("takeAll");
+  }
+
+  static async #onRoll(event, target) {
+    await this._request("roll", {
+      entryId: target.dataset.entryId,
+      choice: target.dataset.choice
+    });
+  }
+
+  static async #onAssign(event, target) {
+    const entryId = target.dataset.entryId;
+    const select = this.element.querySelector(`select[name="assign-${entryId}"]`);
+    const actorUuid = select?.value;
+    if (!actorUuid) return;
+
+    const result = await getLootHandler().assignItem(this.containerId, entryId, actorUuid);
+    if (!result.success) ui.notifications.warn(result.error);
+  }
+
+  static async #onSettle(event, target) {
+    const result = await getLootHandler().forceSettle(this.containerId, target.dataset.entryId);
+    if (!result.success) ui.notifications.warn(result.error);
+  }
+
+  static async #onSplitCoins(event, target) {
+    await this._request("splitCoins");
+  }
+
+  static async #onSendToVault(event, target) {
+    await this._request("sendToVault");
+  }
+
+  static async #onDeleteContainer(event, target) {
+    const confirmed = await Dialog.confirm({
+      title: localize("Loot.Delete"),
+      content: `<p>${localize("Loot.DeleteConfirm")}</p>`
+    });
+
+    if (confirmed) {
+      await getLootHandler().deleteContainer(this.containerId);
+    }
+  }
+
+  // ==================== Hooks ====================
+
+  /** @override */
+  async _onFirstRender(context, options) {
+    await super._onFirstRender(context, options);
+
+    // Refresh when this container changes on any client
+    this._hookId = Hooks.on(`${MODULE_ID}.lootUpdated`, (containerId) => {
+      if (containerId !== this.containerId) return;
+      if (this.container) this.render();
+      else this.close();
+    });
+  }
+
+  /** @override */
+  async _onClose(options) {
+    await super._onClose(options);
+
+    if (this._hookId) {
+      Hooks.off(`${MODULE_ID}.lootUpdated`, this._hookId);
+    }
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the loot window for a container
+   * @param {string} containerId - Loot container ID
+   * @param {string} actorUuid - Looting actor UUID (defaults to the user's character)
+   * @returns {LootWindow}
+   */
+  static async open(containerId, actorUuid = null) {
+    const existing = foundry.applications.instances.get(`bobsnpc-loot-${containerId}`);
+    if (existing) {
+      if (actorUuid) existing.actorUuid = actorUuid;
+      await existing.render(true);
+      existing.bringToFront();
+      return existing;
+    }
+
+    const window = new LootWindow({ containerId, actorUuid });
+    await window.render(true);
+    return window;
+  }
+}
@@ -182,7 +182,7 @@ export class NPCConfig extends HandlebarsApplicationMixin(ApplicationV2) {
         innkeeper: { enabled: false, roomPrice: 5, services: [] },
         stablemaster: { enabled: false, services: [] },
         blacksmith: { enabled: false, services: [] },
-        fence: { enabled: false, markup: 0.5 }
+        fence: { enabled: false, stolenGoodsRate: 0.5 }
       },
       appearance: {
         portrait: null,
@@ -243,8 +243,7 @@ export class NPCConfig extends HandlebarsApplicationMixin(ApplicationV2) {
           id: q.id,
           name: q.name,
           category: q.category,
-          categoryLabel: this._getCategoryLabel(q.category),
-          status: q.status
+          categoryLabel: this._getCategoryLabel(q.category)
         })),
       availableShops: allShops,
       availableBanks: allBanks,
@@ -255,6 +254,7 @@ export class NPCConfig extends HandlebarsApplicationMixin(ApplicationV2) {
       rolesDisplay: this._prepareRolesDisplay(),
       dialoguesDisplay: this._prepareDialoguesDisplay(allDialogues),
       scheduleDisplay: this._prepareScheduleDisplay(),
+      daysOfWeek: this._getDaysOfWeek(),
       factionsDisplay: this._prepareFactionsDisplay(allFactions),
       servicesDisplay: this._prepareServicesDisplay(allQuests),
 
@@ -463,9 +463,31 @@ export class NPCConfig extends HandlebarsApplicationMixin(ApplicationV2) {
    * @private
    */
   _formatDays(days) {
+    const weekdays = this._getWeekdays();
     if (!days || days.length === 0) return localize("NPCConfig.EveryDay");
-    if (days.length === 7) return localize("NPCConfig.EveryDay");
-    return days.map(d => localize(`Day.${d}`)).join(", ");
+    if (days.length >= weekdays.length) return localize("NPCConfig.EveryDay");
+    return days.map(d => weekdays.find(w => w.id === d)?.name ?? d).join(", ");
+  }
+
+  /**
+   * Get the weekdays of the active calendar
+   * @returns {object[]} [{id, name, weekend}]
+   * @private
+   */
+  _getWeekdays() {
+    return game.bobsnpc?.handlers?.calendar?.getWeekdays() ?? [];
+  }
+
+  /**
+   * Prepare weekday checkboxes for schedule entries
+   * @returns {object[]} [{id, abbr}]
+   * @private
+   */
+  _getDaysOfWeek() {
+    return this._getWeekdays().map(weekday => ({
+      id: weekday.id,
+      abbr: weekday.name.slice(0, 3)
+    }));
   }
 
   /**
@@ -10,15 +10,22 @@ import {
   createQuest,
   createObjective,
   createRewards,
-  QuestStatus,
+  createConsequence,
+  ConsequenceType,
+  ConsequenceTrigger,
   QuestCategory,
   QuestVisibility,
   ObjectiveType,
+  KillMatchType,
+  KillAttribution,
   RewardDistribution,
   RepeatableType,
   OnGiverDeath,
   validateQuest
 } from "../data/quest-model.mjs";
+import { FactionRelationType } from "../data/faction-model.mjs";
+import { createWorldStateCondition } from "../data/world-state-model.mjs";
+import { Skills, getSkillName } from "../data/dialogue-model.mjs";
 
 /** Get quest handler instance */
 function getQuestHandler() {
@@ -49,9 +56,9 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
 
     // Working copy of quest data
     this._quest = quest ? foundry.utils.deepClone(quest) : createQuest({
-      name: game.i18n.localize("BOBSNPC.QuestEditor.NewQuest"),
-      status: QuestStatus.AVAILABLE
+      name: game.i18n.localize("BOBSNPC.QuestEditor.NewQuest")
     });
+    this._quest.prerequisites.worldState ??= [];
   }
 
   /** @override */
@@ -88,6 +95,10 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       removeReputationReward: QuestEditor.#onRemoveReputationReward,
       addPrereqQuest: QuestEditor.#onAddPrereqQuest,
       removePrereqQuest: QuestEditor.#onRemovePrereqQuest,
+      addPrereqWorldState: QuestEditor.#onAddPrereqWorldState,
+      removePrereqWorldState: QuestEditor.#onRemovePrereqWorldState,
+      addConsequence: QuestEditor.#onAddConsequence,
+      removeConsequence: QuestEditor.#onRemoveConsequence,
       selectQuestGiver: QuestEditor.#onSelectQuestGiver,
       clearQuestGiver: QuestEditor.#onClearQuestGiver,
       selectTurnInActor: QuestEditor.#onSelectTurnInActor,
@@ -156,10 +167,17 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     }
 
     // Prepare objectives display data
+    const dialogues = game.bobsnpc?.handlers?.dialogue?.getAllDialogues() || [];
     const objectivesDisplay = this._quest.objectives.map((obj, index) => ({
       ...obj,
       index,
       typeLabel: this._getObjectiveTypeLabel(obj.type),
+      talkNodeOptions: Object.values(dialogues.find(d => d.id === obj.talkDialogueId)?.nodes || {})
+        .map(node => ({ id: node.id, label: node.label || node.id })),
+      locationRegionOptions: (game.scenes.get(obj.locationSceneId)?.regions.contents || [])
+        .map(region => ({ id: region.id, name: region.name })),
+      escortRegionOptions: (game.scenes.get(obj.escortSceneId)?.regions.contents || [])
+        .map(region => ({ id: region.id, name: region.name })),
       canMoveUp: index > 0,
       canMoveDown: index < this._quest.objectives.length - 1
     }));
@@ -208,24 +226,35 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       quest: this._quest,
       isNew: this._isNew,
       activeTab: this._activeTab,
+      consequenceLists: this._getConsequenceListsDisplay(),
       theme: game.settings.get(MODULE_ID, "theme") || "default",
 
       // Enum options
-      statusOptions: this._getStatusOptions(),
       categoryOptions: this._getCategoryOptions(),
       visibilityOptions: this._getVisibilityOptions(),
       objectiveTypeOptions: this._getObjectiveTypeOptions(),
+      killMatchOptions: this._getKillMatchOptions(),
+      killAttributionOptions: this._getKillAttributionOptions(),
+      skillOptions: Object.values(Skills).map(value => ({ value, label: getSkillName(value) })),
       distributionOptions: this._getDistributionOptions(),
       repeatableOptions: this._getRepeatableOptions(),
       onGiverDeathOptions: this._getOnGiverDeathOptions(),
+      consequenceTypeOptions: this._getConsequenceTypeOptions(),
+      relationTypeOptions: this._getRelationTypeOptions(),
 
       // Related data
       factions,
       otherQuests,
+      npcActors: game.actors.filter(a => a.type === "npc").map(a => ({ uuid: a.uuid, name: a.name })),
+      scenes: game.scenes.contents.map(scene => ({ id: scene.id, name: scene.name })),
+      merchants: (game.bobsnpc?.handlers?.merchant?.getAllMerchants() || []).map(m => ({ id: m.id, name: m.name })),
+      dialogues: dialogues.map(d => ({ id: d.id, name: d.name })),
       objectivesDisplay,
       rewardItemsDisplay,
       reputationRewardsDisplay,
       prereqQuestsDisplay,
+      prereqWorldStateDisplay: this._quest.prerequisites.worldState.map((condition, index) => ({ ...condition, index })),
+      worldStateKeys: Object.keys(game.settings.get(MODULE_ID, "worldState") || {}),
 
       // Actor data
       giverActor: giverActor ? {
@@ -252,16 +281,6 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
 
   // ==================== OPTION GETTERS ====================
 
-  _getStatusOptions() {
-    return [
-      { value: QuestStatus.AVAILABLE, label: localize("QuestEditor.Status.Available") },
-      { value: QuestStatus.ACCEPTED, label: localize("QuestEditor.Status.Accepted") },
-      { value: QuestStatus.IN_PROGRESS, label: localize("QuestEditor.Status.InProgress") },
-      { value: QuestStatus.COMPLETED, label: localize("QuestEditor.Status.Completed") },
-      { value: QuestStatus.FAILED, label: localize("QuestEditor.Status.Failed") }
-    ];
-  }
-
   _getCategoryOptions() {
     return [
       { value: QuestCategory.MAIN_STORY, label: localize("QuestEditor.Category.MainStory") },
@@ -284,10 +303,32 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
 
   _getObjectiveTypeOptions() {
     return [
-      { value: ObjectiveType.MANUAL, label: localize("QuestEditor.ObjectiveType.Manual") },
-      { value: ObjectiveType.KILL_COUNT, label: localize("QuestEditor.ObjectiveType.KillCount") },
-      { value: ObjectiveType.ITEM_COLLECT, label: localize("QuestEditor.ObjectiveType.ItemCollect") },
-      { value: ObjectiveType.LOCATION, label: localize("QuestEditor.ObjectiveType.Location") }
+      { value: ObjectiveType.MANUAL, label: localize("QuestEditor.ObjectiveTypes.Manual") },
+      { value: ObjectiveType.KILL_COUNT, label: localize("QuestEditor.ObjectiveTypes.KillCount") },
+      { value: ObjectiveType.ITEM_COLLECT, label: localize("QuestEditor.ObjectiveTypes.ItemCollect") },
+      { value: ObjectiveType.LOCATION, label: localize("QuestEditor.ObjectiveTypes.Location") },
+      { value: ObjectiveType.DELIVER, label: localize("QuestEditor.ObjectiveTypes.Deliver") },
+      { value: ObjectiveType.TALK_TO, label: localize("QuestEditor.ObjectiveTypes.TalkTo") },
+      { value: ObjectiveType.ESCORT, label: localize("QuestEditor.ObjectiveTypes.Escort") },
+      { value: ObjectiveType.SKILL_CHECK, label: localize("QuestEditor.ObjectiveTypes.SkillCheck") }
+    ];
+  }
+
+  _getKillMatchOptions() {
+    return [
+      { value: KillMatchType.NAME, label: localize("QuestEditor.KillMatches.Name") },
+      { value: KillMatchType.UUID, label: localize("QuestEditor.KillMatches.Uuid") },
+      { value: KillMatchType.SOURCE, label: localize("QuestEditor.KillMatches.Source") },
+      { value: KillMatchType.CREATURE_TYPE, label: localize("QuestEditor.KillMatches.CreatureType") },
+      { value: KillMatchType.TAG, label: localize("QuestEditor.KillMatches.Tag") }
+    ];
+  }
+
+  _getKillAttributionOptions() {
+    return [
+      { value: KillAttribution.PARTY, label: localize("QuestEditor.KillAttributions.Party") },
+      { value: KillAttribution.FINAL_BLOW, label: localize("QuestEditor.KillAttributions.FinalBlow") },
+      { value: KillAttribution.ANY, label: localize("QuestEditor.KillAttributions.Any") }
     ];
   }
 
@@ -318,14 +359,74 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     ];
   }
 
+  _getConsequenceTypeOptions() {
+    return [
+      { value: ConsequenceType.MOVE_TOKEN, label: localize("QuestEditor.Consequence.MoveToken") },
+      { value: ConsequenceType.TOKEN_VISIBILITY, label: localize("QuestEditor.Consequence.TokenVisibility") },
+      { value: ConsequenceType.SET_WORLD_STATE, label: localize("QuestEditor.Consequence.SetWorldState") },
+      { value: ConsequenceType.ADD_STOCK, label: localize("QuestEditor.Consequence.AddStock") },
+      { value: ConsequenceType.REMOVE_STOCK, label: localize("QuestEditor.Consequence.RemoveStock") },
+      { value: ConsequenceType.FACTION_RELATIONSHIP, label: localize("QuestEditor.Consequence.FactionRelationship") },
+      { value: ConsequenceType.UNLOCK_QUEST, label: localize("QuestEditor.Consequence.UnlockQuest") }
+    ];
+  }
+
+  _getRelationTypeOptions() {
+    return [
+      { value: FactionRelationType.ALLIED, label: localize("FactionEditor.Relationship.Allied") },
+      { value: FactionRelationType.NEUTRAL, label: localize("FactionEditor.Relationship.Neutral") },
+      { value: FactionRelationType.RIVAL, label: localize("FactionEditor.Relationship.Rival") },
+      { value: FactionRelationType.ENEMY, label: localize("FactionEditor.Relationship.Enemy") }
+    ];
+  }
+
+  /**
+   * Get the consequence list a form key points at
+   * Keys are a ConsequenceTrigger or "branch-<index>".
+   * @param {string} key - List key
+   * @returns {object[]|null}
+   * @private
+   */
+  _getConsequenceList(key) {
+    if (key?.startsWith("branch-")) {
+      return this._quest.branches[Number(key.slice(7))]?.consequences ?? null;
+    }
+    return this._quest.consequences?.[key] ?? null;
+  }
+
+  /**
+   * Prepare the consequence lists for display
+   * @returns {object[]}
+   * @private
+   */
+  _getConsequenceListsDisplay() {
+    const lists = [
+      { key: ConsequenceTrigger.COMPLETE, label: localize("QuestEditor.Consequences.OnComplete") },
+      { key: ConsequenceTrigger.FAIL, label: localize("QuestEditor.Consequences.OnFail") },
+      { key: ConsequenceTrigger.ABANDON, label: localize("QuestEditor.Consequences.OnAbandon") },
+      ...this._quest.branches.map((branch, index) => ({
+        key: `branch-${index}`,
+        label: localize("QuestEditor.Consequences.OnBranch", { name: branch.name || index + 1 })
+      }))
+    ];
+
+    return lists.map(list => ({
+      ...list,
+      entries: (this._getConsequenceList(list.key) || []).map((consequence, index) => ({
+        ...consequence,
+        index,
+        isMoveToken: consequence.type === ConsequenceType.MOVE_TOKEN,
+        isTokenVisibility: consequence.type === ConsequenceType.TOKEN_VISIBILITY,
+        isWorldState: consequence.type === ConsequenceType.SET_WORLD_STATE,
+        isStock: [ConsequenceType.ADD_STOCK, ConsequenceType.REMOVE_STOCK].includes(consequence.type),
+        isFactionRelationship: consequence.type === ConsequenceType.FACTION_RELATIONSHIP,
+        isUnlockQuest: consequence.type === ConsequenceType.UNLOCK_QUEST
+      }))
+    }));
+  }
+
   _getObjectiveTypeLabel(type) {
-    const labels = {
-      [ObjectiveType.MANUAL]: localize("QuestEditor.ObjectiveType.Manual"),
-      [ObjectiveType.KILL_COUNT]: localize("QuestEditor.ObjectiveType.KillCount"),
-      [ObjectiveType.ITEM_COLLECT]: localize("QuestEditor.ObjectiveType.ItemCollect"),
-      [ObjectiveType.LOCATION]: localize("QuestEditor.ObjectiveType.Location")
-    };
-    return labels[type] || type;
+    return this._getObjectiveTypeOptions().find(option => option.value === type)?.label || type;
   }
 
   // ==================== FORM HANDLING ====================
@@ -336,12 +437,50 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
   static async #onFormSubmit(event, form, formData) {
     const data = foundry.utils.expandObject(formData.object);
 
+    // Objectives arrive keyed by index; merging them would replace the array
+    const objectiveFields = data.quest?.objectives || {};
+    delete data.quest?.objectives;
+    let objectivesChanged = false;
+    for (const [index, values] of Object.entries(objectiveFields)) {
+      const objective = this._quest.objectives[index];
+      if (!objective) continue;
+      // Type, dialogue and scene change which fields and choices are shown
+      objectivesChanged ||= ["type", "talkDialogueId", "escortSceneId", "locationSceneId"]
+        .some(field => field in values && values[field] !== objective[field]);
+      this._quest.objectives[index] = createObjective({ ...objective, ...values });
+    }
+
     // Update quest data from form
     if (data.quest) {
       foundry.utils.mergeObject(this._quest, data.quest, { overwrite: true });
     }
 
+    // World state prerequisites arrive keyed by index
+    for (const [index, values] of Object.entries(data.prereqWorldState || {})) {
+      const conditions = this._quest.prerequisites.worldState;
+      if (conditions[index]) conditions[index] = createWorldStateCondition({ ...conditions[index], ...values });
+    }
+
+    // Consequences arrive keyed by list and index
+    let typeChanged = false;
+    for (const [key, entries] of Object.entries(data.consequences || {})) {
+      const list = this._getConsequenceList(key);
+      if (!list) continue;
+
+      for (const [index, values] of Object.entries(entries)) {
+        if (!list[index]) continue;
+        // Changing the type starts the consequence over
+        if (values.type && values.type !== list[index].type) {
+          list[index] = createConsequence({ type: values.type });
+          typeChanged = true;
+          continue;
+        }
+        list[index] = createConsequence({ ...list[index], ...values });
+      }
+    }
+
     this._quest.updatedAt = Date.now();
+    if (typeChanged || objectivesChanged) this.render();
   }
 
   // ==================== TAB ACTIONS ====================
@@ -506,6 +645,50 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
     }
   }
 
+  /**
+   * Add world state prerequisite
+   */
+  static async #onAddPrereqWorldState(event, target) {
+    this._quest.prerequisites.worldState.push(createWorldStateCondition());
+    this.render();
+  }
+
+  /**
+   * Remove world state prerequisite
+   */
+  static async #onRemovePrereqWorldState(event, target) {
+    const index = parseInt(target.dataset.index, 10);
+    if (!isNaN(index)) {
+      this._quest.prerequisites.worldState.splice(index, 1);
+      this.render();
+    }
+  }
+
+  // ==================== CONSEQUENCE ACTIONS ====================
+
+  /**
+   * Add consequence
+   */
+  static async #onAddConsequence(event, target) {
+    const list = this._getConsequenceList(target.dataset.list);
+    if (!list) return;
+
+    list.push(createConsequence({ type: ConsequenceType.SET_WORLD_STATE }));
+    this.render();
+  }
+
+  /**
+   * Remove consequence
+   */
+  static async #onRemoveConsequence(event, target) {
+    const list = this._getConsequenceList(target.dataset.list);
+    const index = parseInt(target.dataset.index, 10);
+    if (list && !isNaN(index)) {
+      list.splice(index, 1);
+      this.render();
+    }
+  }
+
   // ==================== ACTOR SELECTION ACTIONS ====================
 
   /**
@@ -768,10 +951,6 @@ export class QuestEditor extends HandlebarsApplicationMixin(ApplicationV2) {
       ...this._quest,
       id: generateId(),
       name: `${this._quest.name} (Copy)`,
-      status: QuestStatus.AVAILABLE,
-      acceptedBy: [],
-      acceptedAt: null,
-      completedAt: null,
       createdAt: Date.now(),
       updatedAt: Date.now()
     });
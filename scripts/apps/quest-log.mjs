@@ -6,8 +6,8 @@
 // Define MODULE_ID locally to avoid circular dependency with module.mjs
 const MODULE_ID = "bobs-talking-npcs";
 
-import { localize } from "../utils/helpers.mjs";
-import { QuestStatus, ObjectiveType } from "../data/quest-model.mjs";
+import { localize, getPartyMembers } from "../utils/helpers.mjs";
+import { QuestStatus, ObjectiveType, getObjectiveProgress } from "../data/quest-model.mjs";
 
 /**
  * Get quest handler instance from API
@@ -90,7 +90,7 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
     const context = await super._prepareContext(options);
 
     // Get all quests for this actor
-    const allQuests = await this._getPlayerQuests();
+    const allQuests = await this._applyPrerequisites(await this._getPlayerQuests());
     const filteredQuests = this._applyFilters(allQuests);
     const sortedQuests = this._applySorting(filteredQuests);
 
@@ -109,7 +109,7 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
 
     // Count quests by status
     const counts = {
-      active: allQuests.filter(q => q.status === QuestStatus.ACTIVE).length,
+      active: allQuests.filter(q => q.status === QuestStatus.ACCEPTED).length,
       completed: allQuests.filter(q => q.status === QuestStatus.COMPLETED).length,
       failed: allQuests.filter(q => q.status === QuestStatus.FAILED).length,
       all: allQuests.length
@@ -154,7 +154,39 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
       // Get quests for all party members if no specific actor
       return handler.getPartyQuests?.() || [];
     }
-    return handler.getPlayerQuests?.(this.actorUuid) || [];
+    return handler.getActorQuests?.(this.actorUuid) || [];
+  }
+
+  /**
+   * Lock available quests whose prerequisites aren't met
+   * Locked quests are listed with their reasons, unless the showLockedQuests setting
+   * or the quest itself hides them from players.
+   * @param {object[]} quests - Player quests
+   * @returns {Promise<object[]>}
+   * @private
+   */
+  async _applyPrerequisites(quests) {
+    const handler = getQuestHandler();
+    const actor = this.actorUuid
+      ? await fromUuid(this.actorUuid)
+      : game.user.character ?? getPartyMembers()[0];
+    if (!handler?.checkPrerequisites || !actor) return quests;
+
+    const showLocked = game.settings.get(MODULE_ID, "showLockedQuests");
+    const result = [];
+    for (const quest of quests) {
+      if (quest.status !== QuestStatus.AVAILABLE) {
+        result.push(quest);
+        continue;
+      }
+
+      const { met, reasons } = await handler.checkPrerequisites(quest.id, actor);
+      if (met) result.push(quest);
+      else if (game.user.isGM || (showLocked && quest.displayPrerequisites !== "hidden")) {
+        result.push({ ...quest, locked: true, lockReasons: reasons });
+      }
+    }
+    return result;
   }
 
   /**
@@ -170,7 +202,7 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
     switch (this._filter) {
       case "active":
         filtered = filtered.filter(q =>
-          q.status === QuestStatus.ACTIVE ||
+          q.status === QuestStatus.ACCEPTED ||
           q.status === QuestStatus.IN_PROGRESS
         );
         break;
@@ -255,9 +287,8 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
       id: quest.id,
       name: quest.name,
       status: quest.status,
-      statusLabel: localize(`QuestStatus.${quest.status}`),
-      statusIcon: this._getStatusIcon(quest.status),
-      statusClass: `status-${quest.status}`,
+      ...this._prepareStatus(quest),
+      locked: !!quest.locked,
       progress,
       progressLabel: `${progress}%`,
       isTracked: quest.id === trackedQuestId,
@@ -267,7 +298,7 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
       typeLabel: localize(`QuestType.${quest.type}`),
       typeIcon: this._getTypeIcon(quest.type),
       giver: quest.giver?.name,
-      hasTimeLimit: !!quest.timeLimit?.enabled
+      hasTimeLimit: quest.expiresAt !== null
     };
   }
 
@@ -281,14 +312,13 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
   _prepareQuestDetails(quest, trackedQuestId) {
     return {
       ...quest,
-      statusLabel: localize(`QuestStatus.${quest.status}`),
-      statusIcon: this._getStatusIcon(quest.status),
-      statusClass: `status-${quest.status}`,
+      ...this._prepareStatus(quest),
+      lockReasons: quest.lockReasons || [],
       typeLabel: localize(`QuestType.${quest.type}`),
       typeIcon: this._getTypeIcon(quest.type),
       progress: this._calculateProgress(quest),
       isTracked: quest.id === trackedQuestId,
-      canAbandon: quest.status === QuestStatus.ACTIVE && game.settings.get(MODULE_ID, "allowQuestAbandonment"),
+      canAbandon: quest.status === QuestStatus.ACCEPTED && game.settings.get(MODULE_ID, "allowQuestAbandonment"),
       objectives: (quest.objectives || []).map(o => this._prepareObjective(o)),
       rewards: this._prepareRewards(quest.rewards),
       hasBranches: quest.branches?.length > 0,
@@ -296,12 +326,29 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
         ...b,
         isChosen: quest.chosenBranch === b.id
       })),
-      timeLimit: quest.timeLimit?.enabled ? this._prepareTimeLimit(quest.timeLimit) : null,
+      ...this._prepareTimeLimit(quest.expiresAt),
       acceptedDate: quest.acceptedAt ? new Date(quest.acceptedAt).toLocaleDateString() : null,
       completedDate: quest.completedAt ? new Date(quest.completedAt).toLocaleDateString() : null
     };
   }
 
+  /**
+   * Prepare status label, icon and class; locked quests show as locked
+   * @param {object} quest - Quest data
+   * @returns {object} {statusLabel, statusIcon, statusClass}
+   * @private
+   */
+  _prepareStatus(quest) {
+    if (quest.locked) {
+      return { statusLabel: localize("Quest.Locked"), statusIcon: "fa-lock", statusClass: "status-locked" };
+    }
+    return {
+      statusLabel: localize(`QuestStatus.${quest.status}`),
+      statusIcon: this._getStatusIcon(quest.status),
+      statusClass: `status-${quest.status}`
+    };
+  }
+
   /**
    * Prepare objective for display
    * @param {object} objective - Objective data
@@ -309,37 +356,21 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
    * @private
    */
   _prepareObjective(objective) {
-    let progressText = "";
-
-    switch (objective.type) {
-      case ObjectiveType.COLLECT:
-      case ObjectiveType.KILL:
-        progressText = `${objective.current || 0}/${objective.target}`;
-        break;
-      case ObjectiveType.DISCOVER:
-      case ObjectiveType.TALK_TO:
-      case ObjectiveType.INTERACT:
-        progressText = objective.completed ? localize("Complete") : localize("Incomplete");
-        break;
-      case ObjectiveType.CUSTOM:
-        if (objective.target > 1) {
-          progressText = `${objective.current || 0}/${objective.target}`;
-        } else {
-          progressText = objective.completed ? localize("Complete") : localize("Incomplete");
-        }
-        break;
-    }
+    const progress = getObjectiveProgress(objective);
+    const hasProgress = progress?.target > 1;
 
     return {
       ...objective,
-      typeLabel: localize(`ObjectiveType.${objective.type}`),
+      description: objective.text,
+      revealed: !objective.hidden || objective.completed,
+      typeLabel: this._getObjectiveTypeLabel(objective.type),
       typeIcon: this._getObjectiveIcon(objective.type),
-      progressText,
-      progressPercent: objective.target > 0 ?
-        Math.round(((objective.current || 0) / objective.target) * 100) : 0,
+      hasProgress,
+      current: progress?.current ?? 0,
+      target: progress?.target ?? 0,
+      progressPercent: hasProgress ? Math.round((progress.current / progress.target) * 100) : 0,
       isOptional: objective.optional,
-      isHidden: objective.hidden && !objective.revealed,
-      isSecret: objective.secret && !game.user.isGM
+      isHidden: objective.hidden && !objective.completed
     };
   }
 
@@ -369,37 +400,28 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
 
   /**
    * Prepare time limit for display
-   * @param {object} timeLimit - Time limit data
-   * @returns {object}
+   * @param {number|null} expiresAt - World time the time limit runs out
+   * @returns {object} {timeLimit, timeRemaining, isUrgent}
    * @private
    */
-  _prepareTimeLimit(timeLimit) {
-    if (!timeLimit.deadline) return null;
+  _prepareTimeLimit(expiresAt) {
+    if (expiresAt === null || expiresAt === undefined) {
+      return { timeLimit: null, timeRemaining: null, isUrgent: false };
+    }
 
-    const now = Date.now();
-    const remaining = timeLimit.deadline - now;
+    const calendar = game.bobsnpc.handlers.calendar;
+    const remaining = expiresAt - game.time.worldTime;
     const isExpired = remaining <= 0;
-    const isUrgent = remaining > 0 && remaining < 24 * 60 * 60 * 1000; // Less than 24 hours
+    const isUrgent = !isExpired && remaining < calendar.getSecondsPerDay(); // Less than a day
 
-    let remainingText;
-    if (isExpired) {
-      remainingText = localize("TimeLimit.Expired");
-    } else {
-      const hours = Math.floor(remaining / (60 * 60 * 1000));
-      const days = Math.floor(hours / 24);
-      if (days > 0) {
-        remainingText = localize("TimeLimit.Days", { days });
-      } else {
-        remainingText = localize("TimeLimit.Hours", { hours });
-      }
-    }
-
-    return {
-      deadline: new Date(timeLimit.deadline).toLocaleString(),
-      remaining: remainingText,
+    const timeLimit = {
+      deadline: calendar.formatDate(expiresAt),
+      remaining: calendar.formatRemaining(expiresAt),
       isExpired,
       isUrgent
     };
+
+    return { timeLimit, timeRemaining: timeLimit.remaining, isUrgent };
   }
 
   /**
@@ -419,7 +441,7 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
   _getStatusIcon(status) {
     const icons = {
       [QuestStatus.AVAILABLE]: "fa-circle",
-      [QuestStatus.ACTIVE]: "fa-circle-play",
+      [QuestStatus.ACCEPTED]: "fa-circle-play",
       [QuestStatus.IN_PROGRESS]: "fa-spinner",
       [QuestStatus.COMPLETED]: "fa-circle-check",
       [QuestStatus.FAILED]: "fa-circle-xmark",
@@ -440,16 +462,30 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
     return icons[type] || "fa-scroll";
   }
 
+  _getObjectiveTypeLabel(type) {
+    const keys = {
+      [ObjectiveType.ITEM_COLLECT]: "ItemCollect",
+      [ObjectiveType.KILL_COUNT]: "KillCount",
+      [ObjectiveType.LOCATION]: "Location",
+      [ObjectiveType.DELIVER]: "Deliver",
+      [ObjectiveType.TALK_TO]: "TalkTo",
+      [ObjectiveType.ESCORT]: "Escort",
+      [ObjectiveType.SKILL_CHECK]: "SkillCheck",
+      [ObjectiveType.MANUAL]: "Manual"
+    };
+    return localize(`Quest.ObjectiveTypes.${keys[type] || "Manual"}`);
+  }
+
   _getObjectiveIcon(type) {
     const icons = {
-      [ObjectiveType.COLLECT]: "fa-box",
-      [ObjectiveType.KILL]: "fa-skull",
+      [ObjectiveType.ITEM_COLLECT]: "fa-box",
+      [ObjectiveType.KILL_COUNT]: "fa-skull",
+      [ObjectiveType.LOCATION]: "fa-map-marker-alt",
+      [ObjectiveType.DELIVER]: "fa-box-open",
       [ObjectiveType.TALK_TO]: "fa-comments",
-      [ObjectiveType.DISCOVER]: "fa-map-marker-alt",
       [ObjectiveType.ESCORT]: "fa-walking",
-      [ObjectiveType.DEFEND]: "fa-shield-alt",
-      [ObjectiveType.INTERACT]: "fa-hand-pointer",
-      [ObjectiveType.CUSTOM]: "fa-tasks"
+      [ObjectiveType.SKILL_CHECK]: "fa-dice-d20",
+      [ObjectiveType.MANUAL]: "fa-tasks"
     };
     return icons[type] || "fa-tasks";
   }
@@ -536,7 +572,9 @@ export class QuestLog extends HandlebarsApplicationMixin(ApplicationV2) {
 
   static async #onShareQuest(event, target) {
     const questId = target.dataset.questId;
-    const quest = getQuestHandler().getQuest(questId);
+    const quest = this.actorUuid
+      ? getQuestHandler().getQuestForActor(questId, this.actorUuid)
+      : getQuestHandler().getQuest(questId);
 
     if (!quest) return;
 
@@ -0,0 +1,128 @@
+/**
+ * Bob's Talking NPCs - Quest Markers
+ * Canvas markers on the regions of open location objectives
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { ObjectiveType } from "../data/quest-model.mjs";
+
+/** Get quest handler instance from API */
+function getQuestHandler() {
+  return game.bobsnpc?.handlers?.quest;
+}
+
+/**
+ * Quest Markers
+ * Draws a marker over each region the viewing user still has to reach.
+ */
+export class QuestMarkers {
+  /**
+   * Marker container on the canvas interface
+   * @type {PIXI.Container|null}
+   */
+  static _container = null;
+
+  /**
+   * Collect the location objectives to mark on a scene
+   * The GM sees every running instance, players their own characters'.
+   * @param {Scene} scene - Viewed scene
+   * @returns {object[]} [{region, label}]
+   */
+  static getMarkers(scene) {
+    const handler = getQuestHandler();
+    if (!handler || !scene) return [];
+
+    const markers = new Map();
+    for (const instance of handler.getInstances({ running: true })) {
+      if (!game.user.isGM && !instance.members.some(uuid => fromUuidSync(uuid)?.isOwner)) continue;
+
+      const quest = handler.getQuestView(instance);
+      for (const objective of quest?.objectives || []) {
+        if (objective.type !== ObjectiveType.LOCATION || !objective.locationMarker) continue;
+        if (objective.completed || objective.failed) continue;
+        if (objective.hidden && !game.user.isGM) continue;
+        if (objective.locationSceneId !== scene.id) continue;
+
+        const region = scene.regions.get(objective.locationRegion);
+        if (!region || markers.has(`${region.id}.${objective.id}`)) continue;
+        markers.set(`${region.id}.${objective.id}`, { region, label: objective.text || quest.name });
+      }
+    }
+
+    return Array.from(markers.values());
+  }
+
+  /**
+   * Redraw the markers for the current scene
+   */
+  static async refresh() {
+    const markers = canvas?.ready ? QuestMarkers.getMarkers(canvas.scene) : [];
+    const texture = markers.length ? await foundry.canvas.loadTexture("icons/svg/book.svg") : null;
+
+    // Cleared after loading so overlapping refreshes don't stack
+    QuestMarkers.clear();
+    if (!markers.length || !canvas.interface) return;
+
+    const container = new PIXI.Container();
+    container.name = `${MODULE_ID}-quest-markers`;
+    container.eventMode = "none";
+
+    // Regions with several objectives stack their labels
+    const offsets = new Map();
+    for (const { region, label } of markers) {
+      const center = region.object?.bounds?.center;
+      if (!center) continue;
+
+      const offset = offsets.get(region.id) || 0;
+      offsets.set(region.id, offset + 1);
+      container.addChild(QuestMarkers._drawMarker(texture, label, center, offset));
+    }
+
+    canvas.interface.addChild(container);
+    QuestMarkers._container = container;
+  }
+
+  /**
+   * Draw one marker
+   * @param {PIXI.Texture} texture - Marker icon
+   * @param {string} label - Objective text
+   * @param {object} center - {x, y} of the region
+   * @param {number} offset - Number of markers already on the region
+   * @returns {PIXI.Container}
+   * @private
+   */
+  static _drawMarker(texture, label, center, offset) {
+    const size = canvas.dimensions.size * 0.6;
+    const marker = new PIXI.Container();
+    marker.position.set(center.x, center.y + (offset * size * 1.5));
+
+    const background = new PIXI.Graphics();
+    background.beginFill(0x000000, 0.6).lineStyle(2, 0xffd700).drawCircle(0, 0, size * 0.7).endFill();
+    marker.addChild(background);
+
+    const icon = new PIXI.Sprite(texture);
+    icon.anchor.set(0.5);
+    icon.width = icon.height = size;
+    icon.tint = 0xffd700;
+    marker.addChild(icon);
+
+    const style = CONFIG.canvasTextStyle.clone();
+    style.fontSize = Math.max(14, Math.round(size * 0.4));
+    const text = new foundry.canvas.containers.PreciseText(label, style);
+    text.anchor.set(0.5, 0);
+    text.position.set(0, size * 0.8);
+    marker.addChild(text);
+
+    return marker;
+  }
+
+  /**
+   * Remove the markers from the canvas
+   */
+  static clear() {
+    QuestMarkers._container?.destroy({ children: true });
+    QuestMarkers._container = null;
+  }
+}
@@ -7,7 +7,8 @@
 const MODULE_ID = "bobs-talking-npcs";
 
 import { localize, getFlag } from "../utils/helpers.mjs";
-import { QuestStatus, ObjectiveType } from "../data/quest-model.mjs";
+import { QuestStatus, ObjectiveType, getObjectiveProgress } from "../data/quest-model.mjs";
+import { getSkillName } from "../data/dialogue-model.mjs";
 
 /** Get quest handler instance from API */
 function getQuestHandler() {
@@ -57,7 +58,8 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
       toggleCollapse: QuestTracker.#onToggleCollapse,
       openQuestLog: QuestTracker.#onOpenQuestLog,
       cycleQuest: QuestTracker.#onCycleQuest,
-      checkObjective: QuestTracker.#onCheckObjective
+      checkObjective: QuestTracker.#onCheckObjective,
+      rollSkillObjective: QuestTracker.#onRollSkillObjective
     }
   };
 
@@ -150,13 +152,15 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
         name: trackedQuest.name,
         status: trackedQuest.status,
         progress,
-        progressLabel: `${completedCount}/${totalCount}`
+        progressLabel: `${completedCount}/${totalCount}`,
+        ...this._prepareTimeRemaining(trackedQuest.expiresAt)
       },
       objectives,
       hasMoreObjectives: (trackedQuest.objectives?.length || 0) > 5,
       moreCount: Math.max(0, (trackedQuest.objectives?.length || 0) - 5),
       theme: game.settings.get(MODULE_ID, "theme") || "dark",
-      canCycle: await this._canCycleQuest()
+      canCycle: await this._canCycleQuest(),
+      isGM: game.user.isGM
     };
   }
 
@@ -173,7 +177,7 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
     if (!trackedId) return null;
 
     this._trackedQuestId = trackedId;
-    return getQuestHandler().getQuest(trackedId);
+    return getQuestHandler().getQuestForActor(trackedId, actor.uuid);
   }
 
   /**
@@ -187,7 +191,7 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const quests = getQuestHandler().getPlayerQuests(actor.uuid);
     const activeQuests = quests.filter(q =>
-      q.status === QuestStatus.ACTIVE ||
+      q.status === QuestStatus.ACCEPTED ||
       q.status === QuestStatus.IN_PROGRESS
     );
 
@@ -201,24 +205,43 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
    * @private
    */
   _prepareObjective(objective) {
-    let progressText = "";
-    let progressPercent = 0;
-
-    if (objective.target > 1) {
-      const current = objective.current || 0;
-      progressText = `${current}/${objective.target}`;
-      progressPercent = Math.round((current / objective.target) * 100);
-    }
+    const progress = getObjectiveProgress(objective);
+    const hasProgress = progress?.target > 1;
+    const open = !objective.completed && !objective.failed;
+    const isSkillCheck = objective.type === ObjectiveType.SKILL_CHECK && objective.skillId;
 
     return {
       id: objective.id,
-      description: objective.description,
+      description: objective.text,
       completed: objective.completed,
+      failed: objective.failed,
       optional: objective.optional,
-      progressText,
-      progressPercent,
-      hasProgress: objective.target > 1,
-      icon: this._getObjectiveIcon(objective.type)
+      progressText: hasProgress ? `${progress.current}/${progress.target}` : "",
+      progressPercent: hasProgress ? Math.round((progress.current / progress.target) * 100) : 0,
+      hasProgress,
+      icon: this._getObjectiveIcon(objective.type),
+      ...(open ? this._prepareTimeRemaining(objective.expiresAt) : {}),
+      canRoll: open && isSkillCheck && !!game.user.character,
+      rollLabel: isSkillCheck
+        ? localize("QuestTracker.RollSkill", { skill: getSkillName(objective.skillId), dc: objective.skillDC })
+        : ""
+    };
+  }
+
+  /**
+   * Prepare the time left before a deadline
+   * @param {number|null} expiresAt - World time the deadline passes
+   * @returns {object} {timeRemaining, isUrgent}
+   * @private
+   */
+  _prepareTimeRemaining(expiresAt) {
+    if (expiresAt === null || expiresAt === undefined) return { timeRemaining: null, isUrgent: false };
+
+    const calendar = game.bobsnpc.handlers.calendar;
+    const remaining = expiresAt - game.time.worldTime;
+    return {
+      timeRemaining: calendar.formatRemaining(expiresAt),
+      isUrgent: remaining < calendar.getSecondsPerDay() // Less than a day
     };
   }
 
@@ -230,14 +253,14 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   _getObjectiveIcon(type) {
     const icons = {
-      [ObjectiveType.COLLECT]: "fa-box",
-      [ObjectiveType.KILL]: "fa-skull",
+      [ObjectiveType.ITEM_COLLECT]: "fa-box",
+      [ObjectiveType.KILL_COUNT]: "fa-skull",
+      [ObjectiveType.LOCATION]: "fa-map-marker-alt",
+      [ObjectiveType.DELIVER]: "fa-box-open",
       [ObjectiveType.TALK_TO]: "fa-comments",
-      [ObjectiveType.DISCOVER]: "fa-map-marker-alt",
       [ObjectiveType.ESCORT]: "fa-walking",
-      [ObjectiveType.DEFEND]: "fa-shield-alt",
-      [ObjectiveType.INTERACT]: "fa-hand-pointer",
-      [ObjectiveType.CUSTOM]: "fa-circle"
+      [ObjectiveType.SKILL_CHECK]: "fa-dice-d20",
+      [ObjectiveType.MANUAL]: "fa-circle"
     };
     return icons[type] || "fa-circle";
   }
@@ -259,7 +282,7 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
 
     const quests = getQuestHandler().getPlayerQuests(actor.uuid);
     const activeQuests = quests.filter(q =>
-      q.status === QuestStatus.ACTIVE ||
+      q.status === QuestStatus.ACCEPTED ||
       q.status === QuestStatus.IN_PROGRESS
     );
 
@@ -287,7 +310,8 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
 
     if (!questId || !objectiveId) return;
 
-    const quest = getQuestHandler().getQuest(questId);
+    const actorUuid = game.user.character?.uuid;
+    const quest = getQuestHandler().getQuestForActor(questId, actorUuid);
     const objective = quest?.objectives?.find(o => o.id === objectiveId);
 
     if (!objective) return;
@@ -295,8 +319,21 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
     // Toggle completion
     await getQuestHandler().updateObjective(questId, objectiveId, {
       completed: !objective.completed,
-      current: objective.completed ? 0 : objective.target
-    });
+      failed: false
+    }, actorUuid);
+
+    this.render();
+  }
+
+  static async #onRollSkillObjective(event, target) {
+    event.stopPropagation();
+
+    const actor = game.user.character;
+    const objectiveId = target.dataset.objectiveId;
+    if (!actor || !this._trackedQuestId || !objectiveId) return;
+
+    const result = await getQuestHandler().rollSkillObjective(this._trackedQuestId, objectiveId, actor);
+    if (!result.success && result.message) ui.notifications.warn(result.message);
 
     this.render();
   }
@@ -386,14 +423,16 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   _registerHooks() {
     this._hooks = [
-      Hooks.on(`${MODULE_ID}.questUpdated`, () => this.render()),
-      Hooks.on(`${MODULE_ID}.questTracked`, () => this.render()),
-      Hooks.on(`${MODULE_ID}.objectiveUpdated`, () => this.render()),
-      Hooks.on("updateActor", (actor) => {
+      [`${MODULE_ID}.questUpdated`, Hooks.on(`${MODULE_ID}.questUpdated`, () => this.render())],
+      [`${MODULE_ID}.questTracked`, Hooks.on(`${MODULE_ID}.questTracked`, () => this.render())],
+      [`${MODULE_ID}.objectiveUpdated`, Hooks.on(`${MODULE_ID}.objectiveUpdated`, () => this.render())],
+      ["updateActor", Hooks.on("updateActor", (actor) => {
         if (actor.id === game.user.character?.id) {
           this.render();
         }
-      })
+      })],
+      // Objective time limits count down with world time
+      ["updateWorldTime", Hooks.on("updateWorldTime", () => this.render())]
     ];
   }
 
@@ -403,7 +442,7 @@ export class QuestTracker extends HandlebarsApplicationMixin(ApplicationV2) {
    */
   _unregisterHooks() {
     if (this._hooks) {
-      this._hooks.forEach(id => Hooks.off(id));
+      this._hooks.forEach(([hook, id]) => Hooks.off(hook, id));
       this._hooks = null;
     }
   }
@@ -0,0 +1,178 @@
+/**
+ * Bob's Talking NPCs - Quick Send Window
+ * One-way sending of items and gold to another party member
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize, getPartyMembers, currencyToCopper } from "../utils/helpers.mjs";
+import { TRADEABLE_ITEM_TYPES } from "../data/trade-model.mjs";
+
+/** Get trade handler instance from API */
+function getTradeHandler() {
+  return game.bobsnpc?.handlers?.trade;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Quick Send Window Application
+ * Picks a party member, the items and the gold to send them
+ */
+export class QuickSendWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.actorUuid - Sending actor UUID
+   * @param {string} options.recipientUuid - Party member to preselect
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.actorUuid = options.actorUuid || game.user.character?.uuid || null;
+    this.recipientUuid = options.recipientUuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-quick-send",
+    classes: ["bobsnpc", "quick-send-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Trade.Send.Title",
+      icon: "fa-solid fa-paper-plane",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 420,
+      height: 520
+    },
+    actions: {
+      send: QuickSendWindow.#onSend
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    content: {
+      template: `modules/${MODULE_ID}/templates/trade/quick-send.hbs`,
+      scrollable: [".quick-send-items"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    const actor = fromUuidSync(this.actorUuid);
+    return actor ? localize("Trade.Send.TitleFrom", { name: actor.name }) : localize("Trade.Send.Title");
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getTradeHandler();
+    const actor = fromUuidSync(this.actorUuid);
+
+    const recipients = actor
+      ? getPartyMembers().filter(member => member.uuid !== actor.uuid).map(member => ({
+        uuid: member.uuid,
+        name: member.name,
+        courierHours: handler.getCourierHours(actor, member),
+        selected: member.uuid === this.recipientUuid
+      }))
+      : [];
+
+    const items = actor
+      ? actor.items.filter(item => TRADEABLE_ITEM_TYPES.includes(item.type)).map(item => ({
+        id: item.id,
+        name: item.name,
+        img: item.img,
+        quantity: item.system.quantity || 1
+      }))
+      : [];
+
+    const pending = actor ? handler.getPendingDeliveries(actor.uuid).map(delivery => ({
+      ...delivery,
+      outgoing: delivery.fromActorUuid === actor.uuid,
+      arrives: game.bobsnpc?.handlers?.calendar?.formatRemaining(delivery.deliverAt) ?? ""
+    })) : [];
+
+    return {
+      ...context,
+      actor,
+      recipients,
+      hasRecipients: recipients.length > 0,
+      items,
+      gold: actor ? currencyToCopper(actor.system?.currency || {}) / 100 : 0,
+      pending,
+      hasPending: pending.length > 0,
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  // ==================== Actions ====================
+
+  static async #onSend(event, target) {
+    const form = this.element.querySelector(".quick-send-form");
+    if (!form) return;
+
+    const toActorUuid = form.querySelector("[name='recipient']")?.value;
+    const recipient = fromUuidSync(toActorUuid);
+    const actor = fromUuidSync(this.actorUuid);
+    if (!recipient || !actor) return;
+
+    const items = Array.from(form.querySelectorAll("[data-item-id]"))
+      .map(input => ({ id: input.dataset.itemId, quantity: Math.floor(Number(input.value) || 0) }))
+      .filter(entry => entry.quantity > 0);
+    const gold = Math.max(0, Number(form.querySelector("[name='gold']")?.value) || 0);
+
+    if (!items.length && !gold) {
+      ui.notifications.warn(localize("Trade.Send.Errors.NothingToSend"));
+      return;
+    }
+
+    const contents = [
+      ...items.map(entry => {
+        const name = actor.items.get(entry.id)?.name ?? "";
+        return entry.quantity > 1 ? `${entry.quantity}× ${name}` : name;
+      }),
+      ...(gold ? [`${gold} gp`] : [])
+    ].join(", ");
+
+    const confirmed = await Dialog.confirm({
+      title: localize("Trade.Send.Title"),
+      content: `<p>${localize("Trade.Send.Confirm", { contents, name: recipient.name })}</p>`
+    });
+    if (!confirmed) return;
+
+    const result = await getTradeHandler().quickSend(this.actorUuid, toActorUuid, { items, gold });
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+
+    if (result.pending) {
+      ui.notifications.info(localize("Trade.Send.Requested"));
+    }
+    this.close();
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the Quick Send window for an actor
+   * @param {string} actorUuid - Sending actor UUID
+   * @param {string} recipientUuid - Party member to preselect
+   * @returns {QuickSendWindow}
+   */
+  static async open(actorUuid, recipientUuid = null) {
+    const existing = foundry.applications.instances.get("bobsnpc-quick-send");
+    if (existing) await existing.close();
+
+    const window = new QuickSendWindow({ actorUuid, recipientUuid });
+    await window.render(true);
+    return window;
+  }
+}
@@ -8,6 +8,7 @@ const MODULE_ID = "bobs-talking-npcs";
 
 import { localize, formatCurrency } from "../utils/helpers.mjs";
 import { ItemCategory } from "../data/merchant-model.mjs";
+import { getStolenMark } from "../data/bounty-model.mjs";
 
 /** Get merchant handler instance from API */
 function getMerchantHandler() {
@@ -265,6 +266,7 @@ export class ShopWindow extends HandlebarsApplicationMixin(ApplicationV2) {
         quantity,
         availableToSell: quantity - inSellCart,
         inSellCart,
+        stolen: !!getStolenMark(item),
         category: this._getItemCategory(item),
         categoryLabel: localize(`ItemCategory.${this._getItemCategory(item)}`),
         rarity: item.system.rarity || "common",
@@ -8,6 +8,11 @@ const MODULE_ID = "bobs-talking-npcs";
 
 import { emit, SocketEvents } from "../socket.mjs";
 
+/** Get trade handler instance from API */
+function getTradeHandler() {
+  return game.bobsnpc?.handlers?.trade;
+}
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
 /**
@@ -37,7 +42,8 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       confirmTrade: TradeWindow.#onConfirmTrade,
       cancelTrade: TradeWindow.#onCancelTrade,
       lockOffer: TradeWindow.#onLockOffer,
-      unlockOffer: TradeWindow.#onUnlockOffer
+      unlockOffer: TradeWindow.#onUnlockOffer,
+      quickSend: TradeWindow.#onQuickSend
     }
   };
 
@@ -97,6 +103,12 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     confirmed: false
   };
 
+  /**
+   * Whether the GM has been asked to settle the trade
+   * @type {boolean}
+   */
+  #settling = false;
+
   /**
    * @param {object} options
    * @param {Actor} options.yourActor - The initiating player's actor
@@ -157,10 +169,34 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       canConfirm: this.#yourOffer.locked && this.#theirOffer.locked,
       bothConfirmed: this.#yourOffer.confirmed && this.#theirOffer.confirmed,
       waitingForThem: this.#yourOffer.confirmed && !this.#theirOffer.confirmed,
-      waitingForYou: !this.#yourOffer.confirmed && this.#theirOffer.confirmed
+      waitingForYou: !this.#yourOffer.confirmed && this.#theirOffer.confirmed,
+      settling: this.#settling
+    };
+  }
+
+  /** @override */
+  async _onFirstRender(context, options) {
+    await super._onFirstRender(context, options);
+
+    // The other side's offers and the GM's settlement arrive over the socket
+    this._hookIds = {
+      updated: Hooks.on(`${MODULE_ID}.tradeUpdated`, (data) => {
+        if (data.userId !== game.user.id && data.actorUuid === this.#theirActor?.uuid) this.updateFromSocket(data);
+      }),
+      completed: Hooks.on(`${MODULE_ID}.tradeCompleted`, (data) => this.#onSettled(data))
     };
   }
 
+  /** @override */
+  async _onClose(options) {
+    await super._onClose(options);
+
+    if (this._hookIds) {
+      Hooks.off(`${MODULE_ID}.tradeUpdated`, this._hookIds.updated);
+      Hooks.off(`${MODULE_ID}.tradeCompleted`, this._hookIds.completed);
+    }
+  }
+
   /**
    * Get actor's tradeable inventory
    * @param {Actor} actor
@@ -231,9 +267,13 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
 
     if (data.type === "offer_update") {
       this.#theirOffer = data.offer;
+
+      // Your confirmation only stands for the offer you saw
+      if (!data.offer.locked && this.#yourOffer.confirmed) {
+        this.#yourOffer.confirmed = false;
+        this.#syncOffer();
+      }
       this.render();
-    } else if (data.type === "trade_complete") {
-      this.#completeTrade(data);
     } else if (data.type === "trade_cancelled") {
       ui.notifications.info(game.i18n.localize("BOBSNPC.Trade.Cancelled"));
       this.close();
@@ -248,6 +288,7 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       tradeId: this.#tradeSession.id,
       type: "offer_update",
       offer: this.#yourOffer,
+      actorUuid: this.#yourActor?.uuid,
       targetUuid: this.#theirActor?.uuid
     });
   }
@@ -397,12 +438,13 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     this.#yourOffer.confirmed = true;
     this.#syncOffer();
 
-    // If both confirmed, execute the trade
+    // The last side to confirm asks the GM to settle
     if (this.#theirOffer.confirmed) {
-      await this.#executeTrade();
-    } else {
-      this.render();
+      this.#settling = true;
+      getTradeHandler().requestSettlement(this.#tradeSession.id, [this.#yourActor.uuid, this.#theirActor.uuid]);
+      ui.notifications.info(game.i18n.localize("BOBSNPC.Trade.Settling"));
     }
+    this.render();
   }
 
   /**
@@ -414,6 +456,7 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
     emit(SocketEvents.TRADE_UPDATE, {
       tradeId: this.#tradeSession.id,
       type: "trade_cancelled",
+      actorUuid: this.#yourActor?.uuid,
       targetUuid: this.#theirActor?.uuid
     });
 
@@ -422,128 +465,33 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   /**
-   * Execute the trade
+   * Send to the other side without a trade
+   * @param {Event} event
+   * @param {HTMLElement} target
    */
-  async #executeTrade() {
-    try {
-      // Verify both sides still have the items/gold
-      const yourGold = this.#getGold(this.#yourActor);
-      const theirGold = this.#getGold(this.#theirActor);
-
-      if (yourGold < this.#yourOffer.gold) {
-        throw new Error(game.i18n.localize("BOBSNPC.Trade.InsufficientGold"));
-      }
-
-      // Transfer items from you to them
-      for (const offerItem of this.#yourOffer.items) {
-        const item = this.#yourActor.items.get(offerItem.id);
-        if (!item) continue;
-
-        const currentQty = item.system.quantity || 1;
-        if (offerItem.quantity >= currentQty) {
-          // Move entire item
-          const itemData = item.toObject();
-          await Item.create(itemData, { parent: this.#theirActor });
-          await item.delete();
-        } else {
-          // Split stack
-          const itemData = item.toObject();
-          itemData.system.quantity = offerItem.quantity;
-          await Item.create(itemData, { parent: this.#theirActor });
-          await item.update({ "system.quantity": currentQty - offerItem.quantity });
-        }
-      }
-
-      // Transfer items from them to you
-      for (const offerItem of this.#theirOffer.items) {
-        const item = this.#theirActor.items.get(offerItem.id);
-        if (!item) continue;
-
-        const currentQty = item.system.quantity || 1;
-        if (offerItem.quantity >= currentQty) {
-          const itemData = item.toObject();
-          await Item.create(itemData, { parent: this.#yourActor });
-          await item.delete();
-        } else {
-          const itemData = item.toObject();
-          itemData.system.quantity = offerItem.quantity;
-          await Item.create(itemData, { parent: this.#yourActor });
-          await item.update({ "system.quantity": currentQty - offerItem.quantity });
-        }
-      }
-
-      // Transfer gold
-      if (this.#yourOffer.gold > 0) {
-        await this.#transferGold(this.#yourActor, this.#theirActor, this.#yourOffer.gold);
-      }
-      if (this.#theirOffer.gold > 0) {
-        await this.#transferGold(this.#theirActor, this.#yourActor, this.#theirOffer.gold);
-      }
-
-      // Notify completion
-      emit(SocketEvents.TRADE_UPDATE, {
-        tradeId: this.#tradeSession.id,
-        type: "trade_complete",
-        targetUuid: this.#theirActor?.uuid
-      });
-
-      ui.notifications.info(game.i18n.localize("BOBSNPC.Trade.Complete"));
-      this.close();
-
-    } catch (error) {
-      console.error(`${MODULE_ID} | Trade failed:`, error);
-      ui.notifications.error(error.message || game.i18n.localize("BOBSNPC.Trade.Failed"));
-    }
+  static #onQuickSend(event, target) {
+    game.bobsnpc?.ui?.openQuickSend(this.#yourActor?.uuid, this.#theirActor?.uuid);
   }
 
   /**
-   * Transfer gold between actors
-   * @param {Actor} from
-   * @param {Actor} to
-   * @param {number} amount - Amount in gold pieces
+   * Handle the GM's settlement of this trade
+   * @param {object} data - {tradeId, success, error}
    */
-  async #transferGold(from, to, amount) {
-    // Convert to copper for precision
-    const copper = Math.round(amount * 100);
-
-    // Deduct from sender
-    const fromCurrency = foundry.utils.deepClone(from.system.currency);
-    let remaining = copper;
-
-    // Deduct from lowest denomination first
-    const deduct = (denom, value) => {
-      const available = (fromCurrency[denom] || 0) * value;
-      const toDeduct = Math.min(available, remaining);
-      fromCurrency[denom] = Math.floor((available - toDeduct) / value);
-      remaining -= toDeduct;
-    };
-
-    deduct("cp", 1);
-    deduct("sp", 10);
-    deduct("ep", 50);
-    deduct("gp", 100);
-    deduct("pp", 1000);
-
-    await from.update({ "system.currency": fromCurrency });
-
-    // Add to recipient (as gold pieces)
-    const toCurrency = foundry.utils.deepClone(to.system.currency);
-    const goldToAdd = Math.floor(copper / 100);
-    const copperRemainder = copper % 100;
-
-    toCurrency.gp = (toCurrency.gp || 0) + goldToAdd;
-    toCurrency.cp = (toCurrency.cp || 0) + copperRemainder;
+  #onSettled(data) {
+    if (data.tradeId !== this.#tradeSession?.id) return;
 
-    await to.update({ "system.currency": toCurrency });
-  }
+    if (data.success) {
+      ui.notifications.info(game.i18n.localize("BOBSNPC.Trade.Complete"));
+      this.close();
+      return;
+    }
 
-  /**
-   * Complete trade from socket notification
-   * @param {object} data
-   */
-  #completeTrade(data) {
-    ui.notifications.info(game.i18n.localize("BOBSNPC.Trade.Complete"));
-    this.close();
+    // Nothing moved; both sides have to confirm again
+    ui.notifications.error(data.error || game.i18n.localize("BOBSNPC.Trade.Failed"));
+    this.#settling = false;
+    this.#yourOffer.confirmed = false;
+    this.#theirOffer.confirmed = false;
+    this.render();
   }
 
   /**
@@ -585,6 +533,7 @@ export class TradeWindow extends HandlebarsApplicationMixin(ApplicationV2) {
       emit(SocketEvents.TRADE_UPDATE, {
         tradeId: this.#tradeSession?.id,
         type: "trade_cancelled",
+        actorUuid: this.#yourActor?.uuid,
         targetUuid: this.#theirActor?.uuid
       });
     }
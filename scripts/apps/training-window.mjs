@@ -0,0 +1,282 @@
+/**
+ * Bob's Talking NPCs - Training Window
+ * Trainer interface for buying skill, tool and language proficiencies
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import { TrainingType, createTrainingOffering } from "../data/service-model.mjs";
+
+/** Get service handler instance from API */
+function getServiceHandler() {
+  return game.bobsnpc?.handlers?.service;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Offering field name for each training type
+ */
+const TYPE_FIELDS = {
+  [TrainingType.SKILL]: "skill",
+  [TrainingType.TOOL]: "tool",
+  [TrainingType.LANGUAGE]: "language"
+};
+
+/**
+ * Training Window Application
+ * Lists a trainer's offerings and the trainee's training in progress
+ */
+export class TrainingWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.npcActorUuid - Trainer NPC UUID
+   * @param {string} options.playerActorUuid - Trainee actor UUID
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.npcActorUuid = options.npcActorUuid;
+    this.playerActorUuid = options.playerActorUuid || game.user.character?.uuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-training",
+    classes: ["bobsnpc", "training-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Training.Title",
+      icon: "fa-solid fa-graduation-cap",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 460,
+      height: 520
+    },
+    actions: {
+      train: TrainingWindow.#onTrain,
+      addOffering: TrainingWindow.#onAddOffering,
+      removeOffering: TrainingWindow.#onRemoveOffering
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    header: {
+      template: `modules/${MODULE_ID}/templates/training/header.hbs`
+    },
+    content: {
+      template: `modules/${MODULE_ID}/templates/training/content.hbs`,
+      scrollable: [".training-offerings"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    const npc = fromUuidSync(this.npcActorUuid);
+    return npc ? `${localize("Training.Title")}: ${npc.name}` : localize("Training.Title");
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getServiceHandler();
+    const npc = fromUuidSync(this.npcActorUuid);
+    const actor = this.playerActorUuid ? fromUuidSync(this.playerActorUuid) : null;
+
+    const offerings = handler.getTrainingOfferings(this.npcActorUuid, this.playerActorUuid);
+
+    let activeTraining = null;
+    const session = actor ? handler.getActiveTraining(actor) : null;
+    if (session) {
+      activeTraining = {
+        ...session,
+        daysRemaining: handler.getRemainingDays(session),
+        atThisTrainer: session.npcActorUuid === this.npcActorUuid
+      };
+    }
+
+    const isGM = game.user.isGM;
+
+    return {
+      ...context,
+      npc,
+      actor,
+      hasActor: !!actor,
+      gold: actor?.system?.currency?.gp ?? 0,
+      offerings,
+      hasOfferings: offerings.length > 0,
+      activeTraining,
+      isGM,
+      trainingChoices: isGM ? this._getTrainingChoices() : [],
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  /**
+   * Build grouped choices for the GM offering editor
+   * @returns {object[]} [{type, label, options: [{value, label}]}]
+   * @private
+   */
+  _getTrainingChoices() {
+    const dnd = CONFIG.DND5E ?? {};
+
+    const skills = Object.entries(dnd.skills ?? {}).map(([key, skill]) => ({ key, label: skill.label }));
+    const tools = Object.keys(dnd.tools ?? {}).map(key => ({
+      key,
+      label: dnd5e.documents.Trait?.keyLabel(key, { trait: "tool" }) || key
+    }));
+    const languages = this._flattenLanguages(dnd.languages ?? {});
+
+    const group = (type, entries) => ({
+      type,
+      label: localize(`Training.Types.${type}`),
+      options: entries
+        .map(e => ({ value: `${type}:${e.key}`, label: e.label }))
+        .sort((a, b) => a.label.localeCompare(b.label))
+    });
+
+    return [
+      group(TrainingType.SKILL, skills),
+      group(TrainingType.TOOL, tools),
+      group(TrainingType.LANGUAGE, languages)
+    ];
+  }
+
+  /**
+   * Flatten the nested dnd5e language config
+   * @param {object} config - CONFIG.DND5E.languages or a children object
+   * @returns {object[]} [{key, label}]
+   * @private
+   */
+  _flattenLanguages(config) {
+    const languages = [];
+    for (const [key, value] of Object.entries(config)) {
+      if (typeof value === "string") {
+        languages.push({ key, label: game.i18n.localize(value) });
+      } else if (value?.children) {
+        languages.push(...this._flattenLanguages(value.children));
+      } else if (value?.label) {
+        languages.push({ key, label: game.i18n.localize(value.label) });
+      }
+    }
+    return languages;
+  }
+
+  /**
+   * Get the trainer's current offerings as stored
+   * @returns {object[]}
+   * @private
+   */
+  _getStoredOfferings() {
+    return getServiceHandler().getTrainingService(this.npcActorUuid)?.offerings ?? [];
+  }
+
+  // ==================== Actions ====================
+
+  static async #onTrain(event, target) {
+    const offeringId = target.dataset.offeringId;
+    const offering = this._getStoredOfferings().find(o => o.id === offeringId);
+    if (!offering) return;
+
+    if (!this.playerActorUuid) {
+      ui.notifications.warn(localize("Errors.NoActorSelected"));
+      return;
+    }
+
+    const confirmed = await Dialog.confirm({
+      title: localize("Training.Train"),
+      content: `<p>${localize("Training.ConfirmTrain", {
+        training: getServiceHandler().getTrainingLabel(offering),
+        price: offering.price,
+        days: offering.timeRequired
+      })}</p>`
+    });
+    if (!confirmed) return;
+
+    const result = await getServiceHandler().startTraining(this.npcActorUuid, this.playerActorUuid, offeringId);
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+
+    this.render();
+  }
+
+  static async #onAddOffering(event, target) {
+    const form = this.element.querySelector(".training-editor");
+    const choice = form?.querySelector("[name='trainingKey']")?.value;
+    if (!choice) return;
+
+    const [type, key] = choice.split(":");
+    const number = (name) => {
+      const value = form.querySelector(`[name='${name}']`)?.value;
+      return value === "" || value === undefined ? undefined : Number(value);
+    };
+
+    const offering = createTrainingOffering({
+      type,
+      [TYPE_FIELDS[type]]: key,
+      price: number("price"),
+      timeRequired: number("timeRequired"),
+      requirements: { level: number("level") }
+    });
+
+    await getServiceHandler().setTrainingOfferings(this.npcActorUuid, [...this._getStoredOfferings(), offering]);
+    this.render();
+  }
+
+  static async #onRemoveOffering(event, target) {
+    const offeringId = target.dataset.offeringId;
+    const offerings = this._getStoredOfferings().filter(o => o.id !== offeringId);
+
+    await getServiceHandler().setTrainingOfferings(this.npcActorUuid, offerings);
+    this.render();
+  }
+
+  // ==================== Hooks ====================
+
+  /** @override */
+  async _onFirstRender(context, options) {
+    await super._onFirstRender(context, options);
+
+    // Refresh as training finishes or world time passes
+    this._hookIds = {
+      completed: Hooks.on(`${MODULE_ID}.trainingCompleted`, () => this.render()),
+      time: Hooks.on("updateWorldTime", () => this.render())
+    };
+  }
+
+  /** @override */
+  async _onClose(options) {
+    await super._onClose(options);
+
+    if (this._hookIds) {
+      Hooks.off(`${MODULE_ID}.trainingCompleted`, this._hookIds.completed);
+      Hooks.off("updateWorldTime", this._hookIds.time);
+    }
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the training window for a trainer
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Trainee actor UUID
+   * @returns {TrainingWindow}
+   */
+  static async open(npcActorUuid, playerActorUuid = null) {
+    const existing = foundry.applications.instances.get("bobsnpc-training");
+    if (existing) await existing.close();
+
+    const window = new TrainingWindow({ npcActorUuid, playerActorUuid });
+    await window.render(true);
+    return window;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Bob's Talking NPCs - Transportation Window
+ * Transporter interface for travelling to other scenes with the party
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import { localize } from "../utils/helpers.mjs";
+import { createTransportDestination } from "../data/service-model.mjs";
+
+/** Get service handler instance from API */
+function getServiceHandler() {
+  return game.bobsnpc?.handlers?.service;
+}
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Transportation Window Application
+ * Lists a transporter's destinations and who will travel
+ */
+export class TransportationWindow extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * @param {object} options - Application options
+   * @param {string} options.npcActorUuid - Transporter NPC UUID
+   * @param {string} options.playerActorUuid - Travelling actor UUID
+   */
+  constructor(options = {}) {
+    super(options);
+
+    this.npcActorUuid = options.npcActorUuid;
+    this.playerActorUuid = options.playerActorUuid || game.user.character?.uuid || null;
+  }
+
+  /** @override */
+  static DEFAULT_OPTIONS = {
+    id: "bobsnpc-transportation",
+    classes: ["bobsnpc", "transportation-window"],
+    tag: "div",
+    window: {
+      frame: true,
+      positioned: true,
+      title: "BOBSNPC.Transportation.Title",
+      icon: "fa-solid fa-route",
+      minimizable: true,
+      resizable: true
+    },
+    position: {
+      width: 480,
+      height: 540
+    },
+    actions: {
+      travel: TransportationWindow.#onTravel,
+      addDestination: TransportationWindow.#onAddDestination,
+      removeDestination: TransportationWindow.#onRemoveDestination
+    }
+  };
+
+  /** @override */
+  static PARTS = {
+    header: {
+      template: `modules/${MODULE_ID}/templates/transportation/header.hbs`
+    },
+    content: {
+      template: `modules/${MODULE_ID}/templates/transportation/content.hbs`,
+      scrollable: [".transportation-destinations"]
+    }
+  };
+
+  /** @override */
+  get title() {
+    const npc = fromUuidSync(this.npcActorUuid);
+    return npc ? `${localize("Transportation.Title")}: ${npc.name}` : localize("Transportation.Title");
+  }
+
+  /** @override */
+  async _prepareContext(options) {
+    const context = await super._prepareContext(options);
+    const handler = getServiceHandler();
+    const npc = fromUuidSync(this.npcActorUuid);
+
+    const travellers = this.playerActorUuid ? handler.getTravellers(this.playerActorUuid) : [];
+    const destinations = handler.getDestinations(this.npcActorUuid, this.playerActorUuid).map(d => ({
+      ...d,
+      travelLabel: this._formatTravelTime(d.travelTime),
+      unaffordableNames: d.unaffordable.join(", ")
+    }));
+
+    const isGM = game.user.isGM;
+
+    return {
+      ...context,
+      npc,
+      hasActor: travellers.length > 0,
+      travellers: travellers.map(a => ({ name: a.name, img: a.img, gold: a.system?.currency?.gp ?? 0 })),
+      destinations,
+      hasDestinations: destinations.length > 0,
+      isGM,
+      scenes: isGM ? game.scenes.map(s => ({ id: s.id, name: s.name })) : [],
+      tables: isGM ? game.tables.map(t => ({ uuid: t.uuid, name: t.name })) : [],
+      theme: game.settings.get(MODULE_ID, "theme") || "dark"
+    };
+  }
+
+  /**
+   * Format travel hours for display
+   * @param {number} hours - Travel time in hours
+   * @returns {string}
+   * @private
+   */
+  _formatTravelTime(hours) {
+    if (hours >= 24 && hours % 24 === 0) {
+      return localize("Transportation.TravelDays", { days: hours / 24 });
+    }
+    return localize("Transportation.TravelHours", { hours });
+  }
+
+  /**
+   * Get the transporter's current destinations as stored
+   * @returns {object[]}
+   * @private
+   */
+  _getStoredDestinations() {
+    return getServiceHandler().getTransportationService(this.npcActorUuid)?.destinations ?? [];
+  }
+
+  // ==================== Actions ====================
+
+  static async #onTravel(event, target) {
+    const destinationId = target.dataset.destinationId;
+    const destination = getServiceHandler()
+      .getDestinations(this.npcActorUuid, this.playerActorUuid)
+      .find(d => d.id === destinationId);
+    if (!destination) return;
+
+    const confirmed = await Dialog.confirm({
+      title: localize("Transportation.Travel"),
+      content: `<p>${localize("Transportation.ConfirmTravel", {
+        destination: destination.name,
+        price: destination.price,
+        total: destination.totalPrice,
+        time: this._formatTravelTime(destination.travelTime)
+      })}</p>`
+    });
+    if (!confirmed) return;
+
+    const result = await getServiceHandler().travel(this.npcActorUuid, this.playerActorUuid, destinationId);
+    if (!result.success) {
+      ui.notifications.warn(result.error);
+      return;
+    }
+
+    if (result.pending) {
+      ui.notifications.info(localize("Transportation.Messages.Requested"));
+    }
+    this.close();
+  }
+
+  static async #onAddDestination(event, target) {
+    const form = this.element.querySelector(".transportation-editor");
+    if (!form) return;
+
+    const value = (name) => form.querySelector(`[name='${name}']`)?.value;
+    const number = (name) => {
+      const raw = value(name);
+      return raw === "" || raw === undefined ? undefined : Number(raw);
+    };
+
+    const sceneId = value("sceneId");
+    if (!sceneId) return;
+
+    const destination = createTransportDestination({
+      name: value("name")?.trim() || game.scenes.get(sceneId)?.name,
+      sceneId,
+      x: number("x"),
+      y: number("y"),
+      price: number("price"),
+      travelTime: value("travelTime"),
+      encounterTableUuid: value("encounterTableUuid"),
+      encounterChance: number("encounterChance")
+    });
+
+    await getServiceHandler().setDestinations(this.npcActorUuid, [...this._getStoredDestinations(), destination]);
+    this.render();
+  }
+
+  static async #onRemoveDestination(event, target) {
+    const destinationId = target.dataset.destinationId;
+    const destinations = this._getStoredDestinations().filter(d => d.id !== destinationId);
+
+    await getServiceHandler().setDestinations(this.npcActorUuid, destinations);
+    this.render();
+  }
+
+  // ==================== Static Factory ====================
+
+  /**
+   * Open the transportation window for a transporter
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Travelling actor UUID
+   * @returns {TransportationWindow}
+   */
+  static async open(npcActorUuid, playerActorUuid = null) {
+    const existing = foundry.applications.instances.get("bobsnpc-transportation");
+    if (existing) await existing.close();
+
+    const window = new TransportationWindow({ npcActorUuid, playerActorUuid });
+    await window.render(true);
+    return window;
+  }
+}
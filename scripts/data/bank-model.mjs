@@ -43,6 +43,15 @@ export const LoanStatus = Object.freeze({
   FORGIVEN: "forgiven"
 });
 
+/**
+ * Calendar days between loan payments per payment frequency
+ */
+export const LoanPaymentInterval = Object.freeze({
+  daily: 1,
+  weekly: 7,
+  monthly: 30
+});
+
 /**
  * Currency types (D&D 5e standard)
  */
@@ -204,8 +213,8 @@ export function createLoan(data = {}) {
     requestedAt: data.requestedAt || Date.now(),
     approvedAt: data.approvedAt || null,
     disbursedAt: data.disbursedAt || null,
-    dueDate: data.dueDate || null,
-    nextPaymentDue: data.nextPaymentDue || null,
+    dueDate: data.dueDate ?? null,                // World time of the final payment
+    nextPaymentDue: data.nextPaymentDue ?? null,  // World time the next payment is due
     paidOffAt: data.paidOffAt || null,
 
     // Collateral
@@ -675,6 +684,15 @@ export function calculateLoanPayments(principal, interestRate, numberOfPayments)
   };
 }
 
+/**
+ * Get calendar days between a loan's payments
+ * @param {object} loan - Loan record
+ * @returns {number}
+ */
+export function getLoanPaymentInterval(loan) {
+  return LoanPaymentInterval[loan.paymentFrequency] ?? LoanPaymentInterval.weekly;
+}
+
 /**
  * Process loan payment
  * @param {object} loan - Loan record
@@ -169,6 +169,7 @@ export function createBounty(data = {}) {
     // Timeline
     issuedAt: data.issuedAt || Date.now(),
     expiresAt: data.expiresAt || null,  // null = never expires
+    ageDays: data.ageDays ?? 0,         // In-game days counted towards decay
     resolvedAt: data.resolvedAt || null,
 
     // Resolution
@@ -270,7 +271,8 @@ export function createJurisdiction(data = {}) {
       attackOnSightThreshold: data.guardBehavior?.attackOnSightThreshold ?? 5000,
       pursuitDistance: data.guardBehavior?.pursuitDistance ?? 100,
       callReinforcements: data.guardBehavior?.callReinforcements ?? true,
-      arrestDialogueId: data.guardBehavior?.arrestDialogueId || null
+      arrestDialogueId: data.guardBehavior?.arrestDialogueId || null,
+      confiscateStolenGoods: data.guardBehavior?.confiscateStolenGoods ?? true
     },
 
     // Bounty decay
@@ -329,6 +331,54 @@ export function createCriminalRecord(data = {}) {
   };
 }
 
+/**
+ * Create a stolen goods mark
+ * Stored in item.flags[MODULE_ID].stolen on items taken through theft
+ * @param {object} data - Mark data
+ * @returns {object}
+ */
+export function createStolenMark(data = {}) {
+  return {
+    originalOwnerUuid: data.originalOwnerUuid || null,
+    originalOwnerName: data.originalOwnerName || "Unknown",
+    jurisdictionId: data.jurisdictionId || null,  // Where the theft happened
+    crimeId: data.crimeId || null,
+    stolenAt: data.stolenAt || Date.now()
+  };
+}
+
+/**
+ * Get the stolen goods mark of an item
+ * @param {Item|object} item - Item document or item data
+ * @returns {object|null}
+ */
+export function getStolenMark(item) {
+  return item?.flags?.[MODULE_ID]?.stolen || null;
+}
+
+/**
+ * Check whether the GM marked an item as notable
+ * Notable items are recognized as stolen anywhere.
+ * @param {Item|object} item - Item document or item data
+ * @returns {boolean}
+ */
+export function isNotableItem(item) {
+  return !!item?.flags?.[MODULE_ID]?.notable;
+}
+
+/**
+ * Check whether an item would be recognized as stolen in a jurisdiction
+ * Notable items are always recognized; others only where they were stolen.
+ * @param {Item|object} item - Item document or item data
+ * @param {string|null} jurisdictionId - Jurisdiction ID
+ * @returns {boolean}
+ */
+export function isRecognizedAsStolen(item, jurisdictionId) {
+  const mark = getStolenMark(item);
+  if (!mark) return false;
+  return isNotableItem(item) || (!!jurisdictionId && mark.jurisdictionId === jurisdictionId);
+}
+
 /**
  * Calculate bounty for a crime
  * @param {object} crime - Crime data
@@ -497,27 +547,34 @@ export function pardonBounty(bounty, pardonedBy, reason = "") {
 
 /**
  * Apply bounty decay
+ * Ages the bounty by a number of in-game days; once it is older than the
+ * jurisdiction's minimum age, each further day reduces the amount.
  * @param {object} bounty - Bounty data
  * @param {object} jurisdiction - Jurisdiction config
+ * @param {number} days - In-game days elapsed
  * @returns {object} Updated bounty
  */
-export function applyBountyDecay(bounty, jurisdiction) {
+export function applyBountyDecay(bounty, jurisdiction, days = 1) {
   if (!jurisdiction.bountyDecay.enabled) return bounty;
   if (bounty.status !== BountyStatus.ACTIVE) return bounty;
+  if (days <= 0) return bounty;
 
   const now = Date.now();
-  const ageInDays = (now - bounty.issuedAt) / (24 * 60 * 60 * 1000);
+  const previousAge = bounty.ageDays ?? 0;
+  const ageDays = previousAge + days;
+  const { minimumAge, amountPerDay } = jurisdiction.bountyDecay;
 
-  if (ageInDays < jurisdiction.bountyDecay.minimumAge) return bounty;
-
-  const daysToDecay = ageInDays - jurisdiction.bountyDecay.minimumAge;
-  const decay = Math.floor(daysToDecay) * jurisdiction.bountyDecay.amountPerDay;
+  const decayDays = Math.max(0, ageDays - Math.max(previousAge, minimumAge));
+  if (decayDays <= 0) {
+    return { ...bounty, ageDays };
+  }
 
-  const newAmount = Math.max(0, bounty.amount - decay);
+  const newAmount = Math.max(0, bounty.amount - (decayDays * amountPerDay));
 
   if (newAmount === 0) {
     return {
       ...bounty,
+      ageDays,
       status: BountyStatus.EXPIRED,
       amount: 0,
       resolvedAt: now,
@@ -531,6 +588,7 @@ export function applyBountyDecay(bounty, jurisdiction) {
 
   return {
     ...bounty,
+    ageDays,
     amount: newAmount,
     updatedAt: now
   };
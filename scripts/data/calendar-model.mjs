@@ -0,0 +1,236 @@
+/**
+ * Bob's Talking NPCs - Calendar Data Model
+ * Defines the module's own calendar and converts world time into calendar dates
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+/**
+ * Calendar provider enum
+ * Other calendar modules can add providers through the calendar handler.
+ */
+export const CalendarProvider = Object.freeze({
+  AUTO: "auto",
+  NATIVE: "native",
+  SIMPLE_CALENDAR: "simple-calendar"
+});
+
+/**
+ * Default weekdays (ids match the NPC schedule day ids)
+ */
+export const DEFAULT_WEEKDAYS = Object.freeze([
+  { id: "monday", name: "Monday", weekend: false },
+  { id: "tuesday", name: "Tuesday", weekend: false },
+  { id: "wednesday", name: "Wednesday", weekend: false },
+  { id: "thursday", name: "Thursday", weekend: false },
+  { id: "friday", name: "Friday", weekend: false },
+  { id: "saturday", name: "Saturday", weekend: true },
+  { id: "sunday", name: "Sunday", weekend: true }
+]);
+
+/**
+ * Default months (365-day year, no leap years)
+ */
+export const DEFAULT_MONTHS = Object.freeze([
+  { name: "January", days: 31 },
+  { name: "February", days: 28 },
+  { name: "March", days: 31 },
+  { name: "April", days: 30 },
+  { name: "May", days: 31 },
+  { name: "June", days: 30 },
+  { name: "July", days: 31 },
+  { name: "August", days: 31 },
+  { name: "September", days: 30 },
+  { name: "October", days: 31 },
+  { name: "November", days: 30 },
+  { name: "December", days: 31 }
+]);
+
+/**
+ * Create a weekday
+ * @param {object|string} data - Weekday data or name
+ * @returns {object}
+ */
+export function createWeekday(data = {}) {
+  if (typeof data === "string") data = { name: data };
+  const name = data.name?.trim() || "Day";
+
+  return {
+    id: data.id || name.toLowerCase().replace(/[^a-z0-9]+/g, "-"),
+    name,
+    weekend: data.weekend ?? false
+  };
+}
+
+/**
+ * Create a month
+ * @param {object} data - Month data
+ * @returns {object}
+ */
+export function createMonth(data = {}) {
+  return {
+    name: data.name?.trim() || "Month",
+    days: Math.max(1, Math.floor(data.days ?? 30))
+  };
+}
+
+/**
+ * Create the native calendar configuration
+ * Stored in the "calendarConfig" world setting
+ * @param {object} data - Calendar data
+ * @returns {object}
+ */
+export function createCalendarConfig(data = {}) {
+  const weekdays = (data.weekdays?.length ? data.weekdays : DEFAULT_WEEKDAYS).map(createWeekday);
+  const months = (data.months?.length ? data.months : DEFAULT_MONTHS).map(createMonth);
+
+  return {
+    hoursPerDay: Math.max(1, Math.floor(data.hoursPerDay ?? 24)),
+    minutesPerHour: Math.max(1, Math.floor(data.minutesPerHour ?? 60)),
+    secondsPerMinute: Math.max(1, Math.floor(data.secondsPerMinute ?? 60)),
+    weekdays,
+    months,
+    startYear: Math.floor(data.startYear ?? 1),           // Year at world time 0
+    startWeekday: Math.floor(data.startWeekday ?? 0)      // Weekday index at world time 0
+  };
+}
+
+/**
+ * Get seconds per hour for a calendar
+ * @param {object} config - Calendar config
+ * @returns {number}
+ */
+export function getSecondsPerHour(config) {
+  return config.minutesPerHour * config.secondsPerMinute;
+}
+
+/**
+ * Get seconds per day for a calendar
+ * @param {object} config - Calendar config
+ * @returns {number}
+ */
+export function getSecondsPerDay(config) {
+  return config.hoursPerDay * getSecondsPerHour(config);
+}
+
+/**
+ * Get days per year for a calendar
+ * @param {object} config - Calendar config
+ * @returns {number}
+ */
+export function getDaysPerYear(config) {
+  return config.months.reduce((sum, month) => sum + month.days, 0);
+}
+
+/**
+ * Convert world time into a calendar date
+ * @param {number} worldTime - World time in seconds
+ * @param {object} config - Calendar config
+ * @returns {object} Calendar date (see createCalendarDate)
+ */
+export function timeToDate(worldTime, config) {
+  const secondsPerHour = getSecondsPerHour(config);
+  const secondsPerDay = getSecondsPerDay(config);
+  const daysPerYear = getDaysPerYear(config);
+
+  const dayIndex = Math.floor(worldTime / secondsPerDay);
+  const secondOfDay = worldTime - (dayIndex * secondsPerDay);
+
+  const yearIndex = Math.floor(dayIndex / daysPerYear);
+  let dayOfYear = dayIndex - (yearIndex * daysPerYear);
+
+  let month = 0;
+  while (month < config.months.length - 1 && dayOfYear >= config.months[month].days) {
+    dayOfYear -= config.months[month].days;
+    month++;
+  }
+
+  const weekdayCount = config.weekdays.length;
+  const weekdayIndex = (((dayIndex + config.startWeekday) % weekdayCount) + weekdayCount) % weekdayCount;
+  const weekday = config.weekdays[weekdayIndex];
+
+  return createCalendarDate({
+    dayIndex,
+    year: config.startYear + yearIndex,
+    month,
+    monthName: config.months[month].name,
+    day: dayOfYear + 1,
+    weekdayIndex,
+    dayOfWeek: weekday.id,
+    weekdayName: weekday.name,
+    isWeekend: weekday.weekend,
+    hour: Math.floor(secondOfDay / secondsPerHour),
+    minute: Math.floor((secondOfDay % secondsPerHour) / config.secondsPerMinute)
+  });
+}
+
+/**
+ * Create a calendar date
+ * The shape every calendar adapter returns.
+ * @param {object} data - Date data
+ * @returns {object}
+ */
+export function createCalendarDate(data = {}) {
+  return {
+    dayIndex: data.dayIndex ?? 0,        // Whole days since world time 0
+    year: data.year ?? 1,
+    month: data.month ?? 0,              // 0-based month index
+    monthName: data.monthName || "",
+    day: data.day ?? 1,                  // 1-based day of month
+    weekdayIndex: data.weekdayIndex ?? 0,
+    dayOfWeek: data.dayOfWeek || null,   // Weekday id, matched by NPC schedules
+    weekdayName: data.weekdayName || "",
+    isWeekend: data.isWeekend ?? false,
+    hour: data.hour ?? 0,
+    minute: data.minute ?? 0
+  };
+}
+
+/**
+ * Format a calendar date for display
+ * @param {object} date - Calendar date
+ * @param {object} options - {time: include the time of day}
+ * @returns {string}
+ */
+export function formatCalendarDate(date, { time = true } = {}) {
+  const text = `${date.weekdayName ? `${date.weekdayName}, ` : ""}${date.day} ${date.monthName} ${date.year}`.trim();
+  if (!time) return text;
+
+  const minute = String(date.minute).padStart(2, "0");
+  return `${text}, ${date.hour}:${minute}`;
+}
+
+/**
+ * Parse a comma-separated weekday list
+ * Names ending in "*" are weekend days, e.g. "Moonday, Starday, Restday*".
+ * @param {string} text - Weekday list
+ * @returns {object[]}
+ */
+export function parseWeekdays(text) {
+  return String(text || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => createWeekday({
+      name: entry.replace(/\*$/, ""),
+      weekend: entry.endsWith("*")
+    }));
+}
+
+/**
+ * Parse a comma-separated month list
+ * Each entry is "Name:days", e.g. "Hammer:30, Alturiak:30".
+ * @param {string} text - Month list
+ * @returns {object[]}
+ */
+export function parseMonths(text) {
+  return String(text || "")
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, days] = entry.split(":");
+      return createMonth({ name, days: Number(days) || 30 });
+    });
+}
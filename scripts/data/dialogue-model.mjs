@@ -43,7 +43,8 @@ export const ConditionType = Object.freeze({
   FLAG: "flag",
   TIME: "time",
   PREVIOUS_CHOICE: "previous_choice",
-  RANDOM: "random"
+  RANDOM: "random",
+  WORLD_STATE: "world_state"
 });
 
 /**
@@ -66,7 +67,8 @@ export const EffectType = Object.freeze({
   CHAT_MESSAGE: "chat_message",
   UNLOCK_AREA: "unlock_area",
   PLAY_SOUND: "play_sound",
-  PLAY_ANIMATION: "play_animation"
+  PLAY_ANIMATION: "play_animation",
+  SET_WORLD_STATE: "set_world_state"
 });
 
 /**
@@ -85,6 +87,7 @@ export const ActionType = Object.freeze({
   TAKE_GOLD: "take_gold",
   GIVE_XP: "give_xp",
   SET_VARIABLE: "set_variable",
+  SET_WORLD_STATE: "set_world_state",
   UNLOCK_DIALOGUE: "unlock_dialogue",
   OPEN_SHOP: "open_shop",
   OPEN_BANK: "open_bank",
@@ -217,6 +220,14 @@ export function createCondition(data = {}) {
         chance: data.chance || 0.5  // 0-1 probability
       };
 
+    case ConditionType.WORLD_STATE:
+      return {
+        ...base,
+        key: data.key || "",
+        value: data.value ?? "",
+        comparison: data.comparison || Comparison.EQUALS
+      };
+
     default:
       return base;
   }
@@ -325,6 +336,13 @@ export function createEffect(data = {}) {
         animationId: data.animationId || ""
       };
 
+    case EffectType.SET_WORLD_STATE:
+      return {
+        ...base,
+        key: data.key || "",
+        value: data.value ?? ""
+      };
+
     default:
       return base;
   }
@@ -537,7 +555,7 @@ export function createDialogue(data = {}) {
     expectedScenes: data.expectedScenes || [],  // Scene UUIDs where this NPC should be
 
     // Nodes map
-    nodes: {},
+    nodes: data.nodes || {},
 
     // Metadata
     createdAt: data.createdAt || Date.now(),
@@ -832,9 +850,11 @@ function evaluateSingleCondition(condition, context) {
     }
 
     case ConditionType.TIME: {
-      // Would need Simple Calendar or game time integration
-      // For now, return true
-      return true;
+      const hour = game.bobsnpc?.handlers?.calendar?.getDate().hour;
+      if (hour === undefined) return true;
+      return condition.from <= condition.to
+        ? hour >= condition.from && hour < condition.to
+        : hour >= condition.from || hour < condition.to;
     }
 
     // Other conditions would need access to quest/faction systems
@@ -0,0 +1,158 @@
+/**
+ * Bob's Talking NPCs - World Event Data Model
+ * Defines world event definitions, their triggers, durations and effects
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { generateId } from "../utils/helpers.mjs";
+
+/**
+ * Event trigger type enum
+ */
+export const EventTriggerType = Object.freeze({
+  MANUAL: "manual",                   // Started by the GM
+  CALENDAR: "calendar",               // Starts on a calendar date
+  QUEST_COMPLETION: "quest_completion" // Starts when a quest is completed
+});
+
+/**
+ * Event duration unit enum
+ */
+export const EventDurationType = Object.freeze({
+  HOURS: "hours",
+  DAYS: "days",
+  WEEKS: "weeks",
+  INDEFINITE: "indefinite"            // Runs until ended by the GM
+});
+
+/**
+ * Event effect type enum
+ */
+export const EventEffectType = Object.freeze({
+  SHOP_DISCOUNT: "shop_discount",     // Merchants of a faction (or all) sell cheaper
+  SPECIAL_QUESTS: "special_quests",   // Hidden quests are offered while the event runs
+  NPC_DIALOGUE: "npc_dialogue"        // NPCs use another dialogue while the event runs
+});
+
+/**
+ * Most calendar days checked for date triggers after a time skip
+ */
+export const MAX_TRIGGER_CATCH_UP_DAYS = 366;
+
+/**
+ * Create an event trigger
+ * @param {object} data - Trigger data
+ * @returns {object}
+ */
+export function createEventTrigger(data = {}) {
+  return {
+    type: data.type || EventTriggerType.MANUAL,
+    calendarDate: data.calendarDate ? {
+      month: Number(data.calendarDate.month) || 1,   // 1-based month
+      day: Number(data.calendarDate.day) || 1,       // 1-based day of month
+      year: data.calendarDate.year ? Number(data.calendarDate.year) : null  // null = every year
+    } : null,
+    questId: data.questId || null
+  };
+}
+
+/**
+ * Create an event effect
+ * @param {object} data - Effect data
+ * @returns {object}
+ */
+export function createEventEffect(data = {}) {
+  const type = data.type || EventEffectType.SHOP_DISCOUNT;
+
+  switch (type) {
+    case EventEffectType.SHOP_DISCOUNT:
+      return {
+        type,
+        factionId: data.factionId || null,   // null = every merchant
+        discount: Math.max(0, Math.min(1, Number(data.discount) || 0))  // 0-1
+      };
+    case EventEffectType.SPECIAL_QUESTS:
+      return {
+        type,
+        questIds: [data.questIds || []].flat().filter(Boolean)
+      };
+    case EventEffectType.NPC_DIALOGUE:
+      return {
+        type,
+        dialogueOverrides: { ...(data.dialogueOverrides || {}) }  // {npcActorUuid: dialogueId}
+      };
+    default:
+      return { ...data, type };
+  }
+}
+
+/**
+ * Create a world event definition
+ * Stored in the "worldEvents" world setting
+ * @param {object} data - Event data
+ * @returns {object}
+ */
+export function createWorldEvent(data = {}) {
+  return {
+    id: data.id || generateId(),
+    name: data.name || "New Event",
+    description: data.description || "",
+
+    trigger: createEventTrigger(data.trigger || {}),
+
+    duration: {
+      type: data.duration?.type || EventDurationType.DAYS,
+      value: Math.max(0, Number(data.duration?.value ?? 1) || 0)
+    },
+
+    effects: (data.effects || []).map(effect => createEventEffect(effect)),
+
+    announcement: {
+      chatMessage: data.announcement?.chatMessage || "",
+      endMessage: data.announcement?.endMessage || "",
+      showBanner: data.announcement?.showBanner ?? true
+    },
+
+    // Last calendar day a date trigger fired, so a date only fires once
+    lastTriggeredDay: data.lastTriggeredDay ?? null,
+
+    createdAt: data.createdAt || Date.now(),
+    updatedAt: data.updatedAt || Date.now()
+  };
+}
+
+/**
+ * Create an active event
+ * Stored in the "activeEvents" world setting. Holds a copy of the definition's
+ * effects so every client can apply them without the definitions.
+ * @param {object} data - Active event data
+ * @returns {object}
+ */
+export function createActiveEvent(data = {}) {
+  return {
+    id: data.id || null,                 // Event definition ID
+    name: data.name || data.id || "",
+    effects: (data.effects || []).map(effect => createEventEffect(effect)),
+    startedAt: data.startedAt || Date.now(),
+    startTime: data.startTime ?? 0,      // World time the event started
+    endsAt: data.endsAt ?? null,         // World time it expires, null = until ended
+    triggeredBy: data.triggeredBy || EventTriggerType.MANUAL,
+    revealedQuestIds: data.revealedQuestIds || []  // Quests this event unhid
+  };
+}
+
+/**
+ * Check whether a calendar date matches a date trigger
+ * @param {object} trigger - Event trigger
+ * @param {object} date - Calendar date
+ * @returns {boolean}
+ */
+export function matchesCalendarDate(trigger, date) {
+  const target = trigger.calendarDate;
+  if (trigger.type !== EventTriggerType.CALENDAR || !target) return false;
+
+  return date.month + 1 === target.month &&
+    date.day === target.day &&
+    (target.year === null || date.year === target.year);
+}
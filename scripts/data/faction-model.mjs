@@ -189,6 +189,7 @@ export function createPlayerStanding(data = {}) {
     questsCompleted: data.questsCompleted ?? 0,
     joinedAt: data.joinedAt || null,
     lastActivity: data.lastActivity || null,
+    idleDays: data.idleDays ?? 0,  // In-game days since activity that have not decayed yet
     history: data.history || []  // Array of {date, change, reason}
   };
 }
@@ -255,6 +256,7 @@ export function createFaction(data = {}) {
     hostileThreshold: data.hostileThreshold ?? -50,
     attackOnSight: data.attackOnSight ?? false,
     bountyEnabled: data.bountyEnabled ?? true,
+    criminal: data.criminal ?? false,  // Underworld faction; fencing stolen goods raises standing
 
     // Metadata
     createdAt: data.createdAt || Date.now(),
@@ -438,7 +440,8 @@ export const FactionTemplates = {
       createRank({ id: "master_thief", name: "Master Thief", order: 5, requirements: { reputation: 1000 } })
     ],
     hostileThreshold: -75,
-    bountyEnabled: true
+    bountyEnabled: true,
+    criminal: true
   },
 
   merchant_consortium: {
@@ -108,7 +108,7 @@ export function createContract(data = {}) {
     wage: data.wage ?? 10,  // Gold per period
     paymentSchedule: data.paymentSchedule || "upfront",  // upfront, end, split
     lastPayment: data.lastPayment || null,
-    nextPaymentDue: data.nextPaymentDue || null,
+    nextPaymentDue: data.nextPaymentDue || null,  // World time the next wage is due
     totalPaid: data.totalPaid ?? 0,
     owedAmount: data.owedAmount ?? 0,
 
@@ -0,0 +1,224 @@
+/**
+ * Bob's Talking NPCs - Loot Data Model
+ * Defines the structure for loot containers, corpse piles and distribution state
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { generateId } from "../utils/helpers.mjs";
+
+/**
+ * Container type enum
+ */
+export const ContainerType = Object.freeze({
+  CONTAINER: "container",
+  CORPSE_PILE: "corpse_pile"
+});
+
+/**
+ * Loot distribution mode enum
+ * Values match the lootDistribution setting
+ */
+export const DistributionMode = Object.freeze({
+  FREE: "free",
+  NEED_GREED: "need_greed",
+  ROUND_ROBIN: "round_robin",
+  PARTY_VAULT: "party_vault",
+  GM: "gm"
+});
+
+/**
+ * Need/greed roll choice enum
+ */
+export const LootRollChoice = Object.freeze({
+  NEED: "need",
+  GREED: "greed",
+  PASS: "pass"
+});
+
+/**
+ * Item types that are moved into corpse piles
+ */
+export const LootableItemTypes = Object.freeze([
+  "weapon",
+  "equipment",
+  "consumable",
+  "tool",
+  "loot",
+  "container"
+]);
+
+/**
+ * Create a loot entry (one stack of items in a container)
+ * @param {object} data - Entry data
+ * @returns {object}
+ */
+export function createLootEntry(data = {}) {
+  return {
+    id: data.id || generateId(),
+    name: data.name || data.itemData?.name || "Item",
+    img: data.img || data.itemData?.img || "icons/svg/item-bag.svg",
+    quantity: data.quantity ?? data.itemData?.system?.quantity ?? 1,
+
+    // Item source data used to create the item on the receiving actor
+    itemData: data.itemData || null,
+    sourceUuid: data.sourceUuid || null,
+
+    // Need/greed rolls {actorUuid: {choice, total}}
+    rolls: data.rolls || {},
+
+    // Everyone passed, so the item is free to take
+    passed: data.passed ?? false
+  };
+}
+
+/**
+ * Create lock configuration
+ * @param {object} data - Lock data
+ * @returns {object}
+ */
+export function createLock(data = {}) {
+  return {
+    locked: data.locked ?? false,
+    dc: data.dc ?? 15,
+    keyItemName: data.keyItemName || null   // Item name that opens the lock
+  };
+}
+
+/**
+ * Create trap configuration
+ * @param {object} data - Trap data
+ * @returns {object}
+ */
+export function createTrap(data = {}) {
+  return {
+    enabled: data.enabled ?? false,
+    dc: data.dc ?? 14,
+    damage: data.damage || "2d6",
+    damageType: data.damageType || "piercing",
+    disarmed: data.disarmed ?? false,
+    triggered: data.triggered ?? false
+  };
+}
+
+/**
+ * Create a loot container
+ * @param {object} data - Container data
+ * @returns {object}
+ */
+export function createLootContainer(data = {}) {
+  return {
+    id: data.id || generateId(),
+    type: data.type || ContainerType.CONTAINER,
+    name: data.name || "Loot",
+    img: data.img || "icons/svg/chest.svg",
+
+    // Contents
+    contents: (data.contents || []).map(e => createLootEntry(e)),
+    currency: {
+      pp: data.currency?.pp || 0,
+      gp: data.currency?.gp || 0,
+      ep: data.currency?.ep || 0,
+      sp: data.currency?.sp || 0,
+      cp: data.currency?.cp || 0
+    },
+
+    // Contents rolled from a RollTable on first opening
+    lootTable: {
+      tableUuid: data.lootTable?.tableUuid || null,
+      rolls: data.lootTable?.rolls ?? 1,
+      rolled: data.lootTable?.rolled ?? false
+    },
+
+    // Lock and trap
+    lock: createLock(data.lock || {}),
+    trap: createTrap(data.trap || {}),
+    opened: data.opened ?? false,
+
+    // Distribution (null = use the lootDistribution setting)
+    distribution: data.distribution || null,
+    turnOrder: data.turnOrder || [],        // Actor UUIDs for round robin
+    turnIndex: data.turnIndex || 0,
+
+    // Remove the container once it is empty
+    oneTime: data.oneTime ?? true,
+
+    // Map location
+    location: {
+      sceneId: data.location?.sceneId || null,
+      x: data.location?.x ?? null,
+      y: data.location?.y ?? null,
+      noteId: data.location?.noteId || null
+    },
+
+    // Corpse pile source
+    sourceCombatId: data.sourceCombatId || null,
+    sourceActors: data.sourceActors || [],  // Names of the looted creatures
+
+    createdAt: data.createdAt || Date.now(),
+    updatedAt: data.updatedAt || Date.now()
+  };
+}
+
+/**
+ * Check whether a container has anything left in it
+ * @param {object} container - Loot container
+ * @returns {boolean}
+ */
+export function isContainerEmpty(container) {
+  const hasCurrency = Object.values(container.currency || {}).some(v => v > 0);
+  return !container.contents.length && !hasCurrency;
+}
+
+/**
+ * Get the actor whose turn it is to pick in round robin
+ * @param {object} container - Loot container
+ * @returns {string|null} Actor UUID
+ */
+export function getCurrentPicker(container) {
+  if (!container.turnOrder.length) return null;
+  return container.turnOrder[container.turnIndex % container.turnOrder.length];
+}
+
+/**
+ * Resolve need/greed rolls for an entry
+ * Need beats greed; ties go to whoever rolled first.
+ * @param {object} entry - Loot entry
+ * @param {string[]} eligible - Actor UUIDs expected to roll
+ * @param {boolean} force - Resolve even if not everyone has rolled
+ * @returns {object} {resolved, winner}
+ */
+export function resolveNeedGreed(entry, eligible, force = false) {
+  const rolls = Object.entries(entry.rolls || {});
+  const pending = eligible.filter(uuid => !entry.rolls?.[uuid]);
+  if (pending.length && !force) return { resolved: false, winner: null };
+
+  for (const choice of [LootRollChoice.NEED, LootRollChoice.GREED]) {
+    const contenders = rolls.filter(([, roll]) => roll.choice === choice);
+    if (!contenders.length) continue;
+
+    let best = contenders[0];
+    for (const contender of contenders) {
+      if (contender[1].total > best[1].total) best = contender;
+    }
+    return { resolved: true, winner: best[0] };
+  }
+
+  return { resolved: true, winner: null };
+}
+
+/**
+ * Split a currency pile evenly between a number of recipients
+ * @param {object} currency - {pp, gp, ep, sp, cp}
+ * @param {number} count - Number of recipients
+ * @returns {object} {share, remainder}
+ */
+export function splitCurrency(currency, count) {
+  const share = {};
+  const remainder = {};
+  for (const [denom, amount] of Object.entries(currency)) {
+    share[denom] = count > 0 ? Math.floor(amount / count) : 0;
+    remainder[denom] = amount - (share[denom] * count);
+  }
+  return { share, remainder };
+}
@@ -96,6 +96,7 @@ export function createShopItem(data = {}) {
   return {
     id: data.id || generateId(),
     itemUuid: data.itemUuid || null,        // Reference to compendium/world item
+    itemData: data.itemData || null,        // Item source held in stock (player shops)
     name: data.name || "",                   // Display name override
     quantity: data.quantity ?? -1,           // -1 = unlimited
     maxQuantity: data.maxQuantity ?? -1,     // For restocking
@@ -248,7 +249,7 @@ export function createStockRefreshConfig(data = {}) {
   return {
     type: data.type || StockRefreshType.WEEKLY,
     interval: data.interval ?? 7,  // Days for custom interval
-    lastRefresh: data.lastRefresh || null,
+    lastRefresh: data.lastRefresh ?? null,  // World time of the last restock
 
     // Partial refresh options
     partialRefresh: data.partialRefresh ?? true,
@@ -304,7 +305,8 @@ export function createMerchant(data = {}) {
       maxValue: data.buyBack?.maxValue ?? 0,  // 0 = no limit
       requireIdentified: data.buyBack?.requireIdentified ?? true,
       excludeEquipped: data.buyBack?.excludeEquipped ?? true,
-      excludeAttuned: data.buyBack?.excludeAttuned ?? true
+      excludeAttuned: data.buyBack?.excludeAttuned ?? true,
+      stolenGoods: data.buyBack?.stolenGoods || "report"  // refuse, report (fences always buy)
     },
 
     // Services offered
@@ -350,6 +352,9 @@ export function createMerchant(data = {}) {
     // Linked NPC
     npcActorUuid: data.npcActorUuid || null,
 
+    // Property whose owner stocks this shop (player shops)
+    propertyId: data.propertyId || null,
+
     // Metadata
     createdAt: data.createdAt || Date.now(),
     updatedAt: data.updatedAt || Date.now(),
@@ -425,6 +430,7 @@ export function calculatePrice(shopItem, merchant, context = {}, transactionType
     charisma: 0,
     reputation: 0,
     faction: 0,
+    event: 0,
     total: 0
   };
 
@@ -466,8 +472,14 @@ export function calculatePrice(shopItem, merchant, context = {}, transactionType
     }
   }
 
+  // Apply world event discount
+  if (context.eventDiscount && isBuying) {
+    discounts.event = price * context.eventDiscount;
+    price -= discounts.event;
+  }
+
   // Calculate total discount
-  discounts.total = discounts.charisma + discounts.reputation + discounts.faction;
+  discounts.total = discounts.charisma + discounts.reputation + discounts.faction + discounts.event;
 
   // Round price
   if (pricing.roundPrices) {
@@ -664,11 +676,11 @@ export function checkItemRequirements(shopItem, context = {}) {
 /**
  * Refresh shop stock based on configuration
  * @param {object} merchant - Merchant data
+ * @param {number} worldTime - World time of the refresh in seconds
  * @returns {object} Updated merchant data
  */
-export function refreshStock(merchant) {
+export function refreshStock(merchant, worldTime = 0) {
   const config = merchant.stockRefresh;
-  const now = Date.now();
 
   const updatedInventory = merchant.inventory.map(item => {
     // Skip items with unlimited stock
@@ -697,7 +709,7 @@ export function refreshStock(merchant) {
     return {
       ...item,
       quantity: newQuantity,
-      lastRestocked: now
+      lastRestocked: worldTime
     };
   });
 
@@ -706,9 +718,9 @@ export function refreshStock(merchant) {
     inventory: updatedInventory,
     stockRefresh: {
       ...config,
-      lastRefresh: now
+      lastRefresh: worldTime
     },
-    updatedAt: now
+    updatedAt: Date.now()
   };
 }
 
@@ -204,7 +204,8 @@ export function createNPCConfig(data = {}) {
       transportation: data.services?.transportation || null,
       information: data.services?.information || null,
       inn: data.services?.inn || null,
-      repair: data.services?.repair || null
+      repair: data.services?.repair || null,
+      fence: data.services?.fence || null  // {enabled, stolenGoodsRate}
     },
 
     // Hirelings available (if recruiter)
@@ -239,6 +240,7 @@ export function createNPCConfig(data = {}) {
     essential: data.essential ?? false,  // Cannot be killed
     respawns: data.respawns ?? false,
     respawnDelay: data.respawnDelay || "day",
+    stealDC: data.stealDC ?? null,  // Sleight of hand DC to steal from (null = passive perception)
 
     // Memory
     remembersPlayers: data.remembersPlayers ?? true,
@@ -314,44 +316,71 @@ export function getPrimaryIndicator(config) {
   };
 }
 
+/**
+ * Schedule activities during which an NPC can't be talked to
+ */
+const UNAVAILABLE_ACTIVITIES = Object.freeze(["sleeping", "unavailable"]);
+
+/**
+ * Check if a schedule window covers a game time
+ * @param {object} entry - Window {days, from, to}
+ * @param {object} gameTime - {hour, dayOfWeek, isWeekend}
+ * @returns {boolean}
+ */
+function isInScheduleWindow(entry, gameTime) {
+  const { hour, dayOfWeek } = gameTime;
+  const isWeekend = gameTime.isWeekend ?? ["saturday", "sunday"].includes(dayOfWeek);
+  const days = entry.days?.length ? entry.days : [ScheduleDays.ALL];
+
+  // Check day
+  const dayMatch = days.some(day => {
+    if (day === ScheduleDays.ALL) return true;
+    if (day === ScheduleDays.WEEKDAYS) return !isWeekend;
+    if (day === ScheduleDays.WEEKENDS) return isWeekend;
+    return day === dayOfWeek;
+  });
+
+  if (!dayMatch) return false;
+
+  // Check time
+  if (entry.from <= entry.to) {
+    return hour >= entry.from && hour < entry.to;
+  } else {
+    // Overnight schedule (e.g., 22:00 to 06:00)
+    return hour >= entry.from || hour < entry.to;
+  }
+}
+
 /**
  * Check if NPC is available based on schedule
+ * Availability windows and NPC config entries (startTime/endTime with an activity) both count;
+ * a sleeping or unavailable entry blocks its hours.
  * @param {object} config - NPC config
- * @param {object} gameTime - Game time info (hour, day)
+ * @param {object} gameTime - Game time info {hour, dayOfWeek, isWeekend} from the calendar handler
  * @returns {boolean}
  */
 export function isNPCAvailable(config, gameTime = null) {
   if (!config?.schedule?.enabled) return true;
-  if (!config.schedule.availability?.length) return true;
 
   // If no game time provided, assume always available
   if (!gameTime) return true;
 
-  const { hour, dayOfWeek } = gameTime;
+  const entries = (config.schedule.entries || []).map(entry => ({
+    days: entry.days,
+    from: entry.startTime,
+    to: entry.endTime,
+    blocked: UNAVAILABLE_ACTIVITIES.includes(entry.activity)
+  }));
 
-  return config.schedule.availability.some(entry => {
-    // Check day
-    const dayMatch = entry.days.some(day => {
-      if (day === ScheduleDays.ALL) return true;
-      if (day === ScheduleDays.WEEKDAYS) {
-        return ["monday", "tuesday", "wednesday", "thursday", "friday"].includes(dayOfWeek);
-      }
-      if (day === ScheduleDays.WEEKENDS) {
-        return ["saturday", "sunday"].includes(dayOfWeek);
-      }
-      return day === dayOfWeek;
-    });
+  if (entries.some(entry => entry.blocked && isInScheduleWindow(entry, gameTime))) return false;
 
-    if (!dayMatch) return false;
+  const windows = [
+    ...(config.schedule.availability || []),
+    ...entries.filter(entry => !entry.blocked)
+  ];
+  if (!windows.length) return true;
 
-    // Check time
-    if (entry.from <= entry.to) {
-      return hour >= entry.from && hour < entry.to;
-    } else {
-      // Overnight schedule (e.g., 22:00 to 06:00)
-      return hour >= entry.from || hour < entry.to;
-    }
-  });
+  return windows.some(entry => isInScheduleWindow(entry, gameTime));
 }
 
 /**
@@ -5,7 +5,7 @@
 
 // Define MODULE_ID locally to avoid circular dependency with module.mjs
 const MODULE_ID = "bobs-talking-npcs";
-import { generateId } from "../utils/helpers.mjs";
+import { generateId, CURRENCY_VALUES } from "../utils/helpers.mjs";
 
 /**
  * Property type enum
@@ -53,6 +53,21 @@ export const UpgradeType = Object.freeze({
   CUSTOM: "custom"
 });
 
+/**
+ * NPC customers one member of staff can serve in a day
+ */
+export const SHOP_CUSTOMERS_PER_STAFF = 8;
+
+/**
+ * Daily customers of a player shop that sets none
+ */
+export const DEFAULT_SHOP_CUSTOMERS = 6;
+
+/**
+ * Entries kept in a property's finance history
+ */
+export const FINANCE_HISTORY_LIMIT = 100;
+
 /**
  * Create property storage configuration
  * @param {object} data - Storage data
@@ -363,7 +378,9 @@ export function createProperty(data = {}) {
       inventory: data.business?.inventory || [],  // For shops
       services: data.business?.services || [],     // Services offered
       reputation: data.business?.reputation ?? 0,
-      customers: data.business?.customers ?? 0     // Average daily customers
+      customers: data.business?.customers ?? 0,    // Average daily customers
+      merchantId: data.business?.merchantId || null,  // Player shop run from this property
+      demand: data.business?.demand ?? 0.5         // 0-1, how readily customers buy at list price
     },
 
     // Requirements to purchase
@@ -488,7 +505,7 @@ export function applyConditionDecay(property, weeksPassed = 1) {
     maintenanceBonus += staff.effects.maintenance;
   }
 
-  const effectiveDecay = Math.max(0, decayAmount - maintenanceBonus);
+  const effectiveDecay = Math.max(0, decayAmount - (maintenanceBonus * weeksPassed));
 
   const newCondition = {
     ...property.condition,
@@ -581,6 +598,66 @@ export function getRestBonus(property) {
   return bonus;
 }
 
+/**
+ * Get the list value of an item in gold from its source data
+ * @param {object} itemData - Item source data
+ * @returns {number}
+ */
+export function getItemListValue(itemData) {
+  const price = itemData?.system?.price;
+  if (!price) return 0;
+  if (typeof price === "number") return price;
+  const rate = CURRENCY_VALUES[price.denomination] ?? CURRENCY_VALUES.gp;
+  return (price.value || 0) * rate / CURRENCY_VALUES.gp;
+}
+
+/**
+ * Simulate NPC customers buying from a player shop
+ * Footfall scales with the property's condition and is capped by how many
+ * customers the staff can serve; a shop without staff sells nothing. Each
+ * customer looks at one item in stock and buys it with a chance set by the
+ * shop's demand and how the asking price compares to the item's list value.
+ * @param {object} property - Property data
+ * @param {object[]} inventory - Shop items of the linked merchant
+ * @param {number} days - In-game days to simulate
+ * @returns {object[]} Sales [{id, quantity, price}]
+ */
+export function simulateShopSales(property, inventory, days = 1) {
+  const business = property.business;
+  const clerks = property.staff.members.length;
+  if (!clerks || days <= 0) return [];
+
+  const condition = Math.max(0, Math.min(100, property.condition.overall)) / 100;
+  const footfall = Math.min(
+    Math.round((business.customers || DEFAULT_SHOP_CUSTOMERS) * condition),
+    clerks * SHOP_CUSTOMERS_PER_STAFF
+  );
+
+  const stock = new Map(inventory
+    .filter(item => item.available && item.quantity > 0 && (item.priceOverride ?? 0) > 0)
+    .map(item => [item.id, { item, remaining: item.quantity }]));
+  const sales = new Map();
+
+  for (let day = 0; day < days; day++) {
+    for (let customer = 0; customer < footfall; customer++) {
+      const shelf = Array.from(stock.values()).filter(entry => entry.remaining > 0);
+      if (!shelf.length) break;
+
+      const { item } = shelf[Math.floor(Math.random() * shelf.length)];
+      const value = getItemListValue(item.itemData);
+      const ratio = value > 0 ? Math.min(1.5, value / item.priceOverride) : 1;
+      if (Math.random() >= Math.min(1, (business.demand ?? 0.5) * ratio)) continue;
+
+      stock.get(item.id).remaining -= 1;
+      const sale = sales.get(item.id) || { id: item.id, quantity: 0, price: item.priceOverride };
+      sale.quantity += 1;
+      sales.set(item.id, sale);
+    }
+  }
+
+  return Array.from(sales.values());
+}
+
 /**
  * Validate property data
  * @param {object} property - Property data
@@ -664,11 +741,12 @@ export const PropertyTemplates = {
     size: { level: 1, rooms: 2, floors: 1 },
     pricing: { purchasePrice: 1000, rentalPrice: 25 },
     storage: createStorageConfig({ baseSlots: 50, maxWeight: 1000 }),
+    staff: { maxSlots: 2 },
     finances: createPropertyFinances({
       income: { enabled: true, baseAmount: 20, frequency: "weekly" },
       expenses: { maintenance: 5, taxes: 3 }
     }),
-    business: { enabled: true, type: "retail" },
+    business: { enabled: true, type: "retail", customers: DEFAULT_SHOP_CUSTOMERS },
     security: { level: 2, locks: true, lockDC: 18 }
   },
 
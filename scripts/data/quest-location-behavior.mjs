@@ -0,0 +1,43 @@
+/**
+ * Bob's Talking NPCs - Quest Location Region Behavior
+ * Reports tokens entering a region to the quest handler for location objectives
+ */
+
+import { QUEST_LOCATION_BEHAVIOR } from "./quest-model.mjs";
+
+/**
+ * Quest location behavior
+ * Added to regions used by location objectives; the objective holds the binding,
+ * the behavior only passes the region events on.
+ */
+export class QuestLocationBehavior extends foundry.data.regionBehaviors.RegionBehaviorType {
+  /** @override */
+  static defineSchema() {
+    return {};
+  }
+
+  /** @override */
+  static events = {
+    [CONST.REGION_EVENTS.TOKEN_ENTER]: this.#onTokenEnter
+  };
+
+  /**
+   * Handle a token entering the region (active GM only)
+   * @param {RegionEvent} event - Region event
+   * @this {QuestLocationBehavior}
+   */
+  static async #onTokenEnter(event) {
+    if (game.user !== game.users.activeGM) return;
+
+    await game.bobsnpc?.handlers?.quest?.onRegionTokenEnter(this.region, event.data.token);
+  }
+}
+
+/**
+ * Register the quest location behavior type
+ * Called during the init hook.
+ */
+export function registerQuestLocationBehavior() {
+  CONFIG.RegionBehavior.dataModels[QUEST_LOCATION_BEHAVIOR] = QuestLocationBehavior;
+  CONFIG.RegionBehavior.typeIcons[QUEST_LOCATION_BEHAVIOR] = "fa-solid fa-scroll";
+}
@@ -5,7 +5,10 @@
 
 // Define MODULE_ID locally to avoid circular dependency with module.mjs
 const MODULE_ID = "bobs-talking-npcs";
-import { generateId } from "../utils/helpers.mjs";
+import { generateId, localize, currencyToCopper, CURRENCY_VALUES } from "../utils/helpers.mjs";
+import { FactionRelationType } from "./faction-model.mjs";
+import { RelationshipTier, getTierDisplay } from "./relationship-model.mjs";
+import { createWorldStateCondition, checkWorldStateCondition } from "./world-state-model.mjs";
 
 /**
  * Quest status enum
@@ -47,9 +50,18 @@ export const ObjectiveType = Object.freeze({
   MANUAL: "manual",
   KILL_COUNT: "kill_count",
   ITEM_COLLECT: "item_collect",
-  LOCATION: "location"
+  LOCATION: "location",
+  DELIVER: "deliver",                         // Hand items to an NPC in dialogue
+  TALK_TO: "talk_to",                         // Reach a dialogue node
+  ESCORT: "escort",                           // Bring an NPC token to a region alive
+  SKILL_CHECK: "skill_check"                  // Pass a skill check
 });
 
+/**
+ * Region behavior type that reports tokens entering a location objective's region
+ */
+export const QUEST_LOCATION_BEHAVIOR = `${MODULE_ID}.questLocation`;
+
 /**
  * Reward distribution enum
  */
@@ -80,6 +92,48 @@ export const OnGiverDeath = Object.freeze({
   USE_ALTERNATIVE: "use_alternative"
 });
 
+/**
+ * Quest consequence type enum
+ */
+export const ConsequenceType = Object.freeze({
+  MOVE_TOKEN: "move_token",                   // NPC token moves to a scene/position
+  TOKEN_VISIBILITY: "token_visibility",       // NPC tokens are hidden or revealed
+  SET_WORLD_STATE: "set_world_state",
+  ADD_STOCK: "add_stock",                     // Item added to a merchant's stock
+  REMOVE_STOCK: "remove_stock",               // Item removed from a merchant's stock
+  FACTION_RELATIONSHIP: "faction_relationship",
+  UNLOCK_QUEST: "unlock_quest"                // Hidden quest becomes available
+});
+
+/**
+ * When quest consequences run
+ */
+export const ConsequenceTrigger = Object.freeze({
+  COMPLETE: "complete",
+  FAIL: "fail",
+  ABANDON: "abandon"
+});
+
+/**
+ * How a kill objective's target is matched against a defeated actor
+ */
+export const KillMatchType = Object.freeze({
+  NAME: "name",                               // Actor or token name
+  UUID: "uuid",                               // A specific actor or token
+  SOURCE: "source",                           // Compendium entry the actor was created from
+  CREATURE_TYPE: "creature_type",             // dnd5e creature type or subtype
+  TAG: "tag"                                  // Module tag on the actor
+});
+
+/**
+ * Who has to be involved for a kill to count
+ */
+export const KillAttribution = Object.freeze({
+  ANY: "any",                                 // Every kill counts
+  PARTY: "party",                             // A quest member fought in the combat
+  FINAL_BLOW: "final_blow"                    // A quest member dealt the final blow
+});
+
 /**
  * Default quest objective structure
  */
@@ -94,7 +148,9 @@ export function createObjective(data = {}) {
     order: data.order ?? 0,
 
     // Type-specific data
-    killTarget: data.killTarget || null,        // Actor name or UUID for kill quests
+    killTarget: data.killTarget || null,        // Matched according to killMatch
+    killMatch: data.killMatch || KillMatchType.NAME,
+    killAttribution: data.killAttribution || KillAttribution.PARTY,
     killCount: data.killCount || 0,             // Target kill count
     killCurrent: data.killCurrent || 0,         // Current kill count
 
@@ -103,8 +159,106 @@ export function createObjective(data = {}) {
     itemCurrent: data.itemCurrent || 0,         // Current item count
     consumeItems: data.consumeItems ?? true,    // Remove items on turn-in
 
-    locationSceneId: data.locationSceneId || null,  // Scene UUID for location quests
-    locationRegion: data.locationRegion || null     // Region ID within scene
+    // Scene ID for location quests; scene UUIDs from older data are reduced to the ID
+    locationSceneId: data.locationSceneId?.replace(/^Scene\./, "") || null,
+    locationRegion: data.locationRegion || null,    // Region ID within scene
+    locationAllParty: data.locationAllParty ?? false,  // Every member has to be inside
+    locationMarker: data.locationMarker ?? true,    // Mark the region on the canvas
+
+    deliverToUuid: data.deliverToUuid || null,  // NPC actor the items (itemId, itemCount) go to
+
+    talkDialogueId: data.talkDialogueId || null,
+    talkNodeId: data.talkNodeId || null,
+
+    escortActorUuid: data.escortActorUuid || null,
+    escortSceneId: data.escortSceneId || null,
+    escortRegionId: data.escortRegionId || null,
+
+    skillId: data.skillId || null,              // dnd5e skill key
+    skillDC: data.skillDC ?? 10,
+    skillRetry: data.skillRetry ?? true,        // A failed roll may be retried, otherwise it fails the objective
+
+    timeLimit: data.timeLimit ?? null           // In-game hours from acceptance
+  };
+}
+
+/**
+ * Get the counted progress of an objective
+ * @param {object} objective - Objective with progress applied
+ * @returns {object|null} {current, target}, null for objectives that are only done or not
+ */
+export function getObjectiveProgress(objective) {
+  switch (objective.type) {
+    case ObjectiveType.KILL_COUNT:
+      return { current: objective.killCurrent || 0, target: objective.killCount || 0 };
+    case ObjectiveType.ITEM_COLLECT:
+    case ObjectiveType.DELIVER:
+      return { current: objective.itemCurrent || 0, target: objective.itemCount || 0 };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a defeated actor is the target of a kill objective
+ * @param {object} objective - Kill objective
+ * @param {Actor} actor - Defeated actor
+ * @returns {boolean}
+ */
+export function matchesKillTarget(objective, actor) {
+  const target = objective.killTarget?.trim();
+  if (!target || !actor) return false;
+  const lower = target.toLowerCase();
+
+  switch (objective.killMatch) {
+    case KillMatchType.UUID:
+      // Unlinked tokens carry their own actor UUID; match the token and its base actor as well
+      return [actor.uuid, actor.token?.uuid, `Actor.${actor.id}`].includes(target);
+
+    case KillMatchType.SOURCE: {
+      const sources = [actor._stats?.compendiumSource, actor.flags?.core?.sourceId];
+      const baseActor = actor.isToken ? game.actors.get(actor.id) : null;
+      if (baseActor) sources.push(baseActor.uuid, baseActor._stats?.compendiumSource);
+      return sources.includes(target);
+    }
+
+    case KillMatchType.CREATURE_TYPE: {
+      const type = actor.system?.details?.type || {};
+      return [type.value, type.subtype, type.custom]
+        .filter(value => typeof value === "string" && value)
+        .some(value => value.toLowerCase() === lower);
+    }
+
+    case KillMatchType.TAG: {
+      const tags = actor.flags?.[MODULE_ID]?.tags || [];
+      return tags.some(tag => String(tag).toLowerCase() === lower);
+    }
+
+    case KillMatchType.NAME:
+    default:
+      // Targets written before match types existed may hold a UUID
+      return [actor.name, actor.token?.name].some(name => name?.toLowerCase() === lower) ||
+        actor.uuid === target;
+  }
+}
+
+/**
+ * Create a kill waiting for the GM to confirm who gets credit
+ * @param {object} data - Pending kill data
+ * @returns {object}
+ */
+export function createPendingKill(data = {}) {
+  return {
+    id: data.id || generateId(),
+    instanceId: data.instanceId || null,
+    questId: data.questId || null,
+    objectiveId: data.objectiveId || null,
+    targetUuid: data.targetUuid || null,
+    targetName: data.targetName || "",
+    killerUuid: data.killerUuid || null,        // Best guess at the final blow, if any
+    killerName: data.killerName || "",
+    reason: data.reason || "",                  // Localization key under Quest.KillReasons
+    createdAt: data.createdAt || Date.now()
   };
 }
 
@@ -131,7 +285,76 @@ export function createBranch(data = {}) {
     condition: data.condition || "dialogue_choice",
     conditionData: data.conditionData || {},
     rewards: data.rewards || createRewards(),
-    consequences: data.consequences || {}
+    // Run on completion through this branch, after the quest's own
+    consequences: Array.isArray(data.consequences) ? data.consequences.map(c => createConsequence(c)) : []
+  };
+}
+
+/**
+ * Default quest consequence structure
+ * @param {object} data - Consequence data
+ * @returns {object}
+ */
+export function createConsequence(data = {}) {
+  const type = data.type || ConsequenceType.SET_WORLD_STATE;
+  const base = { id: data.id || generateId(), type };
+
+  switch (type) {
+    case ConsequenceType.MOVE_TOKEN:
+      return {
+        ...base,
+        actorUuid: data.actorUuid || null,
+        sceneId: data.sceneId || null,            // null = stay on the current scene
+        x: Number(data.x) || 0,
+        y: Number(data.y) || 0
+      };
+    case ConsequenceType.TOKEN_VISIBILITY:
+      return {
+        ...base,
+        actorUuid: data.actorUuid || null,
+        hidden: data.hidden ?? true
+      };
+    case ConsequenceType.SET_WORLD_STATE:
+      return {
+        ...base,
+        key: data.key || "",
+        value: data.value ?? ""
+      };
+    case ConsequenceType.ADD_STOCK:
+    case ConsequenceType.REMOVE_STOCK:
+      return {
+        ...base,
+        merchantId: data.merchantId || null,
+        itemUuid: data.itemUuid || "",
+        quantity: Number(data.quantity) || 0     // 0 = unlimited when adding, all when removing
+      };
+    case ConsequenceType.FACTION_RELATIONSHIP:
+      return {
+        ...base,
+        factionId: data.factionId || null,
+        targetFactionId: data.targetFactionId || null,
+        relationType: data.relationType || FactionRelationType.NEUTRAL
+      };
+    case ConsequenceType.UNLOCK_QUEST:
+      return {
+        ...base,
+        questId: data.questId || null
+      };
+    default:
+      return { ...data, ...base };
+  }
+}
+
+/**
+ * Default quest consequences structure
+ * @param {object} data - Consequence lists by trigger
+ * @returns {object}
+ */
+export function createQuestConsequences(data = {}) {
+  return {
+    [ConsequenceTrigger.COMPLETE]: (data.complete || []).map(c => createConsequence(c)),
+    [ConsequenceTrigger.FAIL]: (data.fail || []).map(c => createConsequence(c)),
+    [ConsequenceTrigger.ABANDON]: (data.abandon || []).map(c => createConsequence(c))
   };
 }
 
@@ -174,6 +397,7 @@ export function createPrerequisites(data = {}) {
     gold: data.gold || 0,                       // Gold required
     classes: data.classes || [],                // Player must be one of these classes
     races: data.races || [],                    // Player must be one of these races
+    worldState: (data.worldState || []).map(c => createWorldStateCondition(c)), // All must match
     custom: data.custom || []                   // GM-defined requirements (text)
   };
 }
@@ -223,7 +447,6 @@ export function createQuest(data = {}) {
     category: data.category || QuestCategory.SIDE_QUEST,
     customCategory: data.customCategory || null,
     rank: data.rank || null,                    // Faction rank requirement display
-    status: data.status || QuestStatus.AVAILABLE,
     hidden: data.hidden || false,
     pinned: data.pinned || false,
 
@@ -245,10 +468,7 @@ export function createQuest(data = {}) {
       turnInDialogueId: data.giver?.turnInDialogueId || null
     },
 
-    // Party tracking
-    acceptedBy: data.acceptedBy || [],          // Actor UUIDs
-    acceptedAt: data.acceptedAt || null,
-    completedAt: data.completedAt || null,
+    // Visibility; also decides whether progress is shared (see getQuestInstanceScope)
     visibility: data.visibility || QuestVisibility.PARTY,
     visibleToClasses: data.visibleToClasses || [],
     visibleToActors: data.visibleToActors || [],
@@ -264,11 +484,13 @@ export function createQuest(data = {}) {
 
     // Branching
     branches: (data.branches || []).map(b => createBranch(b)),
-    activeBranch: data.activeBranch || null,
 
     // Abandonment
     abandonment: createAbandonmentSettings(data.abandonment || {}),
 
+    // World changes when the quest ends
+    consequences: createQuestConsequences(data.consequences || {}),
+
     // On NPC death
     onGiverDeath: data.onGiverDeath || OnGiverDeath.GM_PROMPT,
 
@@ -293,12 +515,147 @@ export function createQuest(data = {}) {
     // Sorting
     sortOrder: data.sortOrder ?? 0,
 
-    // Tracking for time-sensitive quests
-    timeLimit: data.timeLimit || null,          // Time limit in hours (null = no limit)
-    expiresAt: data.expiresAt || null           // Timestamp when quest expires
+    // Time limit in hours, counted per instance from acceptance (null = no limit)
+    timeLimit: data.timeLimit || null
+  };
+}
+
+/**
+ * Quest instance scope enum
+ * Party quests share one instance between the actors that accepted them together,
+ * every other quest runs one instance per actor.
+ */
+export const QuestInstanceScope = Object.freeze({
+  ACTOR: "actor",
+  PARTY: "party"
+});
+
+/**
+ * Statuses of an instance that is still being played
+ */
+export const RUNNING_QUEST_STATUSES = Object.freeze([QuestStatus.ACCEPTED, QuestStatus.IN_PROGRESS]);
+
+/**
+ * Quest definition fields that held progress before quest instances
+ */
+export const LEGACY_QUEST_STATE_FIELDS = Object.freeze([
+  "status", "acceptedBy", "acceptedAt", "completedAt", "expiresAt", "activeBranch"
+]);
+
+/**
+ * Get the instance scope of a quest
+ * @param {object} quest - Quest definition
+ * @returns {string} QuestInstanceScope
+ */
+export function getQuestInstanceScope(quest) {
+  return quest.visibility === QuestVisibility.PARTY ? QuestInstanceScope.PARTY : QuestInstanceScope.ACTOR;
+}
+
+/**
+ * Default objective progress structure
+ */
+export function createObjectiveProgress(data = {}) {
+  return {
+    completed: data.completed || false,
+    failed: data.failed || false,
+    killCurrent: data.killCurrent || 0,
+    itemCurrent: data.itemCurrent || 0,
+    expiresAt: data.expiresAt ?? null           // World time the objective's time limit runs out
+  };
+}
+
+/**
+ * Create a quest instance
+ * One run of a quest by an actor or a party; stored in worldData.questInstances.
+ * @param {object} data - Instance data
+ * @returns {object}
+ */
+export function createQuestInstance(data = {}) {
+  return {
+    id: data.id || generateId(),
+    questId: data.questId || null,
+    scope: data.scope || QuestInstanceScope.PARTY,
+    members: data.members || [],                // Actor UUIDs
+    status: data.status || QuestStatus.ACCEPTED,
+    acceptedAt: data.acceptedAt || null,
+    completedAt: data.completedAt || null,
+    completedWorldTime: data.completedWorldTime ?? null,  // World time the instance completed
+    expiresAt: data.expiresAt ?? null,          // World time the time limit runs out
+    activeBranch: data.activeBranch || null,
+    objectives: Object.fromEntries(Object.entries(data.objectives || {})
+      .map(([objectiveId, progress]) => [objectiveId, createObjectiveProgress(progress)])),
+    updatedAt: data.updatedAt || Date.now()
+  };
+}
+
+/**
+ * Merge an instance's progress into its quest definition
+ * The result reads like a quest with status, acceptedBy and objective progress.
+ * @param {object} quest - Quest definition
+ * @param {object|null} instance - Quest instance, null for a quest nobody accepted
+ * @returns {object}
+ */
+export function applyQuestInstance(quest, instance = null) {
+  return {
+    ...quest,
+    instanceId: instance?.id ?? null,
+    status: instance?.status ?? QuestStatus.AVAILABLE,
+    acceptedBy: [...(instance?.members ?? [])],
+    acceptedAt: instance?.acceptedAt ?? null,
+    completedAt: instance?.completedAt ?? null,
+    expiresAt: instance?.expiresAt ?? null,
+    activeBranch: instance?.activeBranch ?? null,
+    updatedAt: Math.max(quest.updatedAt || 0, instance?.updatedAt || 0),
+    objectives: quest.objectives.map(objective => ({
+      ...objective,
+      ...createObjectiveProgress(instance?.objectives[objective.id])
+    }))
   };
 }
 
+/**
+ * Split a quest record written before quest instances into a definition and its instances
+ * @param {object} data - Stored quest record
+ * @returns {object} {quest, instances}
+ */
+export function splitLegacyQuest(data) {
+  const quest = createQuest(data);
+  for (const objective of quest.objectives) Object.assign(objective, createObjectiveProgress());
+
+  const status = data.status || QuestStatus.AVAILABLE;
+  const members = data.acceptedBy || [];
+  if (status === QuestStatus.AVAILABLE && !members.length) return { quest, instances: [] };
+
+  const base = {
+    questId: quest.id,
+    status,
+    acceptedAt: data.acceptedAt,
+    completedAt: data.completedAt,
+    expiresAt: data.expiresAt,
+    activeBranch: data.activeBranch,
+    objectives: Object.fromEntries((data.objectives || [])
+      .filter(objective => objective?.id)
+      .map(objective => [objective.id, objective]))
+  };
+
+  const scope = getQuestInstanceScope(quest);
+  const groups = scope === QuestInstanceScope.PARTY || !members.length
+    ? [members]
+    : members.map(uuid => [uuid]);
+  const instances = groups.map(group => createQuestInstance({ ...base, scope, members: group }));
+
+  return { quest, instances };
+}
+
+/**
+ * Check whether a stored quest record still carries progress on the definition
+ * @param {object} data - Stored quest record
+ * @returns {boolean}
+ */
+export function hasLegacyQuestState(data) {
+  return LEGACY_QUEST_STATE_FIELDS.some(field => field in (data || {}));
+}
+
 /**
  * Validate quest data
  * @param {object} quest - Quest data to validate
@@ -312,9 +669,6 @@ export function validateQuest(quest) {
   if (!quest.name?.trim()) errors.push("Quest name is required");
 
   // Valid enum values
-  if (!Object.values(QuestStatus).includes(quest.status)) {
-    errors.push(`Invalid quest status: ${quest.status}`);
-  }
   if (!Object.values(QuestCategory).includes(quest.category)) {
     errors.push(`Invalid quest category: ${quest.category}`);
   }
@@ -333,11 +687,6 @@ export function validateQuest(quest) {
     });
   }
 
-  // Giver validation
-  if (quest.status !== QuestStatus.AVAILABLE && !quest.giver?.actorUuid) {
-    // Warning, not error - quest can exist without giver for templates
-  }
-
   return {
     valid: errors.length === 0,
     errors
@@ -346,55 +695,101 @@ export function validateQuest(quest) {
 
 /**
  * Check if a quest's prerequisites are met for a player
+ * Standings and relationships are stored on actors and read asynchronously, so
+ * callers pass them in; QuestHandler#checkPrerequisites builds the context.
  * @param {object} quest - Quest data
  * @param {Actor} actor - Player actor
+ * @param {object} context - {completedQuests: string[], standings: {factionId: standing}, relationship}
  * @returns {object} {met: boolean, reasons: string[]}
  */
-export function checkPrerequisites(quest, actor) {
+export function checkPrerequisites(quest, actor, context = {}) {
   const reasons = [];
   const prereqs = quest.prerequisites;
+  const { completedQuests = [], standings = {}, relationship = null } = context;
+  const getQuestName = questId => game.bobsnpc?.handlers?.quest?.getQuest(questId)?.name || questId;
+  const getFaction = factionId => game.bobsnpc?.handlers?.faction?.getFaction(factionId);
 
   // Level check
   if (prereqs.level > 0) {
     const actorLevel = actor.system?.details?.level || 0;
     if (actorLevel < prereqs.level) {
-      reasons.push(`Requires level ${prereqs.level}`);
+      reasons.push(localize("Quest.Requires.Level", { level: prereqs.level }));
     }
   }
 
   // Quest completion check
-  if (prereqs.quests?.length > 0) {
-    // Would need to check quest completion status
-    // This is a stub - actual implementation needs quest storage access
+  for (const questId of prereqs.quests || []) {
+    if (!completedQuests.includes(questId)) {
+      reasons.push(localize("Quest.Requires.Quest", { quest: getQuestName(questId) }));
+    }
   }
 
-  // Faction rank check
-  if (prereqs.factionRank) {
-    // Would need to check faction standings
-    // This is a stub - actual implementation needs faction storage access
+  if (prereqs.questsAny?.length > 0 && !prereqs.questsAny.some(id => completedQuests.includes(id))) {
+    reasons.push(localize("Quest.Requires.AnyQuest", { quests: prereqs.questsAny.map(getQuestName).join(", ") }));
   }
 
-  // Gold check
+  // Faction rank check, by rank order
+  if (prereqs.factionRank?.factionId && prereqs.factionRank.rank) {
+    const faction = getFaction(prereqs.factionRank.factionId);
+    const required = faction?.ranks.find(r => r.id === prereqs.factionRank.rank);
+    const current = faction?.ranks.find(r => r.id === standings[faction.id]?.rank);
+    if (required && (current?.order ?? -Infinity) < required.order) {
+      reasons.push(localize("Quest.Requires.FactionRank", { rank: required.name, faction: faction.name }));
+    }
+  }
+
+  // Faction reputation check
+  if (prereqs.factionReputation?.factionId) {
+    const faction = getFaction(prereqs.factionReputation.factionId);
+    const minimum = Number(prereqs.factionReputation.minimum) || 0;
+    if (faction && (standings[faction.id]?.reputation ?? 0) < minimum) {
+      reasons.push(localize("Quest.Requires.FactionReputation", { minimum, faction: faction.name }));
+    }
+  }
+
+  // Relationship check, by value and/or tier
+  if (prereqs.relationship?.actorUuid) {
+    const npc = fromUuidSync(prereqs.relationship.actorUuid)?.name || prereqs.relationship.actorUuid;
+    const { minimum, tier } = prereqs.relationship;
+    const tiers = Object.values(RelationshipTier);
+
+    if (minimum !== undefined && minimum !== null && (relationship?.value ?? 0) < minimum) {
+      reasons.push(localize("Quest.Requires.Relationship", { minimum, npc }));
+    }
+    if (tier && tiers.indexOf(relationship?.tier ?? RelationshipTier.NEUTRAL) < tiers.indexOf(tier)) {
+      reasons.push(localize("Quest.Requires.RelationshipTier", { tier: getTierDisplay(tier).name, npc }));
+    }
+  }
+
+  // Gold check, counting every coin type
   if (prereqs.gold > 0) {
-    const actorGold = actor.system?.currency?.gp || 0;
+    const actorGold = currencyToCopper(actor.system?.currency || {}) / CURRENCY_VALUES.gp;
     if (actorGold < prereqs.gold) {
-      reasons.push(`Requires ${prereqs.gold} gold`);
+      reasons.push(localize("Quest.Requires.Gold", { gold: prereqs.gold }));
     }
   }
 
   // Class check
   if (prereqs.classes?.length > 0) {
-    const actorClass = actor.system?.details?.class?.toLowerCase() || "";
-    if (!prereqs.classes.some(c => actorClass.includes(c.toLowerCase()))) {
-      reasons.push(`Requires class: ${prereqs.classes.join(" or ")}`);
+    const actorClasses = Object.entries(actor.classes || {}).flatMap(([id, item]) => [id, item.name.toLowerCase()]);
+    if (!prereqs.classes.some(c => actorClasses.some(name => name.includes(c.toLowerCase())))) {
+      reasons.push(localize("Quest.Requires.Class", { classes: prereqs.classes.join(" / ") }));
     }
   }
 
-  // Race check
+  // Race check; dnd5e stores the race item
   if (prereqs.races?.length > 0) {
-    const actorRace = actor.system?.details?.race?.toLowerCase() || "";
+    const race = actor.system?.details?.race;
+    const actorRace = (race?.name ?? race ?? "").toLowerCase();
     if (!prereqs.races.some(r => actorRace.includes(r.toLowerCase()))) {
-      reasons.push(`Requires race: ${prereqs.races.join(" or ")}`);
+      reasons.push(localize("Quest.Requires.Race", { races: prereqs.races.join(" / ") }));
+    }
+  }
+
+  // World state check
+  for (const condition of prereqs.worldState || []) {
+    if (condition.key && !checkWorldStateCondition(condition)) {
+      reasons.push(localize("Quest.Requires.WorldState", { key: condition.key }));
     }
   }
 
@@ -491,11 +886,11 @@ export const QuestTemplates = {
     objectives: [
       createObjective({
         text: "Meet with the escort target",
-        type: ObjectiveType.MANUAL
+        type: ObjectiveType.TALK_TO
       }),
       createObjective({
         text: "Escort them safely to the destination",
-        type: ObjectiveType.LOCATION
+        type: ObjectiveType.ESCORT
       })
     ]
   },
@@ -528,7 +923,8 @@ export const QuestTemplates = {
       }),
       createObjective({
         text: "Deliver to the recipient",
-        type: ObjectiveType.MANUAL
+        type: ObjectiveType.DELIVER,
+        itemCount: 1
       })
     ]
   },
@@ -234,6 +234,7 @@ export function createPlayerRelationship(data = {}) {
     firstMet: data.firstMet || null,
     lastInteraction: data.lastInteraction || null,
     interactionCount: data.interactionCount ?? 0,
+    idleDays: data.idleDays ?? 0,  // In-game days since the last change that have not decayed yet
 
     // Milestones achieved
     achievedMilestones: data.achievedMilestones || [],  // Milestone IDs
@@ -408,6 +409,7 @@ export function modifyRelationship(relationship, change, config, eventData = {})
     ],
     lastInteraction: Date.now(),
     interactionCount: relationship.interactionCount + 1,
+    idleDays: 0,
     updatedAt: Date.now(),
     _tierChanged: previousTier !== newTier,
     _previousTier: previousTier,
@@ -515,52 +517,55 @@ export function processGift(relationship, config, item) {
   };
 }
 
+/**
+ * Decay interval lengths in in-game days
+ */
+const DECAY_INTERVAL_DAYS = Object.freeze({
+  day: 1,
+  week: 7,
+  month: 30
+});
+
 /**
  * Apply time-based decay to relationship
+ * Idle in-game days build up on the relationship; every full decay interval lowers it.
  * @param {object} relationship - Player relationship
  * @param {object} config - NPC relationship config
+ * @param {number} days - In-game days that passed
  * @returns {object} Updated relationship or original if no decay
  */
-export function applyDecay(relationship, config) {
+export function applyDecay(relationship, config, days = 1) {
   if (!config.decay.enabled) return relationship;
+  if (days <= 0) return relationship;
 
-  const now = Date.now();
-  const lastInteraction = relationship.lastInteraction || relationship.createdAt;
-
-  // Calculate intervals passed
-  const intervalMs = {
-    day: 24 * 60 * 60 * 1000,
-    week: 7 * 24 * 60 * 60 * 1000,
-    month: 30 * 24 * 60 * 60 * 1000
-  }[config.decay.interval] || 7 * 24 * 60 * 60 * 1000;
-
-  const elapsed = now - lastInteraction;
-  const intervalsPassed = Math.floor(elapsed / intervalMs);
-
-  if (intervalsPassed <= 0) return relationship;
+  const intervalDays = DECAY_INTERVAL_DAYS[config.decay.interval] || DECAY_INTERVAL_DAYS.week;
+  const idleDays = (relationship.idleDays ?? 0) + days;
+  const intervalsPassed = Math.floor(idleDays / intervalDays);
+  const remainingDays = idleDays - (intervalsPassed * intervalDays);
 
   // Calculate decay amount
   const totalDecay = config.decay.amount * intervalsPassed;
 
   // Don't decay below minimum
-  if (relationship.value <= config.decay.minimum) return relationship;
-
   const decayAmount = Math.min(
     totalDecay,
     relationship.value - config.decay.minimum
   );
 
-  if (decayAmount <= 0) return relationship;
+  if (decayAmount <= 0) return { ...relationship, idleDays: remainingDays };
 
-  return modifyRelationship(
-    relationship,
-    -decayAmount,
-    config,
-    {
-      type: RelationshipEventType.TIME_DECAY,
-      description: `Time decay: ${intervalsPassed} ${config.decay.interval}(s)`
-    }
-  );
+  return {
+    ...modifyRelationship(
+      relationship,
+      -decayAmount,
+      config,
+      {
+        type: RelationshipEventType.TIME_DECAY,
+        description: `Time decay: ${intervalsPassed} ${config.decay.interval}(s)`
+      }
+    ),
+    idleDays: remainingDays
+  };
 }
 
 /**
@@ -0,0 +1,113 @@
+/**
+ * Bob's Talking NPCs - Scheduler Data Model
+ * Defines the structure for world-time scheduled jobs and their ledger
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { generateId } from "../utils/helpers.mjs";
+
+/**
+ * Scheduled job enum
+ */
+export const ScheduledJob = Object.freeze({
+  BANK_INTEREST: "bankInterest",
+  LOAN_PAYMENTS: "loanPayments",
+  BOUNTY_DECAY: "bountyDecay",
+  HIRELING_PAY: "hirelingPay",
+  PROPERTY_DECAY: "propertyDecay",
+  FACTION_DECAY: "factionDecay",
+  RELATIONSHIP_DECAY: "relationshipDecay",
+  STOCK_REFRESH: "stockRefresh",
+  REPEATABLE_QUESTS: "repeatableQuests",
+  SHOP_SALES: "shopSales"
+});
+
+/**
+ * Default cadence of each job in in-game days
+ */
+export const DefaultJobCadence = Object.freeze({
+  [ScheduledJob.BANK_INTEREST]: 30,
+  [ScheduledJob.LOAN_PAYMENTS]: 1,
+  [ScheduledJob.BOUNTY_DECAY]: 1,
+  [ScheduledJob.HIRELING_PAY]: 1,
+  [ScheduledJob.PROPERTY_DECAY]: 7,
+  [ScheduledJob.FACTION_DECAY]: 1,
+  [ScheduledJob.RELATIONSHIP_DECAY]: 1,
+  [ScheduledJob.STOCK_REFRESH]: 1,
+  [ScheduledJob.REPEATABLE_QUESTS]: 1,
+  [ScheduledJob.SHOP_SALES]: 1
+});
+
+/**
+ * Most runs of a single job made up in one catch-up
+ */
+export const MAX_CATCH_UP_RUNS = 365;
+
+/**
+ * Ledger entries kept
+ */
+export const LEDGER_LIMIT = 100;
+
+/**
+ * Create the schedule entry for one job
+ * @param {string} jobId - ScheduledJob value
+ * @param {object} data - Job state
+ * @returns {object}
+ */
+export function createJobSchedule(jobId, data = {}) {
+  return {
+    enabled: data.enabled ?? true,
+    cadence: Math.max(1, data.cadence ?? DefaultJobCadence[jobId] ?? 1),  // Days
+    lastRunDay: data.lastRunDay ?? null                                   // Calendar day index
+  };
+}
+
+/**
+ * Create scheduler state
+ * Stored in the "schedulerState" world setting
+ * @param {object} data - Scheduler state
+ * @returns {object}
+ */
+export function createSchedulerState(data = {}) {
+  const jobs = {};
+  for (const jobId of Object.values(ScheduledJob)) {
+    jobs[jobId] = createJobSchedule(jobId, data.jobs?.[jobId]);
+  }
+
+  return {
+    enabled: data.enabled ?? true,
+    jobs,
+    ledger: (data.ledger || []).slice(0, LEDGER_LIMIT)
+  };
+}
+
+/**
+ * Create a ledger entry recording a job run
+ * @param {object} data - Entry data
+ * @returns {object}
+ */
+export function createLedgerEntry(data = {}) {
+  return {
+    id: data.id || generateId(),
+    jobId: data.jobId || null,
+    day: data.day ?? 0,                  // World day the run caught up to
+    worldTime: data.worldTime ?? 0,
+    runs: data.runs ?? 1,
+    skipped: data.skipped ?? 0,          // Runs dropped past the catch-up limit
+    success: data.success ?? true,
+    error: data.error || null,
+    ranAt: data.ranAt || Date.now()
+  };
+}
+
+/**
+ * Get how many times a job is due by a given day
+ * @param {object} schedule - Job schedule
+ * @param {number} day - World day index
+ * @returns {number}
+ */
+export function getDueRuns(schedule, day) {
+  if (!schedule.enabled || schedule.lastRunDay === null) return 0;
+  return Math.max(0, Math.floor((day - schedule.lastRunDay) / schedule.cadence));
+}
@@ -0,0 +1,623 @@
+/**
+ * Bob's Talking NPCs - Service Data Model
+ * Defines the structure for NPC services such as training, enchanting, transportation, inns and informants
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { generateId } from "../utils/helpers.mjs";
+
+/**
+ * Service job status enum
+ */
+export const ServiceJobStatus = Object.freeze({
+  IN_PROGRESS: "in_progress",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled"
+});
+
+// ==================== TRAINING ====================
+
+/**
+ * Training offering type enum
+ */
+export const TrainingType = Object.freeze({
+  SKILL: "skill_proficiency",
+  TOOL: "tool_proficiency",
+  LANGUAGE: "language"
+});
+
+/**
+ * Default price (gp) and time (days) per training type
+ */
+export const DefaultTrainingCosts = Object.freeze({
+  [TrainingType.SKILL]: { price: 250, timeRequired: 10 },
+  [TrainingType.TOOL]: { price: 100, timeRequired: 5 },
+  [TrainingType.LANGUAGE]: { price: 50, timeRequired: 5 }
+});
+
+/**
+ * Create a training offering
+ * @param {object} data - Offering data
+ * @returns {object}
+ */
+export function createTrainingOffering(data = {}) {
+  const type = data.type || TrainingType.SKILL;
+  const defaults = DefaultTrainingCosts[type] || DefaultTrainingCosts[TrainingType.SKILL];
+
+  return {
+    id: data.id || generateId(),
+    type,
+
+    // dnd5e trait key for the type (skill "ste", tool "thief", language "elvish")
+    skill: data.skill || null,
+    tool: data.tool || null,
+    language: data.language || null,
+
+    price: data.price ?? defaults.price,              // Gold
+    timeRequired: data.timeRequired ?? defaults.timeRequired,  // Downtime days
+
+    requirements: {
+      level: data.requirements?.level ?? 0
+    }
+  };
+}
+
+/**
+ * Create training service configuration
+ * Stored in the NPC config as services.training
+ * @param {object} data - Service data
+ * @returns {object}
+ */
+export function createTrainingService(data = {}) {
+  return {
+    enabled: data.enabled ?? true,
+    offerings: (data.offerings || []).map(o => createTrainingOffering(o))
+  };
+}
+
+/**
+ * Create a training session
+ * Stored on the trainee in actor.flags[MODULE_ID].training
+ * @param {object} data - Session data
+ * @returns {object}
+ */
+export function createTrainingSession(data = {}) {
+  return {
+    id: data.id || generateId(),
+    offeringId: data.offeringId || null,
+    type: data.type || TrainingType.SKILL,
+    key: data.key || null,
+    label: data.label || "",
+
+    // Trainer
+    npcActorUuid: data.npcActorUuid || null,
+    npcName: data.npcName || "",
+
+    price: data.price ?? 0,
+    days: data.days ?? 0,
+
+    // World time in seconds
+    startedAt: data.startedAt ?? 0,
+    completesAt: data.completesAt ?? 0,
+    completedAt: data.completedAt ?? null,
+
+    status: data.status || ServiceJobStatus.IN_PROGRESS
+  };
+}
+
+/**
+ * Get the trait key an offering teaches
+ * @param {object} offering - Training offering
+ * @returns {string|null}
+ */
+export function getTrainingKey(offering) {
+  switch (offering.type) {
+    case TrainingType.SKILL: return offering.skill;
+    case TrainingType.TOOL: return offering.tool;
+    case TrainingType.LANGUAGE: return offering.language;
+    default: return null;
+  }
+}
+
+/**
+ * Check whether an actor already has what an offering teaches
+ * @param {Actor} actor - dnd5e actor
+ * @param {object} offering - Training offering
+ * @returns {boolean}
+ */
+export function hasTrainedProficiency(actor, offering) {
+  const key = getTrainingKey(offering);
+  if (!key) return false;
+
+  switch (offering.type) {
+    case TrainingType.SKILL:
+      return (actor.system?.skills?.[key]?.value ?? 0) >= 1;
+    case TrainingType.TOOL:
+      return (actor.system?.tools?.[key]?.value ?? 0) >= 1;
+    case TrainingType.LANGUAGE:
+      return actor.system?.traits?.languages?.value?.has?.(key) ?? false;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether an actor may take a training offering
+ * @param {object} offering - Training offering
+ * @param {Actor} actor - dnd5e actor
+ * @returns {object} {met: boolean, reason: string|null}
+ */
+export function checkTrainingRequirements(offering, actor) {
+  if (!getTrainingKey(offering)) {
+    return { met: false, reason: "Training.Errors.InvalidOffering" };
+  }
+
+  if (hasTrainedProficiency(actor, offering)) {
+    return { met: false, reason: "Training.Errors.AlreadyProficient" };
+  }
+
+  const level = actor.system?.details?.level ?? 0;
+  if (offering.requirements.level > 0 && level < offering.requirements.level) {
+    return { met: false, reason: "Training.Errors.LevelTooLow" };
+  }
+
+  return { met: true, reason: null };
+}
+
+// ==================== ENCHANTING ====================
+
+/**
+ * Base item category an enchantment can be applied to
+ */
+export const EnchantmentBase = Object.freeze({
+  WEAPON: "weapon",
+  ARMOR: "armor",
+  SHIELD: "shield",
+  ANY: "any"
+});
+
+/**
+ * Item rarity granted by each magical bonus
+ */
+export const BonusRarity = Object.freeze({
+  1: "uncommon",
+  2: "rare",
+  3: "veryRare"
+});
+
+/**
+ * Default price (gp) and time (days) per magical bonus
+ */
+export const DefaultEnchantingCosts = Object.freeze({
+  1: { price: 1000, timeRequired: 7 },
+  2: { price: 4000, timeRequired: 14 },
+  3: { price: 16000, timeRequired: 28 }
+});
+
+/**
+ * Create an enchantment offering
+ * @param {object} data - Offering data
+ * @returns {object}
+ */
+export function createEnchantmentOffering(data = {}) {
+  // "+1 weapon" style names imply their bonus
+  const parsedBonus = Number(/\+(\d)/.exec(data.enchantment || "")?.[1]) || 1;
+  const bonus = Math.clamp(data.bonus ?? parsedBonus, 0, 3);
+  const defaults = DefaultEnchantingCosts[bonus] || DefaultEnchantingCosts[1];
+
+  return {
+    id: data.id || generateId(),
+    enchantment: data.enchantment || `+${bonus}`,
+
+    // Result applied to the escrowed item
+    bonus,
+    rarity: data.rarity || BonusRarity[bonus] || null,
+    nameSuffix: data.nameSuffix ?? (bonus > 0 ? `+${bonus}` : ""),
+
+    price: data.price ?? defaults.price,              // Gold
+    timeRequired: data.timeRequired ?? defaults.timeRequired,  // Days
+
+    requirements: {
+      baseItem: data.requirements?.baseItem || EnchantmentBase.WEAPON
+    }
+  };
+}
+
+/**
+ * Create enchanting service configuration
+ * Stored in the NPC config as services.enchanting
+ * @param {object} data - Service data
+ * @returns {object}
+ */
+export function createEnchantingService(data = {}) {
+  return {
+    enabled: data.enabled ?? true,
+    offerings: (data.offerings || []).map(o => createEnchantmentOffering(o))
+  };
+}
+
+/**
+ * Create an enchanting job
+ * Stored on the item owner in actor.flags[MODULE_ID].enchanting,
+ * holding the escrowed item until it is returned
+ * @param {object} data - Job data
+ * @returns {object}
+ */
+export function createEnchantingJob(data = {}) {
+  return {
+    id: data.id || generateId(),
+    offeringId: data.offeringId || null,
+    enchantment: data.enchantment || "",
+
+    // Enchanter
+    npcActorUuid: data.npcActorUuid || null,
+    npcName: data.npcName || "",
+
+    // Escrowed item source data
+    itemData: data.itemData || null,
+    itemName: data.itemName || data.itemData?.name || "",
+    itemImg: data.itemImg || data.itemData?.img || "",
+
+    // Applied on completion
+    bonus: data.bonus ?? 1,
+    rarity: data.rarity || null,
+    nameSuffix: data.nameSuffix ?? "",
+
+    price: data.price ?? 0,
+    days: data.days ?? 0,
+
+    // World time in seconds
+    startedAt: data.startedAt ?? 0,
+    completesAt: data.completesAt ?? 0,
+    completedAt: data.completedAt ?? null,
+
+    status: data.status || ServiceJobStatus.IN_PROGRESS
+  };
+}
+
+/**
+ * Check whether an item is the kind of base item an offering enchants
+ * @param {Item} item - dnd5e item
+ * @param {string} baseItem - EnchantmentBase value
+ * @returns {boolean}
+ */
+export function matchesEnchantmentBase(item, baseItem) {
+  const armorType = item.type === "equipment" ? item.system?.type?.value : null;
+
+  switch (baseItem) {
+    case EnchantmentBase.WEAPON:
+      return item.type === "weapon";
+    case EnchantmentBase.ARMOR:
+      return ["light", "medium", "heavy"].includes(armorType);
+    case EnchantmentBase.SHIELD:
+      return armorType === "shield";
+    case EnchantmentBase.ANY:
+      return item.type === "weapon" || ["light", "medium", "heavy", "shield"].includes(armorType);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get an item's current magical bonus
+ * @param {Item|object} item - dnd5e item or item source data
+ * @returns {number}
+ */
+export function getMagicalBonus(item) {
+  const system = item.system ?? {};
+  return Number(system.magicalBonus ?? system.armor?.magicalBonus) || 0;
+}
+
+/**
+ * Check whether an item may receive an enchantment
+ * @param {object} offering - Enchantment offering
+ * @param {Item} item - dnd5e item
+ * @returns {object} {met: boolean, reason: string|null}
+ */
+export function checkEnchantmentRequirements(offering, item) {
+  if (!matchesEnchantmentBase(item, offering.requirements.baseItem)) {
+    return { met: false, reason: "Enchanting.Errors.WrongBaseItem" };
+  }
+
+  if (getMagicalBonus(item) >= offering.bonus) {
+    return { met: false, reason: "Enchanting.Errors.AlreadyEnchanted" };
+  }
+
+  return { met: true, reason: null };
+}
+
+// ==================== TRANSPORTATION ====================
+
+/**
+ * Hours per travel time unit
+ */
+const TRAVEL_UNIT_HOURS = {
+  hour: 1,
+  day: 24,
+  week: 168
+};
+
+/**
+ * Parse a travel time into hours
+ * Accepts a number of hours or text such as "2 days" or "6 hours".
+ * @param {number|string} value - Travel time
+ * @returns {number}
+ */
+export function parseTravelTime(value) {
+  if (typeof value === "number") return Math.max(0, value);
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(hour|day|week)?s?\s*$/i.exec(String(value ?? ""));
+  if (!match) return 0;
+
+  const unit = match[2]?.toLowerCase() || "hour";
+  return Number(match[1]) * TRAVEL_UNIT_HOURS[unit];
+}
+
+/**
+ * Create a transport destination
+ * @param {object} data - Destination data
+ * @returns {object}
+ */
+export function createTransportDestination(data = {}) {
+  return {
+    id: data.id || generateId(),
+    name: data.name || "",
+    sceneId: data.sceneId || null,
+
+    // Arrival point on the target scene; null uses the scene's initial view
+    x: data.x ?? null,
+    y: data.y ?? null,
+
+    price: data.price ?? 0,                           // Gold per person
+    travelTime: parseTravelTime(data.travelTime),     // Hours
+
+    // Optional encounter on the way
+    encounterTableUuid: data.encounterTableUuid || null,
+    encounterChance: data.encounterChance ?? 20       // Percent
+  };
+}
+
+/**
+ * Create transportation service configuration
+ * Stored in the NPC config as services.transportation
+ * @param {object} data - Service data
+ * @returns {object}
+ */
+export function createTransportationService(data = {}) {
+  return {
+    enabled: data.enabled ?? true,
+    destinations: (data.destinations || []).map(d => createTransportDestination(d))
+  };
+}
+
+// ==================== INN ====================
+
+/**
+ * Room tier enum
+ */
+export const RoomTier = Object.freeze({
+  COMMON: "common",
+  PRIVATE: "private",
+  SUITE: "suite"
+});
+
+/**
+ * Room quality enum (dnd5e lifestyle levels)
+ */
+export const RoomQuality = Object.freeze({
+  POOR: "poor",
+  MODEST: "modest",
+  COMFORTABLE: "comfortable",
+  WEALTHY: "wealthy",
+  LUXURIOUS: "luxurious"
+});
+
+/**
+ * Room benefit enum
+ */
+export const RoomBenefit = Object.freeze({
+  LONG_REST: "long_rest",
+  STORAGE: "storage",
+  PRIVATE_MEETING: "private_meeting"
+});
+
+/**
+ * Default room per tier (price in gold per night)
+ */
+export const DefaultInnRooms = Object.freeze({
+  [RoomTier.COMMON]: {
+    name: "Common Room",
+    price: 0.5,
+    quality: RoomQuality.POOR,
+    benefits: [RoomBenefit.LONG_REST],
+    storageSlots: 0
+  },
+  [RoomTier.PRIVATE]: {
+    name: "Private Room",
+    price: 5,
+    quality: RoomQuality.COMFORTABLE,
+    benefits: [RoomBenefit.LONG_REST, RoomBenefit.STORAGE],
+    storageSlots: 10
+  },
+  [RoomTier.SUITE]: {
+    name: "Suite",
+    price: 20,
+    quality: RoomQuality.LUXURIOUS,
+    benefits: [RoomBenefit.LONG_REST, RoomBenefit.STORAGE, RoomBenefit.PRIVATE_MEETING],
+    storageSlots: 20
+  }
+});
+
+/**
+ * Extra recovery on top of a dnd5e long rest per room quality
+ * hitDice: extra hit dice recovered, tempHpPerLevel: temporary HP per character level,
+ * exhaustion: extra exhaustion levels removed
+ */
+export const RestQualityBonus = Object.freeze({
+  [RoomQuality.POOR]: { hitDice: 0, tempHpPerLevel: 0, exhaustion: 0 },
+  [RoomQuality.MODEST]: { hitDice: 1, tempHpPerLevel: 0, exhaustion: 0 },
+  [RoomQuality.COMFORTABLE]: { hitDice: 1, tempHpPerLevel: 0, exhaustion: 1 },
+  [RoomQuality.WEALTHY]: { hitDice: 2, tempHpPerLevel: 1, exhaustion: 1 },
+  [RoomQuality.LUXURIOUS]: { hitDice: 2, tempHpPerLevel: 2, exhaustion: 1 }
+});
+
+/**
+ * Create an inn room
+ * @param {object} data - Room data
+ * @returns {object}
+ */
+export function createInnRoom(data = {}) {
+  const tier = data.tier || RoomTier.COMMON;
+  const defaults = DefaultInnRooms[tier] || DefaultInnRooms[RoomTier.COMMON];
+  const benefits = data.benefits || defaults.benefits;
+
+  return {
+    id: data.id || generateId(),
+    tier,
+    name: data.name || defaults.name,
+    price: data.price ?? defaults.price,              // Gold per night
+    quality: data.quality || defaults.quality,
+    benefits: [...benefits],
+
+    // Items a renter may leave in the room
+    storageSlots: benefits.includes(RoomBenefit.STORAGE)
+      ? Math.max(0, data.storageSlots ?? defaults.storageSlots)
+      : 0
+  };
+}
+
+/**
+ * Create inn service configuration
+ * Stored in the NPC config as services.inn; an inn without rooms offers the default tiers
+ * @param {object} data - Service data
+ * @returns {object}
+ */
+export function createInnService(data = {}) {
+  const rooms = data.rooms ?? Object.values(RoomTier).map(tier => ({ tier }));
+
+  return {
+    enabled: data.enabled ?? true,
+    rooms: rooms.map(r => createInnRoom(r))
+  };
+}
+
+/**
+ * Create a room rental
+ * Stored on the renter in actor.flags[MODULE_ID].inn,
+ * holding the items left in the room until the rental ends
+ * @param {object} data - Rental data
+ * @returns {object}
+ */
+export function createRoomRental(data = {}) {
+  return {
+    id: data.id || generateId(),
+    roomId: data.roomId || null,
+    roomName: data.roomName || "",
+    tier: data.tier || RoomTier.COMMON,
+    quality: data.quality || RoomQuality.POOR,
+    benefits: data.benefits || [],
+
+    // Innkeeper
+    npcActorUuid: data.npcActorUuid || null,
+    npcName: data.npcName || "",
+
+    price: data.price ?? 0,                           // Gold per night
+    nights: data.nights ?? 1,
+    restsTaken: data.restsTaken ?? 0,
+
+    // Stored item source data
+    storageSlots: data.storageSlots ?? 0,
+    storage: data.storage || [],
+
+    // World time in seconds
+    startedAt: data.startedAt ?? 0,
+    endsAt: data.endsAt ?? 0,
+    endedAt: data.endedAt ?? null,
+
+    status: data.status || ServiceJobStatus.IN_PROGRESS
+  };
+}
+
+/**
+ * Check whether a rental includes a benefit
+ * @param {object} rental - Room rental or inn room
+ * @param {string} benefit - RoomBenefit value
+ * @returns {boolean}
+ */
+export function hasRoomBenefit(rental, benefit) {
+  return rental.benefits?.includes(benefit) ?? false;
+}
+
+// ==================== INFORMATION ====================
+
+/**
+ * Create a rumor an informant sells
+ * @param {object} data - Rumor data
+ * @returns {object}
+ */
+export function createRumor(data = {}) {
+  return {
+    id: data.id || generateId(),
+    topic: data.topic || "",
+    price: data.price ?? 10,                          // Gold
+
+    // Chance (0-1) the buyer hears the true text rather than the decoy
+    reliability: Math.clamp(data.reliability ?? 0.8, 0, 1),
+    text: data.text || "",
+    decoyText: data.decoyText || "",
+
+    // Revealed only when the true text is heard
+    revealsQuest: data.revealsQuest || null,          // Quest ID
+    revealsNote: data.revealsNote?.sceneId
+      ? {
+        sceneId: data.revealsNote.sceneId,
+        x: data.revealsNote.x ?? 0,
+        y: data.revealsNote.y ?? 0,
+        label: data.revealsNote.label || data.topic || "",
+        entryUuid: data.revealsNote.entryUuid || null   // Journal entry the note opens
+      }
+      : null
+  };
+}
+
+/**
+ * Create information service configuration
+ * Stored in the NPC config as services.information
+ * @param {object} data - Service data
+ * @returns {object}
+ */
+export function createInformationService(data = {}) {
+  return {
+    enabled: data.enabled ?? true,
+    rumors: (data.rumors || []).map(r => createRumor(r))
+  };
+}
+
+/**
+ * Create a purchased rumor record
+ * Stored on the buyer in actor.flags[MODULE_ID].rumors so a rumor is sold once
+ * @param {object} data - Purchase data
+ * @returns {object}
+ */
+export function createRumorPurchase(data = {}) {
+  return {
+    id: data.id || generateId(),
+    rumorId: data.rumorId || null,
+    topic: data.topic || "",
+
+    // Informant
+    npcActorUuid: data.npcActorUuid || null,
+    npcName: data.npcName || "",
+
+    // Text the buyer heard; only the GM sees whether it was true
+    text: data.text || "",
+    reliable: data.reliable ?? true,
+
+    price: data.price ?? 0,
+    purchasedAt: data.purchasedAt ?? 0,               // World time in seconds
+
+    revealedQuestId: data.revealedQuestId || null,
+    revealedNoteUuid: data.revealedNoteUuid || null
+  };
+}
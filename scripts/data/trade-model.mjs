@@ -0,0 +1,174 @@
+/**
+ * Bob's Talking NPCs - Trade Data Model
+ * Defines player-to-player trade offers, courier deliveries, settlement checks and the trade log
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { generateId, CURRENCY_VALUES, currencyToCopper } from "../utils/helpers.mjs";
+
+/**
+ * Item types that can change hands in a trade
+ */
+export const TRADEABLE_ITEM_TYPES = Object.freeze(["weapon", "equipment", "consumable", "tool", "loot", "container"]);
+
+/**
+ * Trade log entry type enum
+ */
+export const TradeLogType = Object.freeze({
+  TRADE: "trade",     // Two-sided trade window
+  SEND: "send"        // One-way Quick Send
+});
+
+/**
+ * Trade log entries kept
+ */
+export const TRADE_LOG_LIMIT = 200;
+
+/**
+ * Create a trade offer
+ * @param {object} data - Offer data
+ * @returns {object}
+ */
+export function createTradeOffer(data = {}) {
+  return {
+    items: (data.items || []).map(item => ({
+      id: item.id,
+      uuid: item.uuid || null,
+      name: item.name || "",
+      img: item.img || "",
+      quantity: Math.max(1, Math.floor(item.quantity ?? 1)),
+      price: item.price ?? 0
+    })),
+    gold: Math.max(0, Number(data.gold) || 0),
+    locked: data.locked ?? false,
+    confirmed: data.confirmed ?? false
+  };
+}
+
+/**
+ * Create a trade log entry
+ * Stored newest first in the "tradeLog" world setting
+ * @param {object} data - Entry data
+ * @returns {object}
+ */
+export function createTradeLogEntry(data = {}) {
+  const party = (entry = {}) => ({
+    actorUuid: entry.actorUuid || null,
+    actorName: entry.actorName || "",
+    userId: entry.userId || null,
+    items: (entry.items || []).map(item => ({ name: item.name, img: item.img || "", quantity: item.quantity ?? 1 })),
+    gold: entry.gold ?? 0
+  });
+
+  return {
+    id: data.id || generateId(),
+    type: data.type || TradeLogType.TRADE,
+    tradeId: data.tradeId || null,
+    parties: (data.parties || []).map(party),    // What each side gave
+    worldTime: data.worldTime ?? 0,
+    deliverAt: data.deliverAt ?? null,           // World time a courier arrives, null when handed over
+    completedAt: data.completedAt || Date.now()
+  };
+}
+
+/**
+ * Create a courier delivery
+ * Stored in the "pendingDeliveries" world setting while the courier travels.
+ * The items and coin leave the sender when the parcel is sent.
+ * @param {object} data - Delivery data
+ * @returns {object}
+ */
+export function createCourierDelivery(data = {}) {
+  return {
+    id: data.id || generateId(),
+    fromActorUuid: data.fromActorUuid || null,
+    fromName: data.fromName || "",
+    toActorUuid: data.toActorUuid || null,
+    toName: data.toName || "",
+    items: data.items || [],             // Item source data held in transit
+    gold: data.gold ?? 0,
+    sentAt: data.sentAt ?? 0,
+    deliverAt: data.deliverAt ?? 0
+  };
+}
+
+/**
+ * Check an offer against what the actor currently holds
+ * @param {Actor} actor - Offering actor
+ * @param {object} offer - Trade offer
+ * @returns {string|null} Localization key of the first problem, or null when valid
+ */
+export function validateTradeOffer(actor, offer) {
+  const seen = new Set();
+
+  for (const entry of offer.items) {
+    const item = actor.items.get(entry.id);
+    if (!item || !TRADEABLE_ITEM_TYPES.includes(item.type) || seen.has(entry.id)) {
+      return "Trade.Errors.ItemMissing";
+    }
+    if (entry.quantity > (item.system.quantity || 1)) {
+      return "Trade.Errors.NotEnoughQuantity";
+    }
+    seen.add(entry.id);
+  }
+
+  if (goldToCopper(offer.gold) > currencyToCopper(actor.system?.currency || {})) {
+    return "Trade.Errors.NotEnoughGold";
+  }
+
+  return null;
+}
+
+/**
+ * Convert a gold piece amount to whole copper
+ * @param {number} gold - Gold pieces
+ * @returns {number}
+ */
+export function goldToCopper(gold) {
+  return Math.round((gold || 0) * CURRENCY_VALUES.gp);
+}
+
+/**
+ * Take an amount out of a purse, lowest coins first, making change when needed
+ * @param {object} currency - Currency object {pp, gp, ep, sp, cp}
+ * @param {number} copper - Amount in copper
+ * @returns {object|null} New currency, or null when the purse is too light
+ */
+export function removeCurrency(currency, copper) {
+  if (currencyToCopper(currency) < copper) return null;
+
+  const result = { ...currency };
+  const coins = Object.entries(CURRENCY_VALUES).sort((a, b) => a[1] - b[1]);
+  let remaining = copper;
+
+  for (const [key, value] of coins) {
+    const taken = Math.min(result[key] || 0, Math.floor(remaining / value));
+    result[key] = (result[key] || 0) - taken;
+    remaining -= taken * value;
+  }
+
+  // Break the smallest coin left and hand back the change
+  if (remaining > 0) {
+    const [key, value] = coins.find(([key]) => (result[key] || 0) > 0);
+    result[key] -= 1;
+    return addCurrency(result, value - remaining);
+  }
+
+  return result;
+}
+
+/**
+ * Add an amount to a purse as gold, silver and copper
+ * @param {object} currency - Currency object {pp, gp, ep, sp, cp}
+ * @param {number} copper - Amount in copper
+ * @returns {object} New currency
+ */
+export function addCurrency(currency, copper) {
+  const result = { ...currency };
+  result.gp = (result.gp || 0) + Math.floor(copper / CURRENCY_VALUES.gp);
+  copper %= CURRENCY_VALUES.gp;
+  result.sp = (result.sp || 0) + Math.floor(copper / CURRENCY_VALUES.sp);
+  result.cp = (result.cp || 0) + (copper % CURRENCY_VALUES.sp);
+  return result;
+}
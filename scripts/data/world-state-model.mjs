@@ -0,0 +1,117 @@
+/**
+ * Bob's Talking NPCs - World State Data Model
+ * Conditions on world state keys and lookups of where keys are used
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { Comparison, ConditionType, EffectType } from "./dialogue-model.mjs";
+
+/**
+ * Create a world state condition
+ * @param {object} data - Condition data
+ * @returns {object} {key, value, comparison}
+ */
+export function createWorldStateCondition(data = {}) {
+  return {
+    key: data.key || "",
+    value: data.value ?? "",
+    comparison: data.comparison || Comparison.EQUALS
+  };
+}
+
+/**
+ * Read a world state value typed as text
+ * JSON values (numbers, booleans, objects) are parsed, anything else stays text.
+ * @param {*} value - Value to read
+ * @returns {*}
+ */
+export function parseWorldStateValue(value) {
+  if (typeof value !== "string") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Check a world state condition
+ * A key that was never set only matches "not equals".
+ * @param {object} condition - World state condition
+ * @param {object} worldState - Current world state
+ * @returns {boolean}
+ */
+export function checkWorldStateCondition(condition, worldState = game.settings.get(MODULE_ID, "worldState") || {}) {
+  const expected = parseWorldStateValue(condition.value);
+  const comparison = condition.comparison || Comparison.EQUALS;
+
+  if (!(condition.key in worldState)) {
+    return comparison === Comparison.NOT_EQUALS;
+  }
+
+  const actual = worldState[condition.key];
+  switch (comparison) {
+    case Comparison.NOT_EQUALS: return !foundry.utils.objectsEqual({ v: actual }, { v: expected });
+    case Comparison.GREATER_THAN: return actual > expected;
+    case Comparison.GREATER_THAN_OR_EQUAL: return actual >= expected;
+    case Comparison.LESS_THAN: return actual < expected;
+    case Comparison.LESS_THAN_OR_EQUAL: return actual <= expected;
+    case Comparison.EQUALS:
+    default:
+      return foundry.utils.objectsEqual({ v: actual }, { v: expected });
+  }
+}
+
+/**
+ * Find the dialogues and quests that read or write world state keys
+ * @param {object[]} dialogues - Dialogue data
+ * @param {object[]} quests - Quest data
+ * @returns {Map<string, object[]>} Key to [{kind, id, name, usage}]
+ */
+export function findWorldStateReferences(dialogues = [], quests = []) {
+  const references = new Map();
+  const add = (key, reference) => {
+    if (!key) return;
+    const list = references.get(key) || [];
+    if (!list.some(r => r.kind === reference.kind && r.id === reference.id && r.usage === reference.usage)) {
+      list.push(reference);
+    }
+    references.set(key, list);
+  };
+
+  for (const dialogue of dialogues) {
+    const ref = usage => ({ kind: "dialogue", id: dialogue.id, name: dialogue.name, usage });
+    for (const node of Object.values(dialogue.nodes || {})) {
+      const entries = [node, ...(node.responses || [])];
+      for (const entry of entries) {
+        for (const condition of entry.conditions || []) {
+          if (condition.type === ConditionType.WORLD_STATE) add(condition.key, ref("read"));
+        }
+        for (const effect of [...(entry.effects || []), ...(entry.actions || [])]) {
+          if (effect.type === EffectType.SET_WORLD_STATE) add(effect.key, ref("write"));
+        }
+      }
+      for (const action of [...(node.onEnter || []), ...(node.onExit || [])]) {
+        if (action.type === EffectType.SET_WORLD_STATE) add(action.key, ref("write"));
+      }
+    }
+  }
+
+  for (const quest of quests) {
+    const ref = usage => ({ kind: "quest", id: quest.id, name: quest.name, usage });
+    for (const condition of quest.prerequisites?.worldState || []) {
+      add(condition.key, ref("read"));
+    }
+    const consequences = [
+      ...Object.values(quest.consequences || {}).flat(),
+      ...(quest.branches || []).flatMap(b => b.consequences || [])
+    ];
+    // Quest consequences share the effect's type name
+    for (const consequence of consequences) {
+      if (consequence.type === EffectType.SET_WORLD_STATE) add(consequence.key, ref("write"));
+    }
+  }
+
+  return references;
+}
@@ -24,6 +24,7 @@ import {
   withdraw,
   transfer,
   calculateLoanPayments,
+  getLoanPaymentInterval,
   makeLoanPayment,
   applyInterest,
   checkBankAccess,
@@ -68,6 +69,13 @@ export class BankHandler {
     console.log(`${MODULE_ID} | Bank Handler initialized`);
   }
 
+  /**
+   * Reload all banking data from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadData();
+  }
+
   // ==================== DATA LOADING ====================
 
   /**
@@ -305,6 +313,14 @@ export class BankHandler {
       .filter(a => a.ownerUuid === playerActorUuid || a.coOwners.includes(playerActorUuid));
   }
 
+  /**
+   * Get all accounts
+   * @returns {object[]}
+   */
+  getAllAccounts() {
+    return Array.from(this._accountCache.values());
+  }
+
   /**
    * Open a new bank account
    * @param {string} bankId - Bank ID
@@ -606,6 +622,14 @@ export class BankHandler {
       .filter(l => l.borrowerUuid === playerActorUuid);
   }
 
+  /**
+   * Get all loans
+   * @returns {object[]}
+   */
+  getAllLoans() {
+    return Array.from(this._loanCache.values());
+  }
+
   /**
    * Request a loan
    * @param {string} bankId - Bank ID
@@ -698,12 +722,19 @@ export class BankHandler {
       return { success: false, message: localize("BOBSNPC.LoanNotPending") };
     }
 
+    // Payments fall due on the calendar from today
+    const calendar = game.bobsnpc.handlers.calendar;
+    const interval = getLoanPaymentInterval(loan);
+    const now = game.time.worldTime;
+
     // Update loan status
     const updatedLoan = {
       ...loan,
       status: LoanStatus.ACTIVE,
       approvedAt: Date.now(),
-      disbursedAt: Date.now()
+      disbursedAt: Date.now(),
+      nextPaymentDue: calendar.addDays(now, interval),
+      dueDate: calendar.addDays(now, interval * loan.numberOfPayments)
     };
 
     this._loanCache.set(loanId, updatedLoan);
@@ -756,6 +787,12 @@ export class BankHandler {
 
     // Process payment
     const updatedLoan = makeLoanPayment(loan, amount);
+
+    // A full installment moves the next due date on by one period
+    if (updatedLoan.status === LoanStatus.ACTIVE && loan.nextPaymentDue !== null && amount >= loan.paymentAmount) {
+      updatedLoan.nextPaymentDue = game.bobsnpc.handlers.calendar.addDays(loan.nextPaymentDue, getLoanPaymentInterval(loan));
+    }
+
     this._loanCache.set(loanId, updatedLoan);
 
     // Deduct from player
@@ -1001,28 +1038,33 @@ export class BankHandler {
 
   /**
    * Check loan payments and apply penalties
+   * Each payment period that passed without an installment counts as one missed payment.
    */
   async checkLoanPayments() {
-    const now = Date.now();
+    const calendar = game.bobsnpc?.handlers?.calendar;
+    if (!calendar) return;
+
+    const now = game.time.worldTime;
 
     for (const loan of this._loanCache.values()) {
       if (loan.status !== LoanStatus.ACTIVE) continue;
+      if (loan.nextPaymentDue === null || now <= loan.nextPaymentDue) continue;
+
+      const updatedLoan = { ...loan };
+      const interval = getLoanPaymentInterval(loan);
 
-      // Check if payment is overdue
-      if (loan.nextPaymentDue && now > loan.nextPaymentDue) {
-        const updatedLoan = {
-          ...loan,
-          missedPayments: loan.missedPayments + 1
-        };
+      while (updatedLoan.nextPaymentDue < now && updatedLoan.status === LoanStatus.ACTIVE) {
+        updatedLoan.missedPayments += 1;
+        updatedLoan.nextPaymentDue = calendar.addDays(updatedLoan.nextPaymentDue, interval);
 
         // Check for default
         if (updatedLoan.missedPayments >= loan.defaultThreshold) {
           updatedLoan.status = LoanStatus.DEFAULTED;
           Hooks.callAll("bobsNPCLoanDefaulted", updatedLoan);
         }
-
-        this._loanCache.set(loan.id, updatedLoan);
       }
+
+      this._loanCache.set(loan.id, updatedLoan);
     }
 
     await this._saveData();
@@ -1042,6 +1084,61 @@ export class BankHandler {
       data
     });
   }
+
+  // ==================== DATA EXPORT/IMPORT ====================
+
+  /**
+   * Export all banking data
+   * @returns {object}
+   */
+  exportData() {
+    return {
+      banks: Object.fromEntries(this._bankCache),
+      bankAccounts: Object.fromEntries(this._accountCache),
+      loans: Object.fromEntries(this._loanCache),
+      safeDepositBoxes: Object.fromEntries(this._safeDepositCache)
+    };
+  }
+
+  /**
+   * Import banking data
+   * @param {object} data - Import data
+   */
+  async importData(data) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    if (data.banks) {
+      this._bankCache.clear();
+      for (const [id, bank] of Object.entries(data.banks)) {
+        this._bankCache.set(id, createBank(bank));
+      }
+    }
+
+    if (data.bankAccounts) {
+      this._accountCache.clear();
+      for (const [id, account] of Object.entries(data.bankAccounts)) {
+        this._accountCache.set(id, createBankAccount(account));
+      }
+    }
+
+    if (data.loans) {
+      this._loanCache.clear();
+      for (const [id, loan] of Object.entries(data.loans)) {
+        this._loanCache.set(id, createLoan(loan));
+      }
+    }
+
+    if (data.safeDepositBoxes) {
+      this._safeDepositCache.clear();
+      for (const [id, box] of Object.entries(data.safeDepositBoxes)) {
+        this._safeDepositCache.set(id, createSafeDepositBox(box));
+      }
+    }
+
+    await this._saveData();
+  }
 }
 
 // Singleton instance
@@ -0,0 +1,320 @@
+/**
+ * Bob's Talking NPCs - Calendar Handler
+ * Turns world time into calendar dates through pluggable calendar adapters
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { localize } from "../utils/helpers.mjs";
+import {
+  CalendarProvider,
+  createCalendarConfig,
+  createCalendarDate,
+  createWeekday,
+  timeToDate,
+  getSecondsPerDay,
+  getSecondsPerHour,
+  formatCalendarDate
+} from "../data/calendar-model.mjs";
+
+/**
+ * Storage keys
+ */
+const STORAGE_KEYS = {
+  CONFIG: "calendarConfig",
+  PROVIDER: "calendarProvider"
+};
+
+/**
+ * Simple Calendar module ID
+ */
+const SIMPLE_CALENDAR_ID = "foundryvtt-simple-calendar";
+
+/**
+ * Calendar Handler class
+ * An adapter is {id, label, isAvailable(), getDate(worldTime), getSecondsPerDay(),
+ * getSecondsPerHour(), getWeekdays()} where getDate returns a createCalendarDate() shape.
+ */
+export class CalendarHandler {
+  constructor() {
+    this._initialized = false;
+    this._adapters = new Map();
+    this._config = createCalendarConfig();
+  }
+
+  /**
+   * Initialize the calendar handler
+   */
+  async initialize() {
+    if (this._initialized) return;
+
+    this._loadConfig();
+    this._registerBuiltInAdapters();
+
+    // Let calendar modules add their own adapters
+    Hooks.callAll(`${MODULE_ID}.registerCalendarAdapters`, this);
+
+    this._initialized = true;
+    console.log(`${MODULE_ID} | Calendar handler initialized (${this.getAdapter().id})`);
+  }
+
+  /**
+   * Reload the native calendar from settings
+   */
+  reload() {
+    this._loadConfig();
+  }
+
+  // ==================== CONFIGURATION ====================
+
+  /**
+   * Load the native calendar configuration
+   * @private
+   */
+  _loadConfig() {
+    this._config = createCalendarConfig(game.settings.get(MODULE_ID, STORAGE_KEYS.CONFIG) || {});
+  }
+
+  /**
+   * Get the native calendar configuration
+   * @returns {object}
+   */
+  getConfig() {
+    return foundry.utils.deepClone(this._config);
+  }
+
+  /**
+   * Update the native calendar configuration (GM only)
+   * @param {object} updates - Calendar config fields
+   * @returns {Promise<object>} Updated config
+   */
+  async setConfig(updates) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    this._config = createCalendarConfig({ ...this._config, ...updates });
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.CONFIG, this._config);
+
+    Hooks.callAll(`${MODULE_ID}.calendarUpdated`, this.getConfig());
+    return this.getConfig();
+  }
+
+  // ==================== ADAPTERS ====================
+
+  /**
+   * Register a calendar adapter
+   * In "auto" mode the most recently registered available adapter is used.
+   * @param {object} adapter - Calendar adapter
+   */
+  registerAdapter(adapter) {
+    if (!adapter?.id || typeof adapter.getDate !== "function") {
+      throw new Error(localize("Calendar.Errors.InvalidAdapter"));
+    }
+    this._adapters.set(adapter.id, adapter);
+  }
+
+  /**
+   * Get registered adapters
+   * @returns {object[]} [{id, label, available}]
+   */
+  getAdapters() {
+    return Array.from(this._adapters.values()).map(adapter => ({
+      id: adapter.id,
+      label: adapter.label,
+      available: adapter.isAvailable?.() ?? true
+    }));
+  }
+
+  /**
+   * Get the adapter in use
+   * Falls back to the native calendar when the chosen adapter is unavailable.
+   * @returns {object}
+   */
+  getAdapter() {
+    const native = this._adapters.get(CalendarProvider.NATIVE);
+    const provider = game.settings.get(MODULE_ID, STORAGE_KEYS.PROVIDER) || CalendarProvider.AUTO;
+    const isAvailable = (adapter) => adapter && (adapter.isAvailable?.() ?? true);
+
+    if (provider !== CalendarProvider.AUTO) {
+      const chosen = this._adapters.get(provider);
+      return isAvailable(chosen) ? chosen : native;
+    }
+
+    const candidates = Array.from(this._adapters.values()).reverse();
+    return candidates.find(adapter => adapter !== native && isAvailable(adapter)) || native;
+  }
+
+  /**
+   * Register the native and Simple Calendar adapters
+   * @private
+   */
+  _registerBuiltInAdapters() {
+    this.registerAdapter({
+      id: CalendarProvider.NATIVE,
+      label: localize("Calendar.Providers.native"),
+      isAvailable: () => true,
+      getDate: (worldTime) => timeToDate(worldTime, this._config),
+      getSecondsPerDay: () => getSecondsPerDay(this._config),
+      getSecondsPerHour: () => getSecondsPerHour(this._config),
+      getWeekdays: () => this._config.weekdays
+    });
+
+    this.registerAdapter({
+      id: CalendarProvider.SIMPLE_CALENDAR,
+      label: localize("Calendar.Providers.simple-calendar"),
+      isAvailable: () => !!game.modules.get(SIMPLE_CALENDAR_ID)?.active && !!globalThis.SimpleCalendar?.api,
+      getDate: (worldTime) => this._getSimpleCalendarDate(worldTime),
+      getSecondsPerDay: () => {
+        const time = SimpleCalendar.api.getTimeConfiguration();
+        return time.hoursInDay * time.minutesInHour * time.secondsInMinute;
+      },
+      getSecondsPerHour: () => {
+        const time = SimpleCalendar.api.getTimeConfiguration();
+        return time.minutesInHour * time.secondsInMinute;
+      },
+      getWeekdays: () => SimpleCalendar.api.getAllWeekdays().map(w => createWeekday({
+        name: w.name,
+        weekend: !!w.restday
+      }))
+    });
+  }
+
+  /**
+   * Convert world time through Simple Calendar
+   * @param {number} worldTime - World time in seconds
+   * @returns {object} Calendar date
+   * @private
+   */
+  _getSimpleCalendarDate(worldTime) {
+    const api = SimpleCalendar.api;
+    const date = api.timestampToDate(worldTime);
+    const weekday = api.getAllWeekdays()[date.dayOfTheWeek];
+    const time = api.getTimeConfiguration();
+
+    return createCalendarDate({
+      dayIndex: Math.floor(worldTime / (time.hoursInDay * time.minutesInHour * time.secondsInMinute)),
+      year: date.year,
+      month: date.month,
+      monthName: date.display?.monthName || "",
+      day: date.day + 1,
+      weekdayIndex: date.dayOfTheWeek,
+      dayOfWeek: weekday ? createWeekday({ name: weekday.name }).id : null,
+      weekdayName: weekday?.name || date.display?.weekday || "",
+      isWeekend: !!weekday?.restday,
+      hour: date.hour,
+      minute: date.minute
+    });
+  }
+
+  // ==================== DATES ====================
+
+  /**
+   * Get the calendar date for a world time
+   * @param {number} worldTime - World time in seconds (defaults to now)
+   * @returns {object} Calendar date
+   */
+  getDate(worldTime = game.time.worldTime) {
+    return this.getAdapter().getDate(worldTime);
+  }
+
+  /**
+   * Get the time fields NPC schedules check
+   * @param {number} worldTime - World time in seconds (defaults to now)
+   * @returns {object} {hour, dayOfWeek, isWeekend}
+   */
+  getGameTime(worldTime = game.time.worldTime) {
+    const { hour, dayOfWeek, isWeekend } = this.getDate(worldTime);
+    return { hour, dayOfWeek, isWeekend };
+  }
+
+  /**
+   * Get the weekdays of the calendar in use
+   * @returns {object[]} [{id, name, weekend}]
+   */
+  getWeekdays() {
+    return this.getAdapter().getWeekdays();
+  }
+
+  /**
+   * Get seconds per calendar day
+   * @returns {number}
+   */
+  getSecondsPerDay() {
+    return this.getAdapter().getSecondsPerDay();
+  }
+
+  /**
+   * Get seconds per calendar hour
+   * @returns {number}
+   */
+  getSecondsPerHour() {
+    return this.getAdapter().getSecondsPerHour();
+  }
+
+  /**
+   * Get whole calendar days since world time 0
+   * @param {number} worldTime - World time in seconds
+   * @returns {number}
+   */
+  getDayIndex(worldTime = game.time.worldTime) {
+    return Math.floor(worldTime / this.getSecondsPerDay());
+  }
+
+  /**
+   * Get whole calendar days between two world times
+   * @param {number} from - Earlier world time
+   * @param {number} to - Later world time (defaults to now)
+   * @returns {number}
+   */
+  getDaysBetween(from, to = game.time.worldTime) {
+    return this.getDayIndex(to) - this.getDayIndex(from);
+  }
+
+  /**
+   * Add calendar days to a world time
+   * @param {number} worldTime - World time in seconds
+   * @param {number} days - Days to add
+   * @returns {number}
+   */
+  addDays(worldTime, days) {
+    return worldTime + (days * this.getSecondsPerDay());
+  }
+
+  /**
+   * Add calendar hours to a world time
+   * @param {number} worldTime - World time in seconds
+   * @param {number} hours - Hours to add
+   * @returns {number}
+   */
+  addHours(worldTime, hours) {
+    return worldTime + (hours * this.getSecondsPerHour());
+  }
+
+  /**
+   * Format a world time as a calendar date
+   * @param {number} worldTime - World time in seconds
+   * @param {object} options - {time: include the time of day}
+   * @returns {string}
+   */
+  formatDate(worldTime = game.time.worldTime, options = {}) {
+    return formatCalendarDate(this.getDate(worldTime), options);
+  }
+
+  /**
+   * Describe the time left until a world time
+   * @param {number} worldTime - Target world time
+   * @returns {string} "3 days", "5 hours" or "Expired"
+   */
+  formatRemaining(worldTime) {
+    const remaining = worldTime - game.time.worldTime;
+    if (remaining <= 0) return localize("TimeLimit.Expired");
+
+    const hours = Math.floor(remaining / this.getSecondsPerHour());
+    const days = Math.floor(remaining / this.getSecondsPerDay());
+    return days > 0 ? localize("TimeLimit.Days", { days }) : localize("TimeLimit.Hours", { hours });
+  }
+}
+
+// Singleton instance
+export const calendarHandler = new CalendarHandler();
@@ -6,6 +6,8 @@
 // Define MODULE_ID locally to avoid circular dependency with module.mjs
 const MODULE_ID = "bobs-talking-npcs";
 import { localize, getFlag, setFlag, generateId } from "../utils/helpers.mjs";
+import { emitToGM, SocketEvents } from "../socket.mjs";
+import { RelationshipEventType } from "../data/relationship-model.mjs";
 import {
   CrimeType,
   BountyStatus,
@@ -27,9 +29,27 @@ import {
   getTotalBounty,
   getBountyStatus,
   JurisdictionTemplates,
-  createJurisdictionFromTemplate
+  createJurisdictionFromTemplate,
+  createStolenMark,
+  getStolenMark,
+  isRecognizedAsStolen
 } from "../data/bounty-model.mjs";
 
+/**
+ * Distance in feet within which NPCs notice a failed theft
+ */
+const WITNESS_RANGE = 30;
+
+/**
+ * Relationship lost with an NPC who catches a thief
+ */
+const STEAL_RELATIONSHIP_PENALTY = 25;
+
+/**
+ * Extra DC for lifting an item the victim has equipped
+ */
+const EQUIPPED_ITEM_DC_BONUS = 5;
+
 /**
  * Crime Handler class
  * Manages all crime, bounty, and law enforcement operations
@@ -53,10 +73,24 @@ export class CrimeHandler {
     await this._loadBounties();
     await this._loadCrimes();
 
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (data.type?.startsWith("crime.")) this.handleSocket(data);
+    });
+
     this._initialized = true;
     console.log(`${MODULE_ID} | Crime handler initialized`);
   }
 
+  /**
+   * Reload all crime data from storage, e.g. after a backup restore
+   */
+  async reload() {
+    this._recordCache.clear();
+    await this._loadJurisdictions();
+    await this._loadBounties();
+    await this._loadCrimes();
+  }
+
   // ==================== Jurisdiction Management ====================
 
   /**
@@ -180,6 +214,17 @@ export class CrimeHandler {
     return null;
   }
 
+  /**
+   * Get the jurisdiction an actor is currently in
+   * Uses the scene of the actor's token, falling back to the viewed scene.
+   * @param {Actor} actor - Actor
+   * @returns {object|null}
+   */
+  getJurisdictionForActor(actor) {
+    const token = actor ? this._getToken(actor) : null;
+    return this.getJurisdictionByScene(token?.document.parent?.id ?? canvas.scene?.id);
+  }
+
   /**
    * Get all jurisdictions
    * @returns {object[]}
@@ -549,6 +594,14 @@ export class CrimeHandler {
     return bounties;
   }
 
+  /**
+   * Get all bounties
+   * @returns {object[]}
+   */
+  getAllBounties() {
+    return Array.from(this._bountyCache.values());
+  }
+
   /**
    * Get bounty status for an actor
    * @param {string} actorUuid - Actor UUID
@@ -896,6 +949,447 @@ export class CrimeHandler {
     };
   }
 
+  // ==================== Stealing ====================
+
+  /**
+   * Get the sleight of hand DC to steal an item from an NPC
+   * Uses the NPC's configured steal DC, otherwise its passive perception.
+   * @param {Actor} npc - NPC actor
+   * @param {Item} item - Item being stolen
+   * @returns {number}
+   */
+  getStealDC(npc, item = null) {
+    const config = getFlag(npc, "config");
+    let dc = config?.stealDC ?? npc.system?.skills?.prc?.passive ?? 10;
+
+    if (item?.system?.equipped) {
+      dc += EQUIPPED_ITEM_DC_BONUS;
+    }
+
+    return dc;
+  }
+
+  /**
+   * Attempt to steal an item from an NPC
+   * The player rolls sleight of hand locally; the GM settles the outcome.
+   * @param {Actor} player - Thief actor
+   * @param {Actor} npc - Victim NPC actor
+   * @param {string} itemId - Item ID on the NPC
+   * @returns {Promise<object>} Result, or {success, pending} when sent to the GM
+   */
+  async attemptSteal(player, npc, itemId) {
+    if (!game.settings.get(MODULE_ID, "stealingEnabled")) {
+      return { success: false, error: localize("Crime.Messages.StealingDisabled") };
+    }
+
+    if (!player.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const item = npc.items.get(itemId);
+    if (!item) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    const roll = await player.rollSkill("slt", { chatMessage: true });
+    if (!roll) return { success: false, cancelled: true };
+
+    const request = {
+      playerUuid: player.uuid,
+      npcUuid: npc.uuid,
+      itemId,
+      rollTotal: roll.total
+    };
+
+    if (!game.user.isGM) {
+      emitToGM(SocketEvents.CRIME_STEAL, request);
+      return { success: true, pending: true };
+    }
+
+    const result = await this.resolveSteal(request);
+    this._notifySteal(result);
+    return result;
+  }
+
+  /**
+   * Handle a steal attempt received from a player (active GM only)
+   * @param {object} payload - {playerUuid, npcUuid, itemId, rollTotal}
+   * @param {string} userId - Requesting user ID
+   */
+  async handleStealRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(userId);
+    const player = await fromUuid(payload.playerUuid);
+
+    let result;
+    if (!player?.testUserPermission(user, "OWNER")) {
+      result = { success: false, error: localize("Errors.PermissionDenied") };
+    } else {
+      try {
+        result = await this.resolveSteal(payload);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Steal attempt failed:`, error);
+        result = { success: false, error: error.message };
+      }
+    }
+
+    this._emitSocket("stealResult", { userId, result });
+  }
+
+  /**
+   * Settle a steal attempt against the NPC's DC
+   * On success the item changes hands; on failure the theft is reported with
+   * any witnesses, the victim's opinion drops and the guards may respond.
+   * @param {object} data - {playerUuid, npcUuid, itemId, rollTotal}
+   * @returns {Promise<object>} {success, stolen, caught, itemName, dc, rollTotal, crime, bounty, guardResponse}
+   */
+  async resolveSteal({ playerUuid, npcUuid, itemId, rollTotal }) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    // Re-checked here so socket requests respect the GM's current setting
+    if (!game.settings.get(MODULE_ID, "stealingEnabled")) {
+      return { success: false, error: localize("Crime.Messages.StealingDisabled") };
+    }
+
+    const player = await fromUuid(playerUuid);
+    const npc = await fromUuid(npcUuid);
+    if (!player || !npc) {
+      return { success: false, error: localize("Errors.ActorNotFound") };
+    }
+
+    const item = npc.items.get(itemId);
+    if (!item) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    const dc = this.getStealDC(npc, item);
+    const itemName = item.name;
+    const jurisdiction = this.getJurisdictionForActor(npc);
+
+    if (rollTotal >= dc) {
+      const itemData = await this._transferStolenItem(item, player, createStolenMark({
+        originalOwnerUuid: npc.uuid,
+        originalOwnerName: npc.name,
+        jurisdictionId: jurisdiction?.id
+      }));
+
+      Hooks.callAll(`${MODULE_ID}.itemStolen`, player, npc, itemData);
+      return { success: true, stolen: true, caught: false, itemName, dc, rollTotal };
+    }
+
+    // Caught in the act
+    const playerToken = this._getToken(player);
+    const sceneId = this._getToken(npc)?.document.parent?.id ?? playerToken?.document.parent?.id ?? canvas.scene?.id;
+    const description = localize("Crime.Messages.StealDescription", {
+      thief: player.name,
+      item: itemName,
+      victim: npc.name
+    });
+
+    const { crime, bounty } = await this.reportCrime({
+      type: CrimeType.PICKPOCKET,
+      perpetratorUuid: player.uuid,
+      perpetratorName: player.name,
+      victimUuid: npc.uuid,
+      victimName: npc.name,
+      sceneId,
+      caught: true,
+      caughtBy: npc.name,
+      stolenValue: item.system?.price?.value || 0,
+      witnesses: this._gatherWitnesses(playerToken, npc, jurisdiction),
+      description
+    });
+
+    await game.bobsnpc?.handlers?.relationship?.modifyRelationship(
+      player.uuid,
+      npc.uuid,
+      -STEAL_RELATIONSHIP_PENALTY,
+      { type: RelationshipEventType.THEFT, description }
+    );
+
+    let guardResponse = "none";
+    if (bounty) {
+      guardResponse = await this.getGuardResponse(player.uuid, bounty.regionId);
+      if (guardResponse !== "none") {
+        Hooks.callAll(`${MODULE_ID}.guardResponse`, player.uuid, bounty.regionId, guardResponse);
+      }
+      if (guardResponse === "arrest") {
+        await this.attemptArrest(player.uuid, bounty.regionId);
+      }
+    }
+
+    Hooks.callAll(`${MODULE_ID}.stealFailed`, player, npc, { crime, bounty, guardResponse });
+
+    return {
+      success: false,
+      stolen: false,
+      caught: true,
+      itemName,
+      dc,
+      rollTotal,
+      crime,
+      bounty,
+      guardResponse
+    };
+  }
+
+  /**
+   * Move one of a stolen item from the victim to the thief
+   * @param {Item} item - Item on the victim
+   * @param {Actor} player - Thief actor
+   * @param {object} mark - Stolen goods mark
+   * @returns {Promise<object>} Created item data
+   * @private
+   */
+  async _transferStolenItem(item, player, mark) {
+    const quantity = item.system?.quantity ?? 1;
+    const itemData = item.toObject();
+    delete itemData._id;
+    foundry.utils.setProperty(itemData, `flags.${MODULE_ID}.stolen`, mark);
+
+    if (itemData.system?.quantity !== undefined) {
+      itemData.system.quantity = 1;
+    }
+    if (itemData.system?.equipped !== undefined) {
+      itemData.system.equipped = false;
+    }
+
+    await player.createEmbeddedDocuments("Item", [itemData]);
+
+    if (quantity > 1) {
+      await item.update({ "system.quantity": quantity - 1 });
+    } else {
+      await item.delete();
+    }
+
+    return itemData;
+  }
+
+  /**
+   * Get an actor's token on the viewed scene
+   * @param {Actor} actor - Actor
+   * @returns {Token|null}
+   * @private
+   */
+  _getToken(actor) {
+    return actor.token?.object ?? actor.getActiveTokens()[0] ?? null;
+  }
+
+  /**
+   * Collect witnesses to a theft
+   * The victim always testifies; conscious NPCs near the thief join them,
+   * and members of the jurisdiction's enforcement faction count as guards.
+   * @param {Token|null} thiefToken - Thief's token
+   * @param {Actor} victim - Victim NPC actor
+   * @param {object|null} jurisdiction - Jurisdiction of the scene
+   * @returns {object[]} Witness data
+   * @private
+   */
+  _gatherWitnesses(thiefToken, victim, jurisdiction) {
+    const witnesses = [{
+      type: WitnessType.VICTIM,
+      actorUuid: victim.uuid,
+      name: victim.name
+    }];
+
+    if (!thiefToken || !canvas.ready) return witnesses;
+
+    const enforcementFactionId = jurisdiction?.enforcementFactionId;
+    for (const token of canvas.tokens.placeables) {
+      const actor = token.actor;
+      if (!actor || token === thiefToken || actor.uuid === victim.uuid) continue;
+      if (actor.hasPlayerOwner || token.document.hidden) continue;
+      if ((actor.system?.attributes?.hp?.value ?? 1) <= 0) continue;
+
+      const distance = canvas.grid.measurePath([thiefToken.center, token.center]).distance;
+      if (distance > WITNESS_RANGE) continue;
+
+      const factions = getFlag(actor, "config")?.factions || [];
+      witnesses.push({
+        type: enforcementFactionId && factions.includes(enforcementFactionId)
+          ? WitnessType.GUARD
+          : WitnessType.BYSTANDER,
+        actorUuid: actor.uuid,
+        name: actor.name
+      });
+    }
+
+    return witnesses;
+  }
+
+  /**
+   * Show the outcome of a steal attempt to the thief
+   * @param {object} result - Steal result
+   * @private
+   */
+  _notifySteal(result) {
+    if (result.stolen) {
+      ui.notifications.info(localize("Crime.Messages.StealSuccess", { item: result.itemName }));
+    } else if (result.caught) {
+      ui.notifications.warn(localize("Crime.Messages.StealFailed"));
+      if (result.guardResponse && result.guardResponse !== "none") {
+        ui.notifications.warn(localize("Crime.Messages.GuardsCalled"));
+      }
+    } else if (result.error) {
+      ui.notifications.warn(result.error);
+    }
+  }
+
+  // ==================== Stolen Goods ====================
+
+  /**
+   * Get items on an actor that carry a stolen goods mark
+   * @param {Actor} actor - Actor
+   * @returns {Item[]}
+   */
+  getStolenItems(actor) {
+    return actor.items.filter(item => !!getStolenMark(item));
+  }
+
+  /**
+   * Mark an item as stolen
+   * @param {Item} item - Item
+   * @param {object} data - Stolen mark data
+   * @returns {Promise<Item>}
+   */
+  async markStolen(item, data = {}) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+    return item.setFlag(MODULE_ID, "stolen", createStolenMark(data));
+  }
+
+  /**
+   * Clear the stolen mark from an item
+   * @param {Item} item - Item
+   * @returns {Promise<Item>}
+   */
+  async clearStolen(item) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+    return item.unsetFlag(MODULE_ID, "stolen");
+  }
+
+  /**
+   * Mark or unmark an item as notable
+   * Notable items are recognized as stolen by merchants and guards everywhere.
+   * @param {Item} item - Item
+   * @param {boolean} notable - Notable state
+   * @returns {Promise<Item>}
+   */
+  async setNotable(item, notable = true) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+    return notable ? item.setFlag(MODULE_ID, "notable", true) : item.unsetFlag(MODULE_ID, "notable");
+  }
+
+  /**
+   * Report an attempt to sell stolen goods to a merchant
+   * Runs on the GM; players route the report through the socket.
+   * @param {Actor} seller - Selling actor
+   * @param {object} data - {merchantName, npcActorUuid, items: [{name, value}], jurisdictionId}
+   * @returns {Promise<object>} reportCrime result, or {pending} when sent to the GM
+   */
+  async reportStolenGoods(seller, data) {
+    const request = { sellerUuid: seller.uuid, ...data };
+
+    if (!game.user.isGM) {
+      emitToGM(SocketEvents.CRIME_REPORT, request);
+      return { pending: true };
+    }
+
+    return this._reportStolenGoods(request);
+  }
+
+  /**
+   * Handle a stolen goods report received from a player (active GM only)
+   * @param {object} payload - Report data
+   * @param {string} userId - Reporting user ID
+   */
+  async handleReportRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    // Players may only report their own characters
+    const seller = await fromUuid(payload.sellerUuid);
+    if (!seller?.testUserPermission(game.users.get(userId), "OWNER")) return;
+
+    await this._reportStolenGoods(payload);
+  }
+
+  /**
+   * Create the theft crime for a stolen goods sale
+   * @param {object} data - {sellerUuid, merchantName, npcActorUuid, items, jurisdictionId}
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _reportStolenGoods({ sellerUuid, merchantName, npcActorUuid, items = [], jurisdictionId }) {
+    const seller = await fromUuid(sellerUuid);
+    if (!seller) return { crime: null, bounty: null, witnessed: false };
+
+    const itemNames = items.map(i => i.name).join(", ");
+    return this.reportCrime({
+      type: CrimeType.THEFT,
+      perpetratorUuid: seller.uuid,
+      perpetratorName: seller.name,
+      regionId: jurisdictionId,
+      caught: true,
+      caughtBy: merchantName,
+      stolenValue: items.reduce((sum, i) => sum + (i.value || 0), 0),
+      witnesses: [{ type: WitnessType.NPC, actorUuid: npcActorUuid, name: merchantName }],
+      description: localize("Crime.Messages.StolenGoodsDescription", {
+        seller: seller.name,
+        items: itemNames,
+        merchant: merchantName
+      })
+    });
+  }
+
+  /**
+   * Confiscate stolen goods the guards of a jurisdiction recognize
+   * Confiscated items are returned to their original owner when they still exist.
+   * @param {string} actorUuid - Actor UUID
+   * @param {string} jurisdictionId - Jurisdiction ID
+   * @returns {Promise<object>} {confiscated: string[]}
+   */
+  async confiscateStolenGoods(actorUuid, jurisdictionId) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const actor = await fromUuid(actorUuid);
+    if (!actor) return { confiscated: [] };
+
+    const recognized = this.getStolenItems(actor).filter(item => isRecognizedAsStolen(item, jurisdictionId));
+    if (!recognized.length) return { confiscated: [] };
+
+    for (const item of recognized) {
+      const mark = getStolenMark(item);
+      const owner = mark.originalOwnerUuid ? await fromUuid(mark.originalOwnerUuid) : null;
+      if (owner) {
+        const itemData = item.toObject();
+        delete itemData._id;
+        delete itemData.flags[MODULE_ID].stolen;
+        await owner.createEmbeddedDocuments("Item", [itemData]);
+      }
+    }
+
+    const confiscated = recognized.map(item => item.name);
+    await actor.deleteEmbeddedDocuments("Item", recognized.map(item => item.id));
+
+    Hooks.callAll(`${MODULE_ID}.stolenGoodsConfiscated`, actorUuid, jurisdictionId, confiscated);
+
+    ui.notifications.warn(
+      localize("Crime.Messages.Confiscated", { name: actor.name, items: confiscated.join(", ") })
+    );
+
+    return { confiscated };
+  }
+
   // ==================== Arrest & Jail ====================
 
   /**
@@ -958,6 +1452,12 @@ export class CrimeHandler {
     record.jailReleaseTime = Date.now() + (jailHours * 60 * 60 * 1000);
     await this._saveCriminalRecord(record);
 
+    // Guards search the prisoner for goods they recognize as stolen
+    let confiscated = [];
+    if (jurisdiction.guardBehavior.confiscateStolenGoods && game.user.isGM) {
+      ({ confiscated } = await this.confiscateStolenGoods(actorUuid, jurisdictionId));
+    }
+
     Hooks.callAll(`${MODULE_ID}.actorArrested`, actorUuid, jurisdictionId, jailHours);
     this._emitSocket("actorArrested", { actorUuid, jurisdictionId, jailHours });
 
@@ -969,7 +1469,8 @@ export class CrimeHandler {
       success: true,
       jailed: true,
       jailHours,
-      releaseTime: record.jailReleaseTime
+      releaseTime: record.jailReleaseTime,
+      confiscated
     };
   }
 
@@ -1107,8 +1608,9 @@ export class CrimeHandler {
 
   /**
    * Process bounty decay for all bounties
+   * @param {number} days - In-game days elapsed
    */
-  async processBountyDecay() {
+  async processBountyDecay(days = 1) {
     if (!game.user.isGM) return;
 
     for (const [bountyId, bounty] of this._bountyCache.entries()) {
@@ -1117,8 +1619,8 @@ export class CrimeHandler {
       const jurisdiction = this.getJurisdiction(bounty.regionId);
       if (!jurisdiction) continue;
 
-      const decayed = applyBountyDecay(bounty, jurisdiction);
-      if (decayed.amount !== bounty.amount) {
+      const decayed = applyBountyDecay(bounty, jurisdiction, days);
+      if (decayed !== bounty) {
         this._bountyCache.set(bountyId, decayed);
 
         if (decayed.status === BountyStatus.EXPIRED) {
@@ -1304,6 +1806,12 @@ export class CrimeHandler {
           await this._loadJurisdictions();
         }
         break;
+
+      case "crime.stealResult":
+        if (data.userId === game.user.id) {
+          this._notifySteal(data.result);
+        }
+        break;
     }
   }
 
@@ -15,7 +15,9 @@ import {
   ActionType,
   validateDialogue
 } from "../data/dialogue-model.mjs";
+import { checkWorldStateCondition, parseWorldStateValue } from "../data/world-state-model.mjs";
 import { generateId, getFlag, setFlag, localize } from "../utils/helpers.mjs";
+import { emitToGM, SocketEvents } from "../socket.mjs";
 
 /**
  * Storage keys for dialogue data
@@ -58,6 +60,7 @@ export class DialogueHandler {
     this._activeSessions = new Map();
     this._conditionEvaluators = new Map();
     this._actionExecutors = new Map();
+    this._effectExecutors = new Map();
   }
 
   /**
@@ -75,6 +78,9 @@ export class DialogueHandler {
     // Register built-in action executors
     this._registerBuiltInActions();
 
+    // Register built-in effect executors
+    this._registerBuiltInEffects();
+
     // Register socket handlers
     this._registerSocketHandlers();
 
@@ -82,6 +88,13 @@ export class DialogueHandler {
     console.log(`${MODULE_ID} | Dialogue Handler initialized`);
   }
 
+  /**
+   * Reload all dialogues from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadDialogues();
+  }
+
   /**
    * Register built-in condition evaluators
    * @private
@@ -90,17 +103,17 @@ export class DialogueHandler {
     // Quest conditions
     this.registerCondition(ConditionType.QUEST_COMPLETE, async (condition, context) => {
       const { questId } = condition;
-      return await game.bobsnpc?.quests?.hasCompletedQuest(context.actorUuid, questId) ?? false;
+      return await game.bobsnpc?.handlers?.quest?.hasCompletedQuest(context.actorUuid, questId) ?? false;
     });
 
     this.registerCondition(ConditionType.QUEST_ACTIVE, async (condition, context) => {
-      const playerQuests = await game.bobsnpc?.quests?.getPlayerQuests(context.actorUuid) ?? [];
+      const playerQuests = game.bobsnpc?.handlers?.quest?.getPlayerQuests(context.actorUuid) ?? [];
       return playerQuests.some(q => q.id === condition.questId);
     });
 
     this.registerCondition(ConditionType.QUEST_NOT_STARTED, async (condition, context) => {
-      const playerQuests = await game.bobsnpc?.quests?.getPlayerQuests(context.actorUuid) ?? [];
-      const completedQuests = await game.bobsnpc?.quests?.getCompletedQuests(context.actorUuid) ?? [];
+      const playerQuests = game.bobsnpc?.handlers?.quest?.getPlayerQuests(context.actorUuid) ?? [];
+      const completedQuests = await game.bobsnpc?.handlers?.quest?.getCompletedQuests(context.actorUuid) ?? [];
       return !playerQuests.some(q => q.id === condition.questId) &&
         !completedQuests.some(q => q.id === condition.questId);
     });
@@ -191,10 +204,13 @@ export class DialogueHandler {
     });
 
     // Time conditions
-    this.registerCondition(ConditionType.TIME_OF_DAY, async (condition, context) => {
-      const worldTime = game.time?.worldTime || 0;
-      const hour = Math.floor((worldTime / 3600) % 24);
-      return hour >= condition.fromHour && hour < condition.toHour;
+    this.registerCondition(ConditionType.TIME, async (condition, context) => {
+      const hour = game.bobsnpc?.handlers?.calendar?.getDate().hour ?? 0;
+      const from = condition.from ?? condition.fromHour;
+      const to = condition.to ?? condition.toHour;
+
+      // Overnight windows (e.g. 22 to 6) wrap past midnight
+      return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
     });
 
     // Visit count conditions
@@ -231,6 +247,10 @@ export class DialogueHandler {
     });
 
     // Crime/bounty conditions
+    this.registerCondition(ConditionType.WORLD_STATE, async (condition, context) => {
+      return checkWorldStateCondition(condition);
+    });
+
     this.registerCondition(ConditionType.HAS_BOUNTY, async (condition, context) => {
       const bounty = await game.bobsnpc?.crime?.getTotalBounty(context.actorUuid);
       if (condition.regionId) {
@@ -248,23 +268,24 @@ export class DialogueHandler {
   _registerBuiltInActions() {
     // Quest actions
     this.registerAction(ActionType.START_QUEST, async (action, context) => {
-      const result = await game.bobsnpc?.quests?.acceptQuest(action.questId, [await fromUuid(context.actorUuid)]);
+      const result = await game.bobsnpc?.handlers?.quest?.acceptQuest(action.questId, [await fromUuid(context.actorUuid)]);
       return result?.success ?? false;
     });
 
     this.registerAction(ActionType.COMPLETE_QUEST, async (action, context) => {
       const actors = await Promise.all(context.session.participants.map(uuid => fromUuid(uuid)));
-      const result = await game.bobsnpc?.quests?.completeQuest(action.questId, actors.filter(a => a));
+      const result = await game.bobsnpc?.handlers?.quest?.completeQuest(action.questId, actors.filter(a => a));
       return result?.success ?? false;
     });
 
     this.registerAction(ActionType.FAIL_QUEST, async (action, context) => {
-      const result = await game.bobsnpc?.quests?.failQuest(action.questId, action.reason);
+      const actors = await Promise.all(context.session.participants.map(uuid => fromUuid(uuid)));
+      const result = await game.bobsnpc?.handlers?.quest?.failQuest(action.questId, action.reason, actors.filter(a => a));
       return result?.success ?? false;
     });
 
     this.registerAction(ActionType.UPDATE_OBJECTIVE, async (action, context) => {
-      await game.bobsnpc?.quests?.updateObjective(action.questId, action.objectiveId, action.updates);
+      await game.bobsnpc?.handlers?.quest?.updateObjective(action.questId, action.objectiveId, action.updates, context.actorUuid);
       return true;
     });
 
@@ -371,6 +392,11 @@ export class DialogueHandler {
       return true;
     });
 
+    this.registerAction(ActionType.SET_WORLD_STATE, async (action, context) => {
+      await this._setWorldState(action.key, action.value, context);
+      return true;
+    });
+
     // Unlock dialogue option
     this.registerAction(ActionType.UNLOCK_DIALOGUE, async (action, context) => {
       for (const actorUuid of context.session.participants) {
@@ -443,6 +469,18 @@ export class DialogueHandler {
     });
   }
 
+  /**
+   * Register built-in effect executors
+   * Effects are set on nodes and responses in the node editor
+   * @private
+   */
+  _registerBuiltInEffects() {
+    this.registerEffect(EffectType.SET_WORLD_STATE, async (effect, context) => {
+      await this._setWorldState(effect.key, effect.value, context);
+      return true;
+    });
+  }
+
   /**
    * Register socket handlers
    * @private
@@ -611,15 +649,7 @@ export class DialogueHandler {
     // Record visit
     await this._recordVisit(npcActorUuid, participantUuids[0]);
 
-    // Get first node
-    const startNode = await this.getNode(dialogueId, dialogue.startNodeId);
-
-    // Execute entry actions for start node
-    if (startNode?.onEnter?.length > 0) {
-      await this._executeActions(startNode.onEnter, this._createContext(session));
-    }
-
-    // Broadcast to other clients
+    // Broadcast to other clients, before the start node's effects reach the GM
     this._emitSocket("sessionStarted", {
       sessionId: session.id,
       dialogueId,
@@ -628,6 +658,17 @@ export class DialogueHandler {
       currentNodeId: dialogue.startNodeId
     });
 
+    // Get first node
+    const startNode = await this.getNode(dialogueId, dialogue.startNodeId);
+
+    // Execute entry actions for start node
+    if (startNode?.onEnter?.length > 0) {
+      await this._executeActions(startNode.onEnter, this._createContext(session));
+    }
+    if (startNode?.effects?.length > 0) {
+      await this._executeEffects(startNode.effects, this._createContext(session));
+    }
+
     Hooks.callAll("bobsNPCDialogueStarted", session, dialogue);
 
     return {
@@ -730,6 +771,37 @@ export class DialogueHandler {
     return responses;
   }
 
+  /**
+   * Get the quest offered at a session's current node
+   * Prerequisites are checked for the primary participant.
+   * @param {string} sessionId - Session ID
+   * @returns {object|null} {quest, node, met, reasons}, null when the node offers no quest
+   */
+  async getQuestOffer(sessionId) {
+    const session = this.getSession(sessionId);
+    const node = session ? await this.getNode(session.dialogueId, session.currentNodeId) : null;
+    if (node?.type !== NodeType.QUEST_OFFER || !node.questId) return null;
+
+    const questHandler = game.bobsnpc?.handlers?.quest;
+    const quest = questHandler?.getQuest(node.questId);
+    const actor = await fromUuid(session.participants[0]);
+    if (!quest || !actor) return null;
+
+    const { met, reasons } = await questHandler.checkPrerequisites(quest, actor);
+    return { quest, node, met, reasons };
+  }
+
+  /**
+   * Check whether a response accepts the quest offered at a node
+   * @param {object} response - Response data
+   * @param {object} node - Quest offer node
+   * @returns {boolean}
+   */
+  acceptsQuestOffer(response, node) {
+    if (node.acceptNodeId && response.nextNodeId === node.acceptNodeId) return true;
+    return (response.actions || []).some(a => a.type === ActionType.START_QUEST && a.questId === node.questId);
+  }
+
   /**
    * Select a response and navigate to next node
    * @param {string} sessionId - Session ID
@@ -783,6 +855,9 @@ export class DialogueHandler {
     if (response.actions?.length > 0) {
       await this._executeActions(response.actions, context);
     }
+    if (response.effects?.length > 0) {
+      await this._executeEffects(response.effects, context);
+    }
 
     // Execute exit actions for current node
     if (currentNode.onExit?.length > 0) {
@@ -809,6 +884,9 @@ export class DialogueHandler {
       if (nextNode?.onEnter?.length > 0) {
         await this._executeActions(nextNode.onEnter, context);
       }
+      if (nextNode?.effects?.length > 0) {
+        await this._executeEffects(nextNode.effects, context);
+      }
 
       // Check for auto-end nodes
       if (nextNode?.type === NodeType.END) {
@@ -975,6 +1053,13 @@ export class DialogueHandler {
       }
     }
 
+    // Accepting a quest offer needs its prerequisites
+    const offer = available ? await this.getQuestOffer(context.session.id) : null;
+    if (offer && !offer.met && this.acceptsQuestOffer(response, offer.node)) {
+      available = false;
+      reason = offer.reasons.join("; ");
+    }
+
     return { available, visible, reason, rollRequired };
   }
 
@@ -1011,6 +1096,80 @@ export class DialogueHandler {
     }
   }
 
+  // ==================== EFFECT EXECUTION ====================
+
+  /**
+   * Register a custom effect executor
+   * @param {string} type - Effect type
+   * @param {Function} executor - Executor function
+   */
+  registerEffect(type, executor) {
+    this._effectExecutors.set(type, executor);
+  }
+
+  /**
+   * Execute an array of node or response effects
+   * Effect types without an executor are skipped.
+   * @param {object[]} effects - Effects to execute
+   * @param {object} context - Execution context
+   * @private
+   */
+  async _executeEffects(effects, context) {
+    for (const effect of effects) {
+      const executor = this._effectExecutors.get(effect.type);
+      if (!executor) continue;
+
+      try {
+        await executor(effect, context);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Error executing effect:`, error);
+      }
+    }
+  }
+
+  /**
+   * Set a world state key, through the GM when run by a player
+   * Players send the session and node the change comes from so the GM can verify it.
+   * @param {string} key - World state key
+   * @param {*} value - Value, JSON text is parsed
+   * @param {object} context - Execution context
+   * @private
+   */
+  async _setWorldState(key, value, context = {}) {
+    if (!key) return;
+    value = parseWorldStateValue(value);
+
+    if (game.user.isGM) {
+      await game.bobsnpc.worldState.set(key, value);
+    } else {
+      emitToGM(SocketEvents.DIALOGUE_WORLD_STATE, {
+        sessionId: context.session?.id ?? null,
+        nodeId: context.session?.currentNodeId ?? null,
+        key,
+        value
+      });
+    }
+  }
+
+  /**
+   * Check whether a node, its entry and exit actions or its responses set a world state key to a value
+   * @param {object} node - Dialogue node
+   * @param {string} key - World state key
+   * @param {*} value - Parsed value
+   * @returns {boolean}
+   * @private
+   */
+  _nodeSetsWorldState(node, key, value) {
+    const matches = (entry, type) => entry.type === type && entry.key === key &&
+      foundry.utils.objectsEqual({ value: parseWorldStateValue(entry.value) }, { value });
+
+    const effects = [node.effects, ...(node.responses || []).map(r => r.effects)].flat().filter(Boolean);
+    const actions = [node.onEnter, node.onExit, ...(node.responses || []).map(r => r.actions)].flat().filter(Boolean);
+
+    return effects.some(e => matches(e, EffectType.SET_WORLD_STATE)) ||
+      actions.some(a => matches(a, ActionType.SET_WORLD_STATE));
+  }
+
   // ==================== HELPERS ====================
 
   /**
@@ -1159,6 +1318,41 @@ export class DialogueHandler {
     Hooks.callAll("bobsNPCRemoteResponseSelected", data);
   }
 
+  /**
+   * Apply a world state change a player's dialogue made (active GM only)
+   * The sender must own a participant of a live session, and the session's
+   * current node, or a node one response away, must set that key to that value.
+   * @param {object} payload - {sessionId, nodeId, key, value}
+   * @param {string} userId - Sending user
+   */
+  async handleWorldStateRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const { sessionId, nodeId, key, value } = payload;
+    const session = this.getSession(sessionId);
+    const user = game.users.get(userId);
+    if (!session || !user) return;
+
+    const owners = await Promise.all(session.participants.map(async uuid =>
+      (await fromUuid(uuid))?.testUserPermission(user, "OWNER") ?? false
+    ));
+    if (!owners.some(Boolean)) return;
+
+    // The session's node change is broadcast after the new node's effects run
+    const currentNode = await this.getNode(session.dialogueId, session.currentNodeId);
+    const reachable = nodeId === session.currentNodeId ||
+      (currentNode?.responses || []).some(r => r.nextNodeId === nodeId || r.onFailNodeId === nodeId);
+    if (!reachable) return;
+
+    const node = await this.getNode(session.dialogueId, nodeId);
+    if (!node || !this._nodeSetsWorldState(node, key, value)) {
+      console.warn(`${MODULE_ID} | Rejected world state change "${key}" from ${user.name}`);
+      return;
+    }
+
+    await game.bobsnpc.worldState.set(key, value);
+  }
+
   /**
    * Handle remote session ended
    * @private
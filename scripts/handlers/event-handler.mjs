@@ -0,0 +1,567 @@
+/**
+ * Bob's Talking NPCs - Event Handler
+ * Starts, applies and expires world events
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { localize } from "../utils/helpers.mjs";
+import {
+  EventTriggerType,
+  EventDurationType,
+  EventEffectType,
+  MAX_TRIGGER_CATCH_UP_DAYS,
+  createWorldEvent,
+  createActiveEvent,
+  matchesCalendarDate
+} from "../data/event-model.mjs";
+
+/**
+ * Storage keys
+ */
+const STORAGE_KEYS = {
+  EVENTS: "worldEvents",
+  ACTIVE: "activeEvents",
+  TRIGGER_STATE: "eventTriggerState"
+};
+
+/**
+ * How long an event banner stays on screen in milliseconds
+ */
+const BANNER_DURATION = 8000;
+
+/**
+ * Event Handler class
+ * Definitions are kept in one world setting and running events in another.
+ * Triggers and expiry are checked by the active GM as world time passes;
+ * effects are looked up by the other handlers while an event runs.
+ */
+export class EventHandler {
+  constructor() {
+    this._initialized = false;
+    this._checking = false;
+    this._pending = false;
+  }
+
+  /**
+   * Initialize the event handler
+   */
+  async initialize() {
+    if (this._initialized) return;
+
+    Hooks.on("updateWorldTime", (worldTime, delta) => this._onWorldTime(worldTime, delta));
+    Hooks.on("bobsNPCQuestCompleted", (quest) => this._onQuestCompleted(quest));
+
+    // Banners the GM shows on every client
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (data.type === "event.banner") this._showBanner(data.data);
+    });
+
+    this._initialized = true;
+    console.log(`${MODULE_ID} | Event handler initialized`);
+  }
+
+  // ==================== DEFINITIONS ====================
+
+  /**
+   * Get an event definition
+   * @param {string} eventId - Event ID
+   * @returns {object|null}
+   */
+  getEvent(eventId) {
+    const data = (game.settings.get(MODULE_ID, STORAGE_KEYS.EVENTS) || {})[eventId];
+    return data ? createWorldEvent(data) : null;
+  }
+
+  /**
+   * Get all event definitions
+   * @returns {object[]}
+   */
+  getAllEvents() {
+    return Object.values(game.settings.get(MODULE_ID, STORAGE_KEYS.EVENTS) || {})
+      .map(data => createWorldEvent(data));
+  }
+
+  /**
+   * Create an event definition (GM only)
+   * @param {object} data - Event data
+   * @returns {Promise<object>}
+   */
+  async createEvent(data) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const event = createWorldEvent({ ...data, createdAt: Date.now(), updatedAt: Date.now() });
+    await this._saveEvent(event);
+
+    Hooks.callAll(`${MODULE_ID}.eventCreated`, event);
+    return event;
+  }
+
+  /**
+   * Update an event definition (GM only)
+   * A running event keeps the effects it started with.
+   * @param {string} eventId - Event ID
+   * @param {object} updates - Fields to change
+   * @returns {Promise<object|null>}
+   */
+  async updateEvent(eventId, updates) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const event = this.getEvent(eventId);
+    if (!event) return null;
+
+    const updated = createWorldEvent({ ...event, ...updates, id: eventId, updatedAt: Date.now() });
+    await this._saveEvent(updated);
+
+    Hooks.callAll(`${MODULE_ID}.eventUpdated`, updated);
+    return updated;
+  }
+
+  /**
+   * Delete an event definition, ending it first if it is running (GM only)
+   * @param {string} eventId - Event ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteEvent(eventId) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const events = game.settings.get(MODULE_ID, STORAGE_KEYS.EVENTS) || {};
+    if (!events[eventId]) return false;
+
+    if (this.isActive(eventId)) {
+      await this.endEvent(eventId, "deleted");
+    }
+
+    delete events[eventId];
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.EVENTS, events);
+
+    Hooks.callAll(`${MODULE_ID}.eventDeleted`, eventId);
+    return true;
+  }
+
+  /**
+   * Save an event definition
+   * @private
+   */
+  async _saveEvent(event) {
+    const events = game.settings.get(MODULE_ID, STORAGE_KEYS.EVENTS) || {};
+    events[event.id] = event;
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.EVENTS, events);
+  }
+
+  // ==================== RUNNING EVENTS ====================
+
+  /**
+   * Get running events
+   * @returns {object[]}
+   */
+  getActiveEvents() {
+    return (game.settings.get(MODULE_ID, STORAGE_KEYS.ACTIVE) || []).map(data => createActiveEvent(data));
+  }
+
+  /**
+   * Get a running event
+   * @param {string} eventId - Event ID
+   * @returns {object|null}
+   */
+  getActiveEvent(eventId) {
+    return this.getActiveEvents().find(e => e.id === eventId) || null;
+  }
+
+  /**
+   * Check if an event is running
+   * @param {string} eventId - Event ID
+   * @returns {boolean}
+   */
+  isActive(eventId) {
+    return this.getActiveEvents().some(e => e.id === eventId);
+  }
+
+  /**
+   * Start an event (GM only)
+   * An ID without a definition starts a one-off event built from options.data.
+   * @param {string} eventId - Event ID
+   * @param {object} options - Trigger options
+   * @param {string} options.triggeredBy - EventTriggerType that started it
+   * @param {number} options.startTime - World time the event began (defaults to now)
+   * @param {object} options.data - Event data for one-off events
+   * @returns {Promise<object>} {success, event, error}
+   */
+  async triggerEvent(eventId, options = {}) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    if (this.isActive(eventId)) {
+      return { success: false, error: localize("Events.Errors.AlreadyActive") };
+    }
+
+    const definition = this.getEvent(eventId) ?? createWorldEvent({ ...options.data, id: eventId });
+    const startTime = options.startTime ?? game.time.worldTime;
+
+    const active = createActiveEvent({
+      id: eventId,
+      name: definition.name,
+      effects: definition.effects,
+      startTime,
+      endsAt: this._getEndTime(definition, startTime),
+      triggeredBy: options.triggeredBy || EventTriggerType.MANUAL
+    });
+    active.revealedQuestIds = await this._revealQuests(active);
+
+    const activeEvents = this.getActiveEvents();
+    activeEvents.push(active);
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.ACTIVE, activeEvents);
+
+    await this._announceStart(definition, active);
+
+    Hooks.call(`${MODULE_ID}.eventTriggered`, { eventId, event: active });
+    return { success: true, event: active };
+  }
+
+  /**
+   * End a running event (GM only)
+   * @param {string} eventId - Event ID
+   * @param {string} reason - "manual", "expired" or "deleted"
+   * @returns {Promise<boolean>}
+   */
+  async endEvent(eventId, reason = "manual") {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const activeEvents = this.getActiveEvents();
+    const index = activeEvents.findIndex(e => e.id === eventId);
+    if (index === -1) return false;
+
+    const [event] = activeEvents.splice(index, 1);
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.ACTIVE, activeEvents);
+
+    await this._hideQuests(event, activeEvents);
+
+    const endMessage = this.getEvent(eventId)?.announcement.endMessage;
+    if (endMessage) {
+      await this._postCard(event.name, endMessage, "ended");
+    }
+
+    Hooks.call(`${MODULE_ID}.eventEnded`, { eventId, event, reason });
+    return true;
+  }
+
+  /**
+   * End events whose duration has run out (active GM only)
+   * @returns {Promise<number>} Events ended
+   */
+  async checkExpiredEvents() {
+    if (game.user !== game.users.activeGM) return 0;
+
+    const now = game.time.worldTime;
+    const expired = this.getActiveEvents().filter(e => e.endsAt !== null && e.endsAt <= now);
+    for (const event of expired) {
+      await this.endEvent(event.id, "expired");
+    }
+    return expired.length;
+  }
+
+  /**
+   * Start events whose calendar date fell between two days (active GM only)
+   * Each date fires at most once; an event whose whole run was skipped over
+   * does not start.
+   * @param {number} fromDay - Last day already checked
+   * @param {number} toDay - Current day
+   * @returns {Promise<number>} Events started
+   */
+  async checkCalendarTriggers(fromDay, toDay) {
+    if (game.user !== game.users.activeGM) return 0;
+
+    const calendar = game.bobsnpc?.handlers?.calendar;
+    if (!calendar) return 0;
+
+    const candidates = this.getAllEvents().filter(e => e.trigger.type === EventTriggerType.CALENDAR);
+    if (!candidates.length) return 0;
+
+    const secondsPerDay = calendar.getSecondsPerDay();
+    const firstDay = Math.max(fromDay + 1, toDay - MAX_TRIGGER_CATCH_UP_DAYS + 1);
+    let started = 0;
+
+    for (let day = firstDay; day <= toDay; day++) {
+      const startTime = day * secondsPerDay;
+      const date = calendar.getDate(startTime);
+
+      for (const event of candidates) {
+        if (!matchesCalendarDate(event.trigger, date) || event.lastTriggeredDay === day) continue;
+
+        event.lastTriggeredDay = day;
+        await this._saveEvent(event);
+
+        const endsAt = this._getEndTime(event, startTime);
+        if (endsAt !== null && endsAt <= game.time.worldTime) continue;
+        if (this.isActive(event.id)) continue;
+
+        const result = await this.triggerEvent(event.id, { triggeredBy: EventTriggerType.CALENDAR, startTime });
+        if (result.success) started++;
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * React to world time passing
+   * Calendar triggers are checked from the last day already checked, so days
+   * passed while an earlier check was still running are not skipped.
+   * @private
+   */
+  async _onWorldTime(worldTime, delta = 0) {
+    if (game.user !== game.users.activeGM) return;
+
+    const calendar = game.bobsnpc?.handlers?.calendar;
+    if (!calendar) return;
+
+    if (this._checking) {
+      this._pending = true;
+      return;
+    }
+
+    this._checking = true;
+    try {
+      const state = game.settings.get(MODULE_ID, STORAGE_KEYS.TRIGGER_STATE) || {};
+      const today = calendar.getDayIndex(game.time.worldTime);
+      const lastDay = state.lastCheckedDay ?? calendar.getDayIndex(worldTime - delta);
+
+      if (today > lastDay) {
+        await this.checkCalendarTriggers(lastDay, today);
+      }
+      if (today !== state.lastCheckedDay) {
+        await game.settings.set(MODULE_ID, STORAGE_KEYS.TRIGGER_STATE, { ...state, lastCheckedDay: today });
+      }
+      await this.checkExpiredEvents();
+    } catch (error) {
+      console.error(`${MODULE_ID} | World event check failed:`, error);
+    } finally {
+      this._checking = false;
+    }
+
+    if (this._pending) {
+      this._pending = false;
+      await this._onWorldTime(game.time.worldTime);
+    }
+  }
+
+  /**
+   * Start events triggered by a completed quest
+   * @private
+   */
+  async _onQuestCompleted(quest) {
+    if (game.user !== game.users.activeGM) return;
+
+    for (const event of this.getAllEvents()) {
+      if (event.trigger.type !== EventTriggerType.QUEST_COMPLETION) continue;
+      if (event.trigger.questId !== quest.id || this.isActive(event.id)) continue;
+
+      await this.triggerEvent(event.id, { triggeredBy: EventTriggerType.QUEST_COMPLETION });
+    }
+  }
+
+  /**
+   * Get the world time an event ends
+   * @returns {number|null} null when it runs until ended
+   * @private
+   */
+  _getEndTime(event, startTime) {
+    const calendar = game.bobsnpc?.handlers?.calendar;
+    const { type, value } = event.duration;
+    if (!calendar || type === EventDurationType.INDEFINITE || value <= 0) return null;
+
+    switch (type) {
+      case EventDurationType.HOURS:
+        return calendar.addHours(startTime, value);
+      case EventDurationType.WEEKS:
+        return calendar.addDays(startTime, value * 7);
+      case EventDurationType.DAYS:
+      default:
+        return calendar.addDays(startTime, value);
+    }
+  }
+
+  // ==================== EFFECTS ====================
+
+  /**
+   * Get the effects of a type from all running events
+   * @param {string} type - EventEffectType
+   * @returns {object[]} Effects, most recently started event first
+   */
+  getActiveEffects(type) {
+    return this.getActiveEvents()
+      .sort((a, b) => b.startTime - a.startTime)
+      .flatMap(event => event.effects.filter(effect => effect.type === type));
+  }
+
+  /**
+   * Get the event discount a merchant gives
+   * Discounts from several events do not stack; the largest applies.
+   * @param {object} merchant - Merchant data
+   * @returns {number} Discount 0-1
+   */
+  getShopDiscount(merchant) {
+    const npcActorUuid = merchant?.npcActorUuid;
+    const factions = npcActorUuid ? [
+      ...(game.bobsnpc?.handlers?.npc?.getConfig(npcActorUuid)?.factions || []),
+      ...(game.bobsnpc?.handlers?.faction?.getFactionsForNPC(npcActorUuid) || []).map(f => f.id)
+    ] : [];
+
+    let discount = 0;
+    for (const effect of this.getActiveEffects(EventEffectType.SHOP_DISCOUNT)) {
+      if (effect.factionId && !factions.includes(effect.factionId)) continue;
+      discount = Math.max(discount, effect.discount);
+    }
+    return discount;
+  }
+
+  /**
+   * Get the dialogue an event puts on an NPC
+   * Overrides may be keyed by actor UUID or actor ID.
+   * @param {string} npcActorUuid - NPC actor UUID
+   * @returns {string|null} Dialogue ID
+   */
+  getDialogueOverride(npcActorUuid) {
+    const actorId = fromUuidSync(npcActorUuid)?.id;
+
+    for (const effect of this.getActiveEffects(EventEffectType.NPC_DIALOGUE)) {
+      const dialogueId = effect.dialogueOverrides[npcActorUuid] ?? effect.dialogueOverrides[actorId];
+      if (dialogueId) return dialogueId;
+    }
+    return null;
+  }
+
+  /**
+   * Unhide the special quests of an event
+   * @returns {Promise<string[]>} IDs of the quests that were revealed
+   * @private
+   */
+  async _revealQuests(event) {
+    const questHandler = game.bobsnpc?.handlers?.quest;
+    if (!questHandler) return [];
+
+    const revealed = [];
+    for (const effect of event.effects.filter(e => e.type === EventEffectType.SPECIAL_QUESTS)) {
+      for (const questId of effect.questIds) {
+        const quest = questHandler.getQuest(questId);
+        if (!quest?.hidden || questHandler.getInstances({ questId }).length) continue;
+
+        await questHandler.updateQuest(questId, { hidden: false });
+        revealed.push(questId);
+      }
+    }
+    return revealed;
+  }
+
+  /**
+   * Hide again the special quests an event revealed, unless someone took them
+   * or another running event still offers them
+   * @private
+   */
+  async _hideQuests(event, remaining) {
+    const questHandler = game.bobsnpc?.handlers?.quest;
+    if (!questHandler) return;
+
+    const stillOffered = new Set(remaining.flatMap(e => e.effects
+      .filter(effect => effect.type === EventEffectType.SPECIAL_QUESTS)
+      .flatMap(effect => effect.questIds)));
+
+    for (const questId of event.revealedQuestIds) {
+      const quest = questHandler.getQuest(questId);
+      if (!quest || stillOffered.has(questId)) continue;
+      if (questHandler.getInstances({ questId }).length) continue;
+
+      await questHandler.updateQuest(questId, { hidden: true });
+    }
+  }
+
+  // ==================== ANNOUNCEMENTS ====================
+
+  /**
+   * Announce an event that started
+   * @private
+   */
+  async _announceStart(definition, active) {
+    const { chatMessage, showBanner } = definition.announcement;
+
+    if (chatMessage) {
+      const remaining = active.endsAt !== null
+        ? game.bobsnpc?.handlers?.calendar?.formatRemaining(active.endsAt)
+        : null;
+      await this._postCard(active.name, chatMessage, "started", remaining);
+    }
+
+    if (showBanner) {
+      const banner = { name: active.name, message: chatMessage };
+      this._emitSocket("banner", banner);
+      this._showBanner(banner);
+    }
+  }
+
+  /**
+   * Post an event chat card
+   * @param {string} name - Event name
+   * @param {string} message - Card text
+   * @param {string} phase - "started" or "ended"
+   * @param {string} remaining - How long the event lasts
+   * @private
+   */
+  async _postCard(name, message, phase, remaining = null) {
+    let content = `<div class="bobsnpc-event-message ${phase}">`;
+    content += `<h3><i class="fa-solid fa-bullhorn"></i> ${name}</h3>`;
+    content += `<p>${message}</p>`;
+    if (remaining) {
+      content += `<p class="event-duration">${localize("Events.Messages.Lasts", { time: remaining })}</p>`;
+    }
+    content += `</div>`;
+
+    await ChatMessage.create({
+      content,
+      speaker: { alias: localize("Events.Title") }
+    });
+  }
+
+  /**
+   * Show an event banner across the top of the screen
+   * @param {object} banner - {name, message}
+   * @private
+   */
+  _showBanner({ name, message }) {
+    const element = document.createElement("div");
+    element.classList.add("bobsnpc-event-banner");
+    element.innerHTML = `
+      <i class="fa-solid fa-bullhorn"></i>
+      <div class="banner-text">
+        <h2>${name}</h2>
+        ${message ? `<p>${message}</p>` : ""}
+      </div>`;
+
+    document.body.append(element);
+    setTimeout(() => element.remove(), BANNER_DURATION);
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Emit socket event
+   * @private
+   */
+  _emitSocket(event, data) {
+    game.socket?.emit(`module.${MODULE_ID}`, {
+      type: `event.${event}`,
+      data
+    });
+  }
+}
+
+// Singleton instance
+export const eventHandler = new EventHandler();
@@ -52,6 +52,13 @@ export class FactionHandler {
     console.log(`${MODULE_ID} | Faction Handler initialized`);
   }
 
+  /**
+   * Reload all factions from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadFactions();
+  }
+
   // ==================== FACTION STORAGE ====================
 
   /**
@@ -338,6 +345,7 @@ export class FactionHandler {
       reputation: newRep,
       rank: newRank,
       lastActivity: Date.now(),
+      idleDays: 0,
       history: [
         ...currentStanding.history,
         {
@@ -729,52 +737,56 @@ export class FactionHandler {
 
   /**
    * Apply reputation decay for all factions
+   * Idle in-game days build up on each standing; every full decay interval costs reputation.
+   * @param {number} days - In-game days that passed
    */
-  async applyReputationDecay() {
-    const now = Date.now();
+  async applyReputationDecay(days = 1) {
+    if (days <= 0) return;
 
     for (const faction of this.getAllFactions()) {
       if (!faction.reputation.decay.enabled) continue;
 
-      const intervalMs = this._getDecayIntervalMs(faction.reputation.decay.interval);
+      const intervalDays = this._getDecayIntervalDays(faction.reputation.decay.interval);
 
       // Check each player
       for (const actor of game.actors.filter(a => a.hasPlayerOwner)) {
         const standing = await this.getStanding(actor.uuid, faction.id);
-        if (!standing) continue;
-
-        const lastActivity = standing.lastActivity || standing.joinedAt || now;
-        const elapsed = now - lastActivity;
-
-        if (elapsed >= intervalMs) {
-          const intervals = Math.floor(elapsed / intervalMs);
-          const decayAmount = faction.reputation.decay.amount * intervals;
-
-          if (decayAmount > 0) {
-            await this.modifyReputation(
-              actor.uuid,
-              faction.id,
-              -decayAmount,
-              { reason: "Reputation decay", propagate: false }
-            );
-          }
+        if (!standing?.lastActivity && !standing?.joinedAt) continue;
+
+        const idleDays = (standing.idleDays ?? 0) + days;
+        const intervals = Math.floor(idleDays / intervalDays);
+        const decayAmount = faction.reputation.decay.amount * intervals;
+
+        if (decayAmount > 0) {
+          await this.modifyReputation(
+            actor.uuid,
+            faction.id,
+            -decayAmount,
+            { reason: "Reputation decay", propagate: false }
+          );
         }
+
+        const current = await this.getStanding(actor.uuid, faction.id);
+        await this._setStanding(actor.uuid, faction.id, {
+          ...current,
+          idleDays: idleDays - (intervals * intervalDays)
+        });
       }
     }
   }
 
   /**
-   * Get decay interval in milliseconds
+   * Get decay interval in in-game days
    * @param {string} interval - Interval type
    * @returns {number}
    * @private
    */
-  _getDecayIntervalMs(interval) {
+  _getDecayIntervalDays(interval) {
     switch (interval) {
-      case "day": return 24 * 60 * 60 * 1000;
-      case "week": return 7 * 24 * 60 * 60 * 1000;
-      case "month": return 30 * 24 * 60 * 60 * 1000;
-      default: return 7 * 24 * 60 * 60 * 1000;
+      case "day": return 1;
+      case "week": return 7;
+      case "month": return 30;
+      default: return 7;
     }
   }
 
@@ -799,14 +811,15 @@ export class FactionHandler {
     const accessibleRankTags = rank.benefits?.questAccess || [];
 
     // Get quests from quest handler
-    const allQuests = game.bobsnpc?.quests?.getAllQuests() || [];
+    const questHandler = game.bobsnpc?.handlers?.quest;
+    const allQuests = questHandler?.getAllQuests() || [];
 
     return allQuests.filter(quest => {
       // Check if quest belongs to this faction
       if (!faction.questIds.includes(quest.id)) return false;
 
-      // Check if quest is available
-      if (quest.status !== "available") return false;
+      // Check if quest is available to this actor
+      if (questHandler.getQuestForActor(quest.id, actorUuid).status !== "available") return false;
 
       // Check rank access
       if (quest.rank && !accessibleRankTags.includes(quest.rank)) return false;
@@ -827,7 +840,8 @@ export class FactionHandler {
     const updatedStanding = {
       ...standing,
       questsCompleted: (standing.questsCompleted || 0) + 1,
-      lastActivity: Date.now()
+      lastActivity: Date.now(),
+      idleDays: 0
     };
 
     await this._setStanding(actorUuid, factionId, updatedStanding);
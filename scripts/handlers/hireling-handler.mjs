@@ -55,6 +55,17 @@ export class HirelingHandler {
     console.log(`${MODULE_ID} | Hireling handler initialized`);
   }
 
+  /**
+   * Reload all hireling and mount data from storage, e.g. after a backup restore
+   */
+  async reload() {
+    this._playerHirelingsCache.clear();
+    this._playerMountsCache.clear();
+    await this._loadHirelings();
+    await this._loadMounts();
+    await this._loadStables();
+  }
+
   // ==================== Data Loading ====================
 
   /**
@@ -230,7 +241,7 @@ export class HirelingHandler {
     if (requirements.questCompleted) {
       const questHandler = game.bobsnpc?.quests;
       if (questHandler) {
-        const quest = questHandler.getQuest(requirements.questCompleted);
+        const quest = questHandler.getQuest(requirements.questCompleted, player.uuid);
         if (!quest || quest.status !== "completed") return false;
       }
     }
@@ -373,20 +384,20 @@ export class HirelingHandler {
   /**
    * Calculate next payment due date
    * @param {object} contract - Contract
-   * @returns {number} Timestamp
+   * @param {number} from - World time the payment period starts
+   * @returns {number|null} World time
    * @private
    */
-  _calculateNextPaymentDue(contract) {
-    const now = Date.now();
-    const day = 24 * 60 * 60 * 1000;
+  _calculateNextPaymentDue(contract, from = game.time.worldTime) {
+    const calendar = game.bobsnpc.handlers.calendar;
 
     switch (contract.type) {
       case ContractType.DAILY:
-        return now + day;
+        return calendar.addDays(from, 1);
       case ContractType.WEEKLY:
-        return now + (day * 7);
+        return calendar.addDays(from, 7);
       case ContractType.MONTHLY:
-        return now + (day * 30);
+        return calendar.addDays(from, 30);
       default:
         return null;
     }
@@ -713,15 +724,20 @@ export class HirelingHandler {
 
   /**
    * Check for due payments across all hirelings
+   * Each payment period that passed in world time without wages counts as one missed payment.
    */
   async checkDuePayments() {
-    const now = Date.now();
+    const now = game.time.worldTime;
 
     for (const hireling of this._hirelingCache.values()) {
       if (hireling.status !== HirelingStatus.HIRED) continue;
       if (!hireling.contract?.nextPaymentDue) continue;
 
-      if (now >= hireling.contract.nextPaymentDue) {
+      while (hireling.status === HirelingStatus.HIRED && hireling.contract?.nextPaymentDue &&
+             now >= hireling.contract.nextPaymentDue) {
+        hireling.contract.nextPaymentDue = this._calculateNextPaymentDue(
+          hireling.contract, hireling.contract.nextPaymentDue
+        );
         await this.processMissedPayment(hireling.id);
       }
     }
@@ -0,0 +1,1054 @@
+/**
+ * Bob's Talking NPCs - Loot Handler
+ * Business logic for loot containers, corpse consolidation and loot distribution
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { localize, getSetting, getPartyMemberUuids } from "../utils/helpers.mjs";
+import { SocketEvents, emitToGM } from "../socket.mjs";
+import {
+  ContainerType,
+  DistributionMode,
+  LootRollChoice,
+  LootableItemTypes,
+  createLootContainer,
+  createLootEntry,
+  isContainerEmpty,
+  getCurrentPicker,
+  resolveNeedGreed,
+  splitCurrency
+} from "../data/loot-model.mjs";
+
+/**
+ * Loot Handler class
+ * Manages loot containers and distributes their contents.
+ * All changes run on a GM client; players send requests through the socket.
+ */
+export class LootHandler {
+  constructor() {
+    this._initialized = false;
+    this._containerCache = new Map();
+  }
+
+  /**
+   * Initialize the loot handler
+   */
+  async initialize() {
+    if (this._initialized) return;
+
+    await this._loadContainers();
+    this._registerHooks();
+    this._registerSocketHandlers();
+
+    this._initialized = true;
+    console.log(`${MODULE_ID} | Loot handler initialized`);
+  }
+
+  /**
+   * Reload all containers from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadContainers();
+  }
+
+  /**
+   * Register Foundry hooks
+   * @private
+   */
+  _registerHooks() {
+    // Double-clicking a loot map note opens the loot window instead of a journal
+    Hooks.on("activateNote", (note) => {
+      const containerId = note.document?.getFlag(MODULE_ID, "lootContainerId");
+      if (!containerId) return;
+      game.bobsnpc?.ui?.openLoot(containerId);
+      return false;
+    });
+
+    // "Open loot" button on corpse pile chat cards
+    Hooks.on("renderChatMessageHTML", (message, html) => {
+      const containerId = message.getFlag(MODULE_ID, "lootContainerId");
+      if (!containerId) return;
+      html.querySelector("[data-bobsnpc-loot]")?.addEventListener("click", () => {
+        game.bobsnpc?.ui?.openLoot(containerId);
+      });
+    });
+  }
+
+  /**
+   * Register socket handlers
+   * @private
+   */
+  _registerSocketHandlers() {
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (!data.type?.startsWith("loot.")) return;
+
+      switch (data.type) {
+        case "loot.containerUpdated":
+          if (!game.user.isGM) {
+            this._containerCache.set(data.data.container.id, createLootContainer(data.data.container));
+          }
+          Hooks.callAll(`${MODULE_ID}.lootUpdated`, data.data.container.id);
+          break;
+
+        case "loot.containerDeleted":
+          this._containerCache.delete(data.data.containerId);
+          Hooks.callAll(`${MODULE_ID}.lootUpdated`, data.data.containerId);
+          break;
+
+        case "loot.requestResult":
+          if (data.data.userId === game.user.id && data.data.result?.error) {
+            ui.notifications.warn(data.data.result.error);
+          }
+          break;
+      }
+    });
+  }
+
+  // ==================== STORAGE ====================
+
+  /**
+   * Load containers from world settings
+   * @private
+   */
+  async _loadContainers() {
+    const containers = game.settings.get(MODULE_ID, "lootContainers") || {};
+    this._containerCache.clear();
+    for (const [id, data] of Object.entries(containers)) {
+      this._containerCache.set(id, createLootContainer(data));
+    }
+  }
+
+  /**
+   * Save containers to world settings
+   * @private
+   */
+  async _saveContainers() {
+    const data = Object.fromEntries(this._containerCache);
+    await game.settings.set(MODULE_ID, "lootContainers", data);
+  }
+
+  /**
+   * Save a changed container and tell every client about it
+   * Empty one-time containers are removed instead.
+   * @param {object} container - Container
+   * @private
+   */
+  async _commit(container) {
+    container.updatedAt = Date.now();
+
+    if (container.opened && container.oneTime && isContainerEmpty(container)) {
+      await this.deleteContainer(container.id);
+      return;
+    }
+
+    this._containerCache.set(container.id, container);
+    await this._saveContainers();
+
+    this._emitSocket("containerUpdated", { container });
+    Hooks.callAll(`${MODULE_ID}.lootUpdated`, container.id);
+  }
+
+  // ==================== CONTAINERS ====================
+
+  /**
+   * Get a container by ID
+   * @param {string} containerId - Container ID
+   * @returns {object|null}
+   */
+  getContainer(containerId) {
+    return this._containerCache.get(containerId) || null;
+  }
+
+  /**
+   * Get all containers
+   * @param {string} sceneId - Only containers placed on this scene
+   * @returns {object[]}
+   */
+  getContainers(sceneId = null) {
+    const containers = Array.from(this._containerCache.values());
+    if (!sceneId) return containers;
+    return containers.filter(c => c.location.sceneId === sceneId);
+  }
+
+  /**
+   * Create a loot container (GM only)
+   * @param {object} data - Container data
+   * @param {object} options
+   * @param {boolean} options.place - Place a map note at data.location
+   * @returns {Promise<object>} Created container
+   */
+  async createContainer(data = {}, { place = true } = {}) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const container = createLootContainer(data);
+
+    // Contents from item UUIDs
+    for (const entry of container.contents) {
+      if (entry.itemData || !entry.sourceUuid) continue;
+      const item = await fromUuid(entry.sourceUuid);
+      if (item?.documentName === "Item") {
+        entry.itemData = item.toObject();
+        entry.name = item.name;
+        entry.img = item.img;
+      }
+    }
+
+    if (place) {
+      await this._placeNote(container);
+    }
+
+    this._containerCache.set(container.id, container);
+    await this._saveContainers();
+
+    this._emitSocket("containerUpdated", { container });
+    Hooks.callAll(`${MODULE_ID}.lootContainerCreated`, container);
+    return container;
+  }
+
+  /**
+   * Update a container (GM only)
+   * @param {string} containerId - Container ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<object>} Updated container
+   */
+  async updateContainer(containerId, updates) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const container = this.getContainer(containerId);
+    if (!container) {
+      throw new Error(localize("Loot.Errors.ContainerNotFound"));
+    }
+
+    const updated = createLootContainer(foundry.utils.mergeObject(container, updates, { inplace: false }));
+    await this._commit(updated);
+    return updated;
+  }
+
+  /**
+   * Delete a container and its map note (GM only)
+   * @param {string} containerId - Container ID
+   * @returns {Promise<boolean>}
+   */
+  async deleteContainer(containerId) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const container = this.getContainer(containerId);
+    if (!container) return false;
+
+    const { sceneId, noteId } = container.location;
+    const note = noteId ? game.scenes.get(sceneId)?.notes.get(noteId) : null;
+    if (note) await note.delete();
+
+    this._containerCache.delete(containerId);
+    await this._saveContainers();
+
+    this._emitSocket("containerDeleted", { containerId });
+    Hooks.callAll(`${MODULE_ID}.lootUpdated`, containerId);
+    return true;
+  }
+
+  /**
+   * Place a map note for a container at its location
+   * @param {object} container - Container
+   * @private
+   */
+  async _placeNote(container) {
+    const { sceneId, x, y } = container.location;
+    const scene = game.scenes.get(sceneId);
+    if (!scene || x === null || y === null) return;
+
+    const [note] = await scene.createEmbeddedDocuments("Note", [{
+      x,
+      y,
+      text: container.name,
+      texture: { src: container.img },
+      iconSize: 40,
+      flags: { [MODULE_ID]: { lootContainerId: container.id } }
+    }]);
+    container.location.noteId = note?.id || null;
+  }
+
+  /**
+   * Get the distribution mode for a container
+   * @param {object} container - Container
+   * @returns {string} DistributionMode value
+   */
+  getDistributionMode(container) {
+    return container.distribution || getSetting("lootDistribution") || DistributionMode.FREE;
+  }
+
+  /**
+   * Get the actors who share a container's loot
+   * @param {object} container - Container
+   * @returns {string[]} Actor UUIDs
+   */
+  getRecipients(container) {
+    if (container.turnOrder.length) return container.turnOrder;
+
+    const party = getPartyMemberUuids();
+    if (party.length) return party;
+
+    // No party configured, fall back to the players' assigned characters
+    return game.users
+      .filter(u => !u.isGM && u.character)
+      .map(u => u.character.uuid);
+  }
+
+  // ==================== PLAYER REQUESTS ====================
+
+  /**
+   * Run a loot action, routing it through the GM when called by a player
+   * @param {string} action - open, unlock, disarm, take, takeAll, roll, splitCoins, sendToVault
+   * @param {object} data - {containerId, actorUuid, entryId, choice, rollTotal}
+   * @returns {Promise<object>} Result, or {success, pending} when sent to the GM
+   */
+  async request(action, data) {
+    if (game.user.isGM) {
+      return this._performRequest(action, data, game.user.id);
+    }
+
+    const eventType = action === "roll" ? SocketEvents.LOOT_ROLL : SocketEvents.LOOT_TAKE;
+    emitToGM(eventType, { ...data, action });
+    return { success: true, pending: true };
+  }
+
+  /**
+   * Handle a loot request received from a player (active GM only)
+   * @param {object} payload - Request payload
+   * @param {string} userId - Requesting user ID
+   */
+  async handleRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    let result;
+    try {
+      result = await this._performRequest(payload.action, payload, userId);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Loot request failed:`, error);
+      result = { success: false, error: error.message };
+    }
+
+    if (userId !== game.user.id) {
+      this._emitSocket("requestResult", { userId, result });
+    }
+  }
+
+  /**
+   * Perform a loot action on behalf of a user
+   * @param {string} action - Action name
+   * @param {object} data - Action data
+   * @param {string} userId - Acting user ID
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _performRequest(action, data, userId) {
+    const user = game.users.get(userId);
+    const actor = data.actorUuid ? await fromUuid(data.actorUuid) : null;
+
+    // Players may only act for actors they own
+    if (!user?.isGM && !actor?.testUserPermission(user, "OWNER")) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    switch (action) {
+      case "open":
+        return this.openContainer(data.containerId, data.actorUuid);
+      case "unlock":
+        return this.unlock(data.containerId, data.actorUuid, data.rollTotal);
+      case "disarm":
+        return this.disarmTrap(data.containerId, data.actorUuid, data.rollTotal);
+      case "take":
+        return this.takeItem(data.containerId, data.entryId, data.actorUuid, { asGM: user.isGM });
+      case "takeAll":
+        return this.takeAll(data.containerId, data.actorUuid);
+      case "roll":
+        return this.rollForItem(data.containerId, data.entryId, data.actorUuid, data.choice);
+      case "splitCoins":
+        return this.splitCoins(data.containerId, { asGM: user.isGM });
+      case "sendToVault":
+        return this.sendToVault(data.containerId);
+      default:
+        return { success: false, error: localize("Errors.ActionFailed") };
+    }
+  }
+
+  // ==================== LOCKS & TRAPS ====================
+
+  /**
+   * Open a container, triggering any armed trap and rolling its loot table
+   * @param {string} containerId - Container ID
+   * @param {string} actorUuid - Opening actor UUID
+   * @returns {Promise<object>} Result
+   */
+  async openContainer(containerId, actorUuid) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+    if (container.opened) return { success: true, container };
+
+    if (container.lock.locked) {
+      return { success: false, error: localize("Loot.Errors.Locked") };
+    }
+
+    const actor = actorUuid ? await fromUuid(actorUuid) : null;
+    let trapTriggered = false;
+    if (container.trap.enabled && !container.trap.disarmed && !container.trap.triggered) {
+      await this._triggerTrap(container, actor);
+      trapTriggered = true;
+    }
+
+    if (container.lootTable.tableUuid && !container.lootTable.rolled) {
+      await this._rollLootTable(container);
+    }
+
+    container.opened = true;
+    if (!container.turnOrder.length) {
+      container.turnOrder = this.getRecipients(container);
+    }
+
+    await this._commit(container);
+    Hooks.callAll(`${MODULE_ID}.lootContainerOpened`, container, actorUuid);
+    return { success: true, container, trapTriggered };
+  }
+
+  /**
+   * Attempt to unlock a container with its key or a lockpicking roll
+   * @param {string} containerId - Container ID
+   * @param {string} actorUuid - Actor UUID
+   * @param {number|null} rollTotal - Check total (not needed when the actor has the key)
+   * @returns {Promise<object>} Result
+   */
+  async unlock(containerId, actorUuid, rollTotal = null) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+    if (!container.lock.locked) return { success: true, container };
+
+    const actor = await fromUuid(actorUuid);
+    const keyName = container.lock.keyItemName?.toLowerCase();
+    const hasKey = !!keyName && !!actor?.items.find(i => i.name.toLowerCase() === keyName);
+
+    if (!hasKey && (rollTotal ?? 0) < container.lock.dc) {
+      return { success: false, error: localize("Loot.Errors.UnlockFailed") };
+    }
+
+    container.lock.locked = false;
+    await this._commit(container);
+    return { success: true, container, usedKey: hasKey };
+  }
+
+  /**
+   * Attempt to disarm a container's trap
+   * Failing by 5 or more sets the trap off.
+   * @param {string} containerId - Container ID
+   * @param {string} actorUuid - Actor UUID
+   * @param {number} rollTotal - Check total
+   * @returns {Promise<object>} Result
+   */
+  async disarmTrap(containerId, actorUuid, rollTotal) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+
+    const trap = container.trap;
+    if (!trap.enabled || trap.disarmed || trap.triggered) {
+      return { success: true, container, noTrap: true };
+    }
+
+    if (rollTotal >= trap.dc) {
+      trap.disarmed = true;
+      await this._commit(container);
+      return { success: true, container };
+    }
+
+    if (rollTotal <= trap.dc - 5) {
+      await this._triggerTrap(container, await fromUuid(actorUuid));
+      await this._commit(container);
+      return { success: false, error: localize("Loot.Messages.TrapTriggered"), trapTriggered: true };
+    }
+
+    return { success: false, error: localize("Loot.Errors.DisarmFailed") };
+  }
+
+  /**
+   * Set off a container's trap and post the damage roll
+   * @param {object} container - Container
+   * @param {Actor|null} actor - Actor who set it off
+   * @private
+   */
+  async _triggerTrap(container, actor) {
+    container.trap.triggered = true;
+
+    const roll = await new Roll(container.trap.damage).evaluate();
+    await roll.toMessage({
+      speaker: actor ? ChatMessage.getSpeaker({ actor }) : { alias: container.name },
+      flavor: `${localize("Loot.Messages.TrapTriggered")} (${container.trap.damageType})`
+    });
+
+    Hooks.callAll(`${MODULE_ID}.lootTrapTriggered`, container, actor, roll);
+  }
+
+  /**
+   * Roll a container's loot table into its contents
+   * @param {object} container - Container
+   * @private
+   */
+  async _rollLootTable(container) {
+    container.lootTable.rolled = true;
+
+    const table = await fromUuid(container.lootTable.tableUuid);
+    if (!table) {
+      console.warn(`${MODULE_ID} | Loot table not found: ${container.lootTable.tableUuid}`);
+      return;
+    }
+
+    const { results } = await table.drawMany(container.lootTable.rolls, { displayChat: false });
+    for (const result of results) {
+      if (!result.documentUuid) continue;
+      const item = await fromUuid(result.documentUuid);
+      if (item?.documentName !== "Item") continue;
+
+      container.contents.push(createLootEntry({
+        itemData: item.toObject(),
+        sourceUuid: result.documentUuid
+      }));
+    }
+  }
+
+  // ==================== DISTRIBUTION ====================
+
+  /**
+   * Take an item from a container
+   * @param {string} containerId - Container ID
+   * @param {string} entryId - Loot entry ID
+   * @param {string} actorUuid - Receiving actor UUID
+   * @param {object} options
+   * @param {boolean} options.asGM - GM assignment, bypasses the distribution mode
+   * @returns {Promise<object>} Result
+   */
+  async takeItem(containerId, entryId, actorUuid, { asGM = false } = {}) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+    if (!container.opened) {
+      return { success: false, error: localize("Loot.Errors.NotOpened") };
+    }
+
+    const entry = container.contents.find(e => e.id === entryId);
+    if (!entry) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    if (!asGM && !entry.passed) {
+      const error = this._checkTakeAllowed(container, actorUuid);
+      if (error) return { success: false, error };
+    }
+
+    // Pull the entry out before any await so a second take can't grant it again
+    container.contents = container.contents.filter(e => e.id !== entryId);
+
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      container.contents.push(entry);
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+
+    try {
+      await this._giveEntry(entry, actor);
+    } catch (err) {
+      container.contents.push(entry);
+      throw err;
+    }
+
+    if (this.getDistributionMode(container) === DistributionMode.ROUND_ROBIN && !asGM) {
+      container.turnIndex++;
+    }
+
+    await this._commit(container);
+    await this._announce("Loot.Messages.Looted", { player: actor.name, item: entry.name });
+
+    Hooks.callAll(`${MODULE_ID}.lootTaken`, {
+      containerId, itemId: entryId, playerUuid: actorUuid, userId: game.user.id
+    });
+    return { success: true, container, entry };
+  }
+
+  /**
+   * Check whether the distribution mode lets an actor take an item right now
+   * @param {object} container - Container
+   * @param {string} actorUuid - Actor UUID
+   * @returns {string|null} Error message, or null if allowed
+   * @private
+   */
+  _checkTakeAllowed(container, actorUuid) {
+    switch (this.getDistributionMode(container)) {
+      case DistributionMode.FREE:
+        return null;
+      case DistributionMode.ROUND_ROBIN:
+        return getCurrentPicker(container) === actorUuid ? null : localize("Loot.Errors.NotYourTurn");
+      case DistributionMode.NEED_GREED:
+        return localize("Loot.Errors.MustRoll");
+      case DistributionMode.PARTY_VAULT:
+        return localize("Loot.Errors.VaultOnly");
+      case DistributionMode.GM:
+        return localize("Loot.Errors.GMDistributes");
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Take everything from a container (free-for-all only)
+   * @param {string} containerId - Container ID
+   * @param {string} actorUuid - Receiving actor UUID
+   * @returns {Promise<object>} Result
+   */
+  async takeAll(containerId, actorUuid) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+    if (!container.opened) {
+      return { success: false, error: localize("Loot.Errors.NotOpened") };
+    }
+    if (this.getDistributionMode(container) !== DistributionMode.FREE) {
+      return { success: false, error: localize("Loot.Errors.TakeAllUnavailable") };
+    }
+
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+
+    // Empty the container before granting so a concurrent take finds nothing left
+    const { contents, currency } = container;
+    container.contents = [];
+    container.currency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+
+    await this._grantAll(container, contents, currency, actor);
+
+    await this._commit(container);
+    await this._announce("Loot.Messages.LootedAll", { player: actor.name });
+    return { success: true, container };
+  }
+
+  /**
+   * Roll need, greed or pass on an item
+   * The item is awarded once every recipient has rolled.
+   * @param {string} containerId - Container ID
+   * @param {string} entryId - Loot entry ID
+   * @param {string} actorUuid - Rolling actor UUID
+   * @param {string} choice - LootRollChoice value
+   * @returns {Promise<object>} Result
+   */
+  async rollForItem(containerId, entryId, actorUuid, choice) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+    if (this.getDistributionMode(container) !== DistributionMode.NEED_GREED) {
+      return { success: false, error: localize("Errors.ActionFailed") };
+    }
+    if (!Object.values(LootRollChoice).includes(choice)) {
+      return { success: false, error: localize("Errors.InvalidData") };
+    }
+
+    const entry = container.contents.find(e => e.id === entryId);
+    if (!entry) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+    if (entry.rolls[actorUuid]) {
+      return { success: false, error: localize("Loot.Errors.AlreadyRolled") };
+    }
+
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+
+    let total = 0;
+    if (choice !== LootRollChoice.PASS) {
+      const roll = await new Roll("1d100").evaluate();
+      total = roll.total;
+      await roll.toMessage({
+        speaker: ChatMessage.getSpeaker({ actor }),
+        flavor: localize("Loot.Messages.Rolled", {
+          player: actor.name,
+          choice: localize(`Loot.${choice === LootRollChoice.NEED ? "Need" : "Greed"}`),
+          item: entry.name
+        })
+      });
+    }
+    entry.rolls[actorUuid] = { choice, total };
+
+    return this._settleRolls(container, entry);
+  }
+
+  /**
+   * Award an item once its need/greed rolls are complete
+   * @param {object} container - Container
+   * @param {object} entry - Loot entry
+   * @param {boolean} force - Settle even if some recipients have not rolled
+   * @returns {Promise<object>} Result
+   * @private
+   */
+  async _settleRolls(container, entry, force = false) {
+    const { resolved, winner } = resolveNeedGreed(entry, this.getRecipients(container), force);
+
+    if (resolved && winner) {
+      const actor = await fromUuid(winner);
+      if (actor && container.contents.includes(entry)) {
+        container.contents = container.contents.filter(e => e.id !== entry.id);
+        await this._giveEntry(entry, actor);
+        await this._announce("Loot.Messages.Won", { player: actor.name, item: entry.name });
+      }
+    } else if (resolved) {
+      // Everyone passed, anyone may take it now
+      entry.passed = true;
+    }
+
+    await this._commit(container);
+    return { success: true, container, resolved, winner };
+  }
+
+  /**
+   * Settle need/greed rolls for an item without waiting for everyone (GM only)
+   * @param {string} containerId - Container ID
+   * @param {string} entryId - Loot entry ID
+   * @returns {Promise<object>} Result
+   */
+  async forceSettle(containerId, entryId) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const container = this.getContainer(containerId);
+    const entry = container?.contents.find(e => e.id === entryId);
+    if (!entry) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+    return this._settleRolls(container, entry, true);
+  }
+
+  /**
+   * Give an item to a specific actor (GM only)
+   * @param {string} containerId - Container ID
+   * @param {string} entryId - Loot entry ID
+   * @param {string} actorUuid - Receiving actor UUID
+   * @returns {Promise<object>} Result
+   */
+  async assignItem(containerId, entryId, actorUuid) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+    return this.takeItem(containerId, entryId, actorUuid, { asGM: true });
+  }
+
+  /**
+   * Split a container's coins evenly between its recipients
+   * Coins that don't divide evenly stay in the container.
+   * @param {string} containerId - Container ID
+   * @param {object} options
+   * @param {boolean} options.asGM - Allowed in GM-distributes mode
+   * @returns {Promise<object>} Result
+   */
+  async splitCoins(containerId, { asGM = false } = {}) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+
+    const mode = this.getDistributionMode(container);
+    if (mode === DistributionMode.PARTY_VAULT || (mode === DistributionMode.GM && !asGM)) {
+      return { success: false, error: localize("Errors.ActionFailed") };
+    }
+
+    const recipients = [];
+    for (const uuid of this.getRecipients(container)) {
+      const actor = await fromUuid(uuid);
+      if (actor) recipients.push(actor);
+    }
+    if (!recipients.length) {
+      return { success: false, error: localize("Loot.Errors.NoRecipients") };
+    }
+
+    const { share, remainder } = splitCurrency(container.currency, recipients.length);
+    for (const actor of recipients) {
+      await this._giveCurrency(actor, share);
+    }
+    container.currency = remainder;
+
+    await this._commit(container);
+    return { success: true, container, share };
+  }
+
+  /**
+   * Move everything in a container into the party vault
+   * @param {string} containerId - Container ID
+   * @returns {Promise<object>} Result
+   */
+  async sendToVault(containerId) {
+    const container = this.getContainer(containerId);
+    if (!container) {
+      return { success: false, error: localize("Loot.Errors.ContainerNotFound") };
+    }
+    if (this.getDistributionMode(container) !== DistributionMode.PARTY_VAULT) {
+      return { success: false, error: localize("Errors.ActionFailed") };
+    }
+
+    const vault = this.getPartyVault();
+    if (!vault) {
+      return { success: false, error: localize("Loot.Errors.NoVault") };
+    }
+
+    const { contents, currency } = container;
+    container.contents = [];
+    container.currency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+
+    await this._grantAll(container, contents, currency, vault);
+
+    await this._commit(container);
+    await this._announce("Loot.Messages.SentToVault", { vault: vault.name });
+    return { success: true, container };
+  }
+
+  /**
+   * Grant entries and coins that were already taken out of a container
+   * If a grant fails, whatever was not handed over goes back into the container
+   * and is saved, so the stored container never holds granted items.
+   * @param {object} container - Container
+   * @param {object[]} contents - Entries to grant
+   * @param {object} currency - Coins to grant
+   * @param {Actor} actor - Receiving actor
+   * @private
+   */
+  async _grantAll(container, contents, currency, actor) {
+    const remaining = [...contents];
+    try {
+      while (remaining.length) {
+        await this._giveEntry(remaining[0], actor);
+        remaining.shift();
+      }
+      await this._giveCurrency(actor, currency);
+    } catch (error) {
+      container.contents.push(...remaining);
+      container.currency = currency;
+      await this._commit(container);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the actor used as the party vault (the D&D 5e primary party group)
+   * @returns {Actor|null}
+   */
+  getPartyVault() {
+    return game.actors.party || null;
+  }
+
+  /**
+   * Create an entry's item on an actor
+   * @param {object} entry - Loot entry
+   * @param {Actor} actor - Receiving actor
+   * @private
+   */
+  async _giveEntry(entry, actor) {
+    let itemData = entry.itemData ? foundry.utils.deepClone(entry.itemData) : null;
+    if (!itemData && entry.sourceUuid) {
+      itemData = (await fromUuid(entry.sourceUuid))?.toObject() || null;
+    }
+    if (!itemData) return;
+
+    delete itemData._id;
+    foundry.utils.setProperty(itemData, "system.quantity", entry.quantity);
+    if (itemData.system?.container) itemData.system.container = null;
+
+    await actor.createEmbeddedDocuments("Item", [itemData]);
+  }
+
+  /**
+   * Add coins to an actor
+   * @param {Actor} actor - Receiving actor
+   * @param {object} currency - {pp, gp, ep, sp, cp}
+   * @private
+   */
+  async _giveCurrency(actor, currency) {
+    if (!Object.values(currency).some(v => v > 0)) return;
+
+    const current = { ...actor.system.currency };
+    for (const [denom, amount] of Object.entries(currency)) {
+      current[denom] = (current[denom] || 0) + amount;
+    }
+    await actor.update({ "system.currency": current });
+  }
+
+  /**
+   * Post a loot message to chat
+   * @param {string} key - Localization key
+   * @param {object} data - Format data
+   * @private
+   */
+  async _announce(key, data) {
+    await ChatMessage.create({
+      content: `<div class="bobsnpc-loot-message"><i class="fa-solid fa-sack"></i> ${localize(key, data)}</div>`,
+      speaker: { alias: localize("Loot.Title") }
+    });
+  }
+
+  // ==================== CORPSE CONSOLIDATION ====================
+
+  /**
+   * Gather the inventories of defeated combatants into one corpse pile
+   * The pile is placed where the defeated tokens fell.
+   * @param {Combat} combat - The finished combat
+   * @param {Combatant[]} defeated - Defeated combatants
+   * @returns {Promise<object|null>} Created container
+   */
+  async consolidateCorpses(combat, defeated) {
+    if (game.user !== game.users.activeGM) return null;
+
+    const contents = [];
+    const currency = { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+    const sourceActors = [];
+    const positions = [];
+    const looted = [];
+
+    for (const combatant of defeated) {
+      const actor = combatant.actor;
+      const token = combatant.token;
+      if (!actor || token?.getFlag(MODULE_ID, "lootConsolidated")) continue;
+
+      const itemIds = [];
+      for (const item of actor.items) {
+        if (!LootableItemTypes.includes(item.type)) continue;
+        if (item.system.type?.value === "natural") continue;
+
+        contents.push(createLootEntry({
+          itemData: item.toObject(),
+          sourceUuid: item.uuid
+        }));
+        itemIds.push(item.id);
+      }
+      looted.push({ actor, itemIds });
+
+      for (const denom of Object.keys(currency)) {
+        currency[denom] += actor.system.currency?.[denom] || 0;
+      }
+
+      sourceActors.push(actor.name);
+      if (token) {
+        positions.push({ x: token.x, y: token.y });
+        await token.setFlag(MODULE_ID, "lootConsolidated", true);
+      }
+    }
+
+    const pile = createLootContainer({
+      type: ContainerType.CORPSE_PILE,
+      contents,
+      currency
+    });
+    if (isContainerEmpty(pile)) return null;
+
+    const gridSize = combat.scene?.grid?.size || 100;
+    const location = positions.length ? {
+      sceneId: combat.scene?.id || null,
+      x: Math.round(positions.reduce((sum, p) => sum + p.x, 0) / positions.length) + (gridSize / 2),
+      y: Math.round(positions.reduce((sum, p) => sum + p.y, 0) / positions.length) + (gridSize / 2)
+    } : {};
+
+    const container = await this.createContainer({
+      type: ContainerType.CORPSE_PILE,
+      name: localize("Loot.CorpsePile"),
+      contents: pile.contents,
+      currency,
+      opened: true,
+      turnOrder: this.getRecipients(pile),
+      location,
+      sourceCombatId: combat.id,
+      sourceActors
+    });
+
+    // The pile now holds the loot; strip it from the corpses (synthetic actors for unlinked tokens)
+    for (const { actor, itemIds } of looted) {
+      if (itemIds.length) await actor.deleteEmbeddedDocuments("Item", itemIds);
+      if (Object.keys(currency).some(denom => actor.system.currency?.[denom])) {
+        await actor.update({ "system.currency": { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 } });
+      }
+    }
+
+    await ChatMessage.create({
+      content: `
+        <div class="bobsnpc-loot-card">
+          <h3><i class="fa-solid fa-sack"></i> ${localize("Loot.CorpsePile")}</h3>
+          <p>${localize("Loot.Messages.CorpsePileCreated", { count: container.contents.length, sources: sourceActors.join(", ") })}</p>
+          <button type="button" data-bobsnpc-loot="${container.id}">
+            <i class="fa-solid fa-box-open"></i> ${localize("Loot.Open")}
+          </button>
+        </div>
+      `,
+      speaker: { alias: localize("Loot.Title") },
+      flags: { [MODULE_ID]: { lootContainerId: container.id } }
+    });
+
+    return container;
+  }
+
+  // ==================== SOCKET ====================
+
+  /**
+   * Emit socket event
+   * @param {string} event - Event name
+   * @param {object} data - Event data
+   * @private
+   */
+  _emitSocket(event, data) {
+    game.socket?.emit(`module.${MODULE_ID}`, {
+      type: `loot.${event}`,
+      data
+    });
+  }
+
+  // ==================== DATA EXPORT/IMPORT ====================
+
+  /**
+   * Export all loot containers
+   * @returns {object}
+   */
+  exportData() {
+    return {
+      lootContainers: Object.fromEntries(this._containerCache)
+    };
+  }
+
+  /**
+   * Import loot containers
+   * @param {object} data - Import data
+   */
+  async importData(data) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    if (data.lootContainers) {
+      this._containerCache.clear();
+      for (const [id, container] of Object.entries(data.lootContainers)) {
+        this._containerCache.set(id, createLootContainer({ ...container, id }));
+      }
+      await this._saveContainers();
+    }
+  }
+}
+
+// Singleton instance
+export const lootHandler = new LootHandler();
@@ -23,6 +23,8 @@ import {
   refreshStock,
   validateMerchant
 } from "../data/merchant-model.mjs";
+import { getStolenMark, isRecognizedAsStolen } from "../data/bounty-model.mjs";
+import { NPCRole, hasRole } from "../data/npc-model.mjs";
 import { generateId, getFlag, setFlag, localize } from "../utils/helpers.mjs";
 
 /**
@@ -33,6 +35,16 @@ const STORAGE_KEYS = {
   HAGGLING_HISTORY: "hagglingHistory"
 };
 
+/**
+ * Share of an item's value a fence pays for stolen goods when the NPC sets no rate
+ */
+const DEFAULT_FENCE_RATE = 0.5;
+
+/**
+ * Gold of stolen goods fenced per point of criminal faction reputation
+ */
+const FENCE_GOLD_PER_REPUTATION = 10;
+
 /**
  * Merchant Handler Class
  * Singleton managing all merchant/shop operations
@@ -56,6 +68,13 @@ export class MerchantHandler {
     console.log(`${MODULE_ID} | Merchant Handler initialized`);
   }
 
+  /**
+   * Reload all merchants from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadMerchants();
+  }
+
   // ==================== MERCHANT STORAGE ====================
 
   /**
@@ -192,7 +211,7 @@ export class MerchantHandler {
     }
 
     // Build context for access check
-    const context = await this._buildPlayerContext(playerActorUuid);
+    const context = await this._buildPlayerContext(playerActorUuid, merchant);
 
     // Check access
     const accessResult = checkShopAccess(merchant, context);
@@ -237,10 +256,11 @@ export class MerchantHandler {
   /**
    * Build player context for price calculations
    * @param {string} playerActorUuid - Player actor UUID
+   * @param {object} merchant - Merchant the context is for
    * @returns {object}
    * @private
    */
-  async _buildPlayerContext(playerActorUuid) {
+  async _buildPlayerContext(playerActorUuid, merchant = null) {
     const actor = await fromUuid(playerActorUuid);
     if (!actor) return {};
 
@@ -262,7 +282,8 @@ export class MerchantHandler {
       factionStandings,
       completedQuests: completedQuests.map(q => q.id),
       gold,
-      playerLevel: actor.system?.details?.level || 0
+      playerLevel: actor.system?.details?.level || 0,
+      eventDiscount: game.bobsnpc?.handlers?.event?.getShopDiscount(merchant) || 0
     };
   }
 
@@ -283,9 +304,17 @@ export class MerchantHandler {
       // Calculate price
       const priceInfo = calculatePrice(shopItem, merchant, context, "buy");
 
-      // Get item details from UUID
+      // Get item details from UUID, or from the stocked copy in a player shop
       let itemDetails = null;
-      if (shopItem.itemUuid) {
+      if (shopItem.itemData) {
+        itemDetails = {
+          name: shopItem.itemData.name,
+          img: shopItem.itemData.img,
+          type: shopItem.itemData.type,
+          rarity: shopItem.itemData.system?.rarity || "common",
+          description: shopItem.itemData.system?.description?.value || ""
+        };
+      } else if (shopItem.itemUuid) {
         const item = await fromUuid(shopItem.itemUuid);
         if (item) {
           itemDetails = {
@@ -375,7 +404,7 @@ export class MerchantHandler {
       return { success: false, message: localize("BOBSNPC.ShopNotFound") };
     }
 
-    const context = await this._buildPlayerContext(session.playerActorUuid);
+    const context = await this._buildPlayerContext(session.playerActorUuid, merchant);
     const actor = context.actor;
 
     // Calculate total and validate purchases
@@ -420,7 +449,12 @@ export class MerchantHandler {
 
     for (const purchase of itemsToPurchase) {
       // Give item to player
-      if (purchase.shopItem.itemUuid) {
+      if (purchase.shopItem.itemData) {
+        const itemData = foundry.utils.deepClone(purchase.shopItem.itemData);
+        itemData.system.quantity = purchase.quantity;
+        const created = await actor.createEmbeddedDocuments("Item", [itemData]);
+        purchasedItems.push(created[0]);
+      } else if (purchase.shopItem.itemUuid) {
         const item = await fromUuid(purchase.shopItem.itemUuid);
         if (item) {
           const itemData = item.toObject();
@@ -440,6 +474,11 @@ export class MerchantHandler {
     // Deduct gold
     await this._deductGold(actor, totalCost);
 
+    // Player shops pay their takings into the property
+    if (merchant.propertyId) {
+      await game.bobsnpc?.handlers?.property?.addShopProceeds(merchant.propertyId, totalCost);
+    }
+
     // Record transaction
     const transaction = createTransaction({
       type: "buy",
@@ -491,11 +530,17 @@ export class MerchantHandler {
       return { success: false, message: localize("BOBSNPC.ShopDoesNotBuy") };
     }
 
-    const context = await this._buildPlayerContext(session.playerActorUuid);
+    const context = await this._buildPlayerContext(session.playerActorUuid, merchant);
     const actor = context.actor;
 
+    const npc = merchant.npcActorUuid ? await fromUuid(merchant.npcActorUuid) : null;
+    const fenceRate = this._getFenceRate(merchant, npc);
+    const jurisdiction = game.bobsnpc?.handlers?.crime?.getJurisdictionForActor(npc) || null;
+
     let totalValue = 0;
+    let stolenValue = 0;
     const itemsToSell = [];
+    const recognized = [];
 
     for (const sale of sales) {
       const item = actor.items.find(i => i.uuid === sale.itemUuid || i.id === sale.itemId);
@@ -523,7 +568,16 @@ export class MerchantHandler {
 
       // Get base price
       const basePrice = item.system?.price?.value || 0;
-      const sellPrice = basePrice * merchant.pricing.baseSellMultiplier;
+      let sellPrice = basePrice * merchant.pricing.baseSellMultiplier;
+
+      // Stolen goods: fences pay their rate, other merchants may recognize them
+      const stolen = !!getStolenMark(item);
+      if (stolen && fenceRate !== null) {
+        sellPrice = basePrice * fenceRate;
+      } else if (isRecognizedAsStolen(item, jurisdiction?.id)) {
+        recognized.push({ name: item.name, value: basePrice });
+        continue;
+      }
 
       // Check max value
       if (merchant.buyBack.maxValue > 0 && sellPrice > merchant.buyBack.maxValue) {
@@ -534,7 +588,13 @@ export class MerchantHandler {
       const itemTotal = sellPrice * quantity;
 
       totalValue += itemTotal;
-      itemsToSell.push({ item, quantity, unitPrice: sellPrice, totalPrice: itemTotal });
+      if (stolen) stolenValue += basePrice * quantity;
+      itemsToSell.push({ item, quantity, unitPrice: sellPrice, totalPrice: itemTotal, stolen });
+    }
+
+    // A merchant who spots stolen goods calls off the whole deal
+    if (recognized.length) {
+      return this._refuseStolenGoods(merchant, actor, recognized, jurisdiction);
     }
 
     if (itemsToSell.length === 0) {
@@ -586,6 +646,10 @@ export class MerchantHandler {
       await this._recordTransaction(merchant.id, transaction);
     }
 
+    if (stolenValue > 0) {
+      await this._creditFenceFactions(npc, session.playerActorUuid, stolenValue);
+    }
+
     Hooks.callAll("bobsNPCSale", merchant, session.playerActorUuid, itemsToSell, totalValue);
 
     return {
@@ -596,6 +660,77 @@ export class MerchantHandler {
     };
   }
 
+  /**
+   * Get the share of item value a merchant pays for stolen goods
+   * @param {object} merchant - Merchant data
+   * @param {Actor|null} npc - Linked NPC actor
+   * @returns {number|null} Rate, or null if the merchant is not a fence
+   * @private
+   */
+  _getFenceRate(merchant, npc) {
+    const config = npc ? getFlag(npc, "config") : null;
+    const isFence = merchant.type === ShopType.BLACK_MARKET || hasRole(config, NPCRole.FENCE);
+    if (!isFence) return null;
+
+    const rate = Number(config?.services?.fence?.stolenGoodsRate);
+    return rate > 0 ? Math.min(rate, 1) : DEFAULT_FENCE_RATE;
+  }
+
+  /**
+   * Refuse a sale containing recognized stolen goods, reporting it if the merchant does
+   * @param {object} merchant - Merchant data
+   * @param {Actor} actor - Selling actor
+   * @param {object[]} recognized - Recognized items {name, value}
+   * @param {object|null} jurisdiction - Merchant's jurisdiction
+   * @returns {Promise<object>} Sale result
+   * @private
+   */
+  async _refuseStolenGoods(merchant, actor, recognized, jurisdiction) {
+    const reported = merchant.buyBack.stolenGoods === "report" && !!jurisdiction;
+
+    if (reported) {
+      await game.bobsnpc?.handlers?.crime?.reportStolenGoods(actor, {
+        merchantName: merchant.name,
+        npcActorUuid: merchant.npcActorUuid,
+        items: recognized,
+        jurisdictionId: jurisdiction.id
+      });
+    }
+
+    Hooks.callAll("bobsNPCStolenGoodsRefused", merchant, actor.uuid, recognized, reported);
+
+    const items = recognized.map(i => i.name).join(", ");
+    return {
+      success: false,
+      stolenGoods: recognized,
+      reported,
+      message: localize(reported ? "Shop.Messages.StolenGoodsReported" : "Shop.Messages.StolenGoodsRefused", { items })
+    };
+  }
+
+  /**
+   * Raise reputation with a fence's criminal factions for fencing stolen goods
+   * @param {Actor|null} npc - Fence NPC actor
+   * @param {string} playerActorUuid - Seller actor UUID
+   * @param {number} stolenValue - Base value of the stolen goods sold
+   * @private
+   */
+  async _creditFenceFactions(npc, playerActorUuid, stolenValue) {
+    const factionHandler = game.bobsnpc?.handlers?.faction;
+    // The NPC config window stores {factionId, rank, role} entries, the API plain IDs
+    const factionIds = (npc ? getFlag(npc, "config")?.factions || [] : [])
+      .map(entry => entry?.factionId ?? entry)
+      .filter(factionId => factionHandler?.getFaction(factionId)?.criminal);
+    if (!factionHandler || !factionIds.length) return;
+
+    const amount = Math.max(1, Math.floor(stolenValue / FENCE_GOLD_PER_REPUTATION));
+    for (const factionId of factionIds) {
+      await factionHandler.modifyReputation(playerActorUuid, factionId, amount, {
+        reason: localize("Shop.Messages.FencedGoods", { npc: npc.name })
+      });
+    }
+  }
+
   // ==================== HAGGLING ====================
 
   /**
@@ -689,7 +824,7 @@ export class MerchantHandler {
     if (itemId && discount !== 0) {
       const shopItem = merchant.inventory.find(i => i.id === itemId);
       if (shopItem) {
-        const context = await this._buildPlayerContext(playerActorUuid);
+        const context = await this._buildPlayerContext(playerActorUuid, merchant);
         const priceInfo = calculatePrice(shopItem, merchant, context, "buy");
         newPrice = priceInfo.finalPrice * (1 - discount);
       }
@@ -788,7 +923,7 @@ export class MerchantHandler {
     const merchant = this.getMerchant(merchantId);
     if (!merchant) return;
 
-    const refreshedMerchant = refreshStock(merchant);
+    const refreshedMerchant = refreshStock(merchant, game.time.worldTime);
     await this.updateMerchant(merchantId, {
       inventory: refreshedMerchant.inventory,
       stockRefresh: refreshedMerchant.stockRefresh
@@ -799,9 +934,11 @@ export class MerchantHandler {
 
   /**
    * Check and refresh all shops based on schedule
+   * Daily shops restock once per new calendar day, weekly shops every seven.
    */
   async checkStockRefresh() {
-    const now = Date.now();
+    const calendar = game.bobsnpc?.handlers?.calendar;
+    if (!calendar) return;
 
     for (const merchant of this.getAllMerchants()) {
       const refresh = merchant.stockRefresh;
@@ -809,15 +946,17 @@ export class MerchantHandler {
         continue;
       }
 
-      const lastRefresh = refresh.lastRefresh || 0;
+      const daysSince = refresh.lastRefresh === null
+        ? Infinity
+        : calendar.getDaysBetween(refresh.lastRefresh);
       let shouldRefresh = false;
 
       switch (refresh.type) {
         case StockRefreshType.DAILY:
-          shouldRefresh = now - lastRefresh > 24 * 60 * 60 * 1000;
+          shouldRefresh = daysSince >= 1;
           break;
         case StockRefreshType.WEEKLY:
-          shouldRefresh = now - lastRefresh > 7 * 24 * 60 * 60 * 1000;
+          shouldRefresh = daysSince >= 7;
           break;
       }
 
@@ -847,7 +986,7 @@ export class MerchantHandler {
       return { success: false, message: localize("BOBSNPC.ShopNotFound") };
     }
 
-    const context = await this._buildPlayerContext(session.playerActorUuid);
+    const context = await this._buildPlayerContext(session.playerActorUuid, merchant);
     const actor = context.actor;
 
     switch (service) {
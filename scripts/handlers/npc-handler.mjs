@@ -50,6 +50,13 @@ export class NPCHandler {
     console.log(`${MODULE_ID} | NPC handler initialized`);
   }
 
+  /**
+   * Reload all NPC configurations from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadConfiguredNPCs();
+  }
+
   /**
    * Register Foundry hooks
    * @private
@@ -445,6 +452,12 @@ export class NPCHandler {
       }
     }
 
+    // A running world event can put the NPC on another dialogue
+    const eventDialogueId = game.bobsnpc?.handlers?.event?.getDialogueOverride(npcActorUuid);
+    if (eventDialogueId) {
+      dialogueId = eventDialogueId;
+    }
+
     Hooks.callAll(`${MODULE_ID}.npcInteractionStarted`, npcActor, playerActor);
     this._emitSocket("interactionStarted", { npcActorUuid, playerActorUuid });
 
@@ -505,6 +518,15 @@ export class NPCHandler {
       });
     }
 
+    if (hasRole(config, NPCRole.INFORMANT)) {
+      services.push({
+        type: "information",
+        label: localize("Services.Information"),
+        icon: "fa-ear-listen",
+        data: config.services?.information
+      });
+    }
+
     if (hasRole(config, NPCRole.TRAINER)) {
       services.push({
         type: "training",
@@ -561,21 +583,10 @@ export class NPCHandler {
    * @private
    */
   _getGameTime() {
-    // Try to get game time from SimpleCalendar or other time modules
-    if (game.modules.get("foundryvtt-simple-calendar")?.active) {
-      const calendar = SimpleCalendar;
-      if (calendar?.api) {
-        const date = calendar.api.currentDateTime();
-        const days = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
-        return {
-          hour: date.hour,
-          dayOfWeek: days[date.dayOfWeek] || "monday"
-        };
-      }
-    }
+    if (!game.settings.get(MODULE_ID, "scheduleEnabled")) return null;
 
-    // Fallback - assume available
-    return null;
+    // Hour and weekday come from the active calendar adapter
+    return game.bobsnpc?.handlers?.calendar?.getGameTime() ?? null;
   }
 
   /**
@@ -701,6 +712,16 @@ export class NPCHandler {
           innData: config.services?.inn
         };
 
+      case "information":
+        if (!hasRole(config, NPCRole.INFORMANT)) {
+          return { success: false, error: localize("Errors.ServiceUnavailable") };
+        }
+        return {
+          success: true,
+          handler: "information",
+          informationData: config.services?.information
+        };
+
       case "training":
         if (!hasRole(config, NPCRole.TRAINER)) {
           return { success: false, error: localize("Errors.ServiceUnavailable") };
@@ -711,6 +732,26 @@ export class NPCHandler {
           trainingData: config.services?.training
         };
 
+      case "enchanting":
+        if (!hasRole(config, NPCRole.ENCHANTER)) {
+          return { success: false, error: localize("Errors.ServiceUnavailable") };
+        }
+        return {
+          success: true,
+          handler: "enchanting",
+          enchantingData: config.services?.enchanting
+        };
+
+      case "transportation":
+        if (!hasRole(config, NPCRole.TRANSPORTER)) {
+          return { success: false, error: localize("Errors.ServiceUnavailable") };
+        }
+        return {
+          success: true,
+          handler: "transportation",
+          transportationData: config.services?.transportation
+        };
+
       case "faction":
         if (!hasRole(config, NPCRole.FACTION_REPRESENTATIVE)) {
           return { success: false, error: localize("Errors.ServiceUnavailable") };
@@ -5,11 +5,13 @@
 
 // Define MODULE_ID locally to avoid circular dependency with module.mjs
 const MODULE_ID = "bobs-talking-npcs";
-import { localize, getFlag, setFlag, generateId } from "../utils/helpers.mjs";
+import { localize, getFlag, setFlag, generateId, copperToCurrency } from "../utils/helpers.mjs";
+import { emitToGM, SocketEvents } from "../socket.mjs";
 import {
   PropertyType,
   PropertyStatus,
   UpgradeType,
+  FINANCE_HISTORY_LIMIT,
   createProperty,
   createPropertyFromTemplate,
   createUpgrade,
@@ -22,8 +24,11 @@ import {
   applyConditionDecay,
   checkUpgradeRequirements,
   getRestBonus,
+  getItemListValue,
+  simulateShopSales,
   validateProperty
 } from "../data/property-model.mjs";
+import { StockRefreshType, createTransaction } from "../data/merchant-model.mjs";
 
 /**
  * Property Handler class
@@ -44,10 +49,26 @@ export class PropertyHandler {
 
     await this._loadProperties();
 
+    // Results of player shop actions the GM carried out for this user
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (data.type !== "property.shopResult") return;
+      if (data.userId !== game.user.id) return;
+
+      if (data.result?.error) ui.notifications.warn(data.result.error);
+      Hooks.callAll(`${MODULE_ID}.playerShopResult`, data.result);
+    });
+
     this._initialized = true;
     console.log(`${MODULE_ID} | Property handler initialized`);
   }
 
+  /**
+   * Reload all properties from storage, e.g. after a backup restore
+   */
+  async reload() {
+    await this._loadProperties();
+  }
+
   // ==================== Data Loading ====================
 
   /**
@@ -473,6 +494,9 @@ export class PropertyHandler {
       await this._addCurrency(player, netProceeds);
     }
 
+    // Unsold shop stock goes back to the seller
+    await this._closePlayerShop(property, player);
+
     // Reset property
     property.status = PropertyStatus.AVAILABLE;
     property.ownership = {
@@ -536,6 +560,9 @@ export class PropertyHandler {
       await this._addCurrency(player, depositReturn);
     }
 
+    // Unsold shop stock goes back to the tenant
+    await this._closePlayerShop(property, player);
+
     // Reset property
     property.status = PropertyStatus.AVAILABLE;
     property.ownership = {
@@ -1003,7 +1030,8 @@ export class PropertyHandler {
       return { success: false, error: localize("Errors.NotYourProperty") };
     }
 
-    if (!property.finances.income.enabled) {
+    // Shop takings can be collected even when the property has no fixed income
+    if (!property.finances.income.enabled && !property.finances.income.pendingAmount) {
       return { success: false, error: localize("Errors.NoIncome") };
     }
 
@@ -1202,6 +1230,438 @@ export class PropertyHandler {
     );
   }
 
+  // ==================== Player Shops ====================
+
+  /**
+   * Get the merchant handler
+   * @private
+   */
+  get _merchants() {
+    return game.bobsnpc?.handlers?.merchant;
+  }
+
+  /**
+   * Get the player shop run from a property
+   * @param {string} propertyId - Property ID
+   * @returns {object|null} Merchant
+   */
+  getPlayerShop(propertyId) {
+    const merchantId = this._propertyCache.get(propertyId)?.business?.merchantId;
+    return merchantId ? this._merchants?.getMerchant(merchantId) ?? null : null;
+  }
+
+  /**
+   * Open a player shop on a shop property
+   * Creates the merchant that holds the owner's stock. Customers pay the
+   * owner's prices, so the merchant has no haggling, restocks or buy back.
+   * @param {string} propertyId - Property ID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @param {object} options - Shop options
+   * @param {string} options.name - Shop name, defaults to the property name
+   * @returns {object} Result, or {success, pending} when sent to the GM
+   */
+  async openPlayerShop(propertyId, playerActorUuid, options = {}) {
+    if (!game.user.isGM) {
+      return this._requestShopAction("open", { propertyId, playerActorUuid, options });
+    }
+
+    const property = this._propertyCache.get(propertyId);
+    if (!property) {
+      return { success: false, error: localize("Errors.PropertyNotFound") };
+    }
+
+    if (property.ownership?.ownerUuid !== playerActorUuid) {
+      return { success: false, error: localize("Errors.NotYourProperty") };
+    }
+
+    if (property.type !== PropertyType.SHOP) {
+      return { success: false, error: localize("Property.Shop.Errors.NotAShop") };
+    }
+
+    const existing = this.getPlayerShop(propertyId);
+    if (existing) {
+      return { success: true, property, merchant: existing };
+    }
+
+    const merchant = await this._merchants.createMerchant({
+      name: options.name || property.name,
+      description: property.description,
+      propertyId,
+      useCategories: false,
+      pricing: { charismaAffectsPrices: false },
+      haggling: { enabled: false },
+      stockRefresh: { type: StockRefreshType.NEVER },
+      buyBack: { enabled: false },
+      drawer: { unlimited: false, gp: 0 },
+      createdBy: playerActorUuid
+    });
+
+    property.business.enabled = true;
+    property.business.merchantId = merchant.id;
+
+    property.updatedAt = Date.now();
+    this._propertyCache.set(propertyId, property);
+    await this._saveProperties();
+
+    Hooks.callAll(`${MODULE_ID}.playerShopOpened`, property, merchant);
+
+    return { success: true, property, merchant };
+  }
+
+  /**
+   * Put items from the owner's inventory on sale
+   * The items leave the owner and are held by the shop until sold or taken back.
+   * @param {string} propertyId - Property ID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @param {string} itemId - Item ID on the owner actor
+   * @param {number} quantity - Quantity to stock
+   * @param {number} price - Asking price in gold per item
+   * @returns {object} Result, or {success, pending} when sent to the GM
+   */
+  async stockShopItem(propertyId, playerActorUuid, itemId, quantity, price) {
+    if (!game.user.isGM) {
+      return this._requestShopAction("stock", { propertyId, playerActorUuid, itemId, quantity, price });
+    }
+
+    const shop = this._getOwnedShop(propertyId, playerActorUuid);
+    if (shop.error) return { success: false, error: shop.error };
+
+    if (!(price > 0)) {
+      return { success: false, error: localize("Property.Shop.Errors.InvalidPrice") };
+    }
+
+    const player = await fromUuid(playerActorUuid);
+    const item = player?.items.get(itemId);
+    if (!item) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    const owned = item.system.quantity || 1;
+    quantity = Math.floor(quantity);
+    if (quantity < 1 || quantity > owned) {
+      return { success: false, error: localize("Property.Shop.Errors.NotEnoughQuantity") };
+    }
+
+    const itemData = item.toObject();
+    delete itemData._id;
+
+    // Same item already on the shelf: add to it and use the new price
+    const merchant = shop.merchant;
+    const shelved = merchant.inventory.find(i =>
+      i.itemData?.name === itemData.name && i.itemData?.type === itemData.type
+    );
+
+    let shopItem;
+    if (shelved) {
+      shopItem = { ...shelved, quantity: shelved.quantity + quantity, priceOverride: price };
+      await this._merchants.updateMerchant(merchant.id, {
+        inventory: merchant.inventory.map(i => i.id === shelved.id ? shopItem : i)
+      });
+    } else {
+      shopItem = await this._merchants.addShopItem(merchant.id, {
+        name: itemData.name,
+        itemData,
+        quantity,
+        basePrice: getItemListValue(itemData),
+        priceOverride: price
+      });
+    }
+
+    // Only take the items once the shop holds them
+    if (quantity >= owned) {
+      await item.delete();
+    } else {
+      await item.update({ "system.quantity": owned - quantity });
+    }
+
+    Hooks.callAll(`${MODULE_ID}.shopStocked`, shop.property, shopItem);
+
+    return { success: true, shopItem };
+  }
+
+  /**
+   * Change the asking price of a shop item
+   * @param {string} propertyId - Property ID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @param {string} shopItemId - Shop item ID
+   * @param {number} price - Asking price in gold per item
+   * @returns {object} Result, or {success, pending} when sent to the GM
+   */
+  async setShopPrice(propertyId, playerActorUuid, shopItemId, price) {
+    if (!game.user.isGM) {
+      return this._requestShopAction("price", { propertyId, playerActorUuid, shopItemId, price });
+    }
+
+    const shop = this._getOwnedShop(propertyId, playerActorUuid);
+    if (shop.error) return { success: false, error: shop.error };
+
+    if (!(price > 0)) {
+      return { success: false, error: localize("Property.Shop.Errors.InvalidPrice") };
+    }
+
+    const merchant = shop.merchant;
+    if (!merchant.inventory.some(i => i.id === shopItemId)) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    await this._merchants.updateMerchant(merchant.id, {
+      inventory: merchant.inventory.map(i => i.id === shopItemId ? { ...i, priceOverride: price } : i)
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Take unsold stock back into the owner's inventory
+   * @param {string} propertyId - Property ID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @param {string} shopItemId - Shop item ID
+   * @param {number} quantity - Quantity to take back (null = all)
+   * @returns {object} Result, or {success, pending} when sent to the GM
+   */
+  async unstockShopItem(propertyId, playerActorUuid, shopItemId, quantity = null) {
+    if (!game.user.isGM) {
+      return this._requestShopAction("unstock", { propertyId, playerActorUuid, shopItemId, quantity });
+    }
+
+    const shop = this._getOwnedShop(propertyId, playerActorUuid);
+    if (shop.error) return { success: false, error: shop.error };
+
+    const merchant = shop.merchant;
+    const shopItem = merchant.inventory.find(i => i.id === shopItemId);
+    if (!shopItem?.itemData) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    const player = await fromUuid(playerActorUuid);
+    if (!player) {
+      return { success: false, error: localize("Errors.ActorNotFound") };
+    }
+
+    const taken = Math.min(shopItem.quantity, Math.floor(quantity ?? shopItem.quantity));
+    if (taken < 1) {
+      return { success: false, error: localize("Property.Shop.Errors.NotEnoughQuantity") };
+    }
+
+    await this._returnStock(player, shopItem, taken);
+
+    const remaining = shopItem.quantity - taken;
+    await this._merchants.updateMerchant(merchant.id, {
+      inventory: remaining > 0
+        ? merchant.inventory.map(i => i.id === shopItemId ? { ...i, quantity: remaining } : i)
+        : merchant.inventory.filter(i => i.id !== shopItemId)
+    });
+
+    return { success: true, returned: taken };
+  }
+
+  /**
+   * Ask the GM to run a player shop action
+   * The shop's merchant and the property records belong to the GM.
+   * @param {string} action - open, stock, price, unstock
+   * @param {object} data - Action arguments, including playerActorUuid
+   * @returns {Promise<object>} {success, pending}
+   * @private
+   */
+  async _requestShopAction(action, data) {
+    const actor = await fromUuid(data.playerActorUuid);
+    if (!actor?.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    emitToGM(SocketEvents.PROPERTY_SHOP, { ...data, action });
+    return { success: true, pending: true };
+  }
+
+  /**
+   * Run a player's shop action (active GM only)
+   * @param {object} payload - {action, propertyId, playerActorUuid, ...}
+   * @param {string} userId - Requesting user
+   */
+  async handleShopRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(userId);
+    const actor = await fromUuid(payload.playerActorUuid);
+
+    let result;
+    if (!actor?.testUserPermission(user, "OWNER")) {
+      result = { success: false, error: localize("Errors.PermissionDenied") };
+    } else {
+      try {
+        result = await this._performShopAction(payload);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Player shop action failed:`, error);
+        result = { success: false, error: error.message };
+      }
+    }
+
+    this._emitSocket("shopResult", { userId, result });
+  }
+
+  /**
+   * Perform a player shop action
+   * @param {object} data - Action payload
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _performShopAction(data) {
+    const { propertyId, playerActorUuid } = data;
+
+    switch (data.action) {
+      case "open":
+        return this.openPlayerShop(propertyId, playerActorUuid, data.options);
+      case "stock":
+        return this.stockShopItem(propertyId, playerActorUuid, data.itemId, data.quantity, data.price);
+      case "price":
+        return this.setShopPrice(propertyId, playerActorUuid, data.shopItemId, data.price);
+      case "unstock":
+        return this.unstockShopItem(propertyId, playerActorUuid, data.shopItemId, data.quantity);
+      default:
+        return { success: false, error: localize("Errors.ActionFailed") };
+    }
+  }
+
+  /**
+   * Add shop takings to a property's pending income
+   * @param {string} propertyId - Property ID
+   * @param {number} amount - Amount in gold
+   * @param {object[]} items - Items sold [{name, quantity, price}]
+   */
+  async addShopProceeds(propertyId, amount, items = []) {
+    const property = this._propertyCache.get(propertyId);
+    if (!property || amount <= 0) return;
+
+    const income = property.finances.income;
+    income.pendingAmount = Math.round(((income.pendingAmount || 0) + amount) * 100) / 100;
+
+    property.finances.history ??= [];
+    property.finances.history.unshift({
+      id: generateId(),
+      type: "shopSales",
+      amount,
+      items,
+      worldTime: game.time.worldTime,
+      timestamp: Date.now()
+    });
+    property.finances.history.splice(FINANCE_HISTORY_LIMIT);
+
+    property.updatedAt = Date.now();
+    this._propertyCache.set(propertyId, property);
+    await this._saveProperties();
+  }
+
+  /**
+   * Let staff sell player shop stock to NPC customers
+   * @param {number} days - In-game days elapsed
+   * @returns {object} {shops, sold, proceeds}
+   */
+  async processShopSales(days = 1) {
+    if (!game.user.isGM) return { shops: 0, sold: 0, proceeds: 0 };
+
+    const summary = { shops: 0, sold: 0, proceeds: 0 };
+
+    for (const property of this._propertyCache.values()) {
+      if (property.status !== PropertyStatus.OWNED &&
+          property.status !== PropertyStatus.RENTED) {
+        continue;
+      }
+
+      const merchant = this.getPlayerShop(property.id);
+      if (!merchant) continue;
+
+      const sales = simulateShopSales(property, merchant.inventory, days);
+      if (!sales.length) continue;
+
+      const sold = new Map(sales.map(sale => [sale.id, sale]));
+      const items = merchant.inventory.filter(i => sold.has(i.id)).map(i => ({
+        name: i.name,
+        quantity: sold.get(i.id).quantity,
+        price: sold.get(i.id).price
+      }));
+      const total = Math.round(items.reduce((sum, i) => sum + i.quantity * i.price, 0) * 100) / 100;
+
+      const transaction = createTransaction({
+        type: "buy",
+        shopId: merchant.id,
+        items: items.map(i => ({ itemUuid: null, ...i })),
+        totalPrice: total
+      });
+
+      await this._merchants.updateMerchant(merchant.id, {
+        inventory: merchant.inventory
+          .map(i => sold.has(i.id) ? { ...i, quantity: i.quantity - sold.get(i.id).quantity } : i)
+          .filter(i => !i.itemData || i.quantity > 0),
+        transactions: merchant.trackTransactions
+          ? [...merchant.transactions, transaction].slice(-100)
+          : merchant.transactions
+      });
+
+      await this.addShopProceeds(property.id, total, items);
+
+      summary.shops += 1;
+      summary.sold += items.reduce((sum, i) => sum + i.quantity, 0);
+      summary.proceeds += total;
+
+      Hooks.callAll(`${MODULE_ID}.shopSales`, property, items, total);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Get a property and its player shop, checking ownership
+   * @returns {object} {property, merchant} or {error}
+   * @private
+   */
+  _getOwnedShop(propertyId, playerActorUuid) {
+    const property = this._propertyCache.get(propertyId);
+    if (!property) return { error: localize("Errors.PropertyNotFound") };
+
+    if (property.ownership?.ownerUuid !== playerActorUuid) {
+      return { error: localize("Errors.NotYourProperty") };
+    }
+
+    const merchant = this.getPlayerShop(propertyId);
+    if (!merchant) return { error: localize("Property.Shop.Errors.NoShop") };
+
+    return { property, merchant };
+  }
+
+  /**
+   * Give stocked items back to an actor
+   * @private
+   */
+  async _returnStock(actor, shopItem, quantity) {
+    const itemData = foundry.utils.deepClone(shopItem.itemData);
+    itemData.system.quantity = quantity;
+    await actor.createEmbeddedDocuments("Item", [itemData]);
+  }
+
+  /**
+   * Close a property's player shop, returning unsold stock to the owner
+   * @param {object} property - Property data (saved by the caller)
+   * @param {Actor} player - Owner actor
+   * @private
+   */
+  async _closePlayerShop(property, player) {
+    const merchant = this.getPlayerShop(property.id);
+    if (!merchant) return;
+
+    if (player) {
+      for (const shopItem of merchant.inventory) {
+        if (shopItem.itemData && shopItem.quantity > 0) {
+          await this._returnStock(player, shopItem, shopItem.quantity);
+        }
+      }
+    }
+
+    await this._merchants.deleteMerchant(merchant.id);
+    property.business.merchantId = null;
+
+    Hooks.callAll(`${MODULE_ID}.playerShopClosed`, property, merchant);
+  }
+
   // ==================== Maintenance ====================
 
   /**
@@ -1312,8 +1772,9 @@ export class PropertyHandler {
 
   /**
    * Process condition decay for all properties
+   * @param {number} weeks - In-game weeks elapsed
    */
-  async processConditionDecay() {
+  async processConditionDecay(weeks = 1) {
     if (!game.user.isGM) return;
 
     for (const [id, property] of this._propertyCache.entries()) {
@@ -1322,7 +1783,7 @@ export class PropertyHandler {
         continue;
       }
 
-      const updated = applyConditionDecay(property, 1);
+      const updated = applyConditionDecay(property, weeks);
       if (updated.condition.overall !== property.condition.overall) {
         this._propertyCache.set(id, updated);
       }
@@ -1406,7 +1867,10 @@ export class PropertyHandler {
    */
   async _addCurrency(actor, amount) {
     const currency = { ...actor.system.currency };
-    currency.gp = (currency.gp || 0) + Math.floor(amount);
+    const coins = copperToCurrency(Math.round(amount * 100));
+    for (const [key, value] of Object.entries(coins)) {
+      currency[key] = (currency[key] || 0) + value;
+    }
     await actor.update({ "system.currency": currency });
   }
 
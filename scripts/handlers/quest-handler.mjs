@@ -16,11 +16,28 @@ import {
   RepeatableType,
   OnGiverDeath,
   validateQuest,
+  ConsequenceType,
+  ConsequenceTrigger,
   checkPrerequisites,
   calculateProgress,
-  isQuestReadyForTurnIn
+  isQuestReadyForTurnIn,
+  KillAttribution,
+  matchesKillTarget,
+  createPendingKill,
+  QuestInstanceScope,
+  RUNNING_QUEST_STATUSES,
+  LEGACY_QUEST_STATE_FIELDS,
+  getQuestInstanceScope,
+  createObjectiveProgress,
+  createQuestInstance,
+  applyQuestInstance,
+  splitLegacyQuest,
+  hasLegacyQuestState,
+  QUEST_LOCATION_BEHAVIOR
 } from "../data/quest-model.mjs";
-import { generateId, getFlag, setFlag, localize } from "../utils/helpers.mjs";
+import { parseWorldStateValue } from "../data/world-state-model.mjs";
+import { generateId, getFlag, setFlag, localize, getPartyMemberUuids } from "../utils/helpers.mjs";
+import { emitToGM, SocketEvents } from "../socket.mjs";
 
 /**
  * Quest storage keys
@@ -40,6 +57,9 @@ export class QuestHandler {
   constructor() {
     this._initialized = false;
     this._questCache = new Map();
+    this._instanceCache = new Map();
+    this._pendingKills = [];
+    this._damageSources = new Map();  // Defeated actor UUID -> attacker UUID, from dnd5e damage cards
     this._playerQuestCache = new Map();
   }
 
@@ -55,10 +75,29 @@ export class QuestHandler {
     // Register hooks
     this._registerHooks();
 
+    // Results of skill check objectives the GM resolved for this user
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (data.type !== "quest.skillRollResult") return;
+      if (data.data.userId !== game.user.id) return;
+
+      const result = data.data.result;
+      if (!result?.success && result?.message) ui.notifications.warn(result.message);
+    });
+
+    await this._syncRegionBehaviors();
+
     this._initialized = true;
     console.log(`${MODULE_ID} | Quest Handler initialized`);
   }
 
+  /**
+   * Reload all quest data from storage, e.g. after a backup restore
+   */
+  async reload() {
+    this._playerQuestCache.clear();
+    await this._loadQuests();
+  }
+
   /**
    * Register Foundry hooks
    * @private
@@ -71,35 +110,63 @@ export class QuestHandler {
     Hooks.on("createItem", (item, options, userId) => this._onItemCreated(item, options, userId));
     Hooks.on("deleteItem", (item, options, userId) => this._onItemDeleted(item, options, userId));
 
-    // Combat end - check for kill objectives
-    Hooks.on("deleteCombatant", (combatant, options, userId) => this._onCombatantDeleted(combatant));
+    // Kills - a combatant dropping to 0 HP counts for kill objectives
+    Hooks.on("dnd5e.preApplyDamage", (actor, amount, updates, options) => this._onPreApplyDamage(actor, options));
+    Hooks.on("updateActor", (actor, changes, options, userId) => this._onActorUpdated(actor, changes, userId));
 
     // Scene change - check for location objectives
     Hooks.on("canvasReady", (canvas) => this._onSceneChange(canvas));
+
+    // Dialogue progress - check for talk-to and deliver objectives
+    Hooks.on("bobsNPCDialogueStarted", (session) => this._onDialogueNode(session, session.currentNodeId, true));
+    Hooks.on("bobsNPCResponseSelected", (session, response, nextNode) => this._onDialogueNode(session, nextNode?.id));
+
+    // Token movement - check for escort objectives
+    Hooks.on("updateToken", (tokenDoc, changes) => this._onTokenUpdated(tokenDoc, changes));
+
+    // World time - fail quests whose time limit ran out
+    Hooks.on("updateWorldTime", (worldTime) => this.checkExpiredQuests(worldTime));
   }
 
   // ==================== QUEST STORAGE ====================
 
   /**
-   * Load quests from world storage
+   * Load quests and quest instances from world storage
    * @private
    */
   async _loadQuests() {
-    const worldQuests = game.settings.get(MODULE_ID, "worldData")?.quests || {};
+    const worldData = game.settings.get(MODULE_ID, "worldData") || {};
 
     this._questCache.clear();
-    for (const [id, questData] of Object.entries(worldQuests)) {
+    this._instanceCache.clear();
+    this._pendingKills = (worldData.pendingKills || []).map(data => createPendingKill(data));
+    for (const [id, questData] of Object.entries(worldData.quests || {})) {
+      // Records not migrated yet still carry their progress; read it as instances
+      if (hasLegacyQuestState(questData)) {
+        const { quest, instances } = splitLegacyQuest({ ...questData, id });
+        this._questCache.set(id, quest);
+        for (const instance of instances) this._instanceCache.set(instance.id, instance);
+        continue;
+      }
       this._questCache.set(id, createQuest(questData));
     }
+
+    for (const [id, instanceData] of Object.entries(worldData.questInstances || {})) {
+      this._instanceCache.set(id, createQuestInstance({ ...instanceData, id }));
+    }
   }
 
   /**
-   * Save quests to world storage
+   * Save quests and quest instances to world storage
    * @private
    */
   async _saveQuests() {
     const worldData = game.settings.get(MODULE_ID, "worldData") || {};
     worldData.quests = Object.fromEntries(this._questCache);
+    worldData.questInstances = Object.fromEntries(this._instanceCache);
+    // Kills waiting on an instance that no longer exists are dropped
+    this._pendingKills = this._pendingKills.filter(kill => this._instanceCache.has(kill.instanceId));
+    worldData.pendingKills = this._pendingKills;
     await game.settings.set(MODULE_ID, "worldData", worldData);
   }
 
@@ -122,11 +189,15 @@ export class QuestHandler {
 
   /**
    * Get quests by status
+   * Available returns every quest definition, other statuses one quest per instance.
    * @param {string} status - Quest status
    * @returns {object[]}
    */
   getQuestsByStatus(status) {
-    return this.getAllQuests().filter(q => q.status === status);
+    if (status === QuestStatus.AVAILABLE) {
+      return this.getAllQuests().map(quest => applyQuestInstance(quest));
+    }
+    return this.getInstances({ status }).map(instance => this.getQuestView(instance)).filter(q => q !== null);
   }
 
   /**
@@ -138,6 +209,143 @@ export class QuestHandler {
     return this.getAllQuests().filter(q => q.category === category);
   }
 
+  // ==================== QUEST INSTANCES ====================
+
+  /**
+   * Get a quest instance by ID
+   * @param {string} instanceId - Instance ID
+   * @returns {object|null}
+   */
+  getInstance(instanceId) {
+    return this._instanceCache.get(instanceId) || null;
+  }
+
+  /**
+   * Get quest instances
+   * @param {object} filter - {questId, actorUuid, status, running}
+   * @returns {object[]}
+   */
+  getInstances({ questId = null, actorUuid = null, status = null, running = false } = {}) {
+    return Array.from(this._instanceCache.values()).filter(instance => {
+      if (questId && instance.questId !== questId) return false;
+      if (actorUuid && !instance.members.includes(actorUuid)) return false;
+      if (status && instance.status !== status) return false;
+      if (running && !RUNNING_QUEST_STATUSES.includes(instance.status)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Get an actor's instance of a quest
+   * The running instance if there is one, otherwise the most recent.
+   * @param {string} questId - Quest ID
+   * @param {string} actorUuid - Actor UUID
+   * @returns {object|null}
+   */
+  getActorInstance(questId, actorUuid) {
+    const instances = this.getInstances({ questId, actorUuid }).sort((a, b) => b.updatedAt - a.updatedAt);
+    return instances.find(i => RUNNING_QUEST_STATUSES.includes(i.status)) || instances[0] || null;
+  }
+
+  /**
+   * Get a quest with an instance's progress merged in
+   * @param {object|string} instance - Instance or instance ID
+   * @returns {object|null}
+   */
+  getQuestView(instance) {
+    if (typeof instance === "string") instance = this.getInstance(instance);
+    const quest = instance ? this.getQuest(instance.questId) : null;
+    return quest ? applyQuestInstance(quest, instance) : null;
+  }
+
+  /**
+   * Get a quest as an actor sees it
+   * @param {string} questId - Quest ID
+   * @param {string} actorUuid - Actor UUID
+   * @returns {object|null}
+   */
+  getQuestForActor(questId, actorUuid) {
+    const quest = this.getQuest(questId);
+    if (!quest) return null;
+    return applyQuestInstance(quest, this.getActorInstance(questId, actorUuid));
+  }
+
+  /**
+   * Get the running instances of a quest
+   * @param {string} questId - Quest ID
+   * @param {string[]} actorUuids - Only instances with one of these members, all when empty
+   * @returns {object[]}
+   * @private
+   */
+  _getRunningInstances(questId, actorUuids = []) {
+    return this.getInstances({ questId, running: true })
+      .filter(instance => !actorUuids.length || instance.members.some(uuid => actorUuids.includes(uuid)));
+  }
+
+  /**
+   * Get the actors of instances' members
+   * @param {object[]} instances - Quest instances
+   * @returns {Promise<Actor[]>}
+   * @private
+   */
+  async _getMemberActors(instances) {
+    const uuids = [...new Set(instances.flatMap(instance => instance.members))];
+    const actors = await Promise.all(uuids.map(uuid => fromUuid(uuid)));
+    return actors.filter(a => a);
+  }
+
+  /**
+   * Update a quest instance
+   * @param {string} instanceId - Instance ID
+   * @param {object} updates - Updates to apply
+   * @returns {Promise<object|null>} Quest with the updated progress
+   * @private
+   */
+  async _updateInstance(instanceId, updates) {
+    const instance = this.getInstance(instanceId);
+    if (!instance) return null;
+
+    const updated = createQuestInstance({ ...instance, ...updates, id: instanceId, updatedAt: Date.now() });
+    this._instanceCache.set(instanceId, updated);
+    await this._saveQuests();
+
+    const quest = this.getQuestView(updated);
+    Hooks.callAll("bobsNPCQuestInstanceUpdated", quest, updated);
+    Hooks.callAll(`${MODULE_ID}.questUpdated`, { questId: updated.questId, instanceId, updates });
+    this._emitSocket("instanceUpdated", { instance: updated });
+
+    return quest;
+  }
+
+  /**
+   * Delete quest instances
+   * @param {string[]} instanceIds - Instance IDs
+   * @private
+   */
+  async _deleteInstances(instanceIds) {
+    const deleted = instanceIds.map(id => this.getInstance(id)).filter(i => i);
+    if (!deleted.length) return;
+
+    for (const instance of deleted) this._instanceCache.delete(instance.id);
+    await this._saveQuests();
+
+    for (const instance of deleted) {
+      Hooks.callAll(`${MODULE_ID}.questUpdated`, { questId: instance.questId, instanceId: instance.id });
+    }
+    this._emitSocket("instancesDeleted", { instanceIds: deleted.map(i => i.id) });
+  }
+
+  /**
+   * Add or replace quest instances, e.g. from a world export
+   * @param {object} instances - Instance data keyed by ID
+   */
+  async importInstances(instances) {
+    for (const [id, data] of Object.entries(instances || {})) {
+      this._instanceCache.set(id, createQuestInstance({ ...data, id }));
+    }
+    await this._saveQuests();
+  }
+
   // ==================== QUEST CRUD ====================
 
   /**
@@ -160,6 +368,7 @@ export class QuestHandler {
 
     this._questCache.set(quest.id, quest);
     await this._saveQuests();
+    await this._syncRegionBehaviors([quest]);
 
     Hooks.callAll("bobsNPCQuestCreated", quest);
     this._emitSocket("questCreated", { quest });
@@ -184,8 +393,12 @@ export class QuestHandler {
       updatedAt: Date.now()
     };
 
+    // Progress lives on instances; drop it if a quest view was passed back in
+    for (const field of [...LEGACY_QUEST_STATE_FIELDS, "instanceId"]) delete updatedQuest[field];
+
     this._questCache.set(questId, updatedQuest);
     await this._saveQuests();
+    await this._syncRegionBehaviors([updatedQuest]);
 
     Hooks.callAll("bobsNPCQuestUpdated", updatedQuest, quest);
     this._emitSocket("questUpdated", { quest: updatedQuest, previous: quest });
@@ -194,7 +407,7 @@ export class QuestHandler {
   }
 
   /**
-   * Delete a quest
+   * Delete a quest and its instances
    * @param {string} questId - Quest ID
    * @returns {boolean} Success
    */
@@ -203,6 +416,7 @@ export class QuestHandler {
     if (!quest) return false;
 
     this._questCache.delete(questId);
+    for (const instance of this.getInstances({ questId })) this._instanceCache.delete(instance.id);
     await this._saveQuests();
 
     // Clean up player quest data
@@ -216,11 +430,56 @@ export class QuestHandler {
 
   // ==================== QUEST STATE MANAGEMENT ====================
 
+  /**
+   * Check a quest's prerequisites for an actor
+   * Gathers completion history, faction standings and the relationship the quest asks for.
+   * @param {object|string} quest - Quest data or ID
+   * @param {Actor} actor - Player actor
+   * @returns {object} {met: boolean, reasons: string[]}
+   */
+  async checkPrerequisites(quest, actor) {
+    if (typeof quest === "string") quest = this.getQuest(quest);
+    if (!quest || !actor) return { met: false, reasons: [] };
+
+    const handlers = game.bobsnpc.handlers;
+    const prereqs = quest.prerequisites;
+    const actorUuid = this._getWorldActorUuid(actor);
+
+    const standings = {};
+    for (const factionId of new Set([prereqs.factionRank?.factionId, prereqs.factionReputation?.factionId])) {
+      if (factionId) standings[factionId] = await handlers.faction?.getStanding(actorUuid, factionId);
+    }
+
+    const relationship = prereqs.relationship?.actorUuid
+      ? await handlers.relationship?.getRelationship(actorUuid, prereqs.relationship.actorUuid)
+      : null;
+
+    return checkPrerequisites(quest, actor, {
+      completedQuests: this._getCompletedQuestIds(actor),
+      standings,
+      relationship
+    });
+  }
+
+  /**
+   * Get the IDs of the quests an actor has completed
+   * Completed instances the actor took part in, plus the legacy per-actor list.
+   * @param {Actor} actor - Player actor
+   * @returns {string[]}
+   * @private
+   */
+  _getCompletedQuestIds(actor) {
+    const actorUuid = this._getWorldActorUuid(actor);
+    const fromInstances = this.getInstances({ actorUuid, status: QuestStatus.COMPLETED }).map(i => i.questId);
+    return [...new Set([...fromInstances, ...(getFlag(actor, STORAGE_KEYS.COMPLETED_QUESTS) || [])])];
+  }
+
   /**
    * Accept a quest for a player/party
+   * Party quests start one shared instance, other quests one instance per actor.
    * @param {string} questId - Quest ID
    * @param {Actor|Actor[]} actors - Player actor(s)
-   * @returns {object} {success, quest, message}
+   * @returns {object} {success, quest, instances, message}
    */
   async acceptQuest(questId, actors) {
     const quest = this.getQuest(questId);
@@ -233,24 +492,23 @@ export class QuestHandler {
     const actorUuids = actorArray.map(a => a.uuid);
 
     // Check if already accepted
-    if (quest.acceptedBy.some(uuid => actorUuids.includes(uuid))) {
+    if (this._getRunningInstances(questId, actorUuids).length) {
       return { success: false, quest, message: localize("BOBSNPC.QuestAlreadyAccepted") };
     }
 
     // Check prerequisites for first actor (party leader)
-    const prereqCheck = checkPrerequisites(quest, actorArray[0]);
+    const prereqCheck = await this.checkPrerequisites(quest, actorArray[0]);
     if (!prereqCheck.met) {
       return {
         success: false,
         quest,
-        message: localize("BOBSNPC.QuestPrerequisitesNotMet") + ": " + prereqCheck.reasons.join(", ")
+        message: localize("Quest.Messages.PrerequisitesNotMet", { reasons: prereqCheck.reasons.join("; ") })
       };
     }
 
     // Check mutual exclusivity
     for (const exclusiveQuestId of quest.mutuallyExclusive) {
-      const playerQuests = await this.getPlayerQuests(actorArray[0].uuid);
-      if (playerQuests.some(q => q.id === exclusiveQuestId && q.status === QuestStatus.ACCEPTED)) {
+      if (this._getRunningInstances(exclusiveQuestId, actorUuids).length) {
         return {
           success: false,
           quest,
@@ -259,33 +517,53 @@ export class QuestHandler {
       }
     }
 
-    // Accept the quest
-    const updatedQuest = await this.updateQuest(questId, {
+    // Start the instances; time limits start counting in calendar hours now
+    const scope = getQuestInstanceScope(quest);
+    const groups = scope === QuestInstanceScope.PARTY ? [actorUuids] : actorUuids.map(uuid => [uuid]);
+    const calendar = game.bobsnpc.handlers.calendar;
+    const expiresAt = quest.timeLimit ? calendar.addHours(game.time.worldTime, quest.timeLimit) : null;
+    const objectives = Object.fromEntries(quest.objectives
+      .filter(objective => objective.timeLimit)
+      .map(objective => [objective.id, {
+        expiresAt: calendar.addHours(game.time.worldTime, objective.timeLimit)
+      }]));
+
+    const instances = groups.map(members => createQuestInstance({
+      questId,
+      scope,
+      members,
       status: QuestStatus.ACCEPTED,
-      acceptedBy: [...quest.acceptedBy, ...actorUuids],
-      acceptedAt: Date.now()
-    });
+      acceptedAt: Date.now(),
+      expiresAt,
+      objectives
+    }));
+    for (const instance of instances) this._instanceCache.set(instance.id, instance);
+    await this._saveQuests();
+    this._emitSocket("instancesCreated", { instances });
 
     // Add to player quest lists
     for (const actor of actorArray) {
       await this._addQuestToPlayer(actor.uuid, questId);
     }
 
+    const acceptedQuest = this.getQuestView(instances[0]);
+
     // Reveal handouts
-    await this._revealQuestHandouts(updatedQuest, "accept");
+    await this._revealQuestHandouts(acceptedQuest, "accept");
 
     // Notify
-    this._notifyQuestAccepted(updatedQuest, actorArray);
+    this._notifyQuestAccepted(acceptedQuest, actorArray);
 
-    Hooks.callAll("bobsNPCQuestAccepted", updatedQuest, actorArray);
+    Hooks.callAll("bobsNPCQuestAccepted", acceptedQuest, actorArray);
 
-    return { success: true, quest: updatedQuest, message: localize("BOBSNPC.QuestAccepted") };
+    return { success: true, quest: acceptedQuest, instances, message: localize("BOBSNPC.QuestAccepted") };
   }
 
   /**
    * Abandon a quest
+   * The actor leaves their instance; an instance nobody is left in is removed.
    * @param {string} questId - Quest ID
-   * @param {Actor} actor - Player actor
+   * @param {Actor|string} actor - Player actor or its UUID
    * @returns {object} {success, quest, message}
    */
   async abandonQuest(questId, actor) {
@@ -304,95 +582,114 @@ export class QuestHandler {
       return { success: false, quest, message: localize("BOBSNPC.QuestAbandonmentDisabled") };
     }
 
-    // Remove actor from quest
-    const newAcceptedBy = quest.acceptedBy.filter(uuid => uuid !== actor.uuid);
+    if (typeof actor === "string") actor = await fromUuid(actor);
+    const [instance] = actor ? this._getRunningInstances(questId, [actor.uuid]) : [];
+    if (!instance) {
+      return { success: false, quest, message: localize("Errors.QuestNotAccepted") };
+    }
+
+    const abandonedQuest = this.getQuestView(instance);
 
     // Apply abandonment consequences
-    await this._applyAbandonmentConsequences(quest, actor);
-
-    // If no one left, reset quest to available
-    if (newAcceptedBy.length === 0) {
-      await this.updateQuest(questId, {
-        status: QuestStatus.AVAILABLE,
-        acceptedBy: [],
-        acceptedAt: null,
-        objectives: quest.objectives.map(obj => ({ ...obj, completed: false }))
-      });
+    await this._applyAbandonmentConsequences(abandonedQuest, actor);
+
+    // Remove actor from the instance, dropping it if no one is left
+    const members = instance.members.filter(uuid => uuid !== actor.uuid);
+    if (members.length === 0) {
+      // The quest only changes the world once its last member gives up
+      await this.applyConsequences(abandonedQuest, ConsequenceTrigger.ABANDON, { actors: [actor] });
+      await this._deleteInstances([instance.id]);
     } else {
-      await this.updateQuest(questId, { acceptedBy: newAcceptedBy });
+      await this._updateInstance(instance.id, { members });
     }
 
     // Remove from player's quest list
     await this._removeQuestFromPlayer(actor.uuid, questId);
 
-    Hooks.callAll("bobsNPCQuestAbandoned", quest, actor);
+    Hooks.callAll("bobsNPCQuestAbandoned", abandonedQuest, actor);
 
-    return { success: true, quest: this.getQuest(questId), message: localize("BOBSNPC.QuestAbandoned") };
+    return { success: true, quest: this.getQuestForActor(questId, actor.uuid), message: localize("BOBSNPC.QuestAbandoned") };
   }
 
   /**
    * Complete a quest
+   * Completes the running instances of the given actors, or every running instance.
    * @param {string} questId - Quest ID
    * @param {Actor[]} actors - Actors completing the quest
    * @param {string} branchId - Optional branch ID for branching quests
    * @returns {object} {success, quest, rewards, message}
    */
-  async completeQuest(questId, actors, branchId = null) {
+  async completeQuest(questId, actors = [], branchId = null) {
     const quest = this.getQuest(questId);
     if (!quest) {
       return { success: false, quest: null, rewards: null, message: localize("BOBSNPC.QuestNotFound") };
     }
 
+    const actorArray = Array.isArray(actors) ? actors : [actors];
+    const instances = this._getRunningInstances(questId, actorArray.map(a => a.uuid));
+    if (!instances.length) {
+      return { success: false, quest, rewards: null, message: localize("Errors.QuestNotAccepted") };
+    }
+
     // Check if ready for turn-in
-    if (!isQuestReadyForTurnIn(quest)) {
+    if (!instances.every(instance => isQuestReadyForTurnIn(this.getQuestView(instance)))) {
       return { success: false, quest, rewards: null, message: localize("BOBSNPC.QuestObjectivesIncomplete") };
     }
 
+    // Reward everyone in the completed instances
+    const rewardedActors = actorArray.length ? actorArray : await this._getMemberActors(instances);
+
     // Determine rewards (branch-specific or default)
     let rewards = quest.rewards;
+    let branch = null;
     if (branchId && quest.branches.length > 0) {
-      const branch = quest.branches.find(b => b.id === branchId);
-      if (branch) {
-        rewards = branch.rewards;
-        await this.updateQuest(questId, { activeBranch: branchId });
-      }
+      branch = quest.branches.find(b => b.id === branchId) || null;
+      if (branch) rewards = branch.rewards;
     }
 
     // Distribute rewards
-    const distributedRewards = await this._distributeRewards(rewards, actors);
+    const distributedRewards = await this._distributeRewards(rewards, rewardedActors);
 
     // Consume collected items if required
-    await this._consumeQuestItems(quest, actors);
-
-    // Update quest status
-    const updatedQuest = await this.updateQuest(questId, {
-      status: QuestStatus.COMPLETED,
-      completedAt: Date.now()
-    });
+    await this._consumeQuestItems(quest, rewardedActors);
+
+    // Update instance status
+    let completedQuest = null;
+    for (const instance of instances) {
+      completedQuest = await this._updateInstance(instance.id, {
+        status: QuestStatus.COMPLETED,
+        completedAt: Date.now(),
+        completedWorldTime: game.time.worldTime,
+        activeBranch: branch?.id ?? instance.activeBranch
+      });
+    }
 
     // Handle repeatable quests
     if (quest.repeatable.enabled) {
-      await this._handleRepeatableCompletion(updatedQuest);
+      await this._handleRepeatableCompletion(quest);
     }
 
     // Fail conflicting quests
     for (const conflictQuestId of quest.conflictsWith) {
-      await this.failQuest(conflictQuestId, "Conflicting quest completed");
+      await this.failQuest(conflictQuestId, "Conflicting quest completed", rewardedActors);
     }
 
+    // Change the world
+    await this.applyConsequences(completedQuest, ConsequenceTrigger.COMPLETE, { actors: rewardedActors, branch });
+
     // Move to completed for players
-    for (const actor of actors) {
+    for (const actor of rewardedActors) {
       await this._moveQuestToCompleted(actor.uuid, questId);
     }
 
     // Notify
-    this._notifyQuestCompleted(updatedQuest, actors, distributedRewards);
+    this._notifyQuestCompleted(completedQuest, rewardedActors, distributedRewards);
 
-    Hooks.callAll("bobsNPCQuestCompleted", updatedQuest, actors, distributedRewards);
+    Hooks.callAll("bobsNPCQuestCompleted", completedQuest, rewardedActors, distributedRewards);
 
     return {
       success: true,
-      quest: updatedQuest,
+      quest: completedQuest,
       rewards: distributedRewards,
       message: localize("BOBSNPC.QuestCompleted")
     };
@@ -400,32 +697,81 @@ export class QuestHandler {
 
   /**
    * Fail a quest
+   * Fails the running instances of the given actors, or every running instance.
    * @param {string} questId - Quest ID
    * @param {string} reason - Failure reason
+   * @param {Actor[]} actors - Actors whose instances fail
    * @returns {object} {success, quest, message}
    */
-  async failQuest(questId, reason = "") {
+  async failQuest(questId, reason = "", actors = []) {
     const quest = this.getQuest(questId);
     if (!quest) {
       return { success: false, quest: null, message: localize("BOBSNPC.QuestNotFound") };
     }
 
-    const updatedQuest = await this.updateQuest(questId, {
+    const actorUuids = (Array.isArray(actors) ? actors : [actors]).map(a => a.uuid);
+    let failedQuest = quest;
+    for (const instance of this._getRunningInstances(questId, actorUuids)) {
+      failedQuest = await this._failInstance(instance, reason);
+    }
+
+    return { success: true, quest: failedQuest, message: localize("BOBSNPC.QuestFailed") };
+  }
+
+  /**
+   * Fail one quest instance
+   * @param {object} instance - Quest instance
+   * @param {string} reason - Failure reason
+   * @returns {Promise<object>} Failed quest
+   * @private
+   */
+  async _failInstance(instance, reason = "") {
+    const failedQuest = await this._updateInstance(instance.id, {
       status: QuestStatus.FAILED,
       completedAt: Date.now()
     });
 
-    // Move to failed for all players
-    for (const actorUuid of quest.acceptedBy) {
-      await this._moveQuestToFailed(actorUuid, questId);
+    // Move to failed for the instance's players
+    for (const actorUuid of instance.members) {
+      await this._moveQuestToFailed(actorUuid, instance.questId);
     }
 
+    const actors = await this._getMemberActors([instance]);
+    await this.applyConsequences(failedQuest, ConsequenceTrigger.FAIL, { actors });
+
     // Notify
-    this._notifyQuestFailed(updatedQuest, reason);
+    this._notifyQuestFailed(failedQuest, reason);
+
+    Hooks.callAll("bobsNPCQuestFailed", failedQuest, reason);
+
+    return failedQuest;
+  }
+
+  /**
+   * Reveal a hidden quest
+   * Secret quests become individual quests visible to the given actors.
+   * @param {string} questId - Quest ID
+   * @param {Actor|Actor[]} actors - Actor(s) the quest is revealed to
+   * @returns {object} {success, quest, message}
+   */
+  async revealQuest(questId, actors = []) {
+    const quest = this.getQuest(questId);
+    if (!quest) {
+      return { success: false, quest: null, message: localize("Errors.QuestNotFound") };
+    }
+
+    const actorUuids = (Array.isArray(actors) ? actors : [actors]).map(a => a.uuid);
+    const isSecret = quest.visibility === QuestVisibility.SECRET;
+
+    const updatedQuest = await this.updateQuest(questId, {
+      hidden: false,
+      visibility: isSecret ? QuestVisibility.INDIVIDUAL : quest.visibility,
+      visibleToActors: [...new Set([...quest.visibleToActors, ...actorUuids])]
+    });
 
-    Hooks.callAll("bobsNPCQuestFailed", updatedQuest, reason);
+    Hooks.callAll("bobsNPCQuestRevealed", updatedQuest, actorUuids);
 
-    return { success: true, quest: updatedQuest, message: localize("BOBSNPC.QuestFailed") };
+    return { success: true, quest: updatedQuest, message: localize("Quest.Messages.Revealed", { quest: quest.name }) };
   }
 
   // ==================== OBJECTIVE MANAGEMENT ====================
@@ -435,33 +781,46 @@ export class QuestHandler {
    * @param {string} questId - Quest ID
    * @param {string} objectiveId - Objective ID
    * @param {object} updates - Updates to apply
+   * @param {string} actorUuid - Only this actor's instance, every running instance when omitted
    * @returns {object|null} Updated quest
    */
-  async updateObjective(questId, objectiveId, updates) {
+  async updateObjective(questId, objectiveId, updates, actorUuid = null) {
     const quest = this.getQuest(questId);
-    if (!quest) return null;
+    if (!quest?.objectives.some(o => o.id === objectiveId)) return null;
 
-    const objectiveIndex = quest.objectives.findIndex(o => o.id === objectiveId);
-    if (objectiveIndex === -1) return null;
+    let updatedQuest = null;
+    for (const instance of this._getRunningInstances(questId, actorUuid ? [actorUuid] : [])) {
+      updatedQuest = await this._updateInstanceObjective(instance, objectiveId, updates);
+    }
+    return updatedQuest;
+  }
 
-    const updatedObjectives = [...quest.objectives];
-    updatedObjectives[objectiveIndex] = {
-      ...updatedObjectives[objectiveIndex],
+  /**
+   * Update an objective's progress in one instance
+   * @param {object} instance - Quest instance
+   * @param {string} objectiveId - Objective ID
+   * @param {object} updates - Progress updates
+   * @returns {Promise<object>} Updated quest
+   * @private
+   */
+  async _updateInstanceObjective(instance, objectiveId, updates) {
+    const quest = this.getQuestView(instance);
+    const objective = {
+      ...quest.objectives.find(o => o.id === objectiveId),
       ...updates
     };
 
     // Check if objective is now complete
-    const objective = updatedObjectives[objectiveIndex];
     if (this._isObjectiveComplete(objective)) {
-      updatedObjectives[objectiveIndex].completed = true;
+      objective.completed = true;
 
       // Reveal objective-specific handouts
       await this._revealQuestHandouts(quest, "objective", objectiveId);
     }
 
-    const updatedQuest = await this.updateQuest(questId, {
-      objectives: updatedObjectives,
-      status: quest.status === QuestStatus.ACCEPTED ? QuestStatus.IN_PROGRESS : quest.status
+    const updatedQuest = await this._updateInstance(instance.id, {
+      objectives: { ...instance.objectives, [objectiveId]: createObjectiveProgress(objective) },
+      status: instance.status === QuestStatus.ACCEPTED ? QuestStatus.IN_PROGRESS : instance.status
     });
 
     // Notify of objective update
@@ -476,10 +835,11 @@ export class QuestHandler {
    * Complete an objective manually
    * @param {string} questId - Quest ID
    * @param {string} objectiveId - Objective ID
+   * @param {string} actorUuid - Only this actor's instance, every running instance when omitted
    * @returns {object|null} Updated quest
    */
-  async completeObjective(questId, objectiveId) {
-    return this.updateObjective(questId, objectiveId, { completed: true });
+  async completeObjective(questId, objectiveId, actorUuid = null) {
+    return this.updateObjective(questId, objectiveId, { completed: true }, actorUuid);
   }
 
   /**
@@ -490,14 +850,20 @@ export class QuestHandler {
    */
   _isObjectiveComplete(objective) {
     if (objective.completed) return true;
+    if (objective.failed) return false;
 
     switch (objective.type) {
       case ObjectiveType.KILL_COUNT:
         return objective.killCurrent >= objective.killCount;
       case ObjectiveType.ITEM_COLLECT:
         return objective.itemCurrent >= objective.itemCount;
+      case ObjectiveType.DELIVER:
+        return objective.itemCurrent >= Math.max(1, objective.itemCount);
       case ObjectiveType.LOCATION:
-        return objective.completed;  // Set by location trigger
+      case ObjectiveType.TALK_TO:
+      case ObjectiveType.ESCORT:
+      case ObjectiveType.SKILL_CHECK:
+        return objective.completed;  // Set by their triggers
       case ObjectiveType.MANUAL:
       default:
         return objective.completed;
@@ -505,49 +871,47 @@ export class QuestHandler {
   }
 
   /**
-   * Increment kill count for relevant objectives
-   * @param {string} targetName - Name of killed target
-   * @param {string} targetUuid - UUID of killed target
+   * Fail an objective in one instance
+   * A failed required objective fails the quest instance.
+   * @param {object} instance - Quest instance
+   * @param {string} objectiveId - Objective ID
+   * @param {string} reason - Failure reason
+   * @returns {Promise<object>} Updated quest
+   * @private
    */
-  async incrementKillCount(targetName, targetUuid) {
-    const activeQuests = this.getQuestsByStatus(QuestStatus.IN_PROGRESS)
-      .concat(this.getQuestsByStatus(QuestStatus.ACCEPTED));
+  async _failObjective(instance, objectiveId, reason = "") {
+    const quest = this.getQuestView(instance);
+    const objective = quest?.objectives.find(o => o.id === objectiveId);
+    if (!objective || objective.completed || objective.failed) return quest;
 
-    for (const quest of activeQuests) {
-      for (const objective of quest.objectives) {
-        if (objective.type !== ObjectiveType.KILL_COUNT) continue;
-        if (objective.completed) continue;
-
-        // Check if target matches
-        const targetMatch = objective.killTarget === targetName ||
-          objective.killTarget === targetUuid ||
-          targetName.toLowerCase().includes(objective.killTarget?.toLowerCase() || "");
-
-        if (targetMatch) {
-          await this.updateObjective(quest.id, objective.id, {
-            killCurrent: objective.killCurrent + 1
-          });
-        }
-      }
-    }
+    const updatedQuest = await this._updateInstance(instance.id, {
+      objectives: { ...instance.objectives, [objectiveId]: createObjectiveProgress({ ...objective, failed: true }) }
+    });
+
+    ui.notifications.warn(localize("Quest.Messages.ObjectiveFailed", { objective: objective.text, reason }));
+    Hooks.callAll("bobsNPCObjectiveFailed", updatedQuest, objective, reason);
+
+    if (objective.optional) return updatedQuest;
+    return this._failInstance(this.getInstance(instance.id), reason);
   }
 
   /**
    * Update item collection progress for relevant objectives
    * @param {string} itemUuid - Item UUID
    * @param {number} count - New count
+   * @param {string} actorUuid - Actor holding the item, every running instance when omitted
    */
-  async updateItemCollection(itemUuid, count) {
-    const activeQuests = this.getQuestsByStatus(QuestStatus.IN_PROGRESS)
-      .concat(this.getQuestsByStatus(QuestStatus.ACCEPTED));
+  async updateItemCollection(itemUuid, count, actorUuid = null) {
+    for (const instance of this.getInstances({ actorUuid, running: true })) {
+      const quest = this.getQuestView(instance);
+      if (!quest) continue;
 
-    for (const quest of activeQuests) {
       for (const objective of quest.objectives) {
         if (objective.type !== ObjectiveType.ITEM_COLLECT) continue;
-        if (objective.completed) continue;
+        if (objective.completed || objective.failed) continue;
         if (objective.itemId !== itemUuid) continue;
 
-        await this.updateObjective(quest.id, objective.id, {
+        await this._updateInstanceObjective(this.getInstance(instance.id), objective.id, {
           itemCurrent: count
         });
       }
@@ -556,51 +920,515 @@ export class QuestHandler {
 
   /**
    * Trigger location-based objective completion
+   * Objectives bound to a region only complete when that region is entered.
    * @param {string} sceneId - Scene ID
-   * @param {string} regionId - Optional region ID
+   * @param {string} regionId - Region that was entered, null for arriving on the scene
+   * @param {string[]} actorUuids - Actors that arrived, every running instance when empty
    */
-  async triggerLocationObjective(sceneId, regionId = null) {
-    const activeQuests = this.getQuestsByStatus(QuestStatus.IN_PROGRESS)
-      .concat(this.getQuestsByStatus(QuestStatus.ACCEPTED));
+  async triggerLocationObjective(sceneId, regionId = null, actorUuids = []) {
+    for (const instance of this.getInstances({ running: true })) {
+      if (actorUuids.length && !instance.members.some(uuid => actorUuids.includes(uuid))) continue;
+      const quest = this.getQuestView(instance);
+      if (!quest) continue;
 
-    for (const quest of activeQuests) {
       for (const objective of quest.objectives) {
         if (objective.type !== ObjectiveType.LOCATION) continue;
-        if (objective.completed) continue;
+        if (objective.completed || objective.failed) continue;
 
         const sceneMatch = objective.locationSceneId === sceneId;
         const regionMatch = !objective.locationRegion || objective.locationRegion === regionId;
+        if (!sceneMatch || !regionMatch) continue;
+
+        // Waits until the last member arrives
+        if (objective.locationAllParty && !this._areMembersPresent(instance, sceneId, objective.locationRegion)) continue;
+
+        await this._updateInstanceObjective(this.getInstance(instance.id), objective.id, { completed: true });
+      }
+    }
+  }
+
+  /**
+   * Handle a token entering a region with the quest location behavior
+   * @param {RegionDocument} region - Entered region
+   * @param {TokenDocument} tokenDoc - Token that entered
+   */
+  async onRegionTokenEnter(region, tokenDoc) {
+    const actor = tokenDoc?.actor;
+    if (!actor?.hasPlayerOwner) return;
+
+    await this.triggerLocationObjective(region.parent.id, region.id, [this._getWorldActorUuid(actor)]);
+  }
+
+  /**
+   * Check whether every member of an instance has a token at a location
+   * @param {object} instance - Quest instance
+   * @param {string} sceneId - Scene ID
+   * @param {string} regionId - Region the tokens have to be in, anywhere on the scene when null
+   * @returns {boolean}
+   * @private
+   */
+  _areMembersPresent(instance, sceneId, regionId = null) {
+    const scene = game.scenes.get(sceneId);
+    const region = regionId ? scene?.regions.get(regionId) : null;
+    if (!scene || (regionId && !region)) return false;
+
+    const present = new Set(scene.tokens
+      .filter(token => token.actor && (!region || token.regions?.has(region)))
+      .map(token => this._getWorldActorUuid(token.actor)));
+    return instance.members.every(uuid => present.has(uuid));
+  }
+
+  /**
+   * Add the quest location behavior to regions used by location objectives (active GM only)
+   * @param {object[]} quests - Quests to check, all when omitted
+   * @private
+   */
+  async _syncRegionBehaviors(quests = this.getAllQuests()) {
+    if (game.user !== game.users.activeGM) return;
+
+    for (const objective of quests.flatMap(quest => quest.objectives)) {
+      if (objective.type !== ObjectiveType.LOCATION || !objective.locationRegion) continue;
+
+      const region = game.scenes.get(objective.locationSceneId)?.regions.get(objective.locationRegion);
+      if (!region || region.behaviors.some(behavior => behavior.type === QUEST_LOCATION_BEHAVIOR)) continue;
+
+      await region.createEmbeddedDocuments("RegionBehavior", [{
+        type: QUEST_LOCATION_BEHAVIOR,
+        name: localize("Quest.LocationBehavior")
+      }]);
+    }
+  }
+
+  /**
+   * Complete talk-to objectives for a dialogue node
+   * An objective without a node completes on any node of its dialogue.
+   * @param {string} dialogueId - Dialogue ID
+   * @param {string} nodeId - Node that was reached
+   * @param {string[]} actorUuids - Player actors in the conversation
+   */
+  async triggerTalkObjective(dialogueId, nodeId, actorUuids = []) {
+    for (const instance of this.getInstances({ running: true })) {
+      if (!instance.members.some(uuid => actorUuids.includes(uuid))) continue;
+      const quest = this.getQuestView(instance);
+      if (!quest) continue;
+
+      for (const objective of quest.objectives) {
+        if (objective.type !== ObjectiveType.TALK_TO) continue;
+        if (objective.completed || objective.failed) continue;
+        if (objective.talkDialogueId !== dialogueId) continue;
+        if (objective.talkNodeId && objective.talkNodeId !== nodeId) continue;
+
+        await this._updateInstanceObjective(this.getInstance(instance.id), objective.id, { completed: true });
+      }
+    }
+  }
+
+  /**
+   * Hand over the items of deliver objectives addressed to an NPC
+   * Items come out of the inventories of the members in the conversation;
+   * a partial delivery counts towards the objective. Runs on the active GM.
+   * @param {string} npcActorUuid - NPC actor UUID
+   * @param {string[]} actorUuids - Player actors in the conversation
+   * @returns {Promise<object[]>} Objectives items were delivered for
+   */
+  async deliverItems(npcActorUuid, actorUuids = []) {
+    const delivered = [];
+
+    for (const instance of this.getInstances({ running: true })) {
+      const present = instance.members.filter(uuid => actorUuids.includes(uuid));
+      if (!present.length) continue;
+      const quest = this.getQuestView(instance);
+      if (!quest) continue;
+
+      for (const objective of quest.objectives) {
+        if (objective.type !== ObjectiveType.DELIVER) continue;
+        if (objective.completed || objective.failed) continue;
+        if (!objective.itemId || objective.deliverToUuid !== npcActorUuid) continue;
+
+        const actors = (await Promise.all(present.map(uuid => fromUuid(uuid)))).filter(a => a);
+        const held = actors.reduce((sum, actor) => sum + this._countQuestItems(actor, objective.itemId), 0);
+        const quantity = Math.min(held, Math.max(1, objective.itemCount) - objective.itemCurrent);
+        if (quantity <= 0) continue;
+
+        // Progress is saved first so a failed save never costs the items
+        await this._updateInstanceObjective(this.getInstance(instance.id), objective.id, {
+          itemCurrent: objective.itemCurrent + quantity
+        });
+        await this._removeQuestItems(actors, objective.itemId, quantity);
+        delivered.push(objective);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Complete escort objectives for a token that reached its destination
+   * The escorted actor has to be alive; an objective without a region completes on its scene.
+   * @param {TokenDocument} tokenDoc - Moved token
+   */
+  async triggerEscortObjective(tokenDoc) {
+    const actor = tokenDoc.actor;
+    if (!actor) return;
+
+    const hp = actor.system?.attributes?.hp?.value;
+    if (hp !== undefined && hp <= 0) return;
+
+    const actorUuids = [actor.uuid, this._getWorldActorUuid(actor)];
+    const regionIds = new Set(Array.from(tokenDoc.regions ?? [], region => region.id));
+
+    for (const instance of this.getInstances({ running: true })) {
+      const quest = this.getQuestView(instance);
+      if (!quest) continue;
+
+      for (const objective of quest.objectives) {
+        if (objective.type !== ObjectiveType.ESCORT) continue;
+        if (objective.completed || objective.failed) continue;
+        if (!actorUuids.includes(objective.escortActorUuid)) continue;
+        if (objective.escortSceneId && objective.escortSceneId !== tokenDoc.parent?.id) continue;
+        if (objective.escortRegionId && !regionIds.has(objective.escortRegionId)) continue;
+
+        await this._updateInstanceObjective(this.getInstance(instance.id), objective.id, { completed: true });
+      }
+    }
+  }
+
+  /**
+   * Roll the skill check of an objective
+   * The owner rolls; players' results are applied by the GM.
+   * A failed roll fails the objective unless it can be retried.
+   * @param {string} questId - Quest ID
+   * @param {string} objectiveId - Objective ID
+   * @param {Actor} actor - Rolling actor
+   * @returns {object} {success, quest, message} or {success, pending}
+   */
+  async rollSkillObjective(questId, objectiveId, actor) {
+    if (!actor?.isOwner) {
+      return { success: false, quest: null, message: localize("Errors.PermissionDenied") };
+    }
+
+    const { quest, objective, message } = this._findSkillObjective(questId, objectiveId, actor);
+    if (message) return { success: false, quest, message };
+
+    const roll = await actor.rollSkill(objective.skillId, {
+      targetValue: objective.skillDC,
+      chatMessage: true
+    });
+    if (!roll) return { success: false, quest, message: null };
+
+    const request = { questId, objectiveId, actorUuid: actor.uuid, rollTotal: roll.total };
+    if (!game.user.isGM) {
+      emitToGM(SocketEvents.QUEST_SKILL_ROLL, request);
+      return { success: true, pending: true };
+    }
 
-        if (sceneMatch && regionMatch) {
-          await this.completeObjective(quest.id, objective.id);
+    return this._resolveSkillObjective(request);
+  }
+
+  /**
+   * Handle a skill check objective roll received from a player (active GM only)
+   * @param {object} payload - {questId, objectiveId, actorUuid, rollTotal}
+   * @param {string} userId - Requesting user ID
+   */
+  async handleSkillRollRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(userId);
+    const actor = await fromUuid(payload.actorUuid);
+
+    let result;
+    if (!actor?.testUserPermission(user, "OWNER")) {
+      result = { success: false, quest: null, message: localize("Errors.PermissionDenied") };
+    } else {
+      try {
+        result = await this._resolveSkillObjective(payload);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Skill check objective failed:`, error);
+        result = { success: false, quest: null, message: error.message };
+      }
+    }
+
+    this._emitSocket("skillRollResult", { userId, result });
+  }
+
+  /**
+   * Apply a skill check objective roll against its DC
+   * @param {object} data - {questId, objectiveId, actorUuid, rollTotal}
+   * @returns {Promise<object>} {success, quest, message}
+   * @private
+   */
+  async _resolveSkillObjective({ questId, objectiveId, actorUuid, rollTotal }) {
+    const actor = await fromUuid(actorUuid);
+    const { instance, quest, objective, message } = this._findSkillObjective(questId, objectiveId, actor);
+    if (message) return { success: false, quest, message };
+
+    if (rollTotal >= objective.skillDC) {
+      const updatedQuest = await this._updateInstanceObjective(instance, objectiveId, { completed: true });
+      return { success: true, quest: updatedQuest, message: null };
+    }
+
+    const failMessage = localize("Quest.Messages.SkillCheckFailed", { objective: objective.text });
+    if (objective.skillRetry) return { success: false, quest, message: failMessage };
+
+    const updatedQuest = await this._failObjective(instance, objectiveId, failMessage);
+    return { success: false, quest: updatedQuest, message: failMessage };
+  }
+
+  /**
+   * Find an open skill check objective in an actor's running instance of a quest
+   * @param {string} questId - Quest ID
+   * @param {string} objectiveId - Objective ID
+   * @param {Actor} actor - Rolling actor
+   * @returns {object} {instance, quest, objective}, or {quest, message} when it can't be rolled
+   * @private
+   */
+  _findSkillObjective(questId, objectiveId, actor) {
+    const instance = actor ? this._getRunningInstances(questId, [actor.uuid])[0] : null;
+    const quest = instance ? this.getQuestView(instance) : null;
+    const objective = quest?.objectives.find(o => o.id === objectiveId);
+    if (objective?.type !== ObjectiveType.SKILL_CHECK || objective.completed || objective.failed) {
+      return { quest, message: localize("Errors.ObjectiveNotFound") };
+    }
+    if (!actor.system.skills?.[objective.skillId]) {
+      return { quest, message: localize("Errors.SkillNotFound") };
+    }
+    return { instance, quest, objective, message: null };
+  }
+
+  /**
+   * Count the items an actor holds for a quest item
+   * Matches the item itself or items created from it.
+   * @param {Actor} actor - Actor
+   * @param {string} itemUuid - Quest item UUID
+   * @returns {number}
+   * @private
+   */
+  _countQuestItems(actor, itemUuid) {
+    return actor.items
+      .filter(item => this._isQuestItem(item, itemUuid))
+      .reduce((sum, item) => sum + (item.system.quantity ?? 1), 0);
+  }
+
+  /**
+   * Remove a quantity of a quest item from actors' inventories
+   * @param {Actor[]} actors - Actors, emptied in order
+   * @param {string} itemUuid - Quest item UUID
+   * @param {number} quantity - Quantity to remove
+   * @private
+   */
+  async _removeQuestItems(actors, itemUuid, quantity) {
+    let remaining = quantity;
+    for (const actor of actors) {
+      for (const item of actor.items.filter(i => this._isQuestItem(i, itemUuid))) {
+        if (remaining <= 0) return;
+        const held = item.system.quantity ?? 1;
+        if (held <= remaining) await item.delete();
+        else await item.update({ "system.quantity": held - remaining });
+        remaining -= held;
+      }
+    }
+  }
+
+  /**
+   * Check whether an item is, or was created from, a quest item
+   * @param {Item} item - Owned item
+   * @param {string} itemUuid - Quest item UUID
+   * @returns {boolean}
+   * @private
+   */
+  _isQuestItem(item, itemUuid) {
+    return [item.uuid, item._stats?.compendiumSource, item.flags?.core?.sourceId].includes(itemUuid);
+  }
+
+  // ==================== KILL ATTRIBUTION ====================
+
+  /**
+   * Record a defeated actor against the kill objectives of running quests
+   * Kills that need a final blow nobody can vouch for wait for the GM to confirm.
+   * @param {Actor} target - Defeated actor
+   * @param {object} attribution - Who took part
+   * @param {string} attribution.killerUuid - Actor that dealt the final blow, if known or guessed
+   * @param {boolean} attribution.certain - Whether the killer is known rather than guessed
+   * @param {string[]} attribution.involved - Player actors that fought in the combat
+   * @returns {Promise<object>} {counted, queued}
+   */
+  async recordKill(target, { killerUuid = null, certain = false, involved = [] } = {}) {
+    let counted = 0;
+    let queued = 0;
+
+    for (const instance of this.getInstances({ running: true })) {
+      const quest = this.getQuestView(instance);
+      if (!quest) continue;
+
+      const isKiller = certain && instance.members.includes(killerUuid);
+      const tookPart = instance.members.some(uuid => uuid === killerUuid || involved.includes(uuid));
+
+      for (const objective of quest.objectives) {
+        if (objective.type !== ObjectiveType.KILL_COUNT || objective.completed) continue;
+        if (!matchesKillTarget(objective, target)) continue;
+
+        switch (objective.killAttribution) {
+          case KillAttribution.ANY:
+            if (await this._addKill(instance.id, objective.id)) counted++;
+            break;
+
+          case KillAttribution.FINAL_BLOW:
+            if (isKiller) {
+              if (await this._addKill(instance.id, objective.id)) counted++;
+            } else if (!certain && tookPart) {
+              await this._queueKill({
+                instanceId: instance.id,
+                questId: quest.id,
+                objectiveId: objective.id,
+                targetUuid: target.uuid,
+                targetName: target.token?.name ?? target.name,
+                killerUuid,
+                killerName: killerUuid ? fromUuidSync(killerUuid)?.name ?? "" : "",
+                reason: killerUuid ? "GuessedKiller" : "UnknownKiller"
+              });
+              queued++;
+            }
+            break;
+
+          case KillAttribution.PARTY:
+          default:
+            if (tookPart && await this._addKill(instance.id, objective.id)) counted++;
+            break;
         }
       }
     }
+
+    return { counted, queued };
+  }
+
+  /**
+   * Count one kill toward an instance's objective
+   * @param {string} instanceId - Instance ID
+   * @param {string} objectiveId - Objective ID
+   * @returns {Promise<object|null>} Updated quest, null if the objective no longer takes kills
+   * @private
+   */
+  async _addKill(instanceId, objectiveId) {
+    const instance = this.getInstance(instanceId);
+    if (!instance || !RUNNING_QUEST_STATUSES.includes(instance.status)) return null;
+
+    const objective = this.getQuestView(instance)?.objectives.find(o => o.id === objectiveId);
+    if (!objective || objective.completed) return null;
+
+    return this._updateInstanceObjective(instance, objectiveId, { killCurrent: objective.killCurrent + 1 });
+  }
+
+  /**
+   * Get the kills waiting for the GM to confirm
+   * @returns {object[]}
+   */
+  getPendingKills() {
+    return this._pendingKills.filter(kill => this._instanceCache.has(kill.instanceId));
+  }
+
+  /**
+   * Queue a kill for the GM to confirm
+   * @param {object} data - Pending kill data
+   * @private
+   */
+  async _queueKill(data) {
+    const pending = createPendingKill(data);
+    this._pendingKills.push(pending);
+    await this._saveQuests();
+
+    ui.notifications.info(localize("Quest.Messages.KillQueued", {
+      target: pending.targetName,
+      quest: this.getQuest(pending.questId)?.name ?? ""
+    }));
+    Hooks.callAll("bobsNPCKillQueued", pending);
+  }
+
+  /**
+   * Confirm a pending kill, counting it toward its objective
+   * @param {string} pendingId - Pending kill ID
+   * @returns {Promise<object|null>} Updated quest
+   */
+  async confirmKill(pendingId) {
+    if (!game.user.isGM) throw new Error(localize("Errors.GMOnly"));
+
+    const pending = this._pendingKills.find(k => k.id === pendingId);
+    if (!pending) return null;
+
+    this._pendingKills = this._pendingKills.filter(k => k.id !== pendingId);
+    const quest = await this._addKill(pending.instanceId, pending.objectiveId);
+    if (!quest) await this._saveQuests();
+
+    Hooks.callAll("bobsNPCKillResolved", pending, true);
+    return quest;
+  }
+
+  /**
+   * Reject a pending kill
+   * @param {string} pendingId - Pending kill ID
+   * @returns {Promise<boolean>}
+   */
+  async rejectKill(pendingId) {
+    if (!game.user.isGM) throw new Error(localize("Errors.GMOnly"));
+
+    const pending = this._pendingKills.find(k => k.id === pendingId);
+    if (!pending) return false;
+
+    this._pendingKills = this._pendingKills.filter(k => k.id !== pendingId);
+    await this._saveQuests();
+
+    Hooks.callAll("bobsNPCKillResolved", pending, false);
+    return true;
   }
 
   // ==================== PLAYER QUEST DATA ====================
 
   /**
-   * Get quests for a player
+   * Get a player's running quests
    * @param {string} actorUuid - Player actor UUID
-   * @returns {object[]} Player's quests
+   * @returns {object[]} Player's quests with their progress
    */
-  async getPlayerQuests(actorUuid) {
-    const actor = await fromUuid(actorUuid);
-    if (!actor) return [];
+  getPlayerQuests(actorUuid) {
+    return this.getInstances({ actorUuid, running: true })
+      .map(instance => this.getQuestView(instance))
+      .filter(q => q !== null);
+  }
 
-    const questIds = getFlag(actor, STORAGE_KEYS.PLAYER_QUESTS) || [];
-    return questIds.map(id => this.getQuest(id)).filter(q => q !== null);
+  /**
+   * Get every quest an actor has taken, in any status
+   * Each quest appears once, with the actor's latest progress.
+   * @param {string} actorUuid - Player actor UUID
+   * @returns {object[]}
+   */
+  getActorQuests(actorUuid) {
+    const questIds = new Set(this.getInstances({ actorUuid }).map(i => i.questId));
+    return [...questIds]
+      .map(questId => this.getQuest(questId) ? this.getQuestForActor(questId, actorUuid) : null)
+      .filter(q => q !== null);
   }
 
   /**
    * Get quests for the entire party
-   * @returns {object[]} All party quests (deduplicated)
+   * Each quest appears once: with the party's running or latest progress, or as available
+   * when no party member has taken it.
+   * @returns {object[]}
    */
   getPartyQuests() {
-    // Return all quests from the world cache
-    // In the future, this could filter to only quests accepted by party members
-    return Array.from(this._questCache.values());
+    const party = getPartyMemberUuids();
+    const byQuest = new Map();
+    const instances = Array.from(this._instanceCache.values())
+      .filter(i => game.user.isGM || i.members.some(uuid => party.includes(uuid)))
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    for (const instance of instances) {
+      const current = byQuest.get(instance.questId);
+      if (!current || (!RUNNING_QUEST_STATUSES.includes(current.status) && RUNNING_QUEST_STATUSES.includes(instance.status))) {
+        byQuest.set(instance.questId, instance);
+      }
+    }
+
+    return Array.from(this._questCache.values())
+      .map(quest => applyQuestInstance(quest, byQuest.get(quest.id)))
+      // Players do not see hidden quests
+      .filter(q => game.user.isGM || !q.hidden);
   }
 
   /**
@@ -613,7 +1441,7 @@ export class QuestHandler {
     if (!actor) return [];
 
     const questIds = getFlag(actor, STORAGE_KEYS.COMPLETED_QUESTS) || [];
-    return questIds.map(id => this.getQuest(id)).filter(q => q !== null);
+    return questIds.map(id => this.getQuest(id) ? this.getQuestForActor(id, actorUuid) : null).filter(q => q !== null);
   }
 
   /**
@@ -904,42 +1732,66 @@ export class QuestHandler {
       "repeatable.lastCompleted": Date.now()
     };
 
-    // Reset quest for next run (after cooldown)
-    if (quest.repeatable.type !== RepeatableType.NONE) {
-      // Schedule reset
-      const cooldownMs = quest.repeatable.cooldownDays * 24 * 60 * 60 * 1000;
-
-      // For now, we'll handle this via the ready hook checking timestamps
-      // A more robust implementation would use a scheduled task
-    }
-
+    // The completed instance resets for the next run in checkRepeatableQuests
     await this.updateQuest(quest.id, updates);
   }
 
   /**
-   * Check and reset repeatable quests
+   * Fail running quest instances and objectives whose time limit has passed (active GM only)
+   * @param {number} worldTime - Current world time
    */
-  async checkRepeatableQuests() {
-    const completedQuests = this.getQuestsByStatus(QuestStatus.COMPLETED);
-    const now = Date.now();
+  async checkExpiredQuests(worldTime = game.time.worldTime) {
+    if (game.user !== game.users.activeGM) return;
+
+    for (const instance of this.getInstances({ running: true })) {
+      if (instance.expiresAt !== null && worldTime >= instance.expiresAt) {
+        await this._failInstance(instance, localize("Quest.Messages.Expired"));
+        continue;
+      }
 
-    for (const quest of completedQuests) {
-      if (!quest.repeatable.enabled) continue;
-      if (!quest.repeatable.lastCompleted) continue;
+      // Timed objectives fail on their own; a required one takes the instance with it
+      for (const [objectiveId, progress] of Object.entries(instance.objectives)) {
+        if (progress.expiresAt === null || worldTime < progress.expiresAt) continue;
+        const current = this.getInstance(instance.id);
+        if (!RUNNING_QUEST_STATUSES.includes(current?.status)) break;
 
+        await this._failObjective(current, objectiveId, localize("Quest.Messages.ObjectiveExpired"));
+      }
+    }
+  }
+
+  /**
+   * Check and reset completed instances of repeatable quests
+   * Reset times count in-game days from the world time the instance completed.
+   * @param {number} worldTime - Current world time
+   */
+  async checkRepeatableQuests(worldTime = game.time.worldTime) {
+    const calendar = game.bobsnpc.handlers.calendar;
+    const completedInstances = this.getInstances({ status: QuestStatus.COMPLETED });
+
+    for (const instance of completedInstances) {
+      const quest = this.getQuest(instance.questId);
+      if (!quest?.repeatable.enabled) continue;
+      if (!instance.completedAt) continue;
+
+      // Instances completed before world times were recorded start counting now
+      if (instance.completedWorldTime === null) {
+        await this._updateInstance(instance.id, { completedWorldTime: worldTime });
+        continue;
+      }
+
+      const days = calendar.getDaysBetween(instance.completedWorldTime, worldTime);
       let shouldReset = false;
-      const lastCompleted = quest.repeatable.lastCompleted;
 
       switch (quest.repeatable.type) {
         case RepeatableType.DAILY:
-          shouldReset = now - lastCompleted > 24 * 60 * 60 * 1000;
+          shouldReset = days >= 1;
           break;
         case RepeatableType.WEEKLY:
-          shouldReset = now - lastCompleted > 7 * 24 * 60 * 60 * 1000;
+          shouldReset = days >= 7;
           break;
         case RepeatableType.COOLDOWN:
-          const cooldownMs = quest.repeatable.cooldownDays * 24 * 60 * 60 * 1000;
-          shouldReset = now - lastCompleted > cooldownMs;
+          shouldReset = days >= quest.repeatable.cooldownDays;
           break;
         case RepeatableType.INFINITE:
           shouldReset = true;
@@ -947,50 +1799,50 @@ export class QuestHandler {
       }
 
       if (shouldReset) {
-        await this.resetQuest(quest.id);
+        await this.resetInstance(instance.id);
       }
     }
   }
 
+  /**
+   * Reset a quest instance so its members can take the quest again
+   * @param {string} instanceId - Instance ID
+   */
+  async resetInstance(instanceId) {
+    await this._deleteInstances([instanceId]);
+  }
+
   /**
    * Reset a quest to available state
    * @param {string} questId - Quest ID
+   * @param {string} actorUuid - Only reset this actor's instances, all when omitted
    */
-  async resetQuest(questId) {
-    const quest = this.getQuest(questId);
-    if (!quest) return;
-
-    await this.updateQuest(questId, {
-      status: QuestStatus.AVAILABLE,
-      acceptedBy: [],
-      acceptedAt: null,
-      completedAt: null,
-      activeBranch: null,
-      objectives: quest.objectives.map(obj => ({
-        ...obj,
-        completed: false,
-        killCurrent: 0,
-        itemCurrent: 0
-      }))
-    });
+  async resetQuest(questId, actorUuid = null) {
+    if (!this.getQuest(questId)) return;
+
+    await this._deleteInstances(this.getInstances({ questId, actorUuid }).map(i => i.id));
   }
 
   // ==================== EVENT HANDLERS ====================
 
   /**
    * Handle actor deletion (quest giver death)
+   * Affects quests still being played or not yet taken.
    * @param {Actor} actor - Deleted actor
    * @private
    */
   async _onActorDeleted(actor) {
-    const affectedQuests = this.getAllQuests().filter(
-      q => q.giver.actorUuid === actor.uuid &&
-        [QuestStatus.AVAILABLE, QuestStatus.ACCEPTED, QuestStatus.IN_PROGRESS].includes(q.status)
-    );
+    const affectedQuests = this.getAllQuests().filter(q => {
+      if (q.giver.actorUuid !== actor.uuid) return false;
+      const instances = this.getInstances({ questId: q.id });
+      return !instances.length || instances.some(i => RUNNING_QUEST_STATUSES.includes(i.status));
+    });
 
     for (const quest of affectedQuests) {
       switch (quest.onGiverDeath) {
         case OnGiverDeath.FAIL:
+          // Nobody can take it any more; running instances fail
+          await this.updateQuest(quest.id, { hidden: true });
           await this.failQuest(quest.id, "Quest giver has died");
           break;
         case OnGiverDeath.CONTINUE:
@@ -1019,7 +1871,7 @@ export class QuestHandler {
   async _onItemCreated(item, options, userId) {
     if (!item.parent?.hasPlayerOwner) return;
 
-    await this.updateItemCollection(item.uuid, item.system.quantity || 1);
+    await this.updateItemCollection(item.uuid, item.system.quantity || 1, item.parent.uuid);
   }
 
   /**
@@ -1029,24 +1881,151 @@ export class QuestHandler {
   async _onItemDeleted(item, options, userId) {
     if (!item.parent?.hasPlayerOwner) return;
 
-    await this.updateItemCollection(item.uuid, 0);
+    await this.updateItemCollection(item.uuid, 0, item.parent.uuid);
   }
 
   /**
-   * Handle combatant death (for kill objectives)
+   * Remember who dealt damage applied from a dnd5e chat card
+   * Runs on the client applying the damage, before the actor update.
    * @private
    */
-  async _onCombatantDeleted(combatant) {
-    const actor = combatant.actor;
-    if (!actor) return;
+  _onPreApplyDamage(actor, options) {
+    const speaker = options?.originatingMessage?.speaker;
+    const attacker = speaker ? ChatMessage.getSpeakerActor(speaker) : null;
+    if (attacker) this._damageSources.set(actor.uuid, this._getWorldActorUuid(attacker));
+    else this._damageSources.delete(actor.uuid);
+  }
+
+  /**
+   * Handle a combatant dropping to 0 HP (for kill objectives, active GM only)
+   * @private
+   */
+  async _onActorUpdated(actor, changes, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const hp = foundry.utils.getProperty(changes, "system.attributes.hp.value");
+    if (hp === undefined || hp > 0) return;
+
+    await this._onEscortDowned(actor);
+
+    const damageSource = this._damageSources.get(actor.uuid) ?? null;
+    this._damageSources.delete(actor.uuid);
+
+    const combat = game.combats.find(c => c.started && c.combatants.some(cb => cb.actor?.uuid === actor.uuid));
+    const combatant = combat?.combatants.find(cb => cb.actor?.uuid === actor.uuid);
+    if (!combatant || combatant.getFlag(MODULE_ID, "killRecorded")) return;
+    await combatant.setFlag(MODULE_ID, "killRecorded", true);
+
+    const involved = combat.combatants
+      .filter(cb => cb !== combatant && cb.actor?.hasPlayerOwner)
+      .map(cb => this._getWorldActorUuid(cb.actor));
+
+    // Final blow: the damage card's speaker, else the player who applied the damage;
+    // whoever's turn it is only counts as a guess
+    const user = game.users.get(userId);
+    let killerUuid = damageSource ?? (user && !user.isGM ? user.character?.uuid : null) ?? null;
+    const certain = killerUuid !== null;
+    if (!certain && combat.combatant?.actor && combat.combatant !== combatant) {
+      killerUuid = this._getWorldActorUuid(combat.combatant.actor);
+    }
+
+    await this.recordKill(actor, { killerUuid, certain, involved });
+  }
+
+  /**
+   * Fail the escort objectives of an escorted actor that dropped to 0 HP
+   * @param {Actor} actor - Downed actor
+   * @private
+   */
+  async _onEscortDowned(actor) {
+    const actorUuids = [actor.uuid, this._getWorldActorUuid(actor)];
+    const reason = localize("Quest.Messages.EscortDowned", { name: actor.name });
+
+    for (const instance of this.getInstances({ running: true })) {
+      const escorts = this.getQuestView(instance)?.objectives.filter(objective =>
+        objective.type === ObjectiveType.ESCORT && actorUuids.includes(objective.escortActorUuid)
+      ) || [];
+
+      for (const objective of escorts) {
+        const current = this.getInstance(instance.id);
+        if (!RUNNING_QUEST_STATUSES.includes(current?.status)) break;
 
-    // Check if this was a kill (not just removed from combat)
-    const currentHP = actor.system?.attributes?.hp?.value || 0;
-    if (currentHP <= 0) {
-      await this.incrementKillCount(actor.name, actor.uuid);
+        await this._failObjective(current, objective.id, reason);
+      }
+    }
+  }
+
+  /**
+   * Handle token movement (for escort objectives, active GM only)
+   * @private
+   */
+  async _onTokenUpdated(tokenDoc, changes) {
+    if (game.user !== game.users.activeGM) return;
+    if (!["x", "y", "elevation"].some(key => key in changes)) return;
+
+    await this.triggerEscortObjective(tokenDoc);
+  }
+
+  /**
+   * Handle reaching a dialogue node (for talk-to and deliver objectives)
+   * Conversations run on the players' clients; the GM applies the progress.
+   * @param {DialogueSession} session - Dialogue session
+   * @param {string} nodeId - Node that was reached
+   * @param {boolean} started - Whether the conversation just started
+   * @private
+   */
+  _onDialogueNode(session, nodeId, started = false) {
+    emitToGM(SocketEvents.QUEST_DIALOGUE, {
+      dialogueId: session.dialogueId,
+      npcActorUuid: session.npcActorUuid,
+      nodeId: nodeId || null,
+      started,
+      participants: session.participants
+    });
+  }
+
+  /**
+   * Apply talk-to and deliver progress from a conversation (active GM only)
+   * Items are handed over when the conversation starts. Only participants the
+   * requesting user owns count.
+   * @param {object} payload - {dialogueId, npcActorUuid, nodeId, started, participants}
+   * @param {string} userId - Requesting user ID
+   */
+  async handleDialogueRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const dialogue = game.bobsnpc.handlers.dialogue?.getDialogue(payload.dialogueId);
+    if (!dialogue) return;
+    if (payload.nodeId && !dialogue.nodes.some(n => n.id === payload.nodeId)) return;
+
+    const user = game.users.get(userId);
+    const participants = [];
+    for (const uuid of payload.participants || []) {
+      const actor = await fromUuid(uuid);
+      if (actor?.testUserPermission(user, "OWNER")) participants.push(uuid);
+    }
+    if (!participants.length) return;
+
+    try {
+      if (payload.started) await this.deliverItems(payload.npcActorUuid, participants);
+      if (payload.nodeId) await this.triggerTalkObjective(payload.dialogueId, payload.nodeId, participants);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Dialogue objective update failed:`, error);
     }
   }
 
+  /**
+   * Get the UUID quest instances know an actor by
+   * Unlinked tokens are credited to their base actor.
+   * @param {Actor} actor - Actor or synthetic token actor
+   * @returns {string}
+   * @private
+   */
+  _getWorldActorUuid(actor) {
+    if (!actor?.isToken) return actor?.uuid ?? null;
+    return game.actors.get(actor.id)?.uuid ?? actor.uuid;
+  }
+
   /**
    * Handle scene change (for location objectives)
    * @private
@@ -1055,11 +2034,11 @@ export class QuestHandler {
     const sceneId = canvas.scene?.id;
     if (!sceneId) return;
 
-    // Get player tokens on this scene
+    // Get player tokens on this scene; region-bound objectives wait for their region
     const playerTokens = canvas.tokens?.placeables?.filter(t => t.actor?.hasPlayerOwner) || [];
 
     if (playerTokens.length > 0) {
-      await this.triggerLocationObjective(sceneId);
+      await this.triggerLocationObjective(sceneId, null, playerTokens.map(t => this._getWorldActorUuid(t.actor)));
     }
   }
 
@@ -1239,7 +2218,7 @@ export class QuestHandler {
 
     // Fail related quests
     for (const relatedQuestId of consequences.failRelatedQuests) {
-      await this.failQuest(relatedQuestId, "Related quest abandoned");
+      await this.failQuest(relatedQuestId, "Related quest abandoned", [actor]);
     }
 
     // Apply cooldown (store timestamp)
@@ -1251,6 +2230,192 @@ export class QuestHandler {
     }
   }
 
+  // ==================== CONSEQUENCES ====================
+
+  /**
+   * Run a quest's consequences for how it ended
+   * One failing consequence is logged and does not stop the others.
+   * @param {object} quest - Quest data
+   * @param {string} trigger - ConsequenceTrigger
+   * @param {object} context - {actors, branch}
+   * @returns {Promise<number>} Consequences applied
+   */
+  async applyConsequences(quest, trigger, { actors = [], branch = null } = {}) {
+    const consequences = [
+      ...(quest.consequences?.[trigger] || []),
+      ...(trigger === ConsequenceTrigger.COMPLETE ? branch?.consequences || [] : [])
+    ];
+
+    let applied = 0;
+    for (const consequence of consequences) {
+      try {
+        if (await this._applyConsequence(consequence, actors)) applied++;
+      } catch (error) {
+        console.error(`${MODULE_ID} | Quest consequence ${consequence.type} failed:`, error);
+      }
+    }
+
+    if (applied) {
+      Hooks.callAll("bobsNPCQuestConsequences", quest, trigger, consequences);
+    }
+    return applied;
+  }
+
+  /**
+   * Apply one consequence
+   * @param {object} consequence - Consequence data
+   * @param {Actor[]} actors - Actors the quest ended for
+   * @returns {Promise<boolean>} Whether anything changed
+   * @private
+   */
+  async _applyConsequence(consequence, actors) {
+    const handlers = game.bobsnpc?.handlers;
+
+    switch (consequence.type) {
+      case ConsequenceType.MOVE_TOKEN:
+        return this._moveActorTokens(consequence);
+
+      case ConsequenceType.TOKEN_VISIBILITY: {
+        const tokens = this._getActorTokens(consequence.actorUuid);
+        for (const token of tokens) {
+          await token.update({ hidden: consequence.hidden });
+        }
+        return tokens.length > 0;
+      }
+
+      case ConsequenceType.SET_WORLD_STATE: {
+        if (!consequence.key) return false;
+        await game.bobsnpc.worldState.set(consequence.key, parseWorldStateValue(consequence.value));
+        return true;
+      }
+
+      case ConsequenceType.ADD_STOCK:
+        return this._addMerchantStock(consequence);
+
+      case ConsequenceType.REMOVE_STOCK:
+        return this._removeMerchantStock(consequence);
+
+      case ConsequenceType.FACTION_RELATIONSHIP:
+        if (!consequence.targetFactionId) return false;
+        return handlers?.faction?.setFactionRelationship(
+          consequence.factionId,
+          consequence.targetFactionId,
+          consequence.relationType
+        ) ?? false;
+
+      case ConsequenceType.UNLOCK_QUEST: {
+        const target = this.getQuest(consequence.questId);
+        if (!target || actors.some(actor => this.getActorInstance(target.id, actor.uuid))) return false;
+        const result = await this.revealQuest(target.id, actors);
+        return result.success;
+      }
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get the tokens of an actor across all scenes
+   * @param {string} actorUuid - Actor UUID
+   * @returns {TokenDocument[]}
+   * @private
+   */
+  _getActorTokens(actorUuid) {
+    const actor = actorUuid ? fromUuidSync(actorUuid) : null;
+    if (!actor) return [];
+    return game.scenes.contents.flatMap(scene => scene.tokens.filter(t => t.actorId === actor.id));
+  }
+
+  /**
+   * Move an actor's token to a position, on another scene if needed
+   * @param {object} consequence - Move token consequence
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _moveActorTokens({ actorUuid, sceneId, x, y }) {
+    const tokens = this._getActorTokens(actorUuid);
+    const targetScene = sceneId ? game.scenes.get(sceneId) : null;
+
+    // Not placed anywhere yet: put a new token on the target scene
+    if (!tokens.length) {
+      const actor = fromUuidSync(actorUuid);
+      if (!actor || !targetScene) return false;
+      const tokenData = await actor.getTokenDocument({ x, y });
+      await targetScene.createEmbeddedDocuments("Token", [tokenData.toObject()]);
+      return true;
+    }
+
+    const [token, ...extra] = tokens;
+    if (!targetScene || token.parent === targetScene) {
+      await token.update({ x, y });
+      return true;
+    }
+
+    // Another scene: recreate the token there and clear the old ones
+    const tokenData = foundry.utils.mergeObject(token.toObject(), { x, y });
+    delete tokenData._id;
+    await targetScene.createEmbeddedDocuments("Token", [tokenData]);
+    for (const old of [token, ...extra]) {
+      await old.delete();
+    }
+    return true;
+  }
+
+  /**
+   * Add an item to a merchant's stock
+   * Stock of the same item is topped up rather than listed twice.
+   * @param {object} consequence - Add stock consequence
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _addMerchantStock({ merchantId, itemUuid, quantity }) {
+    const merchantHandler = game.bobsnpc?.handlers?.merchant;
+    const merchant = merchantHandler?.getMerchant(merchantId);
+    if (!merchant || !itemUuid) return false;
+
+    const existing = merchant.inventory.find(i => i.itemUuid === itemUuid);
+    if (existing) {
+      if (existing.quantity < 0) return false;
+      const newQuantity = quantity > 0 ? existing.quantity + quantity : -1;
+      await merchantHandler.updateMerchant(merchantId, {
+        inventory: merchant.inventory.map(i => i.id === existing.id ? { ...i, quantity: newQuantity } : i)
+      });
+      return true;
+    }
+
+    const item = await fromUuid(itemUuid);
+    await merchantHandler.addShopItem(merchantId, {
+      itemUuid,
+      name: item?.name || "",
+      quantity: quantity > 0 ? quantity : -1
+    });
+    return true;
+  }
+
+  /**
+   * Remove an item from a merchant's stock
+   * @param {object} consequence - Remove stock consequence
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _removeMerchantStock({ merchantId, itemUuid, quantity }) {
+    const merchantHandler = game.bobsnpc?.handlers?.merchant;
+    const merchant = merchantHandler?.getMerchant(merchantId);
+    const existing = merchant?.inventory.find(i => i.itemUuid === itemUuid);
+    if (!existing) return false;
+
+    // Unlimited stock or no amount given: the item leaves the shop
+    if (quantity <= 0 || existing.quantity < 0 || existing.quantity <= quantity) {
+      return merchantHandler.removeShopItem(merchantId, existing.id);
+    }
+
+    await merchantHandler.updateMerchant(merchantId, {
+      inventory: merchant.inventory.map(i => i.id === existing.id ? { ...i, quantity: i.quantity - quantity } : i)
+    });
+    return true;
+  }
+
   // ==================== SOCKET ====================
 
   /**
@@ -50,6 +50,13 @@ export class RelationshipHandler {
     console.log(`${MODULE_ID} | Relationship Handler initialized`);
   }
 
+  /**
+   * Reload all relationships from storage, e.g. after a backup restore
+   */
+  async reload() {
+    this.clearCache();
+  }
+
   // ==================== RELATIONSHIP RETRIEVAL ====================
 
   /**
@@ -574,8 +581,9 @@ export class RelationshipHandler {
 
   /**
    * Apply relationship decay for all NPCs
+   * @param {number} days - In-game days that passed
    */
-  async applyRelationshipDecay() {
+  async applyRelationshipDecay(days = 1) {
     for (const playerActor of game.actors.filter(a => a.hasPlayerOwner)) {
       const relationships = await this.getAllRelationships(playerActor.uuid);
 
@@ -583,9 +591,9 @@ export class RelationshipHandler {
         const config = await this.getNPCConfig(npcUuid);
         if (!config?.decay?.enabled) continue;
 
-        const decayedRelationship = applyDecay(relationship, config);
+        const decayedRelationship = applyDecay(relationship, config, days);
 
-        if (decayedRelationship.value !== relationship.value) {
+        if (decayedRelationship !== relationship) {
           await this._saveRelationship(playerActor.uuid, npcUuid, decayedRelationship);
         }
       }
@@ -754,6 +762,7 @@ export class RelationshipHandler {
 
     relationship.interactionCount = (relationship.interactionCount || 0) + 1;
     relationship.lastInteraction = Date.now();
+    relationship.idleDays = 0;
 
     await this._saveRelationship(playerActorUuid, npcActorUuid, relationship);
   }
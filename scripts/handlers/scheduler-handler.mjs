@@ -0,0 +1,435 @@
+/**
+ * Bob's Talking NPCs - Scheduler Handler
+ * Runs periodic economy and decay jobs as in-game days pass
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { localize } from "../utils/helpers.mjs";
+import {
+  ScheduledJob,
+  MAX_CATCH_UP_RUNS,
+  LEDGER_LIMIT,
+  createSchedulerState,
+  createLedgerEntry,
+  getDueRuns
+} from "../data/scheduler-model.mjs";
+import { LoanStatus } from "../data/bank-model.mjs";
+import { BountyStatus } from "../data/bounty-model.mjs";
+import { HirelingStatus } from "../data/hireling-model.mjs";
+import { PropertyStatus } from "../data/property-model.mjs";
+import { StockRefreshType } from "../data/merchant-model.mjs";
+import { QuestStatus } from "../data/quest-model.mjs";
+
+/**
+ * Storage keys
+ */
+const STORAGE_KEYS = {
+  STATE: "schedulerState"
+};
+
+/**
+ * Call a job once per due run
+ * @param {number} runs - Number of runs
+ * @param {Function} fn - Job body
+ */
+async function repeat(runs, fn) {
+  for (let i = 0; i < runs; i++) {
+    await fn();
+  }
+}
+
+/**
+ * Scheduled job definitions
+ * run(handler, runs, days) is called with the number of cadence periods and
+ * in-game days that have passed. Period jobs repeat once per run; jobs that
+ * compare their own due dates run once and catch up by themselves.
+ * preview(handler) counts the records the job would look at.
+ */
+const JOBS = Object.freeze({
+  [ScheduledJob.BANK_INTEREST]: {
+    handler: "bank",
+    run: (handler, runs) => repeat(runs, () => handler.applyInterestToAllAccounts()),
+    preview: (handler) => handler.getAllAccounts().filter(a => a.interest.enabled).length
+  },
+  [ScheduledJob.LOAN_PAYMENTS]: {
+    handler: "bank",
+    run: (handler) => handler.checkLoanPayments(),
+    preview: (handler) => handler.getAllLoans().filter(l => l.status === LoanStatus.ACTIVE).length
+  },
+  [ScheduledJob.BOUNTY_DECAY]: {
+    handler: "crime",
+    run: (handler, runs, days) => handler.processBountyDecay(days),
+    preview: (handler) => handler.getAllBounties().filter(b =>
+      b.status === BountyStatus.ACTIVE && handler.getJurisdiction(b.regionId)?.bountyDecay.enabled
+    ).length
+  },
+  [ScheduledJob.HIRELING_PAY]: {
+    handler: "hireling",
+    run: (handler) => handler.checkDuePayments(),
+    preview: (handler) => handler.getAllHirelings().filter(h => h.status === HirelingStatus.HIRED).length
+  },
+  [ScheduledJob.PROPERTY_DECAY]: {
+    handler: "property",
+    run: (handler, runs, days) => handler.processConditionDecay(days / 7),
+    preview: (handler) => handler.getAllProperties().filter(p =>
+      p.condition.decay.enabled &&
+      (p.status === PropertyStatus.OWNED || p.status === PropertyStatus.RENTED)
+    ).length
+  },
+  [ScheduledJob.FACTION_DECAY]: {
+    handler: "faction",
+    run: (handler, runs, days) => handler.applyReputationDecay(days),
+    preview: (handler) => handler.getAllFactions().filter(f => f.reputation.decay.enabled).length
+  },
+  [ScheduledJob.RELATIONSHIP_DECAY]: {
+    handler: "relationship",
+    run: (handler, runs, days) => handler.applyRelationshipDecay(days),
+    preview: () => game.actors.filter(a => a.hasPlayerOwner).length
+  },
+  [ScheduledJob.STOCK_REFRESH]: {
+    handler: "merchant",
+    run: (handler) => handler.checkStockRefresh(),
+    preview: (handler) => handler.getAllMerchants().filter(m =>
+      m.stockRefresh.type === StockRefreshType.DAILY || m.stockRefresh.type === StockRefreshType.WEEKLY
+    ).length
+  },
+  [ScheduledJob.REPEATABLE_QUESTS]: {
+    handler: "quest",
+    run: (handler) => handler.checkRepeatableQuests(),
+    preview: (handler) => handler.getQuestsByStatus(QuestStatus.COMPLETED)
+      .filter(q => q.repeatable.enabled).length
+  },
+  [ScheduledJob.SHOP_SALES]: {
+    handler: "property",
+    run: (handler, runs, days) => handler.processShopSales(days),
+    preview: (handler) => handler.getAllProperties().filter(p =>
+      handler.getPlayerShop(p.id)?.inventory.some(i => i.quantity > 0)
+    ).length
+  }
+});
+
+/**
+ * Scheduler Handler class
+ * Drives every periodic job from Foundry's world time (active GM only)
+ */
+export class SchedulerHandler {
+  constructor() {
+    this._initialized = false;
+    this._state = null;
+    this._running = false;
+    this._pending = false;
+  }
+
+  /**
+   * Initialize the scheduler
+   */
+  async initialize() {
+    if (this._initialized) return;
+
+    this._loadState();
+
+    Hooks.on("updateWorldTime", () => this.runDueJobs());
+
+    this._initialized = true;
+    console.log(`${MODULE_ID} | Scheduler handler initialized`);
+  }
+
+  /**
+   * Reload scheduler state from settings
+   */
+  reload() {
+    this._loadState();
+  }
+
+  // ==================== STORAGE ====================
+
+  /**
+   * Load scheduler state from world settings
+   * @private
+   */
+  _loadState() {
+    this._state = createSchedulerState(game.settings.get(MODULE_ID, STORAGE_KEYS.STATE) || {});
+  }
+
+  /**
+   * Save scheduler state to world settings
+   * @private
+   */
+  async _saveState() {
+    if (!game.user.isGM) return;
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.STATE, this._state);
+  }
+
+  // ==================== CALENDAR ====================
+
+  /**
+   * Get the calendar day index of a world time
+   * @param {number} worldTime - World time in seconds
+   * @returns {number}
+   * @private
+   */
+  _getDay(worldTime) {
+    return game.bobsnpc.handlers.calendar.getDayIndex(worldTime);
+  }
+
+  // ==================== SCHEDULE ====================
+
+  /**
+   * Get the scheduler state
+   * @returns {object} {enabled, jobs, ledger}
+   */
+  getState() {
+    return foundry.utils.deepClone(this._state);
+  }
+
+  /**
+   * Get every job with its schedule and next due day
+   * @returns {object[]}
+   */
+  getJobs() {
+    const today = this._getDay(game.time.worldTime);
+
+    return Object.values(ScheduledJob).map(jobId => {
+      const schedule = this._state.jobs[jobId];
+      const nextDay = schedule.lastRunDay === null ? null : schedule.lastRunDay + schedule.cadence;
+
+      return {
+        id: jobId,
+        label: localize(`Scheduler.Jobs.${jobId}`),
+        ...schedule,
+        daysUntilDue: nextDay === null ? null : Math.max(0, nextDay - today)
+      };
+    });
+  }
+
+  /**
+   * Update a job's schedule (GM only)
+   * @param {string} jobId - ScheduledJob value
+   * @param {object} updates - {enabled, cadence}
+   * @returns {Promise<object>} Updated schedule
+   */
+  async updateJob(jobId, updates) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const schedule = this._state.jobs[jobId];
+    if (!schedule) {
+      throw new Error(localize("Scheduler.Errors.UnknownJob"));
+    }
+
+    if (updates.enabled !== undefined) schedule.enabled = !!updates.enabled;
+    if (updates.cadence !== undefined) schedule.cadence = Math.max(1, Math.floor(updates.cadence) || 1);
+
+    await this._saveState();
+    Hooks.callAll(`${MODULE_ID}.scheduleUpdated`, jobId, schedule);
+    return { ...schedule };
+  }
+
+  /**
+   * Turn the whole scheduler on or off (GM only)
+   * @param {boolean} enabled
+   */
+  async setEnabled(enabled) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    this._state.enabled = !!enabled;
+    await this._saveState();
+    Hooks.callAll(`${MODULE_ID}.scheduleUpdated`, null, this._state);
+  }
+
+  // ==================== RUNNING ====================
+
+  /**
+   * Run every job that has come due at the current world time (active GM only)
+   * Large time skips are caught up by running a job once per missed period.
+   * @returns {Promise<object[]>} Ledger entries written
+   */
+  async runDueJobs() {
+    if (game.user !== game.users.activeGM) return [];
+    if (!this._state?.enabled) return [];
+
+    // World time can change again while jobs are still saving
+    if (this._running) {
+      this._pending = true;
+      return [];
+    }
+
+    this._running = true;
+    const entries = [];
+
+    try {
+      const worldTime = game.time.worldTime;
+      const today = this._getDay(worldTime);
+      let changed = false;
+
+      for (const jobId of Object.values(ScheduledJob)) {
+        const schedule = this._state.jobs[jobId];
+
+        // First sighting, or time moved backwards: restart the clock without running
+        if (schedule.lastRunDay === null || schedule.lastRunDay > today) {
+          schedule.lastRunDay = today;
+          changed = true;
+          continue;
+        }
+
+        const runs = getDueRuns(schedule, today);
+        if (runs <= 0) continue;
+
+        // Still loading: leave the job due so it catches up once the handler is ready
+        if (!game.bobsnpc?.handlers?.[JOBS[jobId].handler]?._initialized) continue;
+
+        const entry = await this._runJob(jobId, runs, schedule.cadence, worldTime);
+        schedule.lastRunDay += runs * schedule.cadence;
+        entries.push(entry);
+        changed = true;
+      }
+
+      if (entries.length) {
+        this._state.ledger = [...entries.reverse(), ...this._state.ledger].slice(0, LEDGER_LIMIT);
+      }
+      if (changed) {
+        await this._saveState();
+      }
+    } finally {
+      this._running = false;
+    }
+
+    if (entries.length) {
+      Hooks.callAll(`${MODULE_ID}.scheduledJobsRan`, entries);
+    }
+
+    if (this._pending) {
+      this._pending = false;
+      entries.push(...await this.runDueJobs());
+    }
+
+    return entries;
+  }
+
+  /**
+   * Run one job now, regardless of its schedule (GM only)
+   * @param {string} jobId - ScheduledJob value
+   * @returns {Promise<object>} Ledger entry
+   */
+  async runJobNow(jobId) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+    if (!JOBS[jobId]) {
+      throw new Error(localize("Scheduler.Errors.UnknownJob"));
+    }
+
+    const schedule = this._state.jobs[jobId];
+    const entry = await this._runJob(jobId, 1, schedule.cadence, game.time.worldTime);
+
+    this._state.ledger = [entry, ...this._state.ledger].slice(0, LEDGER_LIMIT);
+    await this._saveState();
+
+    Hooks.callAll(`${MODULE_ID}.scheduledJobsRan`, [entry]);
+    return entry;
+  }
+
+  /**
+   * Run a job and record the outcome
+   * @param {string} jobId - ScheduledJob value
+   * @param {number} runs - Cadence periods due
+   * @param {number} cadence - Days per period
+   * @param {number} worldTime - Current world time
+   * @returns {Promise<object>} Ledger entry
+   * @private
+   */
+  async _runJob(jobId, runs, cadence, worldTime) {
+    const job = JOBS[jobId];
+    const handler = game.bobsnpc?.handlers?.[job.handler];
+    const performed = Math.min(runs, MAX_CATCH_UP_RUNS);
+
+    const entry = {
+      jobId,
+      day: this._getDay(worldTime),
+      worldTime,
+      runs: performed,
+      skipped: runs - performed
+    };
+
+    try {
+      if (!handler) throw new Error(`Handler "${job.handler}" is not available`);
+      await job.run(handler, performed, performed * cadence);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Scheduled job ${jobId} failed:`, error);
+      entry.success = false;
+      entry.error = error.message;
+    }
+
+    return createLedgerEntry(entry);
+  }
+
+  // ==================== LEDGER & PREVIEW ====================
+
+  /**
+   * Get the ledger of job runs, newest first
+   * @param {number} limit - Maximum entries
+   * @returns {object[]}
+   */
+  getLedger(limit = LEDGER_LIMIT) {
+    return this._state.ledger.slice(0, limit).map(entry => ({
+      ...entry,
+      label: localize(`Scheduler.Jobs.${entry.jobId}`)
+    }));
+  }
+
+  /**
+   * Clear the ledger (GM only)
+   */
+  async clearLedger() {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    this._state.ledger = [];
+    await this._saveState();
+  }
+
+  /**
+   * Preview what would run if world time advanced
+   * Nothing is changed.
+   * @param {number} days - In-game days to advance
+   * @returns {object[]} [{jobId, label, runs, count, summary}]
+   */
+  previewAdvance(days = 7) {
+    const targetDay = this._getDay(game.bobsnpc.handlers.calendar.addDays(game.time.worldTime, days));
+    const preview = [];
+
+    for (const jobId of Object.values(ScheduledJob)) {
+      const schedule = this._state.jobs[jobId];
+      const fromDay = schedule.lastRunDay ?? this._getDay(game.time.worldTime);
+      const runs = this._state.enabled ? getDueRuns({ ...schedule, lastRunDay: fromDay }, targetDay) : 0;
+      if (runs <= 0) continue;
+
+      const job = JOBS[jobId];
+      const handler = game.bobsnpc?.handlers?.[job.handler];
+      let count = 0;
+      try {
+        count = handler ? job.preview(handler) : 0;
+      } catch (error) {
+        console.warn(`${MODULE_ID} | Could not preview ${jobId}:`, error);
+      }
+
+      preview.push({
+        jobId,
+        label: localize(`Scheduler.Jobs.${jobId}`),
+        runs: Math.min(runs, MAX_CATCH_UP_RUNS),
+        count,
+        summary: localize(`Scheduler.PreviewJobs.${jobId}`, { count, runs })
+      });
+    }
+
+    return preview;
+  }
+}
+
+// Singleton instance
+export const schedulerHandler = new SchedulerHandler();
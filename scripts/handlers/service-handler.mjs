@@ -0,0 +1,1746 @@
+/**
+ * Bob's Talking NPCs - Service Handler
+ * Business logic for NPC services such as training, enchanting, travel, inns and informants
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { localize, getFlag, setFlag, hasEnoughCurrency, getPartyMembers } from "../utils/helpers.mjs";
+import { emitToGM, SocketEvents } from "../socket.mjs";
+import { NPCRole, hasRole } from "../data/npc-model.mjs";
+import {
+  ServiceJobStatus,
+  TrainingType,
+  createTrainingService,
+  createTrainingSession,
+  getTrainingKey,
+  checkTrainingRequirements,
+  createEnchantingService,
+  createEnchantingJob,
+  checkEnchantmentRequirements,
+  createTransportationService,
+  RoomBenefit,
+  RoomQuality,
+  RestQualityBonus,
+  createInnService,
+  createRoomRental,
+  hasRoomBenefit,
+  createInformationService,
+  createRumorPurchase
+} from "../data/service-model.mjs";
+
+/**
+ * Storage keys
+ */
+const STORAGE_KEYS = {
+  TRAINING: "training",
+  ENCHANTING: "enchanting",
+  INN: "inn",
+  RUMORS: "rumors"
+};
+
+/**
+ * Service Handler class
+ * Manages NPC services whose results arrive after world time passes
+ */
+export class ServiceHandler {
+  constructor() {
+    this._initialized = false;
+    this._running = false;
+    this._pending = false;
+  }
+
+  /**
+   * Initialize the service handler
+   */
+  async initialize() {
+    if (this._initialized) return;
+
+    Hooks.on("updateWorldTime", () => this.processDueServices());
+
+    // Results of requests the GM carried out for this user
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (!["service.travelResult", "service.rumorResult"].includes(data.type)) return;
+      if (data.data.userId !== game.user.id) return;
+
+      const result = data.data.result;
+      if (result?.error) ui.notifications.warn(result.error);
+      Hooks.callAll(`${MODULE_ID}.${data.type.slice("service.".length)}`, result);
+    });
+
+    this._initialized = true;
+    console.log(`${MODULE_ID} | Service handler initialized`);
+  }
+
+  /**
+   * Complete every service that is due at the current world time (active GM only)
+   */
+  async processDueServices() {
+    if (game.user !== game.users.activeGM) return;
+
+    // World time can change again while services are still completing
+    if (this._running) {
+      this._pending = true;
+      return;
+    }
+
+    this._running = true;
+    try {
+      await this.checkTrainingCompletion();
+      await this.checkEnchantingCompletion();
+      await this.checkRentalExpiry();
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to process services:`, error);
+    } finally {
+      this._running = false;
+    }
+
+    if (this._pending) {
+      this._pending = false;
+      await this.processDueServices();
+    }
+  }
+
+  // ==================== TRAINING ====================
+
+  /**
+   * Get an NPC's training service configuration
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @returns {object|null}
+   */
+  getTrainingService(npcActorUuid) {
+    const npc = fromUuidSync(npcActorUuid);
+    const config = npc ? getFlag(npc, "config") : null;
+    if (!config?.services?.training) return null;
+    return createTrainingService(config.services.training);
+  }
+
+  /**
+   * Replace an NPC's training offerings (GM only)
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {object[]} offerings - Training offerings
+   * @returns {Promise<object>} Updated training service
+   */
+  async setTrainingOfferings(npcActorUuid, offerings) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      throw new Error(localize("Errors.NPCNotFound"));
+    }
+
+    const config = getFlag(npc, "config") || {};
+    const training = createTrainingService({ ...config.services?.training, offerings });
+
+    await game.bobsnpc.handlers.npc.updateConfig(npcActorUuid, {
+      services: { ...config.services, training }
+    });
+
+    Hooks.callAll(`${MODULE_ID}.trainingOfferingsUpdated`, npcActorUuid, training);
+    return training;
+  }
+
+  /**
+   * Get the display label for what an offering teaches
+   * @param {object} offering - Training offering or session
+   * @returns {string}
+   */
+  getTrainingLabel(offering) {
+    const key = offering.key ?? getTrainingKey(offering);
+    if (!key) return "";
+
+    if (offering.type === TrainingType.SKILL) {
+      return CONFIG.DND5E?.skills?.[key]?.label ?? key;
+    }
+
+    const trait = offering.type === TrainingType.TOOL ? "tool" : "languages";
+    return dnd5e.documents.Trait?.keyLabel(key, { trait }) || key;
+  }
+
+  /**
+   * Get a trainer's offerings prepared for a player
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {object[]} Offerings with {label, available, affordable, canTrain, reason}
+   */
+  getTrainingOfferings(npcActorUuid, playerActorUuid) {
+    const service = this.getTrainingService(npcActorUuid);
+    if (!service?.enabled) return [];
+
+    const actor = playerActorUuid ? fromUuidSync(playerActorUuid) : null;
+    const activeSession = actor ? this.getActiveTraining(actor) : null;
+
+    return service.offerings.map(offering => {
+      const check = actor ? checkTrainingRequirements(offering, actor) : { met: false, reason: "Errors.NoActorSelected" };
+      let reason = check.reason;
+      if (check.met && activeSession) reason = "Training.Errors.AlreadyTraining";
+
+      const available = check.met && !activeSession;
+      const affordable = actor ? hasEnoughCurrency(actor, offering.price * 100) : false;
+
+      return {
+        ...offering,
+        label: this.getTrainingLabel(offering),
+        typeLabel: localize(`Training.Types.${offering.type}`),
+        available,
+        affordable,
+        canTrain: available && affordable,
+        reason: reason ? localize(reason) : null
+      };
+    });
+  }
+
+  /**
+   * Get all training sessions recorded on an actor
+   * @param {Actor} actor - Player actor
+   * @returns {object[]}
+   */
+  getTrainingSessions(actor) {
+    const sessions = getFlag(actor, STORAGE_KEYS.TRAINING) || {};
+    return Object.values(sessions).map(s => createTrainingSession(s));
+  }
+
+  /**
+   * Get an actor's training in progress
+   * Downtime is spent on one training at a time.
+   * @param {Actor} actor - Player actor
+   * @returns {object|null}
+   */
+  getActiveTraining(actor) {
+    return this.getTrainingSessions(actor).find(s => s.status === ServiceJobStatus.IN_PROGRESS) || null;
+  }
+
+  /**
+   * Start training with an NPC
+   * Charges the price and schedules completion after the offering's downtime days.
+   * @param {string} npcActorUuid - Trainer NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @param {string} offeringId - Offering ID
+   * @returns {Promise<object>} {success, session, error}
+   */
+  async startTraining(npcActorUuid, playerActorUuid, offeringId) {
+    const actor = await fromUuid(playerActorUuid);
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      return { success: false, error: localize("Errors.NPCNotFound") };
+    }
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const offering = this.getTrainingService(npcActorUuid)?.offerings.find(o => o.id === offeringId);
+    if (!offering) {
+      return { success: false, error: localize("Training.Errors.OfferingNotFound") };
+    }
+
+    const check = checkTrainingRequirements(offering, actor);
+    if (!check.met) {
+      return { success: false, error: localize(check.reason) };
+    }
+
+    if (this.getActiveTraining(actor)) {
+      return { success: false, error: localize("Training.Errors.AlreadyTraining") };
+    }
+
+    if (!hasEnoughCurrency(actor, offering.price * 100)) {
+      return { success: false, error: localize("Errors.NotEnoughGold") };
+    }
+
+    await this._deductCurrency(actor, offering.price);
+
+    const now = game.time.worldTime;
+    const session = createTrainingSession({
+      offeringId: offering.id,
+      type: offering.type,
+      key: getTrainingKey(offering),
+      label: this.getTrainingLabel(offering),
+      npcActorUuid,
+      npcName: npc.name,
+      price: offering.price,
+      days: offering.timeRequired,
+      startedAt: now,
+      completesAt: game.bobsnpc.handlers.calendar.addDays(now, offering.timeRequired)
+    });
+
+    await this._saveRecord(actor, STORAGE_KEYS.TRAINING, session);
+
+    Hooks.callAll(`${MODULE_ID}.trainingStarted`, actor, session);
+
+    // Instant training completes right away
+    if (session.days <= 0) {
+      return { success: true, session: await this._completeTraining(actor, session) };
+    }
+
+    ui.notifications.info(localize("Training.Messages.Started", {
+      name: actor.name,
+      training: session.label,
+      days: session.days
+    }));
+
+    return { success: true, session };
+  }
+
+  /**
+   * Complete every training session whose downtime has passed
+   * @returns {Promise<object[]>} Completed sessions
+   */
+  async checkTrainingCompletion() {
+    const now = game.time.worldTime;
+    const completed = [];
+
+    for (const actor of game.actors) {
+      const session = this.getActiveTraining(actor);
+      if (!session || session.completesAt > now) continue;
+
+      completed.push(await this._completeTraining(actor, session));
+    }
+
+    return completed;
+  }
+
+  /**
+   * Apply a finished training to the actor and record it
+   * @param {Actor} actor - Trainee
+   * @param {object} session - Training session
+   * @returns {Promise<object>} Completed session
+   * @private
+   */
+  async _completeTraining(actor, session) {
+    await this._applyTraining(actor, session);
+
+    const completed = {
+      ...session,
+      status: ServiceJobStatus.COMPLETED,
+      completedAt: game.time.worldTime
+    };
+    await this._saveRecord(actor, STORAGE_KEYS.TRAINING, completed);
+
+    Hooks.callAll(`${MODULE_ID}.trainingCompleted`, actor, completed);
+
+    await this._notifyOwners(actor, localize("Training.Messages.Completed", {
+      name: actor.name,
+      training: completed.label,
+      npc: completed.npcName
+    }));
+
+    return completed;
+  }
+
+  /**
+   * Grant the proficiency a training session teaches
+   * @param {Actor} actor - dnd5e actor
+   * @param {object} session - Training session
+   * @private
+   */
+  async _applyTraining(actor, session) {
+    const key = session.key;
+
+    switch (session.type) {
+      case TrainingType.SKILL: {
+        const current = actor.system?.skills?.[key]?.value ?? 0;
+        await actor.update({ [`system.skills.${key}.value`]: Math.max(current, 1) });
+        break;
+      }
+
+      case TrainingType.TOOL:
+        await actor.update({
+          [`system.tools.${key}.value`]: 1,
+          [`system.tools.${key}.ability`]: actor.system?.tools?.[key]?.ability
+            ?? CONFIG.DND5E?.tools?.[key]?.ability
+            ?? "int"
+        });
+        break;
+
+      case TrainingType.LANGUAGE: {
+        const languages = new Set(actor.system?.traits?.languages?.value ?? []);
+        languages.add(key);
+        await actor.update({ "system.traits.languages.value": Array.from(languages) });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Get the remaining days of an actor's training in progress
+   * @param {Actor} actor - Player actor
+   * @returns {number|null}
+   */
+  getTrainingDaysRemaining(actor) {
+    const session = this.getActiveTraining(actor);
+    return session ? this.getRemainingDays(session) : null;
+  }
+
+  /**
+   * Get the calendar days left on a training session or service job
+   * @param {object} record - Training session or service job
+   * @returns {number}
+   */
+  getRemainingDays(record) {
+    return Math.max(0, game.bobsnpc.handlers.calendar.getDaysBetween(game.time.worldTime, record.completesAt));
+  }
+
+  // ==================== ENCHANTING ====================
+
+  /**
+   * Get an NPC's enchanting service configuration
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @returns {object|null}
+   */
+  getEnchantingService(npcActorUuid) {
+    const npc = fromUuidSync(npcActorUuid);
+    const config = npc ? getFlag(npc, "config") : null;
+    if (!config?.services?.enchanting) return null;
+    return createEnchantingService(config.services.enchanting);
+  }
+
+  /**
+   * Replace an NPC's enchantment offerings (GM only)
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {object[]} offerings - Enchantment offerings
+   * @returns {Promise<object>} Updated enchanting service
+   */
+  async setEnchantmentOfferings(npcActorUuid, offerings) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      throw new Error(localize("Errors.NPCNotFound"));
+    }
+
+    const config = getFlag(npc, "config") || {};
+    const enchanting = createEnchantingService({ ...config.services?.enchanting, offerings });
+
+    await game.bobsnpc.handlers.npc.updateConfig(npcActorUuid, {
+      services: { ...config.services, enchanting }
+    });
+
+    Hooks.callAll(`${MODULE_ID}.enchantmentOfferingsUpdated`, npcActorUuid, enchanting);
+    return enchanting;
+  }
+
+  /**
+   * Get an enchanter's offerings prepared for a player
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {object[]} Offerings with {items, affordable, canEnchant}
+   */
+  getEnchantmentOfferings(npcActorUuid, playerActorUuid) {
+    const service = this.getEnchantingService(npcActorUuid);
+    if (!service?.enabled) return [];
+
+    const actor = playerActorUuid ? fromUuidSync(playerActorUuid) : null;
+
+    return service.offerings.map(offering => {
+      const items = actor
+        ? actor.items
+          .filter(item => checkEnchantmentRequirements(offering, item).met)
+          .map(item => ({ id: item.id, name: item.name, img: item.img }))
+        : [];
+      const affordable = actor ? hasEnoughCurrency(actor, offering.price * 100) : false;
+
+      return {
+        ...offering,
+        baseLabel: localize(`Enchanting.Base.${offering.requirements.baseItem}`),
+        items,
+        affordable,
+        canEnchant: items.length > 0 && affordable
+      };
+    });
+  }
+
+  /**
+   * Get all enchanting jobs recorded on an actor
+   * @param {Actor} actor - Item owner
+   * @returns {object[]}
+   */
+  getEnchantingJobs(actor) {
+    const jobs = getFlag(actor, STORAGE_KEYS.ENCHANTING) || {};
+    return Object.values(jobs).map(j => createEnchantingJob(j));
+  }
+
+  /**
+   * Get an actor's items currently held by enchanters
+   * @param {Actor} actor - Item owner
+   * @returns {object[]}
+   */
+  getActiveEnchantingJobs(actor) {
+    return this.getEnchantingJobs(actor).filter(j => j.status === ServiceJobStatus.IN_PROGRESS);
+  }
+
+  /**
+   * Hand an item to an enchanter
+   * Charges the price and holds the item in escrow until the enchantment is done.
+   * @param {string} npcActorUuid - Enchanter NPC UUID
+   * @param {string} playerActorUuid - Item owner UUID
+   * @param {string} offeringId - Offering ID
+   * @param {string} itemId - Item to enchant
+   * @returns {Promise<object>} {success, job, error}
+   */
+  async startEnchanting(npcActorUuid, playerActorUuid, offeringId, itemId) {
+    const actor = await fromUuid(playerActorUuid);
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      return { success: false, error: localize("Errors.NPCNotFound") };
+    }
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const offering = this.getEnchantingService(npcActorUuid)?.offerings.find(o => o.id === offeringId);
+    if (!offering) {
+      return { success: false, error: localize("Enchanting.Errors.OfferingNotFound") };
+    }
+
+    const item = actor.items.get(itemId);
+    if (!item) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    const check = checkEnchantmentRequirements(offering, item);
+    if (!check.met) {
+      return { success: false, error: localize(check.reason) };
+    }
+
+    if (!hasEnoughCurrency(actor, offering.price * 100)) {
+      return { success: false, error: localize("Errors.NotEnoughGold") };
+    }
+
+    await this._deductCurrency(actor, offering.price);
+
+    // Take the item into escrow
+    const itemData = item.toObject();
+    await item.delete();
+
+    const now = game.time.worldTime;
+    const job = createEnchantingJob({
+      offeringId: offering.id,
+      enchantment: offering.enchantment,
+      npcActorUuid,
+      npcName: npc.name,
+      itemData,
+      bonus: offering.bonus,
+      rarity: offering.rarity,
+      nameSuffix: offering.nameSuffix,
+      price: offering.price,
+      days: offering.timeRequired,
+      startedAt: now,
+      completesAt: game.bobsnpc.handlers.calendar.addDays(now, offering.timeRequired)
+    });
+
+    await this._saveRecord(actor, STORAGE_KEYS.ENCHANTING, job);
+
+    Hooks.callAll(`${MODULE_ID}.enchantingStarted`, actor, job);
+
+    if (job.days <= 0) {
+      return { success: true, job: await this._completeEnchanting(actor, job) };
+    }
+
+    ui.notifications.info(localize("Enchanting.Messages.Started", {
+      item: job.itemName,
+      npc: job.npcName,
+      days: job.days
+    }));
+
+    return { success: true, job };
+  }
+
+  /**
+   * Cancel an enchanting job
+   * The item is returned unchanged and the price refunded.
+   * @param {string} actorUuid - Item owner UUID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<object>} {success, job, error}
+   */
+  async cancelEnchanting(actorUuid, jobId) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const job = this.getActiveEnchantingJobs(actor).find(j => j.id === jobId);
+    if (!job) {
+      return { success: false, error: localize("Enchanting.Errors.JobNotFound") };
+    }
+
+    const itemData = foundry.utils.deepClone(job.itemData);
+    delete itemData._id;
+    await actor.createEmbeddedDocuments("Item", [itemData]);
+    await this._addCurrency(actor, job.price);
+
+    const cancelled = {
+      ...job,
+      itemData: null,
+      status: ServiceJobStatus.CANCELLED,
+      completedAt: game.time.worldTime
+    };
+    await this._saveRecord(actor, STORAGE_KEYS.ENCHANTING, cancelled);
+
+    Hooks.callAll(`${MODULE_ID}.enchantingCancelled`, actor, cancelled);
+
+    ui.notifications.info(localize("Enchanting.Messages.Cancelled", {
+      item: job.itemName,
+      price: job.price
+    }));
+
+    return { success: true, job: cancelled };
+  }
+
+  /**
+   * Return every enchanted item whose due date has passed
+   * @returns {Promise<object[]>} Completed jobs
+   */
+  async checkEnchantingCompletion() {
+    const now = game.time.worldTime;
+    const completed = [];
+
+    for (const actor of game.actors) {
+      for (const job of this.getActiveEnchantingJobs(actor)) {
+        if (job.completesAt > now) continue;
+        completed.push(await this._completeEnchanting(actor, job));
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Return the enchanted copy of an escrowed item to its owner
+   * @param {Actor} actor - Item owner
+   * @param {object} job - Enchanting job
+   * @returns {Promise<object>} Completed job
+   * @private
+   */
+  async _completeEnchanting(actor, job) {
+    const itemData = this._buildEnchantedItem(job);
+    const [item] = await actor.createEmbeddedDocuments("Item", [itemData]);
+
+    const completed = {
+      ...job,
+      itemData: null,
+      status: ServiceJobStatus.COMPLETED,
+      completedAt: game.time.worldTime
+    };
+    await this._saveRecord(actor, STORAGE_KEYS.ENCHANTING, completed);
+
+    Hooks.callAll(`${MODULE_ID}.enchantingCompleted`, actor, completed, item);
+
+    await this._notifyOwners(actor, localize("Enchanting.Messages.Completed", {
+      name: actor.name,
+      item: itemData.name,
+      npc: completed.npcName
+    }));
+
+    return completed;
+  }
+
+  /**
+   * Apply an enchanting job's bonus, rarity and name to the escrowed item data
+   * @param {object} job - Enchanting job
+   * @returns {object} Item source data
+   * @private
+   */
+  _buildEnchantedItem(job) {
+    const itemData = foundry.utils.deepClone(job.itemData);
+    delete itemData._id;
+
+    const system = itemData.system ??= {};
+    if (itemData.type === "weapon") {
+      system.magicalBonus = job.bonus;
+    } else {
+      system.armor = { ...system.armor, magicalBonus: job.bonus };
+    }
+
+    if (job.rarity) system.rarity = job.rarity;
+
+    const properties = new Set(system.properties ?? []);
+    properties.add("mgc");
+    system.properties = Array.from(properties);
+
+    // Replace an existing "+N" rather than stacking suffixes
+    if (job.nameSuffix) {
+      const baseName = itemData.name.replace(/\s*\+\d+$/, "");
+      itemData.name = `${baseName} ${job.nameSuffix}`;
+    }
+
+    return itemData;
+  }
+
+  // ==================== TRANSPORTATION ====================
+
+  /**
+   * Get an NPC's transportation service configuration
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @returns {object|null}
+   */
+  getTransportationService(npcActorUuid) {
+    const npc = fromUuidSync(npcActorUuid);
+    const config = npc ? getFlag(npc, "config") : null;
+    if (!config?.services?.transportation) return null;
+    return createTransportationService(config.services.transportation);
+  }
+
+  /**
+   * Replace an NPC's destinations (GM only)
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {object[]} destinations - Transport destinations
+   * @returns {Promise<object>} Updated transportation service
+   */
+  async setDestinations(npcActorUuid, destinations) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      throw new Error(localize("Errors.NPCNotFound"));
+    }
+
+    const config = getFlag(npc, "config") || {};
+    const transportation = createTransportationService({ ...config.services?.transportation, destinations });
+
+    await game.bobsnpc.handlers.npc.updateConfig(npcActorUuid, {
+      services: { ...config.services, transportation }
+    });
+
+    Hooks.callAll(`${MODULE_ID}.destinationsUpdated`, npcActorUuid, transportation);
+    return transportation;
+  }
+
+  /**
+   * Get the actors travelling with a player
+   * The whole party travels when the player is a member, otherwise the player goes alone.
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {Actor[]}
+   */
+  getTravellers(playerActorUuid) {
+    const party = getPartyMembers();
+    if (party.some(a => a.uuid === playerActorUuid)) return party;
+
+    const actor = fromUuidSync(playerActorUuid);
+    return actor ? [actor] : [];
+  }
+
+  /**
+   * Get a transporter's destinations prepared for a player
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {object[]} Destinations with {sceneName, totalPrice, unaffordable, canTravel}
+   */
+  getDestinations(npcActorUuid, playerActorUuid) {
+    const service = this.getTransportationService(npcActorUuid);
+    if (!service?.enabled) return [];
+
+    const travellers = playerActorUuid ? this.getTravellers(playerActorUuid) : [];
+
+    return service.destinations.map(destination => {
+      const scene = this._getScene(destination.sceneId);
+      const unaffordable = travellers
+        .filter(a => !hasEnoughCurrency(a, destination.price * 100))
+        .map(a => a.name);
+
+      return {
+        ...destination,
+        sceneName: scene?.name || null,
+        totalPrice: destination.price * travellers.length,
+        unaffordable,
+        canTravel: !!scene && travellers.length > 0 && unaffordable.length === 0
+      };
+    });
+  }
+
+  /**
+   * Travel to a destination
+   * Players' requests are carried out by the GM, who can charge every
+   * traveller, advance world time and move tokens between scenes.
+   * @param {string} npcActorUuid - Transporter NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @param {string} destinationId - Destination ID
+   * @returns {Promise<object>} {success, travellers, hours, encounter, error} or {success, pending}
+   */
+  async travel(npcActorUuid, playerActorUuid, destinationId) {
+    const actor = await fromUuid(playerActorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    // The party leaves from the scene the requester is looking at
+    const fromSceneId = canvas?.scene?.id ?? null;
+
+    if (!game.user.isGM) {
+      emitToGM(SocketEvents.SERVICE_TRAVEL, { npcActorUuid, playerActorUuid, destinationId, fromSceneId });
+      return { success: true, pending: true };
+    }
+
+    return this._travel({ npcActorUuid, playerActorUuid, destinationId, fromSceneId });
+  }
+
+  /**
+   * Handle a travel request received from a player (active GM only)
+   * @param {object} payload - {npcActorUuid, playerActorUuid, destinationId, fromSceneId}
+   * @param {string} userId - Requesting user ID
+   */
+  async handleTravelRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(userId);
+    const actor = await fromUuid(payload.playerActorUuid);
+
+    let result;
+    if (!actor?.testUserPermission(user, "OWNER")) {
+      result = { success: false, error: localize("Errors.PermissionDenied") };
+    } else {
+      try {
+        result = await this._travel(payload);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Travel request failed:`, error);
+        result = { success: false, error: error.message };
+      }
+    }
+
+    this._emitSocket("travelResult", { userId, result });
+  }
+
+  /**
+   * Carry out a journey
+   * @param {object} data - {npcActorUuid, playerActorUuid, destinationId, fromSceneId}
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _travel({ npcActorUuid, playerActorUuid, destinationId, fromSceneId = null }) {
+    const destination = this.getTransportationService(npcActorUuid)?.destinations
+      .find(d => d.id === destinationId);
+    if (!destination) {
+      return { success: false, error: localize("Transportation.Errors.DestinationNotFound") };
+    }
+
+    const scene = this._getScene(destination.sceneId);
+    if (!scene) {
+      return { success: false, error: localize("Transportation.Errors.SceneNotFound") };
+    }
+
+    const travellers = this.getTravellers(playerActorUuid);
+    if (!travellers.length) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+
+    // Everyone pays their own fare, so nobody leaves unless all can pay
+    const unaffordable = travellers.filter(a => !hasEnoughCurrency(a, destination.price * 100));
+    if (unaffordable.length) {
+      return {
+        success: false,
+        error: localize("Transportation.Errors.CannotAfford", {
+          names: unaffordable.map(a => a.name).join(", ")
+        })
+      };
+    }
+
+    for (const traveller of travellers) {
+      await this._deductCurrency(traveller, destination.price);
+    }
+
+    const encounter = await this._rollEncounter(destination, travellers);
+
+    if (destination.travelTime > 0) {
+      const arrival = game.bobsnpc.handlers.calendar.addHours(game.time.worldTime, destination.travelTime);
+      await game.time.advance(arrival - game.time.worldTime);
+    }
+
+    await this._moveTokens(travellers, scene, destination, game.scenes.get(fromSceneId) ?? null);
+
+    const npcName = fromUuidSync(npcActorUuid)?.name || "";
+    await ChatMessage.create({
+      content: `<div class="bobsnpc-service-card"><p>${localize("Transportation.Messages.Arrived", {
+        names: travellers.map(a => a.name).join(", "),
+        destination: destination.name || scene.name,
+        npc: npcName
+      })}</p></div>`
+    });
+
+    Hooks.callAll(`${MODULE_ID}.travelCompleted`, {
+      npcActorUuid,
+      destination,
+      travellers: travellers.map(a => a.uuid),
+      encounter
+    });
+
+    return {
+      success: true,
+      travellers: travellers.map(a => a.uuid),
+      hours: destination.travelTime,
+      encounter
+    };
+  }
+
+  /**
+   * Roll for an encounter on the way
+   * @param {object} destination - Transport destination
+   * @param {Actor[]} travellers - Travelling actors
+   * @returns {Promise<object|null>} {tableUuid, results} when an encounter happens
+   * @private
+   */
+  async _rollEncounter(destination, travellers) {
+    if (!destination.encounterTableUuid || destination.encounterChance <= 0) return null;
+
+    const roll = await new Roll("1d100").evaluate();
+    if (roll.total > destination.encounterChance) return null;
+
+    const table = await fromUuid(destination.encounterTableUuid);
+    if (!table) {
+      console.warn(`${MODULE_ID} | Encounter table not found: ${destination.encounterTableUuid}`);
+      return null;
+    }
+
+    const draw = await table.draw();
+    const encounter = {
+      tableUuid: table.uuid,
+      results: draw.results.map(r => r.name ?? r.text)
+    };
+
+    Hooks.callAll(`${MODULE_ID}.travelEncounter`, destination, travellers, encounter);
+    return encounter;
+  }
+
+  /**
+   * Move travellers' tokens to the destination scene and pull their players along
+   * Tokens on other scenes are left where they are.
+   * @param {Actor[]} travellers - Travelling actors
+   * @param {Scene} scene - Destination scene
+   * @param {object} destination - Transport destination
+   * @param {Scene|null} fromScene - Scene the party leaves
+   * @private
+   */
+  async _moveTokens(travellers, scene, destination, fromScene = null) {
+    const gridSize = scene.grid.size;
+    const origin = {
+      x: destination.x ?? scene.initial?.x ?? (scene.dimensions.sceneX + (scene.dimensions.sceneWidth / 2)),
+      y: destination.y ?? scene.initial?.y ?? (scene.dimensions.sceneY + (scene.dimensions.sceneHeight / 2))
+    };
+
+    const tokenData = [];
+    for (const [index, traveller] of travellers.entries()) {
+      // Leave the scene they travelled from
+      if (fromScene && fromScene.id !== scene.id) {
+        const ids = fromScene.tokens.filter(t => t.actorId === traveller.id).map(t => t.id);
+        if (ids.length) await fromScene.deleteEmbeddedDocuments("Token", ids);
+      }
+
+      if (scene.tokens.some(t => t.actorId === traveller.id)) continue;
+
+      const token = await traveller.getTokenDocument({
+        x: origin.x + (index * gridSize),
+        y: origin.y
+      });
+      tokenData.push(token.toObject());
+    }
+
+    if (tokenData.length) {
+      await scene.createEmbeddedDocuments("Token", tokenData);
+    }
+
+    const users = game.users.filter(u =>
+      u.active && !u.isGM && travellers.some(a => a.testUserPermission(u, "OWNER"))
+    );
+    for (const user of users) {
+      game.socket.emit("pullToScene", scene.id, user.id);
+    }
+  }
+
+  /**
+   * Resolve a destination scene from an ID or UUID
+   * @param {string} sceneId - Scene ID or UUID ("Scene.xxxxx")
+   * @returns {Scene|null}
+   * @private
+   */
+  _getScene(sceneId) {
+    if (!sceneId) return null;
+    return game.scenes.get(sceneId) ?? fromUuidSync(sceneId) ?? null;
+  }
+
+  // ==================== INN ====================
+
+  /**
+   * Get an innkeeper's inn service configuration
+   * Innkeepers without configured rooms offer the default room tiers.
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @returns {object|null}
+   */
+  getInnService(npcActorUuid) {
+    const npc = fromUuidSync(npcActorUuid);
+    const config = npc ? getFlag(npc, "config") : null;
+    if (!config?.services?.inn && !hasRole(config, NPCRole.INNKEEPER)) return null;
+    return createInnService(config.services?.inn || {});
+  }
+
+  /**
+   * Replace an innkeeper's rooms (GM only)
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {object[]} rooms - Inn rooms
+   * @returns {Promise<object>} Updated inn service
+   */
+  async setInnRooms(npcActorUuid, rooms) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      throw new Error(localize("Errors.NPCNotFound"));
+    }
+
+    const config = getFlag(npc, "config") || {};
+    const inn = createInnService({ ...config.services?.inn, rooms });
+
+    await game.bobsnpc.handlers.npc.updateConfig(npcActorUuid, {
+      services: { ...config.services, inn }
+    });
+
+    Hooks.callAll(`${MODULE_ID}.innRoomsUpdated`, npcActorUuid, inn);
+    return inn;
+  }
+
+  /**
+   * Get an innkeeper's rooms prepared for a player
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {object[]} Rooms with {affordable, rented}
+   */
+  getInnRooms(npcActorUuid, playerActorUuid) {
+    const service = this.getInnService(npcActorUuid);
+    if (!service?.enabled) return [];
+
+    const actor = playerActorUuid ? fromUuidSync(playerActorUuid) : null;
+    const rental = actor ? this.getActiveRental(actor, npcActorUuid) : null;
+
+    return service.rooms.map(room => ({
+      ...room,
+      affordable: actor ? hasEnoughCurrency(actor, Math.round(room.price * 100)) : false,
+      rented: rental?.roomId === room.id
+    }));
+  }
+
+  /**
+   * Get all room rentals recorded on an actor
+   * @param {Actor} actor - Renter
+   * @returns {object[]}
+   */
+  getRoomRentals(actor) {
+    const rentals = getFlag(actor, STORAGE_KEYS.INN) || {};
+    return Object.values(rentals).map(r => createRoomRental(r));
+  }
+
+  /**
+   * Get an actor's active room rentals
+   * @param {Actor} actor - Renter
+   * @returns {object[]}
+   */
+  getActiveRentals(actor) {
+    return this.getRoomRentals(actor).filter(r => r.status === ServiceJobStatus.IN_PROGRESS);
+  }
+
+  /**
+   * Get an actor's active rental at an inn
+   * @param {Actor} actor - Renter
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @returns {object|null}
+   */
+  getActiveRental(actor, npcActorUuid) {
+    return this.getActiveRentals(actor).find(r => r.npcActorUuid === npcActorUuid) || null;
+  }
+
+  /**
+   * Rent a room for a number of nights
+   * Renting the room already held extends the stay.
+   * @param {string} npcActorUuid - Innkeeper NPC UUID
+   * @param {string} playerActorUuid - Renter UUID
+   * @param {string} roomId - Room ID
+   * @param {number} nights - Nights to stay
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async rentRoom(npcActorUuid, playerActorUuid, roomId, nights = 1) {
+    const actor = await fromUuid(playerActorUuid);
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      return { success: false, error: localize("Errors.NPCNotFound") };
+    }
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const room = this.getInnService(npcActorUuid)?.rooms.find(r => r.id === roomId);
+    if (!room) {
+      return { success: false, error: localize("Inn.Errors.RoomNotFound") };
+    }
+
+    const existing = this.getActiveRental(actor, npcActorUuid);
+    if (existing && existing.roomId !== room.id) {
+      return { success: false, error: localize("Inn.Errors.AlreadyRenting", { room: existing.roomName }) };
+    }
+
+    nights = Math.max(1, Math.floor(Number(nights) || 1));
+    const total = room.price * nights;
+    if (!hasEnoughCurrency(actor, Math.round(total * 100))) {
+      return { success: false, error: localize("Errors.NotEnoughGold") };
+    }
+
+    await this._deductCurrency(actor, total);
+
+    const calendar = game.bobsnpc.handlers.calendar;
+    const now = game.time.worldTime;
+    const rental = existing
+      ? { ...existing, nights: existing.nights + nights, endsAt: calendar.addDays(existing.endsAt, nights) }
+      : createRoomRental({
+        roomId: room.id,
+        roomName: room.name,
+        tier: room.tier,
+        quality: room.quality,
+        benefits: room.benefits,
+        npcActorUuid,
+        npcName: npc.name,
+        price: room.price,
+        nights,
+        storageSlots: room.storageSlots,
+        startedAt: now,
+        endsAt: calendar.addDays(now, nights)
+      });
+
+    await this._saveRecord(actor, STORAGE_KEYS.INN, rental);
+
+    Hooks.callAll(`${MODULE_ID}.innRoomRented`, actor, rental, nights);
+
+    ui.notifications.info(localize("Inn.Messages.Rented", {
+      room: rental.roomName,
+      nights,
+      price: total
+    }));
+
+    return { success: true, rental };
+  }
+
+  /**
+   * Take a long rest in a rented room
+   * Runs the dnd5e long rest, then applies the room quality's extra recovery.
+   * Each night paid for allows one rest.
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @returns {Promise<object>} {success, rental, bonus, error}
+   */
+  async takeLongRest(actorUuid, rentalId) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const rental = this.getActiveRentals(actor).find(r => r.id === rentalId);
+    if (!rental) {
+      return { success: false, error: localize("Inn.Errors.RentalNotFound") };
+    }
+    if (rental.endsAt <= game.time.worldTime) {
+      return { success: false, error: localize("Inn.Errors.Expired") };
+    }
+    if (!hasRoomBenefit(rental, RoomBenefit.LONG_REST)) {
+      return { success: false, error: localize("Inn.Errors.NoRest") };
+    }
+    if (rental.restsTaken >= rental.nights) {
+      return { success: false, error: localize("Inn.Errors.NoRestsLeft") };
+    }
+
+    const result = await actor.longRest({ dialog: false, chat: true });
+    if (!result) {
+      return { success: false, error: localize("Inn.Errors.RestFailed") };
+    }
+
+    const bonus = RestQualityBonus[rental.quality] || RestQualityBonus[RoomQuality.POOR];
+    await this._applyRestBonus(actor, bonus);
+
+    const rested = { ...rental, restsTaken: rental.restsTaken + 1 };
+    await this._saveRecord(actor, STORAGE_KEYS.INN, rested);
+
+    Hooks.callAll(`${MODULE_ID}.innRestTaken`, actor, rested, bonus);
+
+    await this._notifyOwners(actor, localize("Inn.Messages.Rested", {
+      name: actor.name,
+      room: rested.roomName,
+      quality: localize(`Services.RoomQuality.${rested.quality.capitalize()}`)
+    }));
+
+    return { success: true, rental: rested, bonus };
+  }
+
+  /**
+   * Apply a room quality's extra recovery after a long rest
+   * @param {Actor} actor - dnd5e actor
+   * @param {object} bonus - RestQualityBonus entry
+   * @private
+   */
+  async _applyRestBonus(actor, bonus) {
+    const updates = {};
+
+    if (bonus.tempHpPerLevel > 0) {
+      const level = actor.system?.details?.level ?? 0;
+      const temp = actor.system?.attributes?.hp?.temp ?? 0;
+      updates["system.attributes.hp.temp"] = Math.max(temp, bonus.tempHpPerLevel * level);
+    }
+
+    if (bonus.exhaustion > 0) {
+      const exhaustion = actor.system?.attributes?.exhaustion ?? 0;
+      updates["system.attributes.exhaustion"] = Math.max(0, exhaustion - bonus.exhaustion);
+    }
+
+    if (!foundry.utils.isEmpty(updates)) await actor.update(updates);
+
+    // Recover spent hit dice, largest dice first
+    let hitDice = bonus.hitDice;
+    const classes = actor.items
+      .filter(i => i.type === "class" && (i.system?.hd?.spent ?? 0) > 0)
+      .sort((a, b) => parseInt(b.system.hd.denomination?.slice(1)) - parseInt(a.system.hd.denomination?.slice(1)));
+
+    const classUpdates = [];
+    for (const cls of classes) {
+      if (hitDice <= 0) break;
+      const recovered = Math.min(hitDice, cls.system.hd.spent);
+      classUpdates.push({ _id: cls.id, "system.hd.spent": cls.system.hd.spent - recovered });
+      hitDice -= recovered;
+    }
+
+    if (classUpdates.length) await actor.updateEmbeddedDocuments("Item", classUpdates);
+  }
+
+  /**
+   * Leave an item in a rented room
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @param {string} itemId - Item to store
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async storeItem(actorUuid, rentalId, itemId) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const rental = this.getActiveRentals(actor).find(r => r.id === rentalId);
+    if (!rental) {
+      return { success: false, error: localize("Inn.Errors.RentalNotFound") };
+    }
+    if (!hasRoomBenefit(rental, RoomBenefit.STORAGE)) {
+      return { success: false, error: localize("Inn.Errors.NoStorage") };
+    }
+    if (rental.storage.length >= rental.storageSlots) {
+      return { success: false, error: localize("Inn.Errors.StorageFull") };
+    }
+
+    const item = actor.items.get(itemId);
+    if (!item) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    const itemData = item.toObject();
+    await item.delete();
+
+    const updated = { ...rental, storage: [...rental.storage, itemData] };
+    await this._saveRecord(actor, STORAGE_KEYS.INN, updated);
+
+    Hooks.callAll(`${MODULE_ID}.innItemStored`, actor, updated, itemData);
+    return { success: true, rental: updated };
+  }
+
+  /**
+   * Take an item back from a rented room
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @param {string} itemId - Stored item's original ID
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async retrieveItem(actorUuid, rentalId, itemId) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const rental = this.getActiveRentals(actor).find(r => r.id === rentalId);
+    if (!rental) {
+      return { success: false, error: localize("Inn.Errors.RentalNotFound") };
+    }
+
+    const stored = rental.storage.find(i => i._id === itemId);
+    if (!stored) {
+      return { success: false, error: localize("Errors.ItemNotFound") };
+    }
+
+    await this._returnItems(actor, [stored]);
+
+    const updated = { ...rental, storage: rental.storage.filter(i => i._id !== itemId) };
+    await this._saveRecord(actor, STORAGE_KEYS.INN, updated);
+
+    Hooks.callAll(`${MODULE_ID}.innItemRetrieved`, actor, updated, stored);
+    return { success: true, rental: updated };
+  }
+
+  /**
+   * Leave a room before the rental runs out
+   * Stored items are returned; unused nights are not refunded.
+   * @param {string} actorUuid - Renter UUID
+   * @param {string} rentalId - Rental ID
+   * @returns {Promise<object>} {success, rental, error}
+   */
+  async checkOut(actorUuid, rentalId) {
+    const actor = await fromUuid(actorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    const rental = this.getActiveRentals(actor).find(r => r.id === rentalId);
+    if (!rental) {
+      return { success: false, error: localize("Inn.Errors.RentalNotFound") };
+    }
+
+    const ended = await this._endRental(actor, rental, ServiceJobStatus.CANCELLED);
+    ui.notifications.info(localize("Inn.Messages.CheckedOut", { room: ended.roomName }));
+    return { success: true, rental: ended };
+  }
+
+  /**
+   * End every rental whose last night has passed, returning stored items
+   * @returns {Promise<object[]>} Ended rentals
+   */
+  async checkRentalExpiry() {
+    const now = game.time.worldTime;
+    const ended = [];
+
+    for (const actor of game.actors) {
+      for (const rental of this.getActiveRentals(actor)) {
+        if (rental.endsAt > now) continue;
+
+        const expired = await this._endRental(actor, rental, ServiceJobStatus.COMPLETED);
+        await this._notifyOwners(actor, localize("Inn.Messages.Expired", {
+          name: actor.name,
+          room: expired.roomName,
+          npc: expired.npcName,
+          count: rental.storage.length
+        }));
+        ended.push(expired);
+      }
+    }
+
+    return ended;
+  }
+
+  /**
+   * Close a rental and give back what was stored in the room
+   * @param {Actor} actor - Renter
+   * @param {object} rental - Room rental
+   * @param {string} status - ServiceJobStatus value
+   * @returns {Promise<object>} Ended rental
+   * @private
+   */
+  async _endRental(actor, rental, status) {
+    const ended = {
+      ...rental,
+      storage: [],
+      status,
+      endedAt: game.time.worldTime
+    };
+
+    // Save the ended rental first so a second check can't return the items again
+    await this._saveRecord(actor, STORAGE_KEYS.INN, ended);
+    await this._returnItems(actor, rental.storage);
+
+    Hooks.callAll(`${MODULE_ID}.innRentalEnded`, actor, ended);
+    return ended;
+  }
+
+  /**
+   * Recreate stored items on their owner
+   * @param {Actor} actor - Owner
+   * @param {object[]} items - Item source data
+   * @private
+   */
+  async _returnItems(actor, items) {
+    if (!items.length) return;
+
+    const itemData = items.map(data => {
+      const copy = foundry.utils.deepClone(data);
+      delete copy._id;
+      return copy;
+    });
+    await actor.createEmbeddedDocuments("Item", itemData);
+  }
+
+  // ==================== INFORMATION ====================
+
+  /**
+   * Get an NPC's information service configuration
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @returns {object|null}
+   */
+  getInformationService(npcActorUuid) {
+    const npc = fromUuidSync(npcActorUuid);
+    const config = npc ? getFlag(npc, "config") : null;
+    if (!config?.services?.information) return null;
+    return createInformationService(config.services.information);
+  }
+
+  /**
+   * Replace an informant's rumors (GM only)
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {object[]} rumors - Rumors
+   * @returns {Promise<object>} Updated information service
+   */
+  async setRumors(npcActorUuid, rumors) {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+
+    const npc = await fromUuid(npcActorUuid);
+    if (!npc) {
+      throw new Error(localize("Errors.NPCNotFound"));
+    }
+
+    const config = getFlag(npc, "config") || {};
+    const information = createInformationService({ ...config.services?.information, rumors });
+
+    await game.bobsnpc.handlers.npc.updateConfig(npcActorUuid, {
+      services: { ...config.services, information }
+    });
+
+    Hooks.callAll(`${MODULE_ID}.rumorsUpdated`, npcActorUuid, information);
+    return information;
+  }
+
+  /**
+   * Get every rumor an actor has bought
+   * @param {Actor} actor - Buyer
+   * @returns {object[]}
+   */
+  getPurchasedRumors(actor) {
+    const purchases = getFlag(actor, STORAGE_KEYS.RUMORS) || {};
+    return Object.values(purchases).map(p => createRumorPurchase(p));
+  }
+
+  /**
+   * Get an informant's rumors prepared for a player
+   * Rumor texts are left out; bought rumors carry the text the buyer heard.
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Player actor UUID
+   * @returns {object[]} [{id, topic, price, affordable, purchase}]
+   */
+  getRumors(npcActorUuid, playerActorUuid) {
+    const service = this.getInformationService(npcActorUuid);
+    if (!service?.enabled) return [];
+
+    const actor = playerActorUuid ? fromUuidSync(playerActorUuid) : null;
+    const purchases = actor ? this.getPurchasedRumors(actor).filter(p => p.npcActorUuid === npcActorUuid) : [];
+
+    return service.rumors.map(rumor => ({
+      id: rumor.id,
+      topic: rumor.topic,
+      price: rumor.price,
+      affordable: actor ? hasEnoughCurrency(actor, Math.round(rumor.price * 100)) : false,
+      purchase: purchases.find(p => p.rumorId === rumor.id) || null
+    }));
+  }
+
+  /**
+   * Buy a rumor from an informant
+   * Players' purchases are carried out by the GM so the reliability roll and reveals stay authoritative.
+   * @param {string} npcActorUuid - Informant NPC UUID
+   * @param {string} playerActorUuid - Buyer UUID
+   * @param {string} rumorId - Rumor ID
+   * @returns {Promise<object>} {success, purchase, pending, error}
+   */
+  async buyRumor(npcActorUuid, playerActorUuid, rumorId) {
+    const actor = await fromUuid(playerActorUuid);
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+    if (!actor.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    if (!game.user.isGM) {
+      emitToGM(SocketEvents.SERVICE_RUMOR, { npcActorUuid, playerActorUuid, rumorId });
+      return { success: true, pending: true };
+    }
+
+    return this._buyRumor({ npcActorUuid, playerActorUuid, rumorId });
+  }
+
+  /**
+   * Handle a rumor purchase received from a player (active GM only)
+   * @param {object} payload - {npcActorUuid, playerActorUuid, rumorId}
+   * @param {string} userId - Requesting user ID
+   */
+  async handleRumorRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(userId);
+    const actor = await fromUuid(payload.playerActorUuid);
+
+    let result;
+    if (!actor?.testUserPermission(user, "OWNER")) {
+      result = { success: false, error: localize("Errors.PermissionDenied") };
+    } else {
+      try {
+        result = await this._buyRumor(payload);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Rumor request failed:`, error);
+        result = { success: false, error: error.message };
+      }
+    }
+
+    this._emitSocket("rumorResult", { userId, result });
+  }
+
+  /**
+   * Sell a rumor, roll its reliability and reveal what a true rumor points to
+   * @param {object} data - {npcActorUuid, playerActorUuid, rumorId}
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _buyRumor({ npcActorUuid, playerActorUuid, rumorId }) {
+    const npc = await fromUuid(npcActorUuid);
+    const actor = await fromUuid(playerActorUuid);
+    if (!npc) {
+      return { success: false, error: localize("Errors.NPCNotFound") };
+    }
+    if (!actor) {
+      return { success: false, error: localize("Errors.NoActorSelected") };
+    }
+
+    const rumor = this.getInformationService(npcActorUuid)?.rumors.find(r => r.id === rumorId);
+    if (!rumor) {
+      return { success: false, error: localize("Information.Errors.RumorNotFound") };
+    }
+
+    const alreadyBought = this.getPurchasedRumors(actor)
+      .some(p => p.rumorId === rumor.id && p.npcActorUuid === npcActorUuid);
+    if (alreadyBought) {
+      return { success: false, error: localize("Information.Errors.AlreadyPurchased") };
+    }
+
+    if (!hasEnoughCurrency(actor, Math.round(rumor.price * 100))) {
+      return { success: false, error: localize("Errors.NotEnoughGold") };
+    }
+
+    await this._deductCurrency(actor, rumor.price);
+
+    const roll = await new Roll("1d100").evaluate();
+    const reliable = roll.total <= Math.round(rumor.reliability * 100);
+
+    let revealedQuestId = null;
+    let revealedNoteUuid = null;
+    if (reliable && rumor.revealsQuest) {
+      const result = await game.bobsnpc.handlers.quest.revealQuest(rumor.revealsQuest, [actor]);
+      if (result.success) revealedQuestId = rumor.revealsQuest;
+    }
+    if (reliable && rumor.revealsNote) {
+      revealedNoteUuid = await this._revealRumorNote(rumor, actor);
+    }
+
+    const purchase = createRumorPurchase({
+      rumorId: rumor.id,
+      topic: rumor.topic,
+      npcActorUuid,
+      npcName: npc.name,
+      text: reliable ? rumor.text : (rumor.decoyText || localize("Information.IdleGossip")),
+      reliable,
+      price: rumor.price,
+      purchasedAt: game.time.worldTime,
+      revealedQuestId,
+      revealedNoteUuid
+    });
+
+    await this._saveRecord(actor, STORAGE_KEYS.RUMORS, purchase);
+
+    Hooks.callAll(`${MODULE_ID}.rumorPurchased`, actor, purchase);
+
+    await this._notifyOwners(actor, localize("Information.Messages.Heard", {
+      npc: npc.name,
+      name: actor.name,
+      topic: rumor.topic,
+      text: purchase.text
+    }));
+
+    return { success: true, purchase };
+  }
+
+  /**
+   * Place a rumor's map note, shared with the buyer's owners
+   * A scene gets one note per rumor however often the rumor is sold.
+   * @param {object} rumor - Rumor
+   * @param {Actor} actor - Buyer
+   * @returns {Promise<string|null>} Note UUID
+   * @private
+   */
+  async _revealRumorNote(rumor, actor) {
+    const { sceneId, x, y, label, entryUuid } = rumor.revealsNote;
+    const scene = this._getScene(sceneId);
+    if (!scene) return null;
+
+    const entry = entryUuid ? await fromUuid(entryUuid) : null;
+    const page = entry?.documentName === "JournalEntryPage" ? entry : null;
+    const journal = page ? page.parent : entry;
+
+    if (journal) {
+      const ownership = { ...journal.ownership };
+      for (const user of game.users) {
+        if (user.isGM || !actor.testUserPermission(user, "OWNER")) continue;
+        ownership[user.id] = Math.max(ownership[user.id] ?? 0, CONST.DOCUMENT_OWNERSHIP_LEVELS.OBSERVER);
+      }
+      await journal.update({ ownership });
+    }
+
+    const existing = scene.notes.find(n => n.getFlag(MODULE_ID, "rumorId") === rumor.id);
+    if (existing) return existing.uuid;
+
+    const [note] = await scene.createEmbeddedDocuments("Note", [{
+      x,
+      y,
+      text: label,
+      entryId: journal?.id ?? null,
+      pageId: page?.id ?? null,
+      flags: { [MODULE_ID]: { rumorId: rumor.id } }
+    }]);
+
+    return note?.uuid ?? null;
+  }
+
+  // ==================== STORAGE ====================
+
+  /**
+   * Save a service record (training session or job) on an actor
+   * @param {Actor} actor - Actor
+   * @param {string} key - Storage key
+   * @param {object} record - Record with an id
+   * @private
+   */
+  async _saveRecord(actor, key, record) {
+    const records = foundry.utils.deepClone(getFlag(actor, key) || {});
+    records[record.id] = record;
+    await setFlag(actor, key, records);
+  }
+
+  // ==================== SOCKET ====================
+
+  /**
+   * Emit socket event
+   * @param {string} event - Event name
+   * @param {object} data - Event data
+   * @private
+   */
+  _emitSocket(event, data) {
+    game.socket?.emit(`module.${MODULE_ID}`, {
+      type: `service.${event}`,
+      data
+    });
+  }
+
+  // ==================== CURRENCY & NOTIFICATIONS ====================
+
+  /**
+   * Add gold to an actor
+   * @param {Actor} actor - Actor
+   * @param {number} amount - Amount in gold
+   * @private
+   */
+  async _addCurrency(actor, amount) {
+    const gp = actor.system.currency?.gp || 0;
+    await actor.update({ "system.currency.gp": gp + amount });
+  }
+
+  /**
+   * Deduct currency from actor
+   * @param {Actor} actor - Actor
+   * @param {number} amount - Amount in gold
+   * @private
+   */
+  async _deductCurrency(actor, amount) {
+    const currency = { ...actor.system.currency };
+    let remaining = amount;
+
+    // Deduct from lowest value first
+    const denominations = [
+      { key: "cp", rate: 0.01 },
+      { key: "sp", rate: 0.1 },
+      { key: "ep", rate: 0.5 },
+      { key: "gp", rate: 1 },
+      { key: "pp", rate: 10 }
+    ];
+
+    for (const { key, rate } of denominations) {
+      if (remaining <= 0.001) break;
+      const available = currency[key] || 0;
+      const deductCoins = Math.min(available, Math.floor((remaining + 0.001) / rate));
+
+      currency[key] = available - deductCoins;
+      remaining -= deductCoins * rate;
+    }
+
+    // Break the smallest coin left when the exact amount cannot be paid (e.g. 5 sp from gold only)
+    if (remaining > 0.001) {
+      const coin = denominations.find(({ key }) => (currency[key] || 0) > 0);
+      if (coin) {
+        let change = Math.round((coin.rate - remaining) * 100);
+        currency[coin.key] -= 1;
+        currency.gp = (currency.gp || 0) + Math.floor(change / 100);
+        change %= 100;
+        currency.sp = (currency.sp || 0) + Math.floor(change / 10);
+        currency.cp = (currency.cp || 0) + (change % 10);
+      }
+    }
+
+    await actor.update({ "system.currency": currency });
+  }
+
+  /**
+   * Whisper a service message to the owners of an actor
+   * @param {Actor} actor - Actor
+   * @param {string} message - Message text
+   * @private
+   */
+  async _notifyOwners(actor, message) {
+    const whisper = game.users
+      .filter(u => actor.testUserPermission(u, "OWNER"))
+      .map(u => u.id);
+
+    await ChatMessage.create({
+      content: `<div class="bobsnpc-service-card"><p>${message}</p></div>`,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      whisper
+    });
+  }
+}
+
+// Singleton instance
+export const serviceHandler = new ServiceHandler();
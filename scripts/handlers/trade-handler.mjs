@@ -0,0 +1,609 @@
+/**
+ * Bob's Talking NPCs - Trade Handler
+ * Settles player-to-player trades and Quick Sends on the GM client and keeps the trade log
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+import { localize, isPartyMember } from "../utils/helpers.mjs";
+import { emit, emitToGM, getActiveTrade, SocketEvents } from "../socket.mjs";
+import {
+  TRADE_LOG_LIMIT,
+  TradeLogType,
+  createTradeOffer,
+  createTradeLogEntry,
+  createCourierDelivery,
+  validateTradeOffer,
+  goldToCopper,
+  removeCurrency,
+  addCurrency
+} from "../data/trade-model.mjs";
+
+/**
+ * Storage keys
+ */
+const STORAGE_KEYS = {
+  LOG: "tradeLog",
+  DELIVERIES: "pendingDeliveries"
+};
+
+/**
+ * Trade Handler class
+ * Players never touch the other side's actor: once both offers are locked and
+ * confirmed, the active GM checks them against the actors and moves everything.
+ */
+export class TradeHandler {
+  constructor() {
+    this._initialized = false;
+    this._settled = new Set();
+    this._delivering = false;
+    this._deliveriesPending = false;
+  }
+
+  /**
+   * Initialize the trade handler
+   */
+  async initialize() {
+    if (this._initialized) return;
+
+    Hooks.on("updateWorldTime", () => this.processDeliveries());
+
+    // Results of Quick Sends the GM carried out for this user
+    game.socket?.on(`module.${MODULE_ID}`, (data) => {
+      if (data.type !== "trade.sendResult") return;
+      if (data.data.userId !== game.user.id) return;
+
+      const result = data.data.result;
+      if (result?.error) ui.notifications.warn(result.error);
+      Hooks.callAll(`${MODULE_ID}.quickSendResult`, result);
+    });
+
+    this._initialized = true;
+    console.log(`${MODULE_ID} | Trade handler initialized`);
+  }
+
+  // ==================== SETTLEMENT ====================
+
+  /**
+   * Ask the GM to settle a trade both sides have confirmed
+   * The outcome arrives as a TRADE_COMPLETE event for both windows.
+   * @param {string} tradeId - Trade session ID
+   * @param {string[]} actorUuids - The two trading actors
+   * @returns {object} {success, pending}
+   */
+  requestSettlement(tradeId, actorUuids) {
+    emitToGM(SocketEvents.TRADE_SETTLE, { tradeId, actorUuids });
+    return { success: true, pending: true };
+  }
+
+  /**
+   * Settle a trade for a player (active GM only)
+   * @param {object} payload - {tradeId, actorUuids}
+   * @param {string} userId - Requesting user
+   */
+  async handleSettleRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    // Both sides may ask once they see the other's confirmation
+    const { tradeId } = payload;
+    if (this._settled.has(tradeId)) return;
+    this._settled.add(tradeId);
+
+    let result;
+    try {
+      result = await this._settle(payload, userId);
+    } catch (error) {
+      console.error(`${MODULE_ID} | Trade settlement failed:`, error);
+      result = { success: false, error: error.message || localize("Trade.Errors.Failed") };
+    }
+
+    if (!result.success) this._settled.delete(tradeId);
+
+    emit(SocketEvents.TRADE_COMPLETE, {
+      tradeId,
+      success: result.success,
+      error: result.error || null,
+      entryId: result.entry?.id || null
+    });
+  }
+
+  /**
+   * Validate both offers and move the items and coins
+   * @param {object} data - {tradeId, actorUuids}
+   * @param {string} userId - Requesting user
+   * @returns {Promise<object>} {success, entry} or {success, error}
+   * @private
+   */
+  async _settle({ tradeId, actorUuids = [] }, userId) {
+    const trade = getActiveTrade(tradeId);
+    if (!trade) {
+      return { success: false, error: localize("Trade.Errors.NotFound") };
+    }
+
+    const actors = await Promise.all(actorUuids.map(uuid => fromUuid(uuid)));
+    if (actors.length !== 2 || actors.some(a => !a) || actors[0] === actors[1]) {
+      return { success: false, error: localize("Trade.Errors.NotFound") };
+    }
+
+    const user = game.users.get(userId);
+    if (!actors.some(a => a.testUserPermission(user, "OWNER"))) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    // Each offer counts only as its own owner last sent it
+    const parties = [];
+    for (const actor of actors) {
+      const sent = trade.offers?.[actor.uuid];
+      if (!sent?.offer?.locked || !sent.offer.confirmed) {
+        return { success: false, error: localize("Trade.Errors.NotConfirmed", { name: actor.name }) };
+      }
+
+      const sender = game.users.get(sent.userId);
+      if (!actor.testUserPermission(sender, "OWNER")) {
+        return { success: false, error: localize("Errors.PermissionDenied") };
+      }
+
+      const offer = createTradeOffer(sent.offer);
+      const problem = validateTradeOffer(actor, offer);
+      if (problem) {
+        return { success: false, error: localize(problem, { name: actor.name }) };
+      }
+
+      parties.push({ actor, offer, userId: sent.userId });
+    }
+
+    await this._transfer(parties);
+
+    const entry = createTradeLogEntry({
+      tradeId,
+      parties: parties.map(({ actor, offer, userId }) => ({
+        actorUuid: actor.uuid,
+        actorName: actor.name,
+        userId,
+        items: offer.items,
+        gold: offer.gold
+      })),
+      worldTime: game.time.worldTime
+    });
+    await this._addLogEntry(entry);
+
+    Hooks.callAll(`${MODULE_ID}.tradeSettled`, entry);
+    return { success: true, entry };
+  }
+
+  /**
+   * Move both offers, undoing every finished step if one fails
+   * @param {object[]} parties - [{actor, offer}] for both sides
+   * @private
+   */
+  async _transfer(parties) {
+    await this._withRollback(async (undo) => {
+      for (const [from, to] of [parties, [...parties].reverse()]) {
+        const parcel = await this._takeItems(from.actor, from.offer, undo);
+        await this._giveItems(to.actor, parcel, undo);
+      }
+
+      for (const [party, other] of [parties, [...parties].reverse()]) {
+        await this._exchangeCurrency(party.actor, goldToCopper(party.offer.gold), goldToCopper(other.offer.gold), undo);
+      }
+    });
+  }
+
+  /**
+   * Run a series of document changes, undoing the finished ones if a later one fails
+   * @param {Function} fn - async (undo) => result; push an undo step after each change
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _withRollback(fn) {
+    const undo = [];
+
+    try {
+      return await fn(undo);
+    } catch (error) {
+      for (const step of undo.reverse()) {
+        try {
+          await step();
+        } catch (rollbackError) {
+          console.error(`${MODULE_ID} | Trade rollback step failed:`, rollbackError);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Take the offered items off an actor
+   * @param {Actor} actor - Giving actor
+   * @param {object} offer - Trade offer
+   * @param {Function[]} undo - Undo steps
+   * @returns {Promise<object[]>} Item source data for the taken quantities
+   * @private
+   */
+  async _takeItems(actor, offer, undo) {
+    const parcel = [];
+
+    for (const entry of offer.items) {
+      const item = actor.items.get(entry.id);
+      const quantity = item.system.quantity || 1;
+
+      const itemData = item.toObject();
+      delete itemData._id;
+      itemData.system.quantity = entry.quantity;
+      parcel.push(itemData);
+
+      if (entry.quantity >= quantity) {
+        const source = item.toObject();
+        await item.delete();
+        undo.push(() => actor.createEmbeddedDocuments("Item", [source], { keepId: true }));
+      } else {
+        await item.update({ "system.quantity": quantity - entry.quantity });
+        undo.push(() => item.update({ "system.quantity": quantity }));
+      }
+    }
+
+    return parcel;
+  }
+
+  /**
+   * Give items to an actor
+   * @param {Actor} actor - Receiving actor
+   * @param {object[]} parcel - Item source data
+   * @param {Function[]} undo - Undo steps
+   * @private
+   */
+  async _giveItems(actor, parcel, undo) {
+    if (!parcel.length) return;
+
+    const created = await actor.createEmbeddedDocuments("Item", parcel);
+    undo.push(() => actor.deleteEmbeddedDocuments("Item", created.map(item => item.id)));
+  }
+
+  /**
+   * Pay coin out of and into an actor's purse in one update
+   * @param {Actor} actor - Actor
+   * @param {number} given - Copper paid out
+   * @param {number} received - Copper paid in
+   * @param {Function[]} undo - Undo steps
+   * @private
+   */
+  async _exchangeCurrency(actor, given, received, undo) {
+    if (!given && !received) return;
+
+    const before = foundry.utils.deepClone(actor.system.currency);
+    const after = removeCurrency(before, given);
+    if (!after) {
+      throw new Error(localize("Trade.Errors.NotEnoughGold", { name: actor.name }));
+    }
+
+    await actor.update({ "system.currency": addCurrency(after, received) });
+    undo.push(() => actor.update({ "system.currency": before }));
+  }
+
+  // ==================== QUICK SEND ====================
+
+  /**
+   * Send items and coin one way to another party member
+   * Players' sends are carried out by the GM. When the two actors stand in
+   * different scenes and a courier delay is set, the parcel arrives later.
+   * @param {string} fromActorUuid - Sending actor UUID
+   * @param {string} toActorUuid - Receiving party member UUID
+   * @param {object} parcel - {items: [{id, quantity}], gold}
+   * @returns {Promise<object>} {success, entry, delivery} or {success, pending}
+   */
+  async quickSend(fromActorUuid, toActorUuid, parcel = {}) {
+    const actor = await fromUuid(fromActorUuid);
+    if (!actor?.isOwner) {
+      return { success: false, error: localize("Errors.PermissionDenied") };
+    }
+
+    if (!game.user.isGM) {
+      emitToGM(SocketEvents.TRADE_SEND, { fromActorUuid, toActorUuid, parcel });
+      return { success: true, pending: true };
+    }
+
+    return this._quickSend({ fromActorUuid, toActorUuid, parcel }, game.user.id);
+  }
+
+  /**
+   * Carry out a player's Quick Send (active GM only)
+   * @param {object} payload - {fromActorUuid, toActorUuid, parcel}
+   * @param {string} userId - Requesting user
+   */
+  async handleSendRequest(payload, userId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(userId);
+    const actor = await fromUuid(payload.fromActorUuid);
+
+    let result;
+    if (!actor?.testUserPermission(user, "OWNER")) {
+      result = { success: false, error: localize("Errors.PermissionDenied") };
+    } else {
+      try {
+        result = await this._quickSend(payload, userId);
+      } catch (error) {
+        console.error(`${MODULE_ID} | Quick Send failed:`, error);
+        result = { success: false, error: error.message };
+      }
+    }
+
+    this._emitSocket("sendResult", { userId, result });
+  }
+
+  /**
+   * Hand a parcel over, or give it to a courier
+   * @param {object} data - {fromActorUuid, toActorUuid, parcel}
+   * @param {string} userId - Sending user
+   * @returns {Promise<object>}
+   * @private
+   */
+  async _quickSend({ fromActorUuid, toActorUuid, parcel = {} }, userId) {
+    const from = await fromUuid(fromActorUuid);
+    const to = await fromUuid(toActorUuid);
+    if (!from || !to || from === to || !isPartyMember(to)) {
+      return { success: false, error: localize("Trade.Send.Errors.NotPartyMember") };
+    }
+
+    const offer = createTradeOffer({ items: parcel.items, gold: parcel.gold });
+    if (!offer.items.length && !offer.gold) {
+      return { success: false, error: localize("Trade.Send.Errors.NothingToSend") };
+    }
+
+    const problem = validateTradeOffer(from, offer);
+    if (problem) {
+      return { success: false, error: localize(problem, { name: from.name }) };
+    }
+
+    // Log the items under their current names
+    for (const entry of offer.items) {
+      const item = from.items.get(entry.id);
+      Object.assign(entry, { uuid: item.uuid, name: item.name, img: item.img });
+    }
+
+    const now = game.time.worldTime;
+    const hours = this.getCourierHours(from, to);
+    const delivery = hours > 0
+      ? createCourierDelivery({
+        fromActorUuid: from.uuid,
+        fromName: from.name,
+        toActorUuid: to.uuid,
+        toName: to.name,
+        gold: offer.gold,
+        sentAt: now,
+        deliverAt: game.bobsnpc?.handlers?.calendar?.addHours(now, hours) ?? now + (hours * 3600)
+      })
+      : null;
+
+    if (delivery) {
+      // The courier holds the parcel until it arrives
+      await this._withRollback(async (undo) => {
+        delivery.items = await this._takeItems(from, offer, undo);
+        await this._exchangeCurrency(from, goldToCopper(offer.gold), 0, undo);
+        await this._saveDeliveries([...this.getPendingDeliveries(), delivery]);
+      });
+    } else {
+      await this._transfer([{ actor: from, offer }, { actor: to, offer: createTradeOffer() }]);
+    }
+
+    const entry = createTradeLogEntry({
+      type: TradeLogType.SEND,
+      parties: [
+        { actorUuid: from.uuid, actorName: from.name, userId, items: offer.items, gold: offer.gold },
+        { actorUuid: to.uuid, actorName: to.name }
+      ],
+      worldTime: now,
+      deliverAt: delivery?.deliverAt ?? null
+    });
+    await this._addLogEntry(entry);
+
+    const contents = this._describeParcel(offer.items, offer.gold);
+    if (delivery) {
+      await this._notifyOwners(from, localize("Trade.Send.Messages.Dispatched", {
+        contents,
+        name: to.name,
+        date: game.bobsnpc?.handlers?.calendar?.formatDate(delivery.deliverAt) ?? ""
+      }));
+    } else {
+      await this._notifyOwners(to, localize("Trade.Send.Messages.Received", { contents, name: from.name }));
+    }
+
+    Hooks.callAll(`${MODULE_ID}.quickSent`, entry, delivery);
+    return { success: true, entry, delivery };
+  }
+
+  /**
+   * Get how long a courier takes between two actors
+   * @param {Actor} from - Sending actor
+   * @param {Actor} to - Receiving actor
+   * @returns {number} In-game hours, 0 when the parcel is handed over at once
+   */
+  getCourierHours(from, to) {
+    const hours = game.settings.get(MODULE_ID, "courierDelayHours") || 0;
+    return hours > 0 && this._isElsewhere(from, to) ? hours : 0;
+  }
+
+  /**
+   * Whether two actors have tokens only in different scenes
+   * Actors without a token anywhere count as being with the party.
+   * @param {Actor} a - First actor
+   * @param {Actor} b - Second actor
+   * @returns {boolean}
+   * @private
+   */
+  _isElsewhere(a, b) {
+    const scenesOf = (actor) => actor.isToken
+      ? [actor.token.parent.id]
+      : game.scenes.filter(scene => scene.tokens.some(t => t.actorLink && t.actorId === actor.id)).map(s => s.id);
+
+    const first = scenesOf(a);
+    const second = scenesOf(b);
+    return first.length > 0 && second.length > 0 && !first.some(id => second.includes(id));
+  }
+
+  /**
+   * Describe a parcel for chat
+   * @param {object[]} items - [{name, quantity}]
+   * @param {number} gold - Gold pieces
+   * @returns {string}
+   * @private
+   */
+  _describeParcel(items, gold) {
+    const parts = items.map(item => item.quantity > 1 ? `${item.quantity}× ${item.name}` : item.name);
+    if (gold) parts.push(`${gold} gp`);
+    return parts.join(", ");
+  }
+
+  // ==================== COURIER DELIVERIES ====================
+
+  /**
+   * Get parcels still travelling
+   * @param {string} actorUuid - Only parcels to or from this actor
+   * @returns {object[]}
+   */
+  getPendingDeliveries(actorUuid = null) {
+    const deliveries = game.settings.get(MODULE_ID, STORAGE_KEYS.DELIVERIES) || [];
+    return deliveries.filter(d => !actorUuid || d.fromActorUuid === actorUuid || d.toActorUuid === actorUuid);
+  }
+
+  /**
+   * Hand over every parcel whose courier has arrived (active GM only)
+   * A parcel whose recipient no longer exists goes back to the sender.
+   * @returns {Promise<object[]>} Delivered parcels
+   */
+  async processDeliveries() {
+    if (game.user !== game.users.activeGM) return [];
+
+    // World time can change again while parcels are still being handed over
+    if (this._delivering) {
+      this._deliveriesPending = true;
+      return [];
+    }
+
+    this._delivering = true;
+    const delivered = [];
+
+    try {
+      const now = game.time.worldTime;
+      const due = this.getPendingDeliveries().filter(d => d.deliverAt <= now);
+
+      for (const delivery of due) {
+        const recipient = await fromUuid(delivery.toActorUuid) ?? await fromUuid(delivery.fromActorUuid);
+        try {
+          if (recipient) {
+            await this._withRollback(async (undo) => {
+              await this._giveItems(recipient, delivery.items, undo);
+              await this._exchangeCurrency(recipient, 0, goldToCopper(delivery.gold), undo);
+            });
+
+            const contents = this._describeParcel(
+              delivery.items.map(i => ({ name: i.name, quantity: i.system?.quantity ?? 1 })),
+              delivery.gold
+            );
+            await this._notifyOwners(recipient, localize("Trade.Send.Messages.Delivered", { contents, name: delivery.fromName }));
+          } else {
+            console.warn(`${MODULE_ID} | Parcel ${delivery.id} had nobody to deliver to and was lost`);
+          }
+
+          delivered.push(delivery);
+          Hooks.callAll(`${MODULE_ID}.parcelDelivered`, delivery, recipient);
+        } catch (error) {
+          console.error(`${MODULE_ID} | Failed to deliver parcel ${delivery.id}:`, error);
+        }
+      }
+
+      if (delivered.length) {
+        const deliveredIds = new Set(delivered.map(d => d.id));
+        await this._saveDeliveries(this.getPendingDeliveries().filter(d => !deliveredIds.has(d.id)));
+      }
+    } finally {
+      this._delivering = false;
+    }
+
+    if (this._deliveriesPending) {
+      this._deliveriesPending = false;
+      delivered.push(...await this.processDeliveries());
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Save the parcels still travelling
+   * @param {object[]} deliveries - Courier deliveries
+   * @private
+   */
+  async _saveDeliveries(deliveries) {
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.DELIVERIES, deliveries);
+  }
+
+  // ==================== TRADE LOG ====================
+
+  /**
+   * Get completed trades, newest first
+   * @param {object} options - {actorUuid: only trades this actor took part in, limit}
+   * @returns {object[]}
+   */
+  getLog({ actorUuid = null, limit = TRADE_LOG_LIMIT } = {}) {
+    const log = game.settings.get(MODULE_ID, STORAGE_KEYS.LOG) || [];
+    return log
+      .filter(entry => !actorUuid || entry.parties.some(p => p.actorUuid === actorUuid))
+      .slice(0, limit);
+  }
+
+  /**
+   * Record a completed trade
+   * @param {object} entry - Trade log entry
+   * @private
+   */
+  async _addLogEntry(entry) {
+    const log = [entry, ...(game.settings.get(MODULE_ID, STORAGE_KEYS.LOG) || [])];
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.LOG, log.slice(0, TRADE_LOG_LIMIT));
+  }
+
+  /**
+   * Clear the trade log (GM only)
+   */
+  async clearLog() {
+    if (!game.user.isGM) {
+      throw new Error(localize("Errors.GMOnly"));
+    }
+    await game.settings.set(MODULE_ID, STORAGE_KEYS.LOG, []);
+  }
+
+  // ==================== HELPERS ====================
+
+  /**
+   * Send a result back to a requesting client
+   * @param {string} event - Event name
+   * @param {object} data - Event data
+   * @private
+   */
+  _emitSocket(event, data) {
+    game.socket?.emit(`module.${MODULE_ID}`, {
+      type: `trade.${event}`,
+      data
+    });
+  }
+
+  /**
+   * Whisper a message to the owners of an actor
+   * @param {Actor} actor - Actor
+   * @param {string} message - Message text
+   * @private
+   */
+  async _notifyOwners(actor, message) {
+    const whisper = game.users
+      .filter(u => actor.testUserPermission(u, "OWNER"))
+      .map(u => u.id);
+
+    await ChatMessage.create({
+      content: `<div class="bobsnpc-trade-card"><p>${message}</p></div>`,
+      speaker: ChatMessage.getSpeaker({ actor }),
+      whisper
+    });
+  }
+}
+
+// Singleton instance
+export const tradeHandler = new TradeHandler();
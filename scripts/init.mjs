@@ -6,8 +6,10 @@
 // Define MODULE_ID locally to avoid circular dependency with module.mjs
 const MODULE_ID = "bobs-talking-npcs";
 import { initializeAppearance, getSetting } from "./settings.mjs";
+import { isPartyMember } from "./utils/helpers.mjs";
 
 // Import handlers for initialization
+import { CalendarHandler } from "./handlers/calendar-handler.mjs";
 import { QuestHandler } from "./handlers/quest-handler.mjs";
 import { DialogueHandler } from "./handlers/dialogue-handler.mjs";
 import { FactionHandler } from "./handlers/faction-handler.mjs";
@@ -18,6 +20,14 @@ import { CrimeHandler } from "./handlers/crime-handler.mjs";
 import { HirelingHandler } from "./handlers/hireling-handler.mjs";
 import { PropertyHandler } from "./handlers/property-handler.mjs";
 import { NPCHandler } from "./handlers/npc-handler.mjs";
+import { LootHandler } from "./handlers/loot-handler.mjs";
+import { ServiceHandler } from "./handlers/service-handler.mjs";
+import { SchedulerHandler } from "./handlers/scheduler-handler.mjs";
+import { TradeHandler } from "./handlers/trade-handler.mjs";
+import { EventHandler } from "./handlers/event-handler.mjs";
+import { getPendingMigrations, planMigrations, applyMigrations } from "./migrations.mjs";
+import { registerQuestLocationBehavior } from "./data/quest-location-behavior.mjs";
+import { QuestMarkers } from "./apps/quest-markers.mjs";
 
 /**
  * Handler instances
@@ -44,6 +54,9 @@ export function initializeHooks() {
   // Register Handlebars helpers
   registerHandlebarsHelpers();
 
+  // Region behavior for location objectives
+  registerQuestLocationBehavior();
+
   console.log(`${MODULE_ID} | Hooks initialized`);
 }
 
@@ -93,6 +106,30 @@ async function loadTemplates() {
     `modules/${MODULE_ID}/templates/property/content.hbs`,
     `modules/${MODULE_ID}/templates/property/footer.hbs`,
 
+    // Loot templates
+    `modules/${MODULE_ID}/templates/loot/header.hbs`,
+    `modules/${MODULE_ID}/templates/loot/content.hbs`,
+
+    // Training templates
+    `modules/${MODULE_ID}/templates/training/header.hbs`,
+    `modules/${MODULE_ID}/templates/training/content.hbs`,
+
+    // Enchanting templates
+    `modules/${MODULE_ID}/templates/enchanting/header.hbs`,
+    `modules/${MODULE_ID}/templates/enchanting/content.hbs`,
+
+    // Transportation templates
+    `modules/${MODULE_ID}/templates/transportation/header.hbs`,
+    `modules/${MODULE_ID}/templates/transportation/content.hbs`,
+
+    // Inn templates
+    `modules/${MODULE_ID}/templates/inn/header.hbs`,
+    `modules/${MODULE_ID}/templates/inn/content.hbs`,
+
+    // Information templates
+    `modules/${MODULE_ID}/templates/information/header.hbs`,
+    `modules/${MODULE_ID}/templates/information/content.hbs`,
+
     // NPC Config templates
     `modules/${MODULE_ID}/templates/npc-config/tabs.hbs`,
     `modules/${MODULE_ID}/templates/npc-config/general.hbs`,
@@ -118,6 +155,7 @@ async function loadTemplates() {
     `modules/${MODULE_ID}/templates/trade/your-offer.hbs`,
     `modules/${MODULE_ID}/templates/trade/their-offer.hbs`,
     `modules/${MODULE_ID}/templates/trade/footer.hbs`,
+    `modules/${MODULE_ID}/templates/trade/quick-send.hbs`,
 
     // Dialogue Editor templates
     `modules/${MODULE_ID}/templates/dialogue-editor/toolbar.hbs`,
@@ -148,7 +186,11 @@ async function loadTemplates() {
     `modules/${MODULE_ID}/templates/faction-editor/ranks.hbs`,
     `modules/${MODULE_ID}/templates/faction-editor/relationships.hbs`,
     `modules/${MODULE_ID}/templates/faction-editor/settings.hbs`,
-    `modules/${MODULE_ID}/templates/faction-editor/footer.hbs`
+    `modules/${MODULE_ID}/templates/faction-editor/footer.hbs`,
+
+    // Event Editor templates
+    `modules/${MODULE_ID}/templates/event-editor/content.hbs`,
+    `modules/${MODULE_ID}/templates/event-editor/footer.hbs`
   ];
 
   try {
@@ -276,15 +318,57 @@ export function registerReadyHooks() {
   // Register render hooks for UI integration
   registerRenderHooks();
 
+  // Register canvas hooks for quest markers
+  registerCanvasHooks();
+
+  // Schedule automatic backups
+  scheduleAutoBackups();
+
   console.log(`${MODULE_ID} | Ready hooks registered`);
 }
 
+/**
+ * Register canvas hooks
+ * Quest markers follow the viewed scene, quest progress and region changes.
+ */
+function registerCanvasHooks() {
+  const refresh = () => QuestMarkers.refresh();
+
+  Hooks.on("canvasReady", refresh);
+  Hooks.on("canvasTearDown", () => QuestMarkers.clear());
+  Hooks.on(`${MODULE_ID}.questUpdated`, refresh);
+  Hooks.on("bobsNPCQuestUpdated", refresh);
+  for (const hook of ["createRegion", "updateRegion", "deleteRegion"]) {
+    Hooks.on(hook, (region) => {
+      if (region.parent === canvas.scene) refresh();
+    });
+  }
+
+  if (canvas?.ready) refresh();
+}
+
+/**
+ * Schedule automatic backups (GM only)
+ * Checks once at startup and then hourly while the session is open.
+ */
+function scheduleAutoBackups() {
+  if (!game.user.isGM) return;
+
+  const check = () => game.bobsnpc?.backup?.runScheduled().catch(error => {
+    console.error(`${MODULE_ID} | Automatic backup failed:`, error);
+  });
+
+  check();
+  setInterval(check, 60 * 60 * 1000);
+}
+
 /**
  * Initialize all module handlers
  */
 function initializeHandlers() {
   try {
-    // Create handler instances
+    // Create handler instances (calendar first, others read dates through it)
+    handlers.calendar = new CalendarHandler();
     handlers.quest = new QuestHandler();
     handlers.dialogue = new DialogueHandler();
     handlers.faction = new FactionHandler();
@@ -295,11 +379,17 @@ function initializeHandlers() {
     handlers.hireling = new HirelingHandler();
     handlers.property = new PropertyHandler();
     handlers.npc = new NPCHandler();
+    handlers.loot = new LootHandler();
+    handlers.service = new ServiceHandler();
+    handlers.scheduler = new SchedulerHandler();
+    handlers.trade = new TradeHandler();
+    handlers.event = new EventHandler();
 
     // Initialize each handler
+    const loading = [];
     for (const [name, handler] of Object.entries(handlers)) {
       if (typeof handler.initialize === "function") {
-        handler.initialize();
+        loading.push(handler.initialize());
       }
     }
 
@@ -308,10 +398,119 @@ function initializeHandlers() {
       game.bobsnpc.handlers = handlers;
     }
 
+    // Catch up scheduled jobs once every handler has loaded its data
+    Promise.allSettled(loading)
+      .then(() => handlers.scheduler.runDueJobs())
+      .catch(error => {
+        console.error(`${MODULE_ID} | Scheduled job catch-up failed:`, error);
+      });
+
     console.log(`${MODULE_ID} | Handlers initialized`);
   } catch (error) {
     console.error(`${MODULE_ID} | Failed to initialize handlers:`, error);
   }
+
+  // Upgrade data written by older module versions
+  checkMigrations().catch(error => {
+    console.error(`${MODULE_ID} | Data migration failed:`, error);
+  });
+}
+
+/**
+ * Offer pending data migrations to the active GM
+ * Shows a dry-run report of every change and only writes after confirmation.
+ * The report's plan is only for display; the migrations are planned again on confirmation.
+ */
+export async function checkMigrations() {
+  if (!game.user.isGM || game.user !== game.users.activeGM) return;
+  if (!getPendingMigrations().length) return;
+
+  const plan = planMigrations();
+
+  // Nothing stored needs changing (e.g. a new world), just record the version
+  if (!plan.hasChanges) {
+    await applyMigrations(plan);
+    if (plan.failed) ui.notifications.error(formatMigrationFailure(plan.failed));
+    return;
+  }
+
+  const confirmed = await Dialog.confirm({
+    title: game.i18n.localize("BOBSNPC.Migrations.Title"),
+    content: renderMigrationReport(plan),
+    yes: () => true,
+    no: () => false,
+    defaultYes: false
+  });
+
+  if (!confirmed) {
+    ui.notifications.warn(game.i18n.localize("BOBSNPC.Migrations.Postponed"));
+    return;
+  }
+
+  await game.bobsnpc?.backup?.create({ label: "Before migration", auto: true });
+
+  // Handlers kept saving while the dialog was open; migrate what is stored now
+  const current = planMigrations();
+  await applyMigrations(current);
+  await reloadHandlers();
+
+  ui.notifications.info(game.i18n.format("BOBSNPC.Migrations.Applied", { version: current.toVersion }));
+  if (current.failed) ui.notifications.error(formatMigrationFailure(current.failed));
+}
+
+/**
+ * Describe the migration a plan stopped at
+ * @param {object} failed - plan.failed {version, label, error}
+ * @returns {string}
+ */
+function formatMigrationFailure(failed) {
+  return game.i18n.format("BOBSNPC.Migrations.Failed", failed);
+}
+
+/**
+ * Build the dry-run report shown before migrating
+ * @param {object} plan - Plan from planMigrations()
+ * @returns {string} HTML
+ */
+function renderMigrationReport(plan) {
+  const maxShown = 20;
+  const escape = foundry.utils.escapeHTML;
+
+  const steps = plan.steps.map(step => {
+    const shown = step.changes.slice(0, maxShown).map(change => `<li>${escape(change)}</li>`);
+    if (step.changes.length > maxShown) {
+      shown.push(`<li>${game.i18n.format("BOBSNPC.Migrations.More", { count: step.changes.length - maxShown })}</li>`);
+    }
+    const list = shown.length ? `<ul>${shown.join("")}</ul>` : `<p>${game.i18n.localize("BOBSNPC.Migrations.NoChanges")}</p>`;
+    return `<h4>${escape(step.label)}</h4>${list}`;
+  });
+
+  if (plan.failed) {
+    steps.push(`<p class="bobsnpc-migration-failed">${escape(formatMigrationFailure(plan.failed))}</p>`);
+  }
+
+  return `
+    <p>${game.i18n.format("BOBSNPC.Migrations.Intro", { from: plan.fromVersion, to: plan.toVersion })}</p>
+    <div class="bobsnpc-migration-report">${steps.join("")}</div>
+    <p>${game.i18n.localize("BOBSNPC.Migrations.Confirm")}</p>
+  `;
+}
+
+/**
+ * Reload every handler's data from storage
+ * Used after bulk writes to the stored settings (backup restore, migrations)
+ */
+export async function reloadHandlers() {
+  for (const [name, handler] of Object.entries(handlers)) {
+    if (typeof handler.reload !== "function") continue;
+    try {
+      await handler.reload();
+    } catch (error) {
+      console.error(`${MODULE_ID} | Failed to reload ${name} handler:`, error);
+    }
+  }
+
+  console.log(`${MODULE_ID} | Handlers reloaded`);
 }
 
 /**
@@ -544,6 +743,11 @@ function registerCombatHooks() {
         combat,
         defeated: defeated.map(c => c.actor)
       });
+
+      // Gather the defeated combatants' gear into a single corpse pile
+      handlers.loot?.consolidateCorpses(combat, defeated).catch(error => {
+        console.error(`${MODULE_ID} | Corpse consolidation failed:`, error);
+      });
     }
   });
 }
@@ -570,6 +774,31 @@ function registerRenderHooks() {
     });
   });
 
+  // Quick Send on party members' character sheets
+  const canQuickSend = (actor) => actor?.type === "character" && actor.isOwner && isPartyMember(actor);
+
+  Hooks.on("getActorSheetHeaderButtons", (sheet, buttons) => {
+    if (!canQuickSend(sheet.actor)) return;
+
+    buttons.unshift({
+      label: game.i18n.localize("BOBSNPC.Trade.QuickSend"),
+      class: "bobsnpc-quick-send",
+      icon: "fas fa-paper-plane",
+      onclick: () => game.bobsnpc?.ui?.openQuickSend(sheet.actor.uuid)
+    });
+  });
+
+  Hooks.on("getHeaderControlsActorSheetV2", (sheet, controls) => {
+    if (!canQuickSend(sheet.actor)) return;
+
+    controls.push({
+      action: "bobsnpcQuickSend",
+      label: "BOBSNPC.Trade.QuickSend",
+      icon: "fa-solid fa-paper-plane",
+      onClick: () => game.bobsnpc?.ui?.openQuickSend(sheet.actor.uuid)
+    });
+  });
+
   // Add module section to sidebar
   Hooks.on("renderSidebarTab", (app, html, data) => {
     // Could add quest log shortcut to journal tab, etc.
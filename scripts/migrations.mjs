@@ -0,0 +1,367 @@
+/**
+ * Bob's Talking NPCs - Data Migrations
+ * Schema versioning and ordered upgrades for stored module data
+ */
+
+// Define MODULE_ID locally to avoid circular dependency with module.mjs
+const MODULE_ID = "bobs-talking-npcs";
+
+import {
+  createQuest,
+  LEGACY_QUEST_STATE_FIELDS,
+  hasLegacyQuestState,
+  splitLegacyQuest
+} from "./data/quest-model.mjs";
+import { createDialogue, createNode } from "./data/dialogue-model.mjs";
+import { createFaction } from "./data/faction-model.mjs";
+import {
+  createBank,
+  createBankAccount,
+  createLoan,
+  createSafeDepositBox
+} from "./data/bank-model.mjs";
+import { localize } from "./utils/helpers.mjs";
+
+/**
+ * Current schema version of stored module data
+ * Bump this together with a new entry in MIGRATIONS.
+ */
+export const SCHEMA_VERSION = 6;
+
+/**
+ * Settings a migration may read and rewrite
+ */
+const MIGRATED_SETTINGS = Object.freeze(["worldData", "factions", "hirelings"]);
+
+/**
+ * worldData collections and the model factory each record is normalized through
+ */
+const WORLD_DATA_MODELS = Object.freeze({
+  // Quest progress is kept here for migration 5 to move into instances
+  quests: record => ({
+    ...createQuest(record),
+    ...Object.fromEntries(LEGACY_QUEST_STATE_FIELDS.filter(field => field in record).map(field => [field, record[field]]))
+  }),
+  dialogues: createDialogue,
+  factions: createFaction,
+  banks: createBank,
+  bankAccounts: createBankAccount,
+  loans: createLoan,
+  safeDepositBoxes: createSafeDepositBox
+});
+
+/**
+ * NPC config properties that must be stored as arrays
+ */
+const NPC_CONFIG_ARRAYS = Object.freeze(["factions", "hirelings", "mounts", "expectedScenes"]);
+
+/**
+ * Ordered migrations
+ * Each migration mutates the working state in place and reports every change
+ * it makes, so the same code produces both the dry-run report and the upgrade.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    label: "Migrations.LegacyFactions",
+    migrate: migrateLegacyFactions
+  },
+  {
+    version: 2,
+    label: "Migrations.NormalizeRecords",
+    migrate: migrateNormalizeRecords
+  },
+  {
+    version: 3,
+    label: "Migrations.NPCConfigArrays",
+    migrate: migrateNPCConfigArrays
+  },
+  {
+    version: 4,
+    label: "Migrations.StockRefreshWorldTime",
+    migrate: migrateStockRefreshWorldTime
+  },
+  {
+    version: 5,
+    label: "Migrations.QuestInstances",
+    migrate: migrateQuestInstances
+  },
+  {
+    version: 6,
+    label: "Migrations.HirelingPayWorldTime",
+    migrate: migrateHirelingPayWorldTime
+  }
+];
+
+// ==================== MIGRATIONS ====================
+
+/**
+ * Copy factions from the legacy "factions" setting into worldData
+ * Early versions wrote factions to their own setting; the faction handler only reads worldData.
+ * @param {object} state - Working state
+ * @param {Function} report - Change reporter
+ */
+function migrateLegacyFactions(state, report) {
+  const legacy = state.settings.factions;
+  const entries = Array.isArray(legacy)
+    ? legacy.map(faction => [faction?.id, faction])
+    : Object.entries(legacy || {});
+
+  const worldData = state.settings.worldData;
+  worldData.factions ??= {};
+
+  for (const [id, faction] of entries) {
+    if (!id || !faction || typeof faction !== "object") continue;
+    if (worldData.factions[id]) continue;
+
+    worldData.factions[id] = { ...faction, id };
+    report(localize("Migrations.MovedFaction", { name: faction.name || id }));
+  }
+}
+
+/**
+ * Pass every stored quest, dialogue, faction and bank record through its current model
+ * Fills properties added since the record was written and aligns record IDs with their storage keys.
+ * @param {object} state - Working state
+ * @param {Function} report - Change reporter
+ */
+function migrateNormalizeRecords(state, report) {
+  const worldData = state.settings.worldData;
+
+  for (const [collection, factory] of Object.entries(WORLD_DATA_MODELS)) {
+    const records = worldData[collection];
+    if (!records || typeof records !== "object") continue;
+
+    for (const [id, record] of Object.entries(records)) {
+      const name = record?.name || id;
+
+      if (!record || typeof record !== "object") {
+        delete records[id];
+        report(localize("Migrations.RemovedInvalid", { type: collection, name }));
+        continue;
+      }
+
+      const normalized = factory({ ...record, id });
+      if (collection === "dialogues") {
+        normalized.nodes = Object.fromEntries(
+          Object.entries(normalized.nodes || {}).map(([nodeId, node]) => [nodeId, createNode({ ...node, id: nodeId })])
+        );
+      }
+
+      const clean = JSON.parse(JSON.stringify(normalized));
+      if (foundry.utils.objectsEqual(clean, record)) continue;
+
+      records[id] = clean;
+      report(localize("Migrations.NormalizedRecord", { type: collection, name }));
+    }
+  }
+}
+
+/**
+ * Coerce NPC config list properties back into arrays
+ * Configs saved by 0.1.3 could store these as objects, which breaks faction membership lookups.
+ * @param {object} state - Working state
+ * @param {Function} report - Change reporter
+ */
+function migrateNPCConfigArrays(state, report) {
+  for (const entry of Object.values(state.actors)) {
+    const config = entry.config;
+    if (!config || typeof config !== "object") continue;
+
+    const fixed = [];
+    for (const key of NPC_CONFIG_ARRAYS) {
+      const value = config[key];
+      if (value === undefined || Array.isArray(value)) continue;
+
+      if (value === null) config[key] = [];
+      else if (typeof value === "object") config[key] = Object.values(value);
+      else config[key] = [value];
+      fixed.push(key);
+    }
+
+    if (fixed.length) {
+      report(localize("Migrations.FixedNPCConfig", { name: entry.name, fields: fixed.join(", ") }));
+    }
+  }
+}
+
+/**
+ * Move merchant restock times from real-world timestamps to world time
+ * Stock refresh used to be timed with Date.now(); it now follows the calendar, so old
+ * timestamps would read as far in the future and block every restock.
+ * @param {object} state - Working state
+ * @param {Function} report - Change reporter
+ */
+function migrateStockRefreshWorldTime(state, report) {
+  const merchants = state.settings.worldData.merchants;
+  if (!merchants || typeof merchants !== "object") return;
+
+  const now = game.time.worldTime;
+  for (const [id, merchant] of Object.entries(merchants)) {
+    const lastRefresh = merchant?.stockRefresh?.lastRefresh;
+    if (typeof lastRefresh !== "number" || lastRefresh <= now) continue;
+
+    merchant.stockRefresh.lastRefresh = now;
+    report(localize("Migrations.ResetStockRefresh", { name: merchant.name || id }));
+  }
+}
+
+/**
+ * Move quest progress off quest definitions into quest instances
+ * Quests used to hold one global status; progress is now kept per party or per character.
+ * @param {object} state - Working state
+ * @param {Function} report - Change reporter
+ */
+function migrateQuestInstances(state, report) {
+  const worldData = state.settings.worldData;
+  const quests = worldData.quests;
+  if (!quests || typeof quests !== "object") return;
+
+  worldData.questInstances ??= {};
+  for (const [id, record] of Object.entries(quests)) {
+    if (!hasLegacyQuestState(record)) continue;
+
+    const { quest, instances } = splitLegacyQuest({ ...record, id });
+    quests[id] = JSON.parse(JSON.stringify(quest));
+    for (const instance of instances) worldData.questInstances[instance.id] = instance;
+    report(localize("Migrations.SplitQuest", { name: record.name || id, count: instances.length }));
+  }
+}
+
+/**
+ * Move hireling wage due dates from real-world timestamps to world time
+ * Wages used to fall due by Date.now(); they now follow the calendar, so old
+ * timestamps would read as far in the future and never come due.
+ * @param {object} state - Working state
+ * @param {Function} report - Change reporter
+ */
+function migrateHirelingPayWorldTime(state, report) {
+  const hirelings = state.settings.hirelings;
+  if (!hirelings || typeof hirelings !== "object") return;
+
+  const now = game.time.worldTime;
+  for (const [id, hireling] of Object.entries(hirelings)) {
+    const nextPaymentDue = hireling?.contract?.nextPaymentDue;
+    if (typeof nextPaymentDue !== "number" || nextPaymentDue <= now) continue;
+
+    hireling.contract.nextPaymentDue = now;
+    report(localize("Migrations.ResetHirelingPay", { name: hireling.name || id }));
+  }
+}
+
+// ==================== RUNNER ====================
+
+/**
+ * Get the schema version the stored data was last migrated to
+ * @returns {number}
+ */
+export function getSchemaVersion() {
+  return game.settings.get(MODULE_ID, "schemaVersion") || 0;
+}
+
+/**
+ * Get the migrations that have not been applied yet, in order
+ * @param {number} fromVersion - Stored schema version
+ * @returns {object[]}
+ */
+export function getPendingMigrations(fromVersion = getSchemaVersion()) {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Snapshot the stored data migrations operate on
+ * @returns {object} {settings, actors}
+ * @private
+ */
+function collectState() {
+  const settings = {};
+  for (const key of MIGRATED_SETTINGS) {
+    settings[key] = foundry.utils.deepClone(game.settings.get(MODULE_ID, key) ?? {});
+  }
+
+  const actors = {};
+  for (const actor of game.actors) {
+    const config = actor.getFlag(MODULE_ID, "config");
+    if (!config) continue;
+    actors[actor.id] = { name: actor.name, config: foundry.utils.deepClone(config) };
+  }
+
+  return { settings, actors };
+}
+
+/**
+ * Run all pending migrations against a copy of the stored data without saving anything
+ * Each migration works on its own copy, so one that throws leaves no partial changes.
+ * Planning stops at the first failure; toVersion is the last migration that succeeded.
+ * @returns {object} Plan {fromVersion, toVersion, steps: [{version, label, changes}], failed, hasChanges}
+ */
+export function planMigrations() {
+  const fromVersion = getSchemaVersion();
+  let state = collectState();
+  let toVersion = fromVersion;
+  let failed = null;
+  const steps = [];
+
+  for (const migration of getPendingMigrations(fromVersion)) {
+    const draft = foundry.utils.deepClone(state);
+    const changes = [];
+    try {
+      migration.migrate(draft, message => changes.push(message));
+    } catch (error) {
+      console.error(`${MODULE_ID} | Migration ${migration.version} failed:`, error);
+      failed = { version: migration.version, label: localize(migration.label), error: error.message };
+      break;
+    }
+
+    state = draft;
+    toVersion = migration.version;
+    steps.push({ version: migration.version, label: localize(migration.label), changes });
+  }
+
+  return {
+    fromVersion,
+    toVersion,
+    steps,
+    failed,
+    hasChanges: steps.some(step => step.changes.length),
+    state
+  };
+}
+
+/**
+ * Write a migration plan to storage and record the new schema version
+ * Only the migrations that succeeded are written; the schema version stops before a failed one.
+ * Handlers must be reloaded afterwards.
+ * @param {object} plan - Plan from planMigrations()
+ * @returns {Promise<object>} The applied plan
+ */
+export async function applyMigrations(plan = planMigrations()) {
+  if (!game.user.isGM) {
+    throw new Error(localize("Errors.GMOnly"));
+  }
+
+  for (const key of MIGRATED_SETTINGS) {
+    const stored = game.settings.get(MODULE_ID, key) ?? {};
+    if (!foundry.utils.objectsEqual(stored, plan.state.settings[key])) {
+      await game.settings.set(MODULE_ID, key, plan.state.settings[key]);
+    }
+  }
+
+  for (const [actorId, entry] of Object.entries(plan.state.actors)) {
+    const actor = game.actors.get(actorId);
+    if (!actor) continue;
+    if (!foundry.utils.objectsEqual(actor.getFlag(MODULE_ID, "config") ?? {}, entry.config)) {
+      await actor.setFlag(MODULE_ID, "config", entry.config);
+    }
+  }
+
+  if (plan.toVersion > plan.fromVersion) {
+    await game.settings.set(MODULE_ID, "schemaVersion", plan.toVersion);
+  }
+
+  Hooks.callAll(`${MODULE_ID}.dataMigrated`, plan);
+  console.log(`${MODULE_ID} | Data migrated from schema ${plan.fromVersion} to ${plan.toVersion}`);
+  return plan;
+}
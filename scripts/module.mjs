@@ -29,6 +29,13 @@ import { PropertyManager } from "./apps/property-manager.mjs";
 import { NPCConfig } from "./apps/npc-config.mjs";
 import { GMDashboard } from "./apps/gm-dashboard.mjs";
 import { TradeWindow } from "./apps/trade-window.mjs";
+import { LootWindow } from "./apps/loot-window.mjs";
+import { TrainingWindow } from "./apps/training-window.mjs";
+import { EnchantingWindow } from "./apps/enchanting-window.mjs";
+import { TransportationWindow } from "./apps/transportation-window.mjs";
+import { InnWindow } from "./apps/inn-window.mjs";
+import { InformationWindow } from "./apps/information-window.mjs";
+import { QuickSendWindow } from "./apps/quick-send-window.mjs";
 
 // Export UI applications for external use
 export {
@@ -42,7 +49,14 @@ export {
   PropertyManager,
   NPCConfig,
   GMDashboard,
-  TradeWindow
+  TradeWindow,
+  LootWindow,
+  TrainingWindow,
+  EnchantingWindow,
+  TransportationWindow,
+  InnWindow,
+  InformationWindow,
+  QuickSendWindow
 };
 
 /**
@@ -131,6 +131,21 @@ function registerWorldSettings() {
     requiresReload: false
   });
 
+  game.settings.register(MODULE_ID, "calendarProvider", {
+    name: "BOBSNPC.Settings.CalendarProvider.Name",
+    hint: "BOBSNPC.Settings.CalendarProvider.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "auto": "BOBSNPC.Settings.CalendarProvider.Auto",
+      "native": "BOBSNPC.Settings.CalendarProvider.Native",
+      "simple-calendar": "BOBSNPC.Settings.CalendarProvider.SimpleCalendar"
+    },
+    default: "auto",
+    requiresReload: false
+  });
+
   // ===== Economy Settings =====
 
   game.settings.register(MODULE_ID, "currencyDisplay", {
@@ -167,6 +182,21 @@ function registerWorldSettings() {
     requiresReload: false
   });
 
+  game.settings.register(MODULE_ID, "courierDelayHours", {
+    name: "BOBSNPC.Settings.CourierDelayHours.Name",
+    hint: "BOBSNPC.Settings.CourierDelayHours.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: {
+      min: 0,
+      max: 168,
+      step: 1
+    },
+    default: 0,
+    requiresReload: false
+  });
+
   // ===== Crime Settings =====
 
   game.settings.register(MODULE_ID, "crimeEnabled", {
@@ -277,8 +307,59 @@ function registerWorldSettings() {
     requiresReload: false
   });
 
+  // ===== Backup Settings =====
+
+  game.settings.register(MODULE_ID, "autoBackup", {
+    name: "BOBSNPC.Settings.AutoBackup.Name",
+    hint: "BOBSNPC.Settings.AutoBackup.Hint",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: {
+      "off": "BOBSNPC.Settings.AutoBackup.Off",
+      "session": "BOBSNPC.Settings.AutoBackup.Session",
+      "daily": "BOBSNPC.Settings.AutoBackup.Daily",
+      "weekly": "BOBSNPC.Settings.AutoBackup.Weekly"
+    },
+    default: "session",
+    requiresReload: false
+  });
+
+  game.settings.register(MODULE_ID, "backupRetention", {
+    name: "BOBSNPC.Settings.BackupRetention.Name",
+    hint: "BOBSNPC.Settings.BackupRetention.Hint",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: {
+      min: 1,
+      max: 50,
+      step: 1
+    },
+    default: 10,
+    requiresReload: false
+  });
+
+  // Timestamp of the last automatic backup
+  game.settings.register(MODULE_ID, "lastAutoBackup", {
+    name: "Last Automatic Backup",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+
   // ===== Data Storage Settings (Hidden) =====
 
+  // Schema version of the stored data, used to run migrations
+  game.settings.register(MODULE_ID, "schemaVersion", {
+    name: "Schema Version",
+    scope: "world",
+    config: false,
+    type: Number,
+    default: 0
+  });
+
   // World data storage for quests, factions, dialogue states, etc.
   game.settings.register(MODULE_ID, "worldData", {
     name: "World Data",
@@ -287,6 +368,8 @@ function registerWorldSettings() {
     type: Object,
     default: {
       quests: {},
+      questInstances: {},
+      pendingKills: [],
       factions: {},
       dialogues: {},
       merchants: {},
@@ -357,6 +440,15 @@ function registerWorldSettings() {
     default: {}
   });
 
+  // Loot container storage
+  game.settings.register(MODULE_ID, "lootContainers", {
+    name: "Loot Containers",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   // Faction data storage
   game.settings.register(MODULE_ID, "factions", {
     name: "Factions",
@@ -375,6 +467,15 @@ function registerWorldSettings() {
     default: {}
   });
 
+  // World event definitions
+  game.settings.register(MODULE_ID, "worldEvents", {
+    name: "World Events",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
   // Active world events
   game.settings.register(MODULE_ID, "activeEvents", {
     name: "Active Events",
@@ -383,6 +484,52 @@ function registerWorldSettings() {
     type: Array,
     default: []
   });
+
+  // World event trigger bookkeeping (last calendar day checked)
+  game.settings.register(MODULE_ID, "eventTriggerState", {
+    name: "Event Trigger State",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Native calendar (hours per day, weekdays, months)
+  game.settings.register(MODULE_ID, "calendarConfig", {
+    name: "Calendar Config",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => game.bobsnpc?.handlers?.calendar?.reload()
+  });
+
+  // World-time scheduler (job cadences, last runs and ledger)
+  game.settings.register(MODULE_ID, "schedulerState", {
+    name: "Scheduler State",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // Completed player-to-player trades, newest first
+  game.settings.register(MODULE_ID, "tradeLog", {
+    name: "Trade Log",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  // Quick Send parcels still with a courier
+  game.settings.register(MODULE_ID, "pendingDeliveries", {
+    name: "Pending Deliveries",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: []
+  });
 }
 
 /**
@@ -23,6 +23,7 @@ export const SocketEvents = Object.freeze({
   DIALOGUE_LEAVE: "dialogueLeave",
   DIALOGUE_VOTE: "dialogueVote",
   DIALOGUE_SYNC: "dialogueSync",
+  DIALOGUE_WORLD_STATE: "dialogueWorldState",
 
   // Quest events
   QUEST_ACCEPT: "questAccept",
@@ -31,6 +32,8 @@ export const SocketEvents = Object.freeze({
   QUEST_FAIL: "questFail",
   QUEST_ABANDON: "questAbandon",
   QUEST_OBJECTIVE: "questObjective",
+  QUEST_DIALOGUE: "questDialogue",
+  QUEST_SKILL_ROLL: "questSkillRoll",
 
   // Trade events
   TRADE_REQUEST: "tradeRequest",
@@ -40,6 +43,8 @@ export const SocketEvents = Object.freeze({
   TRADE_CONFIRM: "tradeConfirm",
   TRADE_COMPLETE: "tradeComplete",
   TRADE_CANCEL: "tradeCancel",
+  TRADE_SETTLE: "tradeSettle",
+  TRADE_SEND: "tradeSend",
 
   // Faction events
   FACTION_REPUTATION: "factionReputation",
@@ -61,6 +66,15 @@ export const SocketEvents = Object.freeze({
 
   // Crime events
   CRIME_BOUNTY: "crimeBounty",
+  CRIME_STEAL: "crimeSteal",
+  CRIME_REPORT: "crimeReport",
+
+  // Property events
+  PROPERTY_SHOP: "propertyShop",
+
+  // Service events
+  SERVICE_TRAVEL: "serviceTravel",
+  SERVICE_RUMOR: "serviceRumor",
 
   // General sync
   STATE_SYNC: "stateSync",
@@ -221,6 +235,7 @@ function registerDefaultHandlers() {
   registerHandler(SocketEvents.DIALOGUE_LEAVE, handleDialogueLeave);
   registerHandler(SocketEvents.DIALOGUE_VOTE, handleDialogueVote);
   registerHandler(SocketEvents.DIALOGUE_SYNC, handleDialogueSync);
+  registerHandler(SocketEvents.DIALOGUE_WORLD_STATE, handleDialogueWorldState);
 
   // Quest handlers
   registerHandler(SocketEvents.QUEST_ACCEPT, handleQuestAccept);
@@ -229,6 +244,8 @@ function registerDefaultHandlers() {
   registerHandler(SocketEvents.QUEST_FAIL, handleQuestFail);
   registerHandler(SocketEvents.QUEST_ABANDON, handleQuestAbandon);
   registerHandler(SocketEvents.QUEST_OBJECTIVE, handleQuestObjective);
+  registerHandler(SocketEvents.QUEST_DIALOGUE, handleQuestDialogue);
+  registerHandler(SocketEvents.QUEST_SKILL_ROLL, handleQuestSkillRoll);
 
   // Trade handlers
   registerHandler(SocketEvents.TRADE_REQUEST, handleTradeRequest);
@@ -238,6 +255,8 @@ function registerDefaultHandlers() {
   registerHandler(SocketEvents.TRADE_CONFIRM, handleTradeConfirm);
   registerHandler(SocketEvents.TRADE_COMPLETE, handleTradeComplete);
   registerHandler(SocketEvents.TRADE_CANCEL, handleTradeCancel);
+  registerHandler(SocketEvents.TRADE_SETTLE, handleTradeSettle);
+  registerHandler(SocketEvents.TRADE_SEND, handleTradeSend);
 
   // Other handlers
   registerHandler(SocketEvents.FACTION_REPUTATION, handleFactionReputation);
@@ -246,7 +265,13 @@ function registerDefaultHandlers() {
   registerHandler(SocketEvents.SHOP_TRANSACTION, handleShopTransaction);
   registerHandler(SocketEvents.BANK_TRANSACTION, handleBankTransaction);
   registerHandler(SocketEvents.LOOT_TAKE, handleLootTake);
+  registerHandler(SocketEvents.LOOT_ROLL, handleLootRoll);
   registerHandler(SocketEvents.CRIME_BOUNTY, handleCrimeBounty);
+  registerHandler(SocketEvents.CRIME_STEAL, handleCrimeSteal);
+  registerHandler(SocketEvents.CRIME_REPORT, handleCrimeReport);
+  registerHandler(SocketEvents.PROPERTY_SHOP, handlePropertyShop);
+  registerHandler(SocketEvents.SERVICE_TRAVEL, handleServiceTravel);
+  registerHandler(SocketEvents.SERVICE_RUMOR, handleServiceRumor);
   registerHandler(SocketEvents.STATE_SYNC, handleStateSync);
   registerHandler(SocketEvents.REQUEST_SYNC, handleRequestSync);
 }
@@ -340,6 +365,11 @@ function handleDialogueSync(payload, userId) {
   }
 }
 
+function handleDialogueWorldState(payload, userId) {
+  // Dialogue effects run on the player's client, but only the GM writes world state
+  game.bobsnpc?.handlers?.dialogue?.handleWorldStateRequest(payload, userId);
+}
+
 // ===== Quest Handlers =====
 
 function handleQuestAccept(payload, userId) {
@@ -375,21 +405,42 @@ function handleQuestObjective(payload, userId) {
   Hooks.call(`${MODULE_ID}.questObjectiveUpdated`, { questId, objectiveId, completed, userId });
 }
 
-// ===== Trade Handlers =====
+function handleQuestDialogue(payload, userId) {
+  // Talk-to and deliver progress is saved in world data, which only the GM can write
+  game.bobsnpc?.handlers?.quest?.handleDialogueRequest(payload, userId);
+}
 
-function handleTradeRequest(payload, userId) {
-  const { tradeId, initiatorUuid, recipientUuid } = payload;
+function handleQuestSkillRoll(payload, userId) {
+  // Skill check objective results are saved in world data, which only the GM can write
+  game.bobsnpc?.handlers?.quest?.handleSkillRollRequest(payload, userId);
+}
 
-  activeTrades.set(tradeId, {
+// ===== Trade Handlers =====
+
+/**
+ * Create the in-memory record of a trade
+ * @param {string} tradeId - Trade session ID
+ * @param {object} data - {initiator, recipient, status}
+ * @returns {object}
+ */
+function createActiveTrade(tradeId, data = {}) {
+  return {
     id: tradeId,
-    initiator: initiatorUuid,
-    recipient: recipientUuid,
+    initiator: data.initiator || null,
+    recipient: data.recipient || null,
     initiatorOffer: { gold: 0, items: [] },
     recipientOffer: { gold: 0, items: [] },
     initiatorConfirmed: false,
     recipientConfirmed: false,
-    status: "pending"
-  });
+    offers: {},                      // actorUuid -> {offer, userId} as last sent by that side
+    status: data.status || "pending"
+  };
+}
+
+function handleTradeRequest(payload, userId) {
+  const { tradeId, initiatorUuid, recipientUuid } = payload;
+
+  activeTrades.set(tradeId, createActiveTrade(tradeId, { initiator: initiatorUuid, recipient: recipientUuid }));
 
   Hooks.call(`${MODULE_ID}.tradeRequested`, { tradeId, initiatorUuid, recipientUuid, userId });
   console.log(`${MODULE_ID} | Trade request from ${initiatorUuid} to ${recipientUuid}`);
@@ -411,18 +462,27 @@ function handleTradeDecline(payload, userId) {
 }
 
 function handleTradeUpdate(payload, userId) {
-  const { tradeId, side, offer } = payload;
+  const { tradeId, type, side, offer, actorUuid } = payload;
+
+  // Trade windows opened straight from the API skip the request step
+  if (!activeTrades.has(tradeId) && type === "offer_update") {
+    activeTrades.set(tradeId, createActiveTrade(tradeId, { status: "active" }));
+  }
+
   const trade = activeTrades.get(tradeId);
   if (trade) {
-    if (side === "initiator") {
+    if (offer && actorUuid) {
+      trade.offers[actorUuid] = { offer, userId };
+    } else if (side === "initiator") {
       trade.initiatorOffer = offer;
       trade.initiatorConfirmed = false;
     } else {
       trade.recipientOffer = offer;
       trade.recipientConfirmed = false;
     }
+    if (type === "trade_cancelled") activeTrades.delete(tradeId);
   }
-  Hooks.call(`${MODULE_ID}.tradeUpdated`, { tradeId, side, offer, userId });
+  Hooks.call(`${MODULE_ID}.tradeUpdated`, { tradeId, type, side, offer, actorUuid, userId });
 }
 
 function handleTradeConfirm(payload, userId) {
@@ -439,9 +499,19 @@ function handleTradeConfirm(payload, userId) {
 }
 
 function handleTradeComplete(payload, userId) {
-  const { tradeId } = payload;
+  const { tradeId, success = true, error = null, entryId = null } = payload;
+
+  // A refused settlement leaves the trade open for both sides to confirm again
+  if (!success) {
+    for (const sent of Object.values(activeTrades.get(tradeId)?.offers ?? {})) {
+      sent.offer = { ...sent.offer, confirmed: false };
+    }
+    Hooks.call(`${MODULE_ID}.tradeCompleted`, { tradeId, success, error, userId });
+    return;
+  }
+
   activeTrades.delete(tradeId);
-  Hooks.call(`${MODULE_ID}.tradeCompleted`, { tradeId, userId });
+  Hooks.call(`${MODULE_ID}.tradeCompleted`, { tradeId, success, entryId, userId });
   console.log(`${MODULE_ID} | Trade ${tradeId} completed`);
 }
 
@@ -451,6 +521,16 @@ function handleTradeCancel(payload, userId) {
   Hooks.call(`${MODULE_ID}.tradeCancelled`, { tradeId, reason, userId });
 }
 
+function handleTradeSettle(payload, userId) {
+  // Moving items and coins between both actors needs the GM
+  game.bobsnpc?.handlers?.trade?.handleSettleRequest(payload, userId);
+}
+
+function handleTradeSend(payload, userId) {
+  // The recipient's inventory and any courier parcel belong to the GM
+  game.bobsnpc?.handlers?.trade?.handleSendRequest(payload, userId);
+}
+
 // ===== Other Handlers =====
 
 function handleFactionReputation(payload, userId) {
@@ -479,8 +559,12 @@ function handleBankTransaction(payload, userId) {
 }
 
 function handleLootTake(payload, userId) {
-  const { containerId, itemId, playerUuid } = payload;
-  Hooks.call(`${MODULE_ID}.lootTaken`, { containerId, itemId, playerUuid, userId });
+  // Players can't edit loot containers, so the GM carries out the request
+  game.bobsnpc?.handlers?.loot?.handleRequest(payload, userId);
+}
+
+function handleLootRoll(payload, userId) {
+  game.bobsnpc?.handlers?.loot?.handleRequest({ ...payload, action: "roll" }, userId);
 }
 
 function handleCrimeBounty(payload, userId) {
@@ -488,6 +572,30 @@ function handleCrimeBounty(payload, userId) {
   Hooks.call(`${MODULE_ID}.bountyAdded`, { playerUuid, region, amount, crime, userId });
 }
 
+function handleCrimeSteal(payload, userId) {
+  // The victim's items and the crime records belong to the GM
+  game.bobsnpc?.handlers?.crime?.handleStealRequest(payload, userId);
+}
+
+function handleCrimeReport(payload, userId) {
+  game.bobsnpc?.handlers?.crime?.handleReportRequest(payload, userId);
+}
+
+function handlePropertyShop(payload, userId) {
+  // Player shops are merchants and property records, which only the GM can write
+  game.bobsnpc?.handlers?.property?.handleShopRequest(payload, userId);
+}
+
+function handleServiceTravel(payload, userId) {
+  // Charging the party, advancing time and moving tokens need the GM
+  game.bobsnpc?.handlers?.service?.handleTravelRequest(payload, userId);
+}
+
+function handleServiceRumor(payload, userId) {
+  // The reliability roll, quest reveals and map notes belong to the GM
+  game.bobsnpc?.handlers?.service?.handleRumorRequest(payload, userId);
+}
+
 function handleStateSync(payload, userId) {
   // Only process if we requested sync or it's from GM
   const senderUser = game.users.get(userId);